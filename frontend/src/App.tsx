@@ -1,21 +1,62 @@
 import { useEffect, useMemo, useState, useCallback } from 'react'
 import {
   fetchEmployees,
+  fetchActions,
   analyzeEmployees,
-  applyAction,
+  proposeAction,
+  approveProposal,
+  rejectProposal,
+  proposeBatch,
+  approveBatch,
+  revertAction,
+  rejectSuggestion,
+  isPendingSuggestion,
+  downloadAnalysisReport,
+  fetchRollups,
+  fetchFxRates,
+  fetchAuthStatus,
+  fetchMe,
+  login,
+  bootstrapAdmin,
+  logout,
+  hasAuthToken,
+  AUTH_LOGOUT_EVENT,
+  type AuthUser,
+  type Permission,
+  type Role,
   type Employee,
+  type EmployeeQuery,
+  type EmployeeSort,
+  type EmployeeTotals,
+  type Page,
+  type Currency,
+  type TeamRollup,
   type ActionRecord,
   type AnalysisSummary,
   type DecisionAction,
+  type RecommendationExplanation,
+  type RuleCondition,
+  type Suggestion,
 } from './api'
 
 type UIDecisionAction = 'increase' | 'decrease' | 'keep' | 'fire'
 
-const formatter = new Intl.NumberFormat('en-IN', {
-  style: 'currency',
-  currency: 'INR',
-  maximumFractionDigits: 0,
-})
+// Digit grouping follows the currency's home locale, e.g. 12,00,000 for INR
+const CURRENCY_LOCALES: Record<string, string> = { INR: 'en-IN', USD: 'en-US', EUR: 'en-IE', GBP: 'en-GB' }
+const formatters = new Map<string, Intl.NumberFormat>()
+
+const formatMoney = (amount: number, currency = 'INR') => {
+  let formatter = formatters.get(currency)
+  if (!formatter) {
+    formatter = new Intl.NumberFormat(CURRENCY_LOCALES[currency] || 'en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0,
+    })
+    formatters.set(currency, formatter)
+  }
+  return formatter.format(amount)
+}
 
 const factorLibrary = [
   { label: 'Location cost multiplier', detail: 'Geo-based labor premium pulled from finance COE' },
@@ -74,39 +115,387 @@ const DecisionBadge = ({ action }: { action: UIDecisionAction }) => (
   </span>
 )
 
+const metricLabels: Record<string, string> = {
+  perfScore: 'performance',
+  profitRatio: 'profit / salary',
+  budgetRatio: 'budget / salary',
+  budget: 'budget',
+}
+
+const describeCondition = (c: RuleCondition) =>
+  `${metricLabels[c.metric] || c.metric} ${c.value ?? '-'} (needs ${c.op} ${c.threshold}, gap ${c.gap ?? '-'})`
+
+const formatDay = (iso?: string) => (iso ? new Date(iso).toLocaleDateString() : '')
+
+// Whether anyone acted on the recommendation yet
+function SuggestionStatusLine({ suggestion }: { suggestion: Suggestion }) {
+  const style = { margin: '0 0 0.5rem', fontSize: '0.8rem', color: '#64748b' }
+  switch (suggestion.status ?? 'PENDING') {
+    case 'PENDING':
+      return suggestion.expiresAt ? <p style={style}>Pending, expires {formatDay(suggestion.expiresAt)}</p> : null
+    case 'ACCEPTED':
+      return <p style={style}>Acted on {formatDay(suggestion.resolvedAt)}</p>
+    case 'SUPERSEDED':
+      return <p style={style}>Superseded by a different action {formatDay(suggestion.resolvedAt)}</p>
+    case 'EXPIRED':
+      return <p style={style}>Expired {formatDay(suggestion.resolvedAt)} without action</p>
+    case 'REJECTED':
+      return (
+        <p style={{ ...style, color: '#b45309' }}>
+          Rejected by {suggestion.rejectedBy} {formatDay(suggestion.resolvedAt)}
+          {suggestion.rejectionReason ? `: ${suggestion.rejectionReason}` : ''}
+        </p>
+      )
+  }
+}
+
+// "Why" breakdown: score factors, the rule that decided, and the nearest threshold
+function WhyBreakdown({ explanation }: { explanation: RecommendationExplanation }) {
+  const next = explanation.nextBoundary
+  return (
+    <div style={{ marginTop: '1rem', fontSize: '0.8rem', color: '#475569' }}>
+      <h4 style={{ marginBottom: '0.5rem' }}>Why</h4>
+      <p style={{ margin: '0 0 0.5rem' }}>
+        Rule: <strong>{explanation.rule.description}</strong> → {explanation.rule.action}
+        {explanation.baselineAction && (
+          <span>
+            {' '}(heuristic baseline; {explanation.engine}{' '}
+            {explanation.agreesWithBaseline ? 'agrees' : 'chose differently'})
+          </span>
+        )}
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ textAlign: 'left' }}>
+            <th>Factor</th>
+            <th>Value</th>
+            <th>Weight</th>
+            <th>Contribution</th>
+          </tr>
+        </thead>
+        <tbody>
+          {explanation.factors.map((f) => (
+            <tr key={f.factor} title={f.note}>
+              <td>{f.factor}</td>
+              <td>{f.value}</td>
+              <td>{f.weight}</td>
+              <td style={{ color: f.contribution >= 0 ? '#15803d' : '#dc2626' }}>
+                {f.contribution >= 0 ? '+' : ''}{f.contribution}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ margin: '0.5rem 0 0' }}>
+        Score {explanation.score}
+        {explanation.budgetFactor !== 1 && ` (× ${explanation.budgetFactor} budget factor)`}
+      </p>
+      {next && (
+        <p style={{ margin: '0.25rem 0 0' }}>
+          Nearest boundary:{' '}
+          {next.crossing === 'enter' ? `${next.action} if ` : `stops applying if `}
+          {next.conditions.map(describeCondition).join('; ')}
+        </p>
+      )}
+      {explanation.trends && (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1rem' }}>
+          {(['performance', 'revenue', 'cost'] as const).map((metric) => {
+            const trend = explanation.trends?.[metric]
+            if (!trend) return null
+            return (
+              <li key={metric}>
+                {metric}: {trend.direction} over {trend.periods} periods ({trend.from}–{trend.to}),{' '}
+                {metric === 'performance' ? `${trend.slopePerQuarter} pts` : `${trend.slopePercent}%`}/quarter,
+                volatility {trend.volatility}
+              </li>
+            )
+          })}
+          {explanation.trendAdjusted && (
+            <li>
+              Performance used: {explanation.trendAdjusted.performance.used} (current{' '}
+              {explanation.trendAdjusted.performance.current})
+            </li>
+          )}
+          {!!explanation.volatilityPenalty && (
+            <li>Confidence reduced {(explanation.volatilityPenalty * 100).toFixed(0)}% for volatile history</li>
+          )}
+        </ul>
+      )}
+      {explanation.modelFactors && explanation.modelFactors.length > 0 && (
+        <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1rem' }}>
+          {explanation.modelFactors.map((f) => (
+            <li key={f.factor}>
+              <strong>{f.factor}</strong> ({f.impact}){f.detail ? `: ${f.detail}` : ''}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+const roleLabels: Record<Role, string> = {
+  HR_ADMIN: 'HR admin',
+  FINANCE_VIEWER: 'Finance viewer',
+  MANAGER: 'Manager',
+}
+
+const fieldStyle = {
+  padding: '0.5rem',
+  borderRadius: '0.375rem',
+  border: '1px solid #e2e8f0',
+}
+
+// Sign-in form; creates the first HR admin when no accounts exist yet
+function LoginScreen({ onSignedIn }: { onSignedIn: (user: AuthUser) => void }) {
+  const [setupRequired, setSetupRequired] = useState(false)
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [name, setName] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    fetchAuthStatus()
+      .then((status) => setSetupRequired(status.setupRequired))
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to reach the server'))
+  }, [])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      setError(null)
+      const session = setupRequired
+        ? await bootstrapAdmin(username, password, name || undefined)
+        : await login(username, password)
+      onSignedIn(session.user)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to sign in')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="app-shell" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
+      <form onSubmit={handleSubmit} className="panel" style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', width: '320px' }}>
+        <p className="eyebrow">Agentic Finance Copilot</p>
+        <h2 style={{ margin: 0 }}>{setupRequired ? 'Create the HR admin account' : 'Sign in'}</h2>
+        {setupRequired && (
+          <input type="text" value={name} placeholder="Your name" onChange={(e) => setName(e.target.value)} style={fieldStyle} />
+        )}
+        <input
+          type="text"
+          value={username}
+          placeholder="Username"
+          autoComplete="username"
+          onChange={(e) => setUsername(e.target.value)}
+          style={fieldStyle}
+        />
+        <input
+          type="password"
+          value={password}
+          placeholder={setupRequired ? 'Password (8+ characters)' : 'Password'}
+          autoComplete={setupRequired ? 'new-password' : 'current-password'}
+          onChange={(e) => setPassword(e.target.value)}
+          style={fieldStyle}
+        />
+        {error && <p style={{ color: '#dc2626', margin: 0, fontSize: '0.875rem' }}>{error}</p>}
+        <button className="primary" type="submit" disabled={submitting || !username || !password}>
+          {submitting ? 'Please wait...' : setupRequired ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
 function App() {
+  const [user, setUser] = useState<AuthUser | null>(null)
+  const [checkingSession, setCheckingSession] = useState(hasAuthToken)
+
+  // Resume a stored session
+  useEffect(() => {
+    if (!hasAuthToken()) return
+    fetchMe()
+      .then((data) => setUser(data.user))
+      .catch(() => logout())
+      .finally(() => setCheckingSession(false))
+  }, [])
+
+  useEffect(() => {
+    const onLogout = () => setUser(null)
+    window.addEventListener(AUTH_LOGOUT_EVENT, onLogout)
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, onLogout)
+  }, [])
+
+  const handleSignOut = () => {
+    logout()
+    setUser(null)
+  }
+
+  if (checkingSession) return null
+  if (!user) return <LoginScreen onSignedIn={setUser} />
+  return <Dashboard user={user} onSignOut={handleSignOut} />
+}
+
+// Filter form of the employee table; numbers are kept as typed
+type EmployeeFilters = {
+  q: string
+  role: string
+  status: '' | 'ACTIVE' | 'FIRED' | 'ALL' // '' is everyone but FIRED
+  action: '' | DecisionAction
+  negativeProfit: boolean
+  salaryMin: string
+  salaryMax: string
+  revenueMin: string
+  revenueMax: string
+}
+
+const emptyFilters: EmployeeFilters = {
+  q: '',
+  role: '',
+  status: '',
+  action: '',
+  negativeProfit: false,
+  salaryMin: '',
+  salaryMax: '',
+  revenueMin: '',
+  revenueMax: '',
+}
+
+const filterInputStyle = { padding: '0.25rem', borderRadius: '0.375rem', border: '1px solid #e2e8f0' }
+
+const defaultEmployeeQuery: EmployeeQuery = { excludeStatus: 'FIRED', sort: 'ssid', page: 1, limit: 25 }
+
+const amountOrUndefined = (text: string) => (text.trim() === '' ? undefined : Number(text))
+
+function queryFromFilters(f: EmployeeFilters): EmployeeQuery {
+  return {
+    q: f.q.trim() || undefined,
+    role: f.role.trim() || undefined,
+    ...(f.status === '' ? { excludeStatus: 'FIRED' } : f.status === 'ALL' ? {} : { status: f.status }),
+    action: f.action || undefined,
+    negativeProfit: f.negativeProfit || undefined,
+    salaryMin: amountOrUndefined(f.salaryMin),
+    salaryMax: amountOrUndefined(f.salaryMax),
+    revenueMin: amountOrUndefined(f.revenueMin),
+    revenueMax: amountOrUndefined(f.revenueMax),
+  }
+}
+
+// Sorts offered in the table; salary and profit reveal individual pay
+const employeeSorts: Array<{ value: EmployeeSort; label: string; pay?: boolean }> = [
+  { value: 'ssid', label: 'SSID' },
+  { value: 'name', label: 'Name' },
+  { value: 'salary', label: 'Salary', pay: true },
+  { value: 'revenue', label: 'Revenue' },
+  { value: 'profit', label: 'Profit', pay: true },
+  { value: 'experience', label: 'Experience' },
+  { value: 'performance', label: 'Performance' },
+  { value: 'confidence', label: 'Confidence' },
+  { value: 'changePercent', label: 'Recommended change' },
+]
+
+function Dashboard({ user, onSignOut }: { user: AuthUser; onSignOut: () => void }) {
+  const can = (permission: Permission) => user.permissions.includes(permission)
+  // Finance viewers get no individual pay; only the totals below
+  const showPay = can('salary:read')
   const [employees, setEmployees] = useState<Employee[]>([])
-  const [actions, setActions] = useState<ActionRecord[]>([])
+  const [totals, setTotals] = useState<EmployeeTotals | null>(null)
+  const [teams, setTeams] = useState<TeamRollup[]>([])
+  // Open proposals across everyone in scope, and the selected employee's latest actions
+  const [openActions, setOpenActions] = useState<ActionRecord[]>([])
+  const [history, setHistory] = useState<ActionRecord[]>([])
+  // Table filters, sorting and page, applied by the backend
+  const [query, setQuery] = useState<EmployeeQuery>(defaultEmployeeQuery)
+  const [filters, setFilters] = useState<EmployeeFilters>(emptyFilters)
+  const [paging, setPaging] = useState<Page | null>(null)
+  const [loadedAt, setLoadedAt] = useState(0)
   const [selectedEmployeeId, setSelectedEmployeeId] = useState<string | null>(null)
   const [loading, setLoading] = useState(true)
   const [analyzing, setAnalyzing] = useState(false)
   const [applyingAction, setApplyingAction] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [budget, setBudget] = useState(50000000) // 5 crore default budget
+  const [optimizeBudget, setOptimizeBudget] = useState(false)
   const [analysisSummary, setAnalysisSummary] = useState<AnalysisSummary | null>(null)
+  const [analysisRunId, setAnalysisRunId] = useState<string | null>(null)
+  const [currencies, setCurrencies] = useState<Currency[]>([])
+  const [reportingCurrency, setReportingCurrency] = useState('')
+  // Employees ticked for a batch proposal
+  const [checkedSsids, setCheckedSsids] = useState<string[]>([])
+  // Outcome of a batch or revert proposal
+  const [notice, setNotice] = useState<string | null>(null)
+  const [minConfidence, setMinConfidence] = useState(80) // percent, for "select all"
 
   // Load employees from backend
   const loadEmployees = useCallback(async () => {
     try {
       setLoading(true)
       setError(null)
-      const data = await fetchEmployees()
-      setEmployees(data.employees)
-      setActions(data.actions)
-      if (data.employees.length > 0 && !selectedEmployeeId) {
-        setSelectedEmployeeId(data.employees[0].ssid)
+      const [data, rollups, open] = await Promise.all([
+        fetchEmployees(query),
+        fetchRollups('department'),
+        fetchActions({ status: 'PROPOSED', limit: 200 }),
+      ])
+      const { totals, employees, ...page } = data
+      setEmployees(employees)
+      setTotals(totals)
+      setPaging(page)
+      setTeams(rollups.rollups)
+      setOpenActions(open.actions)
+      if (employees.length > 0 && !employees.some((emp) => emp.ssid === selectedEmployeeId)) {
+        setSelectedEmployeeId(employees[0].ssid)
       }
+      setLoadedAt(Date.now())
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load employees')
     } finally {
       setLoading(false)
     }
-  }, [selectedEmployeeId])
+  }, [query, selectedEmployeeId])
 
   useEffect(() => {
     loadEmployees()
+  }, [query]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Latest actions of the selected employee, refreshed with the table
+  useEffect(() => {
+    if (!selectedEmployeeId) return
+    fetchActions({ ssid: selectedEmployeeId, limit: 5 })
+      .then((page) => setHistory(page.actions))
+      .catch(() => setHistory([]))
+  }, [selectedEmployeeId, loadedAt])
+
+  const applyFilters = (e: React.FormEvent) => {
+    e.preventDefault()
+    setCheckedSsids([])
+    setQuery((current) => ({ ...queryFromFilters(filters), sort: current.sort, limit: current.limit, page: 1 }))
+  }
+
+  const clearFilters = () => {
+    setFilters(emptyFilters)
+    setCheckedSsids([])
+    setQuery((current) => ({ ...defaultEmployeeQuery, sort: current.sort }))
+  }
+
+  const goToPage = (page: number) => setQuery((current) => ({ ...current, page }))
+
+  // Currencies with a current FX rate can be chosen for reporting
+  useEffect(() => {
+    if (!can('bands:read')) return
+    fetchFxRates()
+      .then((fx) => {
+        setCurrencies(fx.currencies)
+        setReportingCurrency((current) => current || fx.base)
+      })
+      .catch(() => setCurrencies([]))
   }, []) // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Totals are in the base currency; employees without one are paid in it
+  const baseCurrency = totals?.currency ?? 'INR'
+
   const selectedEmployee = useMemo(
     () => employees.find((emp) => emp.ssid === selectedEmployeeId) ?? employees[0],
     [employees, selectedEmployeeId]
@@ -119,7 +508,7 @@ function App() {
         reason: 'No analysis performed yet. Run analysis to get AI recommendations.',
         confidence: 0,
         profitability: selectedEmployee ? (selectedEmployee.revenue || 0) - (selectedEmployee.salary || 0) : 0,
-        margin: selectedEmployee && selectedEmployee.revenue ? ((selectedEmployee.revenue - selectedEmployee.salary) / selectedEmployee.revenue) : 0,
+        margin: selectedEmployee && selectedEmployee.revenue ? ((selectedEmployee.revenue - (selectedEmployee.salary || 0)) / selectedEmployee.revenue) : 0,
       }
     }
     const suggestion = selectedEmployee.suggestion
@@ -133,40 +522,32 @@ function App() {
       margin,
       suggestedSalary: suggestion.suggestedSalary,
       changePercent: suggestion.recommended_change_percent,
+      fallback: suggestion.fallback,
     }
   }, [selectedEmployee])
 
+  // Computed by the backend so roles without individual pay still see totals
   const orgSummary = useMemo(() => {
-    const totals = employees.reduce(
-      (acc, emp) => {
-        const salary = emp.salary || 0
-        const revenue = emp.revenue || 0
-        const profit = revenue - salary
-        if (profit < 0) acc.atRisk += 1
-        acc.totalSalary += salary
-        acc.totalRevenue += revenue
-        acc.netProfit += profit
-        return acc
-      },
-      {
-        atRisk: 0,
-        totalSalary: 0,
-        totalRevenue: 0,
-        netProfit: 0,
-      }
-    )
+    const t = totals ?? { count: 0, salary: 0, revenue: 0, profit: 0, atRisk: 0 }
     return {
-      ...totals,
-      margin: totals.totalRevenue === 0 ? 0 : totals.netProfit / totals.totalRevenue,
+      atRisk: t.atRisk,
+      totalSalary: t.salary,
+      totalRevenue: t.revenue,
+      netProfit: t.profit,
+      margin: t.revenue === 0 ? 0 : t.profit / t.revenue,
     }
-  }, [employees])
+  }, [totals])
 
   const handleAnalyze = async () => {
     try {
       setAnalyzing(true)
       setError(null)
-      const result = await analyzeEmployees(budget)
+      const result = await analyzeEmployees(budget, undefined, {
+        ...(optimizeBudget ? { allocation: 'optimize' as const } : {}),
+        ...(reportingCurrency ? { currency: reportingCurrency } : {}),
+      })
       setAnalysisSummary(result.summary)
+      setAnalysisRunId(result.runId)
       // Reload employees to get updated suggestions
       await loadEmployees()
     } catch (err) {
@@ -176,22 +557,167 @@ function App() {
     }
   }
 
-  const handleApplyAction = async (action: UIDecisionAction) => {
+  const handleDownloadReport = async (format: 'csv' | 'pdf') => {
+    if (!analysisRunId) return
+    try {
+      await downloadAnalysisReport(analysisRunId, format)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to download report')
+    }
+  }
+
+  // Approving applies the action, and only HR admins may terminate
+  const canReview = (proposal: ActionRecord) =>
+    can('actions:review') && (proposal.action !== 'FIRE' || can('actions:fire'))
+
+  const openProposals = useMemo(
+    () => openActions.filter((a) => a.ssid === selectedEmployee?.ssid),
+    [openActions, selectedEmployee]
+  )
+
+  // Proposals made together are approved together, by someone else
+  const openBatches = useMemo(() => {
+    const batches = new Map<string, ActionRecord[]>()
+    for (const a of openActions) {
+      if (!a.batchId) continue
+      batches.set(a.batchId, [...(batches.get(a.batchId) ?? []), a])
+    }
+    return [...batches.entries()].map(([batchId, proposals]) => ({ batchId, proposals }))
+  }, [openActions])
+
+  const batchCandidates = useMemo(
+    () =>
+      employees.filter(
+        (emp) => emp.status !== 'FIRED' && isPendingSuggestion(emp.suggestion) && emp.suggestion?.action !== 'NO_CHANGE'
+      ),
+    [employees]
+  )
+
+  const toggleChecked = (ssid: string) =>
+    setCheckedSsids((current) => (current.includes(ssid) ? current.filter((s) => s !== ssid) : [...current, ssid]))
+
+  const handleProposeSelected = async () => {
+    if (checkedSsids.length === 0) return
+    try {
+      setApplyingAction(true)
+      setError(null)
+      setNotice(null)
+      const result = await proposeBatch({ ssids: checkedSsids })
+      const warned = result.results.filter((r) => r.warnings?.length).length
+      setNotice(
+        `${result.message}${warned > 0 ? ` (${warned} with policy warnings)` : ''}. Another reviewer approves the batch below.`
+      )
+      setCheckedSsids([])
+      await loadEmployees()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to propose selected employees')
+    } finally {
+      setApplyingAction(false)
+    }
+  }
+
+  const handleApproveBatch = async (batchId: string, proposals: ActionRecord[]) => {
+    const overridesWarnings = proposals.some((p) => p.policy?.outcome === 'warn')
+    const comment = window.prompt(
+      overridesWarnings
+        ? `Approve and apply ${proposals.length} action(s). Comment (required to approve over policy warnings)`
+        : `Approve and apply ${proposals.length} action(s). Comment (optional)`
+    )
+    if (comment === null) return
+    if (overridesWarnings && !comment.trim()) {
+      setError('A comment is required to approve this batch')
+      return
+    }
+    try {
+      setApplyingAction(true)
+      setError(null)
+      setNotice(null)
+      const result = await approveBatch(batchId, comment || undefined)
+      setNotice(result.message)
+      await loadEmployees()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to approve batch')
+    } finally {
+      setApplyingAction(false)
+    }
+  }
+
+  const handleProposeAction = async (action: UIDecisionAction) => {
     if (!selectedEmployee) return
     try {
       setApplyingAction(true)
       setError(null)
       const backendAction = mapUIActionToBackend(action)
-      await applyAction(
-        selectedEmployee.ssid,
-        backendAction,
-        undefined,
-        selectedDecision.changePercent
-      )
+      await proposeAction(selectedEmployee.ssid, backendAction, undefined, selectedDecision.changePercent)
+      // Reload employees to pick up the new proposal
+      await loadEmployees()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to propose action')
+    } finally {
+      setApplyingAction(false)
+    }
+  }
+
+  const handleReviewProposal = async (proposal: ActionRecord, decision: 'approve' | 'reject') => {
+    const overridesWarnings = decision === 'approve' && proposal.policy?.outcome === 'warn'
+    const comment = window.prompt(
+      decision === 'reject'
+        ? 'Reason for rejection'
+        : overridesWarnings
+          ? 'Approval comment (required to approve over policy warnings)'
+          : 'Approval comment (optional)'
+    )
+    if (comment === null) return
+    if ((decision === 'reject' || overridesWarnings) && !comment.trim()) {
+      setError(`A comment is required to ${decision} this proposal`)
+      return
+    }
+    try {
+      setApplyingAction(true)
+      setError(null)
+      if (decision === 'approve') {
+        await approveProposal(proposal._id, comment || undefined)
+      } else {
+        await rejectProposal(proposal._id, comment)
+      }
       // Reload employees to get updated state
       await loadEmployees()
     } catch (err) {
-      setError(err instanceof Error ? err.message : 'Failed to apply action')
+      setError(err instanceof Error ? err.message : `Failed to ${decision} proposal`)
+    } finally {
+      setApplyingAction(false)
+    }
+  }
+
+  const handleRejectSuggestion = async (ssid: string) => {
+    const reason = window.prompt('Reason for not acting on this recommendation')
+    if (reason === null) return
+    if (!reason.trim()) {
+      setError('A reason is required to reject a recommendation')
+      return
+    }
+    try {
+      setApplyingAction(true)
+      setError(null)
+      await rejectSuggestion(ssid, reason)
+      await loadEmployees()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to reject recommendation')
+    } finally {
+      setApplyingAction(false)
+    }
+  }
+
+  const handleRevertAction = async (action: ActionRecord) => {
+    if (!window.confirm(`Propose reverting ${action.action} for ${action.ssid}? Another reviewer must approve it.`)) return
+    try {
+      setApplyingAction(true)
+      setError(null)
+      const result = await revertAction(action._id)
+      setNotice(result.message)
+      await loadEmployees()
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to revert action')
     } finally {
       setApplyingAction(false)
     }
@@ -201,7 +727,7 @@ function App() {
     setSelectedEmployeeId(employee.ssid)
   }
 
-  if (loading) {
+  if (loading && !totals) {
     return (
       <div className="app-shell" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
         <div style={{ textAlign: 'center' }}>
@@ -212,7 +738,7 @@ function App() {
     )
   }
 
-  if (error && employees.length === 0) {
+  if (error && !totals) {
     return (
       <div className="app-shell" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', minHeight: '100vh' }}>
         <div style={{ textAlign: 'center' }}>
@@ -238,26 +764,63 @@ function App() {
           </p>
         </div>
         <div className="hero-actions">
-          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
-            <label style={{ fontSize: '0.875rem', color: '#64748b' }}>
-              Budget:
-              <input
-                type="number"
-                value={budget}
-                onChange={(e) => setBudget(Number(e.target.value))}
-                style={{
-                  marginLeft: '0.5rem',
-                  padding: '0.5rem',
-                  borderRadius: '0.375rem',
-                  border: '1px solid #e2e8f0',
-                  width: '150px',
-                }}
-              />
-            </label>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem', fontSize: '0.875rem', color: '#64748b' }}>
+            <span>
+              Signed in as <strong>{user.name || user.username}</strong> ({roleLabels[user.role]})
+            </span>
+            <button className="ghost" onClick={onSignOut} style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+              Sign out
+            </button>
           </div>
-          <button className="primary" onClick={handleAnalyze} disabled={analyzing}>
-            {analyzing ? 'Analyzing...' : 'Run AI Analysis'}
-          </button>
+          {can('analysis:run') && (
+            <>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginBottom: '0.5rem' }}>
+                <label style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                  Budget:
+                  <input
+                    type="number"
+                    value={budget}
+                    onChange={(e) => setBudget(Number(e.target.value))}
+                    style={{
+                      marginLeft: '0.5rem',
+                      padding: '0.5rem',
+                      borderRadius: '0.375rem',
+                      border: '1px solid #e2e8f0',
+                      width: '150px',
+                    }}
+                  />
+                </label>
+                <label style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                  <input
+                    type="checkbox"
+                    checked={optimizeBudget}
+                    onChange={(e) => setOptimizeBudget(e.target.checked)}
+                    style={{ marginRight: '0.5rem' }}
+                  />
+                  Fit raises to budget
+                </label>
+                {currencies.length > 1 && (
+                  <label style={{ fontSize: '0.875rem', color: '#64748b' }}>
+                    Report in:
+                    <select
+                      value={reportingCurrency}
+                      onChange={(e) => setReportingCurrency(e.target.value)}
+                      style={{ marginLeft: '0.5rem', padding: '0.5rem', borderRadius: '0.375rem', border: '1px solid #e2e8f0' }}
+                    >
+                      {currencies.map((c) => (
+                        <option key={c.code} value={c.code}>
+                          {c.code}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+              <button className="primary" onClick={handleAnalyze} disabled={analyzing}>
+                {analyzing ? 'Analyzing...' : 'Run AI Analysis'}
+              </button>
+            </>
+          )}
           <button className="ghost" onClick={loadEmployees}>
             Refresh Data
           </button>
@@ -270,24 +833,92 @@ function App() {
         </div>
       )}
 
+      {notice && (
+        <div style={{ background: '#eff6ff', border: '1px solid #bfdbfe', padding: '1rem', borderRadius: '0.5rem', margin: '1rem 0' }}>
+          <p style={{ color: '#1d4ed8', margin: 0 }}>{notice}</p>
+        </div>
+      )}
+
+      {openBatches.length > 0 && (
+        <section className="panel" style={{ margin: '1rem 0' }}>
+          <h3 style={{ marginTop: 0 }}>Batches awaiting approval</h3>
+          {openBatches.map(({ batchId, proposals }) => {
+            const proposedBy = proposals[0].proposedBy
+            const mayApprove =
+              can('actions:review') &&
+              proposedBy !== user.username &&
+              (can('actions:fire') || proposals.every((p) => p.action !== 'FIRE'))
+            return (
+              <div
+                key={batchId}
+                style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '0.5rem 0', borderTop: '1px solid #e2e8f0', fontSize: '0.875rem' }}
+              >
+                <span style={{ flex: 1 }}>
+                  <strong>{proposals.length} action(s)</strong> proposed by {proposedBy}:{' '}
+                  {proposals.map((p) => `${p.ssid} ${p.action}`).join(', ')}
+                  {proposals.some((p) => p.policy?.outcome === 'warn') && (
+                    <span style={{ color: '#b45309' }}> • policy warnings</span>
+                  )}
+                </span>
+                {mayApprove && (
+                  <button className="primary" onClick={() => handleApproveBatch(batchId, proposals)} disabled={applyingAction}>
+                    Approve & apply batch
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </section>
+      )}
+
       {analysisSummary && (
         <div style={{ background: '#f0fdf4', border: '1px solid #bbf7d0', padding: '1rem', borderRadius: '0.5rem', margin: '1rem 0' }}>
           <h4 style={{ margin: '0 0 0.5rem 0', color: '#15803d' }}>Analysis Complete</h4>
           <p style={{ margin: 0, fontSize: '0.875rem' }}>
             Projected {analysisSummary.projectedSavingsType}: <strong>{analysisSummary.projectedSavingsFormatted}</strong>
           </p>
+          {analysisSummary.allocation && analysisSummary.allocationFormatted && (
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.875rem' }}>
+              Raise pool {analysisSummary.allocationFormatted.pool}: allocated{' '}
+              <strong>{analysisSummary.allocationFormatted.allocated}</strong>, remaining{' '}
+              {analysisSummary.allocationFormatted.remaining}, {analysisSummary.allocation.capped.length} capped
+            </p>
+          )}
+          {analysisSummary.llm && (
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.875rem', color: '#64748b' }}>
+              {analysisSummary.llm.provider} ({analysisSummary.llm.model}): {analysisSummary.llm.requests} calls,{' '}
+              {analysisSummary.llm.cacheHits} cached, {analysisSummary.llm.retries} retries, {analysisSummary.llm.repairs} repairs,{' '}
+              {analysisSummary.llm.fallbacks} heuristic fallbacks
+            </p>
+          )}
+          {analysisSummary.normalization && analysisSummary.normalization.unrecognized.length > 0 && (
+            <p style={{ margin: '0.25rem 0 0', fontSize: '0.875rem', color: '#b45309' }}>
+              {analysisSummary.normalization.unrecognized.length} value(s) could not be interpreted and used defaults:{' '}
+              {analysisSummary.normalization.unrecognized
+                .map((u) => `${u.ssid} ${u.field} "${String(u.value)}"`)
+                .join(', ')}
+            </p>
+          )}
+          {analysisRunId && can('reports:export') && (
+            <p style={{ margin: '0.5rem 0 0', fontSize: '0.875rem' }}>
+              Download report:{' '}
+              <a href="#" onClick={(e) => { e.preventDefault(); handleDownloadReport('csv') }}>CSV</a>
+              {' • '}
+              <a href="#" onClick={(e) => { e.preventDefault(); handleDownloadReport('pdf') }}>PDF</a>
+            </p>
+          )}
         </div>
       )}
 
       <section className="summary-grid">
         <article className="summary-card">
           <p>Total net profit</p>
-          <h2>{formatter.format(orgSummary.netProfit)}</h2>
+          <h2>{formatMoney(orgSummary.netProfit, baseCurrency)}</h2>
           <span className="trend positive">↑ Live calculation</span>
         </article>
         <article className="summary-card">
           <p>Compensation burn</p>
-          <h2>{formatter.format(orgSummary.totalSalary)}</h2>
+          <h2>{formatMoney(orgSummary.totalSalary, baseCurrency)}</h2>
           <span className="trend neutral">Total salaries</span>
         </article>
         <article className="summary-card">
@@ -298,12 +929,54 @@ function App() {
         <article className="summary-card">
           <p>Employees flagged</p>
           <h2>
-            {orgSummary.atRisk} / {employees.length}
+            {orgSummary.atRisk} / {totals?.count ?? employees.length}
           </h2>
           <span className="trend warning">Negative profit</span>
         </article>
       </section>
 
+      {teams.length > 0 && (
+        <section className="panel" style={{ margin: '1rem 0' }}>
+          <h3 style={{ marginTop: 0 }}>Teams</h3>
+          <table style={{ width: '100%', fontSize: '0.875rem', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#64748b' }}>
+                <th>Department</th>
+                <th>People</th>
+                <th>Salaries</th>
+                <th>Revenue</th>
+                <th>Profit</th>
+                <th>Margin</th>
+                <th>Recommendations</th>
+              </tr>
+            </thead>
+            <tbody>
+              {teams.map((team) => (
+                <tr key={team.key} style={{ borderTop: '1px solid #e2e8f0' }}>
+                  <td>
+                    {team.parentCode ? '↳ ' : ''}
+                    {team.name || team.key}
+                  </td>
+                  <td>{team.totalEmployees}</td>
+                  <td>{team.totalCurrentSalariesFormatted ?? '—'}</td>
+                  <td>{team.totalRevenueFormatted}</td>
+                  <td>{team.totalProfitFormatted ?? '—'}</td>
+                  <td>{team.payTotalsWithheld ? '—' : `${team.currentProfitMargin}%`}</td>
+                  <td>
+                    {team.analyzed === 0
+                      ? '—'
+                      : (Object.entries(team.actionBreakdown) as Array<[string, number]>)
+                          .filter(([, count]) => count > 0)
+                          .map(([action, count]) => `${count} ${action}`)
+                          .join(', ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
       <section className="panels">
         <div className="panel primary-panel">
           <header className="panel-header">
@@ -321,20 +994,184 @@ function App() {
             </div>
           </header>
 
+          <form
+            onSubmit={applyFilters}
+            style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem', fontSize: '0.875rem' }}
+          >
+            <input
+              type="search"
+              placeholder="Search name or SSID"
+              value={filters.q}
+              onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+              style={{ ...filterInputStyle, width: '12rem' }}
+            />
+            <input
+              placeholder="Role"
+              value={filters.role}
+              onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+              style={{ ...filterInputStyle, width: '8rem' }}
+            />
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value as EmployeeFilters['status'] })}
+              style={filterInputStyle}
+            >
+              <option value="">Not fired</option>
+              <option value="ACTIVE">Active</option>
+              <option value="FIRED">Fired</option>
+              <option value="ALL">All statuses</option>
+            </select>
+            <select
+              value={filters.action}
+              onChange={(e) => setFilters({ ...filters, action: e.target.value as EmployeeFilters['action'] })}
+              style={filterInputStyle}
+            >
+              <option value="">Any recommendation</option>
+              <option value="PROMOTE">Promote</option>
+              <option value="NO_CHANGE">No change</option>
+              <option value="DECREASE_SALARY">Decrease salary</option>
+              <option value="FIRE">Fire</option>
+            </select>
+            {showPay && (
+              <>
+                <input
+                  type="number"
+                  placeholder={`Salary min (${baseCurrency})`}
+                  value={filters.salaryMin}
+                  onChange={(e) => setFilters({ ...filters, salaryMin: e.target.value })}
+                  style={{ ...filterInputStyle, width: '9rem' }}
+                />
+                <input
+                  type="number"
+                  placeholder={`Salary max (${baseCurrency})`}
+                  value={filters.salaryMax}
+                  onChange={(e) => setFilters({ ...filters, salaryMax: e.target.value })}
+                  style={{ ...filterInputStyle, width: '9rem' }}
+                />
+              </>
+            )}
+            <input
+              type="number"
+              placeholder={`Revenue min (${baseCurrency})`}
+              value={filters.revenueMin}
+              onChange={(e) => setFilters({ ...filters, revenueMin: e.target.value })}
+              style={{ ...filterInputStyle, width: '9rem' }}
+            />
+            <input
+              type="number"
+              placeholder={`Revenue max (${baseCurrency})`}
+              value={filters.revenueMax}
+              onChange={(e) => setFilters({ ...filters, revenueMax: e.target.value })}
+              style={{ ...filterInputStyle, width: '9rem' }}
+            />
+            {showPay && (
+              <label style={{ color: '#64748b' }}>
+                <input
+                  type="checkbox"
+                  checked={filters.negativeProfit}
+                  onChange={(e) => setFilters({ ...filters, negativeProfit: e.target.checked })}
+                />{' '}
+                Negative profit
+              </label>
+            )}
+            <button type="submit" className="primary" style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+              Apply
+            </button>
+            <button type="button" className="ghost" onClick={clearFilters} style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+              Clear
+            </button>
+            <label style={{ color: '#64748b', marginLeft: 'auto' }}>
+              Sort{' '}
+              <select
+                value={(query.sort ?? 'ssid').replace(/^-/, '')}
+                onChange={(e) =>
+                  setQuery((current) => ({
+                    ...current,
+                    sort: (current.sort?.startsWith('-') ? `-${e.target.value}` : e.target.value) as EmployeeQuery['sort'],
+                    page: 1,
+                  }))
+                }
+                style={filterInputStyle}
+              >
+                {employeeSorts
+                  .filter((option) => showPay || !option.pay)
+                  .map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+              </select>
+            </label>
+            <button
+              type="button"
+              className="ghost"
+              onClick={() =>
+                setQuery((current) => {
+                  const field = (current.sort ?? 'ssid').replace(/^-/, '')
+                  return { ...current, sort: (current.sort?.startsWith('-') ? field : `-${field}`) as EmployeeQuery['sort'], page: 1 }
+                })
+              }
+              style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+            >
+              {(query.sort ?? 'ssid').startsWith('-') ? 'Descending' : 'Ascending'}
+            </button>
+          </form>
+
+          {can('actions:propose') && batchCandidates.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '0.75rem', fontSize: '0.875rem' }}>
+              <span>{checkedSsids.length} selected</span>
+              <button
+                className="ghost"
+                onClick={() =>
+                  setCheckedSsids(
+                    batchCandidates
+                      .filter((emp) => (emp.suggestion?.confidence ?? 0) * 100 >= minConfidence)
+                      .map((emp) => emp.ssid)
+                  )
+                }
+                style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+              >
+                Select all with confidence ≥
+              </button>
+              <label style={{ color: '#64748b' }}>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={minConfidence}
+                  onChange={(e) => setMinConfidence(Number(e.target.value))}
+                  style={{ width: '4rem', padding: '0.25rem', borderRadius: '0.375rem', border: '1px solid #e2e8f0' }}
+                />
+                %
+              </label>
+              {checkedSsids.length > 0 && (
+                <button className="ghost" onClick={() => setCheckedSsids([])} style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}>
+                  Clear
+                </button>
+              )}
+              <button className="primary" onClick={handleProposeSelected} disabled={applyingAction || checkedSsids.length === 0}>
+                {applyingAction ? 'Submitting...' : `Propose selected (${checkedSsids.length})`}
+              </button>
+            </div>
+          )}
+
           <div className="employee-table">
-            <div className="employee-row header">
-              <span>Employee</span>
-              <span>Role</span>
-              <span>Profit</span>
-              <span>Performance</span>
-              <span>Decision</span>
+            <div className={can('actions:propose') ? 'employee-pick' : undefined}>
+              {can('actions:propose') && <span className="employee-pick-box" />}
+              <div className="employee-row header">
+                <span>Employee</span>
+                <span>Role</span>
+                <span>{showPay ? 'Profit' : 'Revenue'}</span>
+                <span>Performance</span>
+                <span>Decision</span>
+              </div>
             </div>
 
-            {employees.filter(emp => emp.status !== 'FIRED').map((employee) => {
+            {employees.map((employee) => {
               const profit = (employee.revenue || 0) - (employee.salary || 0)
               const margin = employee.revenue ? profit / employee.revenue : 0
               const action = mapBackendAction(employee.suggestion?.action)
-              return (
+              const row = (
                 <button
                   key={employee.ssid}
                   className={`employee-row ${employee.ssid === selectedEmployeeId ? 'selected' : ''}`}
@@ -346,26 +1183,71 @@ function App() {
                   </span>
                   <span>
                     {employee.role}
-                    <small>{employee.experience} • {employee.performance}</small>
-                  </span>
-                  <span>
-                    {formatter.format(profit)}
-                    <small>Margin {(margin * 100).toFixed(1)}%</small>
+                    <small>{employee.experienceBand || `${employee.experience} yrs`} • {employee.performanceBand || employee.performance}</small>
                   </span>
-                  <span className={`performance ${employee.performance}`}>{employee.performance}</span>
+                  {showPay ? (
+                    <span>
+                      {formatMoney(profit, employee.currency ?? baseCurrency)}
+                      <small>Margin {(margin * 100).toFixed(1)}%</small>
+                    </span>
+                  ) : (
+                    <span>{formatMoney(employee.revenue || 0, employee.currency ?? baseCurrency)}</span>
+                  )}
+                  <span className={`performance ${employee.performanceBand || ''}`}>{employee.performanceBand || employee.performance}</span>
                   <span>
                     <DecisionBadge action={action} />
                   </span>
                 </button>
               )
+              if (!can('actions:propose')) return row
+              return (
+                <div key={employee.ssid} className="employee-pick">
+                  <input
+                    type="checkbox"
+                    className="employee-pick-box"
+                    aria-label={`Select ${employee.name}`}
+                    checked={checkedSsids.includes(employee.ssid)}
+                    disabled={!batchCandidates.includes(employee)}
+                    onChange={() => toggleChecked(employee.ssid)}
+                  />
+                  {row}
+                </div>
+              )
             })}
 
             {employees.length === 0 && (
               <div style={{ padding: '2rem', textAlign: 'center', color: '#64748b' }}>
-                No employees found. Add employees via the API.
+                {totals?.count ? 'No employees match these filters.' : 'No employees found. Add employees via the API.'}
               </div>
             )}
           </div>
+
+          {paging && paging.total > 0 && (
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'flex-end', gap: '0.75rem', marginTop: '0.75rem', fontSize: '0.875rem' }}>
+              <span style={{ color: '#64748b' }}>
+                {(paging.page - 1) * paging.limit + 1}–{(paging.page - 1) * paging.limit + paging.count} of {paging.total}
+              </span>
+              <button
+                className="ghost"
+                onClick={() => goToPage(paging.page - 1)}
+                disabled={loading || paging.page <= 1}
+                style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+              >
+                Previous
+              </button>
+              <span>
+                Page {paging.page} of {paging.pages}
+              </span>
+              <button
+                className="ghost"
+                onClick={() => goToPage(paging.page + 1)}
+                disabled={loading || paging.page >= paging.pages}
+                style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
 
         <aside className="panel detail-panel">
@@ -375,7 +1257,7 @@ function App() {
                 <div className="detail-header">
                   <div>
                     <p className="eyebrow">
-                      {selectedEmployee.experience} • {selectedEmployee.performance}
+                      {selectedEmployee.experience} yrs ({selectedEmployee.experienceBand || '-'}) • {selectedEmployee.performance}/10 ({selectedEmployee.performanceBand || '-'})
                     </p>
                     <h3>{selectedEmployee.name}</h3>
                     <p>{selectedEmployee.role}</p>
@@ -384,56 +1266,134 @@ function App() {
                 </div>
 
                 <div className="detail-grid">
-                  <article>
-                    <p>Profit capture</p>
-                    <h4>{formatter.format(selectedDecision.profitability)}</h4>
-                    <small>Margin {(selectedDecision.margin * 100).toFixed(1)}%</small>
-                  </article>
+                  {showPay && (
+                    <article>
+                      <p>Profit capture</p>
+                      <h4>{formatMoney(selectedDecision.profitability, selectedEmployee.currency ?? baseCurrency)}</h4>
+                      <small>Margin {(selectedDecision.margin * 100).toFixed(1)}%</small>
+                    </article>
+                  )}
                   <article>
                     <p>Confidence</p>
                     <h4>{(selectedDecision.confidence * 100).toFixed(0)}%</h4>
                     <small>AI certainty score</small>
                   </article>
-                  <article>
-                    <p>Salary</p>
-                    <h4>{formatter.format(selectedEmployee.salary || 0)}</h4>
-                    <small>Current</small>
-                  </article>
+                  {showPay && (
+                    <article>
+                      <p>Salary</p>
+                      <h4>{formatMoney(selectedEmployee.salary || 0, selectedEmployee.currency ?? baseCurrency)}</h4>
+                      <small>Current</small>
+                    </article>
+                  )}
                 </div>
 
                 <p className="reasoning">{selectedDecision.reason}</p>
+                {selectedDecision.fallback && (
+                  <p style={{ fontSize: '0.8rem', color: '#b45309' }}>
+                    Heuristic used: {selectedDecision.fallback.provider || 'model'}{' '}
+                    {selectedDecision.fallback.reason === 'invalid_response'
+                      ? `gave an invalid answer after ${selectedDecision.fallback.attempts} attempts`
+                      : 'request failed'}
+                    {selectedDecision.fallback.validationErrors?.length
+                      ? ` (${selectedDecision.fallback.validationErrors.join('; ')})`
+                      : ''}
+                  </p>
+                )}
 
                 {selectedEmployee.suggestion && (
                   <div style={{ marginTop: '1rem' }}>
                     <h4 style={{ marginBottom: '0.5rem' }}>AI Recommendation</h4>
+                    <SuggestionStatusLine suggestion={selectedEmployee.suggestion} />
                     {selectedDecision.suggestedSalary && (
                       <p style={{ fontSize: '0.875rem', color: '#475569' }}>
-                        Suggested salary: <strong>{formatter.format(selectedDecision.suggestedSalary)}</strong>
+                        Suggested salary: <strong>{formatMoney(selectedDecision.suggestedSalary, selectedEmployee.suggestion.currency ?? selectedEmployee.currency ?? baseCurrency)}</strong>
                         {selectedDecision.changePercent !== undefined && (
                           <span> ({selectedDecision.changePercent >= 0 ? '+' : ''}{selectedDecision.changePercent.toFixed(1)}%)</span>
                         )}
                       </p>
                     )}
-                    <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
-                      <button
-                        className="primary"
-                        onClick={() => handleApplyAction(selectedDecision.action)}
-                        disabled={applyingAction}
-                        style={{ background: decisionPalette[selectedDecision.action] }}
-                      >
-                        {applyingAction ? 'Applying...' : `Apply: ${selectedDecision.action}`}
-                      </button>
-                    </div>
+                    {selectedEmployee.suggestion.policy && (
+                      <p style={{ fontSize: '0.8rem', color: '#b45309' }}>
+                        {selectedEmployee.suggestion.policy.original
+                          ? `Adjusted by policy from ${selectedEmployee.suggestion.policy.original.action}: `
+                          : 'Policy warning: '}
+                        {selectedEmployee.suggestion.policy.violations.map((v) => v.message).join('; ')}
+                      </p>
+                    )}
+                    {can('actions:propose') && (
+                      <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem', flexWrap: 'wrap' }}>
+                        <button
+                          className="primary"
+                          onClick={() => handleProposeAction(selectedDecision.action)}
+                          disabled={applyingAction || openProposals.length > 0}
+                          style={{ background: decisionPalette[selectedDecision.action] }}
+                        >
+                          {applyingAction ? 'Submitting...' : `Propose: ${selectedDecision.action}`}
+                        </button>
+                        {isPendingSuggestion(selectedEmployee.suggestion) && selectedEmployee.suggestion.action !== 'NO_CHANGE' && (
+                          <button
+                            className="ghost"
+                            onClick={() => handleRejectSuggestion(selectedEmployee.ssid)}
+                            disabled={applyingAction}
+                          >
+                            Reject recommendation
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    {selectedEmployee.suggestion.explanation && (
+                      <WhyBreakdown explanation={selectedEmployee.suggestion.explanation} />
+                    )}
                   </div>
                 )}
+
+                {openProposals.map((proposal) => (
+                  <div
+                    key={proposal._id}
+                    style={{ marginTop: '1rem', padding: '0.75rem', border: '1px solid #e2e8f0', borderRadius: '0.5rem' }}
+                  >
+                    <p style={{ margin: 0, fontSize: '0.875rem' }}>
+                      <strong>{proposal.action}</strong> proposed by {proposal.proposedBy}
+                      {proposal.changePercent ? ` (${proposal.changePercent > 0 ? '+' : ''}${proposal.changePercent}%)` : ''}
+                    </p>
+                    {proposal.expiresAt && (
+                      <small style={{ color: '#64748b' }}>
+                        Expires {new Date(proposal.expiresAt).toLocaleDateString()}
+                      </small>
+                    )}
+                    {proposal.policy?.violations.map((v) => (
+                      <p key={v.ruleId} style={{ margin: '0.25rem 0 0', fontSize: '0.8rem', color: '#b45309' }}>
+                        Policy warning: {v.message}
+                      </p>
+                    ))}
+                    {canReview(proposal) && (
+                      <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                        <button
+                          className="primary"
+                          onClick={() => handleReviewProposal(proposal, 'approve')}
+                          disabled={applyingAction || proposal.proposedBy === user.username}
+                          title={proposal.proposedBy === user.username ? 'You cannot approve your own proposal' : undefined}
+                        >
+                          Approve & apply
+                        </button>
+                        <button
+                          className="ghost"
+                          onClick={() => handleReviewProposal(proposal, 'reject')}
+                          disabled={applyingAction || proposal.proposedBy === user.username}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))}
               </section>
 
               <section className="detail-card">
                 <h4>Action History</h4>
                 <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
-                  {actions
+                  {history
                     .filter((a) => a.ssid === selectedEmployee.ssid)
-                    .slice(0, 5)
                     .map((action) => (
                       <div
                         key={action._id}
@@ -445,12 +1405,26 @@ function App() {
                       >
                         <strong>{action.action}</strong>
                         <span style={{ color: '#64748b', marginLeft: '0.5rem' }}>
-                          {new Date(action.appliedAt).toLocaleDateString()}
+                          {action.status} • {new Date(action.appliedAt ?? action.createdAt).toLocaleDateString()}
                         </span>
-                        <p style={{ margin: '0.25rem 0 0', color: '#475569' }}>{action.details.effect}</p>
+                        <p style={{ margin: '0.25rem 0 0', color: '#475569' }}>
+                          {action.details?.effect ??
+                            (action.reviewComment ? `${action.reviewedBy}: ${action.reviewComment}` : `Proposed by ${action.proposedBy}`)}
+                        </p>
+                        {can('actions:revert') && action.status === 'APPLIED' && action.action !== 'REVERT' && !action.revertedBy && (
+                          <button
+                            className="ghost"
+                            onClick={() => handleRevertAction(action)}
+                            disabled={applyingAction}
+                            style={{ marginTop: '0.25rem', padding: '0.25rem 0.75rem', fontSize: '0.75rem' }}
+                          >
+                            Propose undo
+                          </button>
+                        )}
+                        {action.revertedBy && <small style={{ color: '#64748b' }}>Reverted</small>}
                       </div>
                     ))}
-                  {actions.filter((a) => a.ssid === selectedEmployee.ssid).length === 0 && (
+                  {history.filter((a) => a.ssid === selectedEmployee.ssid).length === 0 && (
                     <p style={{ color: '#64748b', fontSize: '0.875rem' }}>No actions taken yet.</p>
                   )}
                 </div>
@@ -1,8 +1,114 @@
 const API_BASE = '/api'
 
+// Session token from /auth/login, kept across reloads
+const TOKEN_KEY = 'authToken'
+let authToken = localStorage.getItem(TOKEN_KEY)
+
+export function setAuthToken(token: string | null) {
+  authToken = token
+  if (token) localStorage.setItem(TOKEN_KEY, token)
+  else localStorage.removeItem(TOKEN_KEY)
+}
+
+export function hasAuthToken(): boolean {
+  return Boolean(authToken)
+}
+
+// Fired when the API rejects the session, e.g. after it expires
+export const AUTH_LOGOUT_EVENT = 'auth:logout'
+
+// fetch with the session token; a 401 ends the session
+async function apiFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers)
+  if (authToken) headers.set('Authorization', `Bearer ${authToken}`)
+  const res = await fetch(url, { ...init, headers })
+  if (res.status === 401 && authToken) {
+    setAuthToken(null)
+    window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT))
+  }
+  return res
+}
+
+export type Role = 'HR_ADMIN' | 'FINANCE_VIEWER' | 'MANAGER'
+export type Permission =
+  | 'employees:read'
+  | 'employees:write'
+  | 'salary:read'
+  | 'metrics:write'
+  | 'analysis:run'
+  | 'actions:read'
+  | 'actions:propose'
+  | 'actions:review'
+  | 'actions:fire'
+  | 'actions:revert'
+  | 'runs:read'
+  | 'reports:export'
+  | 'scenarios:read'
+  | 'scenarios:write'
+  | 'bands:read'
+  | 'bands:write'
+  | 'rubrics:read'
+  | 'rubrics:write'
+  | 'policies:read'
+  | 'policies:write'
+  | 'schedules:read'
+  | 'schedules:write'
+  | 'integrations:read'
+  | 'integrations:write'
+  | 'users:manage'
+  | 'audit:read'
+  | 'demographics:read'
+  | 'demographics:write'
+  | 'equity:audit'
+
+export type AuthUser = {
+  id: string
+  username: string
+  name: string | null
+  role: Role
+  ssid: string | null // managers: their own employee record
+  disabled: boolean
+  permissions: Permission[]
+}
+
+type Session = { ok: boolean; user: AuthUser; token: string; expiresAt: string }
+
 export type PerformanceBand = 'elite' | 'strong' | 'stable' | 'risk'
 export type ExperienceBand = 'principal' | 'senior' | 'mid' | 'junior'
+// Accepted on input and read through the rubrics, e.g. 'strong', 'B+', '4/5', 8
+export type PerformanceInput = PerformanceBand | string | number
+// e.g. 'senior', '5 years', 5
+export type ExperienceInput = ExperienceBand | string | number
 export type DecisionAction = 'FIRE' | 'PROMOTE' | 'DECREASE_SALARY' | 'NO_CHANGE'
+export type ProposalStatus = 'PROPOSED' | 'APPROVED' | 'REJECTED' | 'APPLIED' | 'EXPIRED'
+
+// A guardrail rule the action breaks (see the backend's policy.js)
+export type PolicyViolation = {
+  ruleId: string
+  type: 'maxChange' | 'promotionCooldown' | 'fireRequiresLowPerformance'
+  outcome: 'warn' | 'block'
+  message: string
+  limit?: number
+  actual?: number
+  availableFrom?: string
+}
+
+export type PolicyCheck = {
+  outcome: 'allow' | 'warn' | 'block'
+  violations: PolicyViolation[]
+  checkedAt?: string
+}
+
+// "Action blocked by policy: Raise of 30% exceeds the 25% maximum"
+const policyErrorMessage = (err: { error?: string; violations?: PolicyViolation[] }, fallback: string) =>
+  [err.error || fallback, (err.violations ?? []).map((v) => v.message).join('; ')].filter(Boolean).join(': ')
+
+// Lifecycle of a stored suggestion (see src/suggestions.js); older ones have
+// no status and count as pending
+export type SuggestionStatus = 'PENDING' | 'ACCEPTED' | 'REJECTED' | 'SUPERSEDED' | 'EXPIRED'
+
+export const isPendingSuggestion = (suggestion?: Suggestion) =>
+  Boolean(suggestion) && (suggestion?.status ?? 'PENDING') === 'PENDING'
 
 export type Suggestion = {
   action: string
@@ -15,10 +121,45 @@ export type Suggestion = {
   salaryDifference?: number
   salaryDifferenceFormatted?: string
   recommended_change_percent?: number
+  currency?: string // of the amounts above; the employee's currency once stored
+  analysisRun?: string
+  using?: string
+  model?: string
+  repairs?: number
+  status?: SuggestionStatus
+  suggestedAt?: string
+  expiresAt?: string
+  resolvedAt?: string
+  actionId?: string // the applied action that consumed it
+  rejectedBy?: string
+  rejectionReason?: string
+  fallback?: {
+    reason: 'invalid_response' | 'request_failed'
+    provider?: string
+    detail?: string
+    validationErrors?: string[]
+    attempts?: number
+  }
+  explanation?: RecommendationExplanation
+  // Set when guardrails warned about or cut back the recommendation
+  policy?: PolicyCheck & {
+    original?: { action: string; recommended_change_percent?: number; suggestedSalary?: number }
+  }
+  allocation?: {
+    requestedRaise: number
+    allocatedRaise: number
+    priority: number
+    capped: boolean
+  }
   marketSalaryRange?: {
     min: number
     mid: number
     max: number
+    role?: string
+    level?: string | null
+    source?: string
+    version?: number
+    effectiveFrom?: string | null
   }
   marketSalaryRangeFormatted?: {
     min: string
@@ -27,15 +168,89 @@ export type Suggestion = {
   }
 }
 
+export type RuleCondition = {
+  metric: string
+  op: '<' | '<=' | '>' | '>='
+  threshold: number
+  value: number | null
+  met: boolean
+  gap: number | null
+}
+
+export type MetricTrend = {
+  periods: number
+  from: string
+  to: string
+  latest: number
+  trailingAverage: number
+  slopePerQuarter: number
+  slopePercent: number
+  volatility: number
+  direction: 'rising' | 'declining' | 'flat'
+}
+
+export type MetricTrends = {
+  revenue: MetricTrend | null
+  performance: MetricTrend | null
+  cost: MetricTrend | null
+}
+
+export type MetricSnapshot = {
+  _id: string
+  ssid: string
+  period: string
+  periodType: 'month' | 'quarter'
+  periodStart: string
+  revenue?: number
+  performance?: number
+  cost?: number
+  source?: string
+  recordedBy?: string
+}
+
+// Structured "why" behind a suggestion (see src/explain.js)
+export type RecommendationExplanation = {
+  engine: string
+  score: number
+  budgetFactor: number
+  factors: Array<{ factor: string; value: number; weight: number; contribution: number; note?: string }>
+  rule: { id: string; action: string; description: string }
+  boundaries: Array<{ rule: string; action: string; met: boolean; distance: number | null; decisive: boolean; conditions: RuleCondition[] }>
+  nextBoundary: {
+    rule: string
+    crossing: 'enter' | 'leave'
+    action: string | null
+    distance: number
+    conditions: RuleCondition[]
+  } | null
+  modelFactors?: Array<{ factor: string; impact: 'positive' | 'negative' | 'neutral'; detail?: string }>
+  baselineAction?: string
+  agreesWithBaseline?: boolean
+  trends?: MetricTrends | null
+  trendAdjusted?: {
+    performance: { current: number; used: number }
+    revenue: { current: number | null; used: number }
+  }
+  volatilityPenalty?: number
+}
+
 export type Employee = {
   _id: string
   ssid: string
   name: string
   role: string
-  performance: PerformanceBand
-  experience: ExperienceBand
-  salary: number
+  level?: string
+  managerSsid?: string | null
+  department?: string | null // Department code
+  costCenter?: string | null
+  // Canonical values after rubric normalization: 0-10 score and years
+  performance: number | string
+  experience: number
+  performanceBand?: PerformanceBand | null
+  experienceBand?: ExperienceBand | null
+  salary?: number // left out for roles that see pay only in aggregate
   salaryFormatted?: string
+  currency?: string // ISO code of salary and revenue; base currency when unset
   revenue: number
   revenueFormatted?: string
   profitFormatted?: string
@@ -49,22 +264,39 @@ export type ActionRecord = {
   ssid: string
   action: string
   note?: string
-  details: {
+  status: ProposalStatus
+  changePercent?: number
+  proposedBy?: string
+  proposedAt?: string
+  expiresAt?: string
+  reviewedBy?: string
+  reviewedAt?: string
+  reviewComment?: string
+  policy?: PolicyCheck
+  batchId?: string // proposed together with other actions, approved together
+  revertOf?: string
+  revertedBy?: string
+  revertedAt?: string
+  details?: {
     effect: string
     previousSalary?: number
     newSalary?: number
     salary?: number
     changePercent?: number
+    currency?: string
   }
   detailsFormatted?: {
     previousSalaryFormatted?: string
     newSalaryFormatted?: string
     salaryFormatted?: string
   }
-  appliedAt: string
+  appliedAt?: string
+  createdAt: string
 }
 
 export type AnalysisSummary = {
+  currency: string // every amount is in this reporting currency
+  fx?: Record<string, number> // conversion factor into it, by source currency
   companyBudget: number
   companyBudgetFormatted: string
   totalCurrentSalaries: number
@@ -77,47 +309,241 @@ export type AnalysisSummary = {
   projectedSavingsFormatted: string
   projectedSavingsType: 'savings' | 'increase'
   actionCounts: Record<string, number>
+  allocation?: BudgetAllocation
+  allocationFormatted?: {
+    pool: string
+    allocated: string
+    remaining: string
+    overBudgetBy: string
+  } | null
+  llm?: ModelCallStats
+  // Per-department parts when analyzed with departmentBudgets
+  departments?: Array<
+    Omit<AnalysisSummary, 'departments' | 'llm' | 'normalization'> & {
+      department: string
+      budget: number
+      budgetFormatted: string
+    }
+  >
+  normalization?: {
+    unrecognized: Array<{ ssid: string; field: 'performance' | 'experience'; value: unknown; message: string }>
+  }
+}
+
+// Model usage for one analysis: calls made, cached answers reused, retries
+// after rate limits or server errors, re-prompts after invalid answers, and
+// employees that fell back to the heuristic
+export type ModelCallStats = {
+  provider: string
+  model: string
+  requests: number
+  cacheHits: number
+  retries: number
+  repairs: number
+  fallbacks: number
+}
+
+export type BudgetAllocation = {
+  mode: 'optimize'
+  weights: { performance: number; profit: number; marketGap: number }
+  pool: number
+  allocated: number
+  remaining: number
+  baseTotal: number
+  overBudgetBy: number
+  candidates: number
+  capped: Array<{ ssid: string; name?: string; requested: number; allocated: number; shortfall: number }>
 }
 
 export type AnalysisResult = {
   ssid: string
   name: string
+  currency: string
   currentSalary: number
   currentSalaryFormatted: string
+  // The employee's own figures when they are paid in another currency
+  local?: { currency: string; currentSalary: number | null; suggestedSalary: number }
   suggestion: Suggestion & {
     salaryChangeType: 'increase' | 'decrease'
   }
 }
 
-// Fetch all employees and actions
-export async function fetchEmployees(): Promise<{ employees: Employee[]; actions: ActionRecord[] }> {
-  const res = await fetch(`${API_BASE}/employees`)
-  if (!res.ok) throw new Error('Failed to fetch employees')
+// Whether the first HR admin still has to be created
+export async function fetchAuthStatus(): Promise<{ setupRequired: boolean }> {
+  const res = await fetch(`${API_BASE}/auth/status`)
+  if (!res.ok) throw new Error('Failed to reach the server')
+  return res.json()
+}
+
+export async function login(username: string, password: string): Promise<Session> {
+  const res = await fetch(`${API_BASE}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to sign in')
+  }
+  const session: Session = await res.json()
+  setAuthToken(session.token)
+  return session
+}
+
+// Create the first HR admin account and sign in as it
+export async function bootstrapAdmin(username: string, password: string, name?: string): Promise<Session> {
+  const res = await fetch(`${API_BASE}/auth/bootstrap`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password, name }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to create admin account')
+  }
+  const session: Session = await res.json()
+  setAuthToken(session.token)
+  return session
+}
+
+// The signed-in user, or an error if the session is gone
+export async function fetchMe(): Promise<{ user: AuthUser }> {
+  const res = await apiFetch(`${API_BASE}/auth/me`)
+  if (!res.ok) throw new Error('Not signed in')
+  return res.json()
+}
+
+export function logout() {
+  setAuthToken(null)
+}
+
+// Company-wide figures, available even where individual pay is hidden
+export type EmployeeTotals = {
+  count: number
+  currency: string // base currency
+  unconverted: number // employees left out for lack of an FX rate
+  salary: number
+  revenue: number
+  profit: number
+  atRisk: number
+}
+
+// Paging fields of a listing response
+export type Page = {
+  count: number // on this page
+  total: number // matching, on all pages
+  page: number
+  limit: number
+  pages: number
+}
+
+// Numeric fields the employee listing sorts by; money in the base currency
+export type EmployeeSort =
+  | 'ssid'
+  | 'name'
+  | 'salary'
+  | 'revenue'
+  | 'profit'
+  | 'experience'
+  | 'performance'
+  | 'confidence'
+  | 'changePercent'
+
+// Employee listing parameters (see src/listing.js). Lists are comma-separated;
+// salary filters and sorts, and negativeProfit, need salary:read.
+export type EmployeeQuery = {
+  page?: number
+  limit?: number
+  q?: string // name or ssid contains
+  role?: string
+  status?: string
+  excludeStatus?: string
+  action?: string // suggested action
+  salaryMin?: number
+  salaryMax?: number
+  revenueMin?: number
+  revenueMax?: number
+  negativeProfit?: boolean
+  sort?: EmployeeSort | `-${EmployeeSort}`
+}
+
+export type ActionQuery = {
+  page?: number
+  limit?: number
+  ssid?: string
+  status?: string
+  action?: string
+  batchId?: string
+  proposedBy?: string
+  from?: string
+  to?: string
+}
+
+// "?page=2&role=Engineer", leaving out unset values
+const toQueryString = (params: Record<string, string | number | boolean | undefined>) => {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== '') query.set(key, String(value))
+  }
+  const qs = query.toString()
+  return qs ? `?${qs}` : ''
+}
+
+// Fetch one page of employees, with totals over everyone
+export async function fetchEmployees(
+  params: EmployeeQuery = {}
+): Promise<Page & { totals: EmployeeTotals; employees: Employee[] }> {
+  const res = await apiFetch(`${API_BASE}/employees${toQueryString(params)}`)
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}))
+    throw new Error(err.error || 'Failed to fetch employees')
+  }
+  return res.json()
+}
+
+// Fetch one page of actions, newest first
+export async function fetchActions(params: ActionQuery = {}): Promise<Page & { actions: ActionRecord[] }> {
+  const res = await apiFetch(`${API_BASE}/actions${toQueryString(params)}`)
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}))
+    throw new Error(err.error || 'Failed to fetch actions')
+  }
   return res.json()
 }
 
 // Fetch single employee by ssid
 export async function fetchEmployee(ssid: string): Promise<{ employee: Employee; actions: ActionRecord[] }> {
-  const res = await fetch(`${API_BASE}/employees/${ssid}`)
+  const res = await apiFetch(`${API_BASE}/employees/${ssid}`)
   if (!res.ok) throw new Error('Failed to fetch employee')
   return res.json()
 }
 
+export type AnalysisEngine = 'openai' | 'anthropic' | 'local' | 'mock' | 'heuristic' | 'mixed'
+
 // Analyze employees with budget
 export async function analyzeEmployees(
   budget: number,
-  ssids?: string[]
+  ssids?: string[],
+  options: {
+    allocation?: 'optimize'
+    raisePool?: number
+    departmentBudgets?: Record<string, number>
+    currency?: string
+  } = {}
 ): Promise<{
+  runId: string
+  engine: AnalysisEngine
+  currency: string
   budget: number
   budgetFormatted: string
   employeesAnalyzed: number
   summary: AnalysisSummary
   results: AnalysisResult[]
 }> {
-  const res = await fetch(`${API_BASE}/analyze`, {
+  const res = await apiFetch(`${API_BASE}/analyze`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ budget, ssids }),
+    body: JSON.stringify({ budget, ssids, ...options }),
   })
   if (!res.ok) {
     const err = await res.json()
@@ -126,12 +552,44 @@ export async function analyzeEmployees(
   return res.json()
 }
 
-// Apply action to employee
-export async function applyAction(
+// Download an analysis run report (needs the session token, so not a plain link)
+export async function downloadAnalysisReport(runId: string, format: 'csv' | 'pdf'): Promise<void> {
+  const res = await apiFetch(`${API_BASE}/runs/${runId}/report?format=${format}`)
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to download report')
+  }
+  const url = URL.createObjectURL(await res.blob())
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `analysis-${runId}.${format}`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Propose an action for an employee (applied only after approval)
+export async function proposeAction(
   ssid: string,
   action: DecisionAction,
   note?: string,
   changePercent?: number
+): Promise<{ ok: boolean; message: string; proposal: ActionRecord; warnings: PolicyViolation[] }> {
+  const res = await apiFetch(`${API_BASE}/action`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ssid, action, note, changePercent }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(policyErrorMessage(err, 'Failed to propose action'))
+  }
+  return res.json()
+}
+
+// Approve a proposal; the backend applies it to the employee
+export async function approveProposal(
+  id: string,
+  comment?: string
 ): Promise<{
   ok: boolean
   message: string
@@ -150,28 +608,155 @@ export async function applyAction(
     changePercent?: number
   }
 }> {
-  const res = await fetch(`${API_BASE}/action`, {
+  const res = await apiFetch(`${API_BASE}/action/${id}/approve`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ ssid, action, note, changePercent }),
+    body: JSON.stringify({ comment }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(policyErrorMessage(err, 'Failed to approve proposal'))
+  }
+  return res.json()
+}
+
+// Reject a proposal with a mandatory comment
+export async function rejectProposal(
+  id: string,
+  comment: string
+): Promise<{ ok: boolean; proposal: ActionRecord }> {
+  const res = await apiFetch(`${API_BASE}/action/${id}/reject`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ comment }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to reject proposal')
+  }
+  return res.json()
+}
+
+// One employee's outcome in a batch proposal or approval
+export type BatchResult = {
+  ssid: string
+  ok?: boolean
+  actionId?: string
+  action?: string
+  changePercent?: number
+  error?: string
+  skipped?: string
+  rolledBack?: boolean
+  violations?: PolicyViolation[]
+  warnings?: PolicyViolation[]
+  actionDetailsFormatted?: {
+    effect: string
+    previousSalaryFormatted?: string
+    newSalaryFormatted?: string
+    changePercent?: number
+  }
+}
+
+const batchErrorMessage = (err: { error?: string; results?: BatchResult[] }, fallback: string) =>
+  [
+    err.error || fallback,
+    (err.results ?? [])
+      .filter((r) => r.error)
+      .map((r) => `${r.ssid}: ${policyErrorMessage(r, '')}`)
+      .join('; '),
+  ]
+    .filter(Boolean)
+    .join(' — ')
+
+// Propose the current suggestions of the given employees, or of everyone
+// with a suggestion at least minConfidence confident, as one batch
+export async function proposeBatch(params: {
+  ssids?: string[]
+  minConfidence?: number
+  note?: string
+  skipInvalid?: boolean
+}): Promise<{ ok: boolean; message: string; batchId: string; proposed: number; results: BatchResult[] }> {
+  const res = await apiFetch(`${API_BASE}/action/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
   })
   if (!res.ok) {
     const err = await res.json()
-    throw new Error(err.error || 'Failed to apply action')
+    throw new Error(batchErrorMessage(err, 'Failed to propose batch'))
   }
   return res.json()
 }
 
-// Get pending suggestions
-export async function fetchPending(): Promise<{
+// Approve every open proposal in a batch; all are applied or none are
+export async function approveBatch(
+  batchId: string,
+  comment?: string
+): Promise<{ ok: boolean; message: string; batchId: string; applied: number; results: BatchResult[] }> {
+  const res = await apiFetch(`${API_BASE}/action/batch/${batchId}/approve`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ comment }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(batchErrorMessage(err, 'Failed to approve batch'))
+  }
+  return res.json()
+}
+
+// Revert an applied action, restoring the employee's previous state
+// Propose undoing an applied action; someone else approves the REVERT
+// proposal like any other
+export async function revertAction(
+  id: string,
+  note?: string
+): Promise<{ ok: boolean; message: string; proposal: ActionRecord }> {
+  const res = await apiFetch(`${API_BASE}/action/${id}/revert`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to revert action')
+  }
+  return res.json()
+}
+
+// List proposals, optionally by status
+export async function fetchProposals(
+  status?: ProposalStatus
+): Promise<{ count: number; proposals: ActionRecord[] }> {
+  const query = status ? `?status=${status}` : ''
+  const res = await apiFetch(`${API_BASE}/proposals${query}`)
+  if (!res.ok) throw new Error('Failed to fetch proposals')
+  return res.json()
+}
+
+export type PendingSort = 'confidence' | 'impact' | 'age'
+
+// Get suggestions that can still be acted on, highest first. Sorting by
+// impact needs salary:read.
+export async function fetchPending(
+  params: { sort?: PendingSort; limit?: number } = {}
+): Promise<{
   count: number
+  total: number
+  sort: PendingSort
+  baseCurrency: string
+  ttlDays: number
   employees: Array<{
     ssid: string
     name: string
     role: string
-    salary: number
-    salaryFormatted: string
+    salary?: number
+    salaryFormatted?: string
     suggestion: Suggestion
+    suggestedAt: string | null
+    expiresAt: string | null
+    ageDays: number | null
+    impact?: number | null // in baseCurrency
     suggestionFormatted: {
       suggestedSalaryFormatted?: string
       salaryDifferenceFormatted?: string
@@ -179,22 +764,39 @@ export async function fetchPending(): Promise<{
     }
   }>
 }> {
-  const res = await fetch(`${API_BASE}/pending`)
+  const res = await apiFetch(`${API_BASE}/pending${toQueryString(params)}`)
   if (!res.ok) throw new Error('Failed to fetch pending')
   return res.json()
 }
 
+// Decide not to act on an employee's pending suggestion
+export async function rejectSuggestion(
+  ssid: string,
+  reason: string
+): Promise<{ success: boolean; ssid: string; suggestion: Suggestion }> {
+  const res = await apiFetch(`${API_BASE}/employees/${ssid}/suggestion/reject`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason }),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to reject suggestion')
+  }
+  return res.json()
+}
+
 // Add or update employee
 export async function saveEmployee(employee: {
   ssid: string
   name: string
-  performance: PerformanceBand
-  experience: ExperienceBand
+  performance: PerformanceInput
+  experience: ExperienceInput
   role: string
   salary: number
   revenue: number
 }): Promise<{ ok: boolean; employee: Employee }> {
-  const res = await fetch(`${API_BASE}/employees`, {
+  const res = await apiFetch(`${API_BASE}/employees`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(employee),
@@ -211,14 +813,14 @@ export async function bulkAddEmployees(
   employees: Array<{
     ssid: string
     name: string
-    performance: PerformanceBand
-    experience: ExperienceBand
+    performance: PerformanceInput
+    experience: ExperienceInput
     role: string
     salary: number
     revenue: number
   }>
 ): Promise<{ ok: boolean; results: Array<{ ssid: string; ok?: boolean; error?: string }> }> {
-  const res = await fetch(`${API_BASE}/employees/bulk`, {
+  const res = await apiFetch(`${API_BASE}/employees/bulk`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(employees),
@@ -229,3 +831,178 @@ export async function bulkAddEmployees(
   }
   return res.json()
 }
+
+export type ImportRowReport = {
+  row: number
+  ssid: string | null
+  status: 'create' | 'update' | 'unchanged' | 'error'
+  changes?: Array<{ field: string; from: unknown; to: unknown }>
+  errors: string[]
+  warnings: string[]
+}
+
+// Import employees from a CSV/XLSX payroll export (dry run unless dryRun is false)
+export async function importEmployees(
+  file: File,
+  options: { dryRun?: boolean; mapping?: Record<string, string>; sheet?: string; skipInvalid?: boolean } = {}
+): Promise<{
+  ok: boolean
+  dryRun: boolean
+  committed: boolean
+  written: number
+  file: { name: string; format: 'csv' | 'xlsx'; rows: number }
+  mapping: Record<string, string>
+  unmappedHeaders: string[]
+  summary: { rows: number; create: number; update: number; unchanged: number; error: number }
+  rows: ImportRowReport[]
+}> {
+  const form = new FormData()
+  form.append('file', file)
+  form.append('dryRun', String(options.dryRun ?? true))
+  if (options.mapping) form.append('mapping', JSON.stringify(options.mapping))
+  if (options.sheet) form.append('sheet', options.sheet)
+  if (options.skipInvalid) form.append('skipInvalid', 'true')
+  const res = await apiFetch(`${API_BASE}/employees/import`, {
+    method: 'POST',
+    body: form,
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to import employees')
+  }
+  return res.json()
+}
+
+// Metric history and trends for one employee
+export async function fetchEmployeeMetrics(
+  ssid: string
+): Promise<{ ssid: string; snapshots: MetricSnapshot[]; trends: MetricTrends }> {
+  const res = await apiFetch(`${API_BASE}/employees/${ssid}/metrics`)
+  if (!res.ok) throw new Error('Failed to fetch metrics')
+  return res.json()
+}
+
+// Record one month ("2025-03") or quarter ("2025-Q1") for an employee
+export async function recordEmployeeMetrics(
+  ssid: string,
+  snapshot: {
+    period: string
+    revenue?: number
+    performance?: PerformanceInput
+    cost?: number
+  }
+): Promise<{ ok: boolean; snapshot: MetricSnapshot }> {
+  const res = await apiFetch(`${API_BASE}/employees/${ssid}/metrics`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(snapshot),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to record metrics')
+  }
+  return res.json()
+}
+
+export type Department = {
+  _id: string
+  code: string
+  name: string
+  parentCode: string | null
+  costCenter?: string | null
+  headSsid?: string | null
+}
+
+export type OrgNode = {
+  ssid: string
+  name: string
+  role: string
+  department: string | null
+  managerSsid: string | null
+  status: string
+  managerMissing?: boolean
+  reports: OrgNode[]
+}
+
+export type DepartmentNode = Omit<Department, '_id'> & {
+  headcount: number
+  totalHeadcount: number
+  children: DepartmentNode[]
+}
+
+// Team totals from the backend; departments include their sub-departments
+export type TeamRollup = {
+  key: string
+  name?: string | null
+  parentCode?: string | null
+  directReports?: number
+  totalEmployees: number
+  analyzed: number
+  // Pay totals are left out for small teams without salary:read
+  totalCurrentSalaries?: number
+  totalCurrentSalariesFormatted?: string
+  totalSuggestedSalaries?: number
+  totalRevenue: number
+  totalRevenueFormatted: string
+  totalProfit?: number
+  totalProfitFormatted?: string
+  projectedSavings?: number
+  currentProfitMargin?: number
+  projectedProfitMargin?: number
+  payTotalsWithheld?: boolean
+  actionBreakdown: Record<DecisionAction, number>
+}
+
+// Reporting tree; managers get their own team
+export async function fetchOrgTree(root?: string): Promise<{ roots: OrgNode[]; cycles: Array<{ ssid: string; managerSsid: string }> }> {
+  const query = root ? `?root=${root}` : ''
+  const res = await apiFetch(`${API_BASE}/org/tree${query}`)
+  if (!res.ok) throw new Error('Failed to fetch org tree')
+  return res.json()
+}
+
+// Per-team rollups, from the latest suggestions or one analysis run
+export async function fetchRollups(
+  groupBy: 'department' | 'manager' | 'costCenter' = 'department',
+  runId?: string
+): Promise<{ groupBy: string; runId: string | null; currency: string; rollups: TeamRollup[] }> {
+  const query = `?groupBy=${groupBy}${runId ? `&runId=${runId}` : ''}`
+  const res = await apiFetch(`${API_BASE}/org/rollups${query}`)
+  if (!res.ok) throw new Error('Failed to fetch rollups')
+  return res.json()
+}
+
+export async function fetchDepartmentTree(): Promise<{ roots: DepartmentNode[]; unassigned: number; unknownDepartments: string[] }> {
+  const res = await apiFetch(`${API_BASE}/departments/tree`)
+  if (!res.ok) throw new Error('Failed to fetch departments')
+  return res.json()
+}
+
+// Create or update a department
+export async function saveDepartment(
+  code: string,
+  department: { name: string; parentCode?: string | null; costCenter?: string | null; headSsid?: string | null }
+): Promise<{ ok: boolean; department: Department }> {
+  const res = await apiFetch(`${API_BASE}/departments/${code}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(department),
+  })
+  if (!res.ok) {
+    const err = await res.json()
+    throw new Error(err.error || 'Failed to save department')
+  }
+  return res.json()
+}
+
+export type Currency = { code: string; name: string; prefix: string; locale: string }
+
+// Base-currency value of one unit of currency, from effectiveFrom on
+export type FxRate = { currency: string; rate: number; effectiveFrom: string; source?: string | null }
+
+// Currencies with a rate effective now, the base currency first
+export async function fetchFxRates(): Promise<{ base: string; asOf: string; currencies: Currency[]; rates: FxRate[] }> {
+  const res = await apiFetch(`${API_BASE}/fx/rates`)
+  if (!res.ok) throw new Error('Failed to fetch FX rates')
+  return res.json()
+}
@@ -0,0 +1,196 @@
+const currency = require("./currency");
+
+const VALID_ACTIONS = ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE"];
+
+// Proposal lifecycle states
+const PROPOSAL_STATUSES = [
+  "PROPOSED",
+  "APPROVED",
+  "REJECTED",
+  "APPLIED",
+  "EXPIRED",
+];
+
+// Query condition for applied actions. Actions recorded before proposals
+// existed have no status; they were applied straight away.
+const APPLIED = { $in: ["APPLIED", null] };
+
+// Proposals that nobody reviews within this window can no longer be approved
+const PROPOSAL_TTL_DAYS = Number(process.env.PROPOSAL_TTL_DAYS) || 7;
+
+function proposalExpiry(from = new Date()) {
+  return new Date(from.getTime() + PROPOSAL_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Returns an error message, or null when an explicit changePercent suits
+// action: a finite number, positive for PROMOTE and negative for
+// DECREASE_SALARY. Policy limits (see policy.js) rely on the sign.
+function validateChangePercent(action, changePercent) {
+  if (changePercent === undefined || changePercent === null) return null;
+  if (typeof changePercent !== "number" || !Number.isFinite(changePercent)) {
+    return "changePercent must be a number";
+  }
+  if (action === "PROMOTE" && changePercent <= 0) {
+    return "changePercent must be positive for PROMOTE";
+  }
+  if (action === "DECREASE_SALARY" && changePercent >= 0) {
+    return "changePercent must be negative for DECREASE_SALARY";
+  }
+  return null;
+}
+
+// Resolve the salary change percentage for an action: explicit value first,
+// then the suggestion when it recommends the same action, then a default per
+// action type. A suggested 0 stands; it is not replaced by the default.
+function resolveChangePercent(emp, action, changePercent) {
+  if (changePercent !== undefined && changePercent !== null) {
+    return changePercent;
+  }
+  const suggested =
+    emp.suggestion?.action === action
+      ? emp.suggestion.recommended_change_percent
+      : undefined;
+  return (
+    suggested ??
+    (action === "PROMOTE" ? 10 : action === "DECREASE_SALARY" ? -10 : 0)
+  );
+}
+
+// Mutate an employee document according to an action and return the
+// details to store on the Action record. Does not save anything.
+function applyActionToEmployee(emp, action, changePercent) {
+  const salaryChangePercent = resolveChangePercent(emp, action, changePercent);
+  const previousSalary = emp.salary || emp.suggestion?.estimatedSalary || 0;
+  let newSalary = previousSalary;
+  let actionDetails = {};
+
+  // Snapshot of fields the action may touch, so it can be reverted later
+  const previousState = {
+    previousStatus: emp.status || "ACTIVE",
+    previousTerminatedAt: emp.terminatedAt || null,
+    previousLastPromotedAt: emp.lastPromotedAt || null,
+  };
+
+  switch (action) {
+    case "FIRE":
+      actionDetails = {
+        effect: "Employee terminated",
+        newStatus: "FIRED",
+      };
+      emp.status = "FIRED";
+      emp.terminatedAt = new Date();
+      break;
+
+    case "PROMOTE":
+      emp.status = "ACTIVE";
+      newSalary = Math.round(previousSalary * (1 + salaryChangePercent / 100));
+      emp.salary = newSalary;
+      emp.lastPromotedAt = new Date();
+      actionDetails = {
+        effect: "Salary increased",
+        previousSalary,
+        newSalary,
+        changePercent: salaryChangePercent,
+      };
+      break;
+
+    case "DECREASE_SALARY":
+      emp.status = "ACTIVE";
+      newSalary = Math.round(previousSalary * (1 + salaryChangePercent / 100)); // changePercent is negative
+      emp.salary = newSalary;
+      actionDetails = {
+        effect: "Salary decreased",
+        previousSalary,
+        newSalary,
+        changePercent: salaryChangePercent,
+      };
+      break;
+
+    case "NO_CHANGE":
+      emp.status = "ACTIVE";
+      actionDetails = {
+        effect: "No changes made",
+        salary: previousSalary,
+      };
+      break;
+  }
+
+  return {
+    ...previousState,
+    newStatus: emp.status,
+    currency: currency.currencyOf(emp),
+    ...actionDetails,
+  };
+}
+
+// Check that the employee still looks the way the action left it. Returns a
+// list of human readable conflicts, empty when the action can be reverted.
+function findRevertConflicts(emp, action) {
+  const details = action.details || {};
+  const conflicts = [];
+
+  if (details.newStatus && emp.status !== details.newStatus) {
+    conflicts.push(
+      `status is ${emp.status}, expected ${details.newStatus} after ${action.action}`
+    );
+  }
+  if (
+    (action.action === "PROMOTE" || action.action === "DECREASE_SALARY") &&
+    details.newSalary !== undefined &&
+    emp.salary !== details.newSalary
+  ) {
+    conflicts.push(
+      `salary is ${emp.salary}, expected ${details.newSalary} after ${action.action}`
+    );
+  }
+  return conflicts;
+}
+
+// Restore the fields an applied action changed and return the details to
+// store on the reversal record. fallbackLastPromotedAt is used for actions
+// recorded before previousLastPromotedAt was captured.
+function revertActionOnEmployee(emp, action, { fallbackLastPromotedAt } = {}) {
+  const details = action.details || {};
+  const reverted = {
+    effect: `Reverted ${action.action}`,
+    previousStatus: emp.status,
+    previousSalary: emp.salary,
+    previousTerminatedAt: emp.terminatedAt || null,
+    previousLastPromotedAt: emp.lastPromotedAt || null,
+  };
+
+  if (details.previousSalary !== undefined && details.previousSalary !== null) {
+    emp.salary = details.previousSalary;
+  }
+  emp.status = details.previousStatus || "ACTIVE";
+
+  if (action.action === "FIRE") {
+    emp.terminatedAt = details.previousTerminatedAt || undefined;
+  }
+  if (action.action === "PROMOTE") {
+    emp.lastPromotedAt =
+      details.previousLastPromotedAt !== undefined
+        ? details.previousLastPromotedAt || undefined
+        : fallbackLastPromotedAt || undefined;
+  }
+
+  return {
+    ...reverted,
+    newStatus: emp.status,
+    newSalary: emp.salary,
+    currency: currency.currencyOf(emp),
+  };
+}
+
+module.exports = {
+  VALID_ACTIONS,
+  PROPOSAL_STATUSES,
+  APPLIED,
+  PROPOSAL_TTL_DAYS,
+  proposalExpiry,
+  validateChangePercent,
+  resolveChangePercent,
+  applyActionToEmployee,
+  findRevertConflicts,
+  revertActionOnEmployee,
+};
@@ -1,50 +1,81 @@
-const axios = require("axios");
-
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
-
-// Market salary ranges by role in INR (Indian Rupees) - Annual
-const MARKET_SALARY_RANGES = {
-  intern: { min: 180000, mid: 300000, max: 480000 },
-  junior: { min: 360000, mid: 500000, max: 700000 },
-  developer: { min: 600000, mid: 1000000, max: 1800000 },
-  engineer: { min: 600000, mid: 1000000, max: 1800000 },
-  "senior developer": { min: 1200000, mid: 1800000, max: 2800000 },
-  "senior engineer": { min: 1200000, mid: 1800000, max: 2800000 },
-  lead: { min: 1500000, mid: 2200000, max: 3500000 },
-  manager: { min: 1200000, mid: 1800000, max: 3000000 },
-  "senior manager": { min: 1800000, mid: 2500000, max: 4000000 },
-  director: { min: 2500000, mid: 4000000, max: 6000000 },
-  sales: { min: 400000, mid: 800000, max: 1500000 },
-  unknown: { min: 400000, mid: 700000, max: 1200000 },
-};
+const {
+  MARKET_SALARY_RANGES,
+  DEFAULT_BAND_TABLE,
+  resolveBand,
+} = require("./bands");
+const { allocateRaisePool } = require("./optimizer");
+const { explainHeuristic } = require("./explain");
+const {
+  DEFAULT_RUBRICS,
+  normalizePerformance,
+  normalizeExperience,
+  normalizeEmployee,
+} = require("./normalize");
+const { trendAdjusted } = require("./metrics");
+const currency = require("./currency");
+const policy = require("./policy");
+const llm = require("./llm");
+const { mapConcurrent } = require("./llm/limiter");
+const {
+  InvalidRecommendationError,
+  checkResponse,
+  repairPrompt,
+} = require("./recommendation");
+
+// Re-prompts allowed after an invalid model response
+const MAX_REPAIR_ATTEMPTS = Number(process.env.LLM_MAX_REPAIRS ?? 2);
+
+// Bump when the prompt or response format changes so cached model responses
+// from the old prompt are not reused
+const PROMPT_VERSION = 4;
+
+// An amount in the employee's currency, e.g. "Rs 12,00,000" or "$95,000"
+const money = (amount, emp) =>
+  currency.formatMoney(amount, currency.currencyOf(emp));
+
+// Map a performance rating (number, band, grade or text) to a 0-10 score
+// using the built-in rubric (see normalize.js)
+function performanceScore(perfRaw) {
+  return normalizePerformance(perfRaw).value;
+}
 
-// Currency formatting helper for INR
-function formatINR(amount) {
-  return new Intl.NumberFormat("en-IN").format(amount);
+// Performance score and annual revenue to analyze with. With metric history
+// (emp.trends, see metrics.js) they are the current values blended with the
+// trailing average and projected along the trend; otherwise the current values.
+function trendAwareInputs(emp) {
+  const trends = emp.trends || {};
+  const currentPerf = performanceScore(emp.performance);
+  const perfScore = trends.performance
+    ? Math.round(
+        Math.max(
+          0,
+          Math.min(10, trendAdjusted(currentPerf, trends.performance))
+        ) * 100
+      ) / 100
+    : currentPerf;
+  const revenue = trends.revenue
+    ? Math.max(
+        0,
+        Math.round(trendAdjusted(emp.revenue || undefined, trends.revenue))
+      )
+    : emp.revenue || 0;
+  return { perfScore, revenue, currentPerf, trends };
 }
 
 // Calculate suggested salary based on multiple factors
-function calculateSuggestedSalary(emp, budget, totalEmployees = 1) {
-  const role = (emp.role || "unknown").toLowerCase();
-  const perfRaw = emp.performance;
-  let perfScore = 5;
-  if (typeof perfRaw === "number")
-    perfScore = Math.max(0, Math.min(10, perfRaw));
-  else if (typeof perfRaw === "string") {
-    const s = perfRaw.toLowerCase();
-    if (s.includes("excel") || s.includes("ex")) perfScore = 9;
-    else if (s.includes("good")) perfScore = 7;
-    else if (s.includes("avg") || s.includes("average")) perfScore = 5;
-    else if (s.includes("poor") || s.includes("low")) perfScore = 2;
-  }
-
-  const experience = Number(emp.experience) || 0;
+function calculateSuggestedSalary(
+  emp,
+  budget,
+  totalEmployees = 1,
+  bands = DEFAULT_BAND_TABLE
+) {
+  const { perfScore, revenue } = trendAwareInputs(emp);
+
+  const experience = normalizeExperience(emp.experience).value;
   const currentSalary = emp.salary || 0;
-  const revenue = emp.revenue || 0;
 
   // Get market range for role
-  const marketRange =
-    MARKET_SALARY_RANGES[role] || MARKET_SALARY_RANGES["unknown"];
+  const marketRange = resolveBand(bands, emp.role, emp.level);
 
   // Calculate base suggested salary from market range based on experience
   // 0-2 years: min-mid range, 3-5 years: mid range, 6+ years: mid-max range
@@ -118,7 +149,17 @@ function calculateSuggestedSalary(emp, budget, totalEmployees = 1) {
     suggestedSalary: Math.round(suggestedSalary),
     salaryDifference,
     salaryDifferencePercent,
-    marketRange,
+    marketRange: {
+      min: marketRange.min,
+      mid: marketRange.mid,
+      max: marketRange.max,
+      currency: marketRange.currency,
+      role: marketRange.role,
+      level: marketRange.level,
+      source: marketRange.source,
+      version: marketRange.version,
+      effectiveFrom: marketRange.effectiveFrom,
+    },
     factors: {
       baseSalary: Math.round(baseSalary),
       perfMultiplier: Number(perfMultiplier.toFixed(2)),
@@ -129,81 +170,61 @@ function calculateSuggestedSalary(emp, budget, totalEmployees = 1) {
 }
 
 // Simple heuristic fallback when OpenAI key is missing or to provide baseline
-function heuristicAnalysis(emp, budget, totalEmployees = 1) {
-  const role = (emp.role || "unknown").toLowerCase();
-  const perfRaw = emp.performance;
-  let perfScore = 5;
-  if (typeof perfRaw === "number")
-    perfScore = Math.max(0, Math.min(10, perfRaw));
-  else if (typeof perfRaw === "string") {
-    const s = perfRaw.toLowerCase();
-    if (s.includes("excel") || s.includes("ex")) perfScore = 9;
-    else if (s.includes("good")) perfScore = 7;
-    else if (s.includes("avg") || s.includes("average")) perfScore = 5;
-    else if (s.includes("poor") || s.includes("low")) perfScore = 2;
-  }
-
-  const experience = Number(emp.experience) || 0;
+function heuristicAnalysis(
+  emp,
+  budget,
+  totalEmployees = 1,
+  bands = DEFAULT_BAND_TABLE
+) {
+  const { perfScore, revenue, currentPerf, trends } = trendAwareInputs(emp);
+
+  const experience = normalizeExperience(emp.experience).value;
   const currentSalary = emp.salary || 0;
 
-  // Get market range for role
-  const marketRange =
-    MARKET_SALARY_RANGES[role] || MARKET_SALARY_RANGES["unknown"];
+  // Get market range and expected revenue contribution for role
+  const marketRange = resolveBand(bands, emp.role, emp.level);
   const estimatedSalary = currentSalary || marketRange.mid;
-
-  // Estimated revenue contribution per year by role (in INR)
-  const roleRevenue = {
-    engineer: 2000000,
-    developer: 2000000,
-    "senior developer": 3500000,
-    manager: 4000000,
-    sales: 5000000,
-    intern: 200000,
-    unknown: 1200000,
-  };
-  const estimatedRevenue =
-    emp.revenue || roleRevenue[role] || roleRevenue["unknown"];
+  const estimatedRevenue = revenue || marketRange.expectedRevenue;
 
   // Compute profitability
   const profit = estimatedRevenue - estimatedSalary;
-  const profitPerSalary = profit / Math.max(1, estimatedSalary);
 
   // Budget factor
   const budgetFactor = budget ? (budget > 0 ? 1 : 0.5) : 1;
 
-  // Combine factors
-  const score =
-    (profitPerSalary * 5 +
-      (perfScore - 5) * 0.5 +
-      Math.min(experience, 10) * 0.1) *
-    budgetFactor;
-
-  // Decision thresholds
-  let action = "NO_CHANGE";
-  if (perfScore <= 3 || profit < -0.2 * estimatedSalary) action = "FIRE";
-  else if (
-    perfScore >= 8 &&
-    profit > 0.2 * estimatedSalary &&
-    (!budget || budget > estimatedSalary * 0.1)
-  )
-    action = "PROMOTE";
-  else if (profit < 0.05 * estimatedSalary || (budget && budget < 0))
-    action = "DECREASE_SALARY";
-
-  const confidence = Math.min(0.95, Math.max(0.2, 0.5 + Math.abs(score) / 10));
+  // Score, decision rule and distance to the next threshold (see explain.js)
+  const { action, confidence, explanation } = explainHeuristic({
+    perfScore,
+    experience,
+    profit,
+    salary: estimatedSalary,
+    budget,
+    budgetFactor,
+    trends,
+  });
+  if (explanation.trends) {
+    explanation.trendAdjusted = {
+      performance: { current: currentPerf, used: perfScore },
+      revenue: { current: emp.revenue || null, used: estimatedRevenue },
+    };
+  }
 
   // Calculate suggested salary
-  const salaryAnalysis = calculateSuggestedSalary(emp, budget, totalEmployees);
+  const salaryAnalysis = calculateSuggestedSalary(
+    emp,
+    budget,
+    totalEmployees,
+    bands
+  );
 
   return {
     action,
-    confidence: Number(confidence.toFixed(2)),
-    reason: `Heuristic: revenue=Rs ${formatINR(
-      estimatedRevenue
-    )}, salary=Rs ${formatINR(estimatedSalary)}, profit=Rs ${formatINR(
-      profit
-    )}, perf=${perfScore}/10, exp=${experience} yrs, budget=${
-      budget ? "Rs " + formatINR(budget) : "N/A"
+    confidence,
+    reason: `Heuristic: revenue=${money(estimatedRevenue, emp)}, salary=${money(
+      estimatedSalary,
+      emp
+    )}, profit=${money(profit, emp)}, perf=${perfScore}/10, exp=${experience} yrs, budget=${
+      budget ? money(budget, emp) : "N/A"
     }`,
     recommended_change_percent:
       action === "PROMOTE" ? 10 : action === "DECREASE_SALARY" ? -10 : 0,
@@ -213,24 +234,64 @@ function heuristicAnalysis(emp, budget, totalEmployees = 1) {
     salaryDifferencePercent: salaryAnalysis.salaryDifferencePercent,
     marketSalaryRange: salaryAnalysis.marketRange,
     salaryFactors: salaryAnalysis.factors,
+    explanation: { engine: "heuristic", ...explanation },
     estimatedRevenue,
     profit,
   };
 }
 
-async function callOpenAI(employee, budget, totalEmployees = 1) {
+const TREND_LABELS = {
+  performance: "Performance",
+  revenue: "Revenue (annualized)",
+  cost: "Cost (annualized)",
+};
+
+// Prompt section describing metric history, empty without history
+function trendPromptLines(trends = {}, emp = {}) {
+  const lines = [];
+  for (const [metric, label] of Object.entries(TREND_LABELS)) {
+    const t = trends[metric];
+    if (!t) continue;
+    const fmt = (v) =>
+      metric === "performance" ? v : money(Math.round(v), emp);
+    lines.push(
+      `- ${label}: ${t.direction} over ${t.periods} periods (${t.from} to ${t.to}), ` +
+        `latest ${fmt(t.latest)}, trailing average ${fmt(t.trailingAverage)}, ` +
+        `slope ${
+          metric === "performance"
+            ? `${t.slopePerQuarter} points`
+            : `${t.slopePercent}%`
+        } per quarter, volatility ${t.volatility}`
+    );
+  }
+  return lines.length > 0 ? `\nTrends:\n${lines.join("\n")}\n` : "";
+}
+
+// Ask the model for a recommendation. Responses that fail validation (see
+// recommendation.js) are sent back with the problems listed, up to
+// MAX_REPAIR_ATTEMPTS times, before giving up with InvalidRecommendationError.
+// options: passed through to llm.complete (cache, refresh, stats)
+async function callModel(
+  provider,
+  employee,
+  budget,
+  totalEmployees = 1,
+  bands = DEFAULT_BAND_TABLE,
+  options = {}
+) {
   // Pre-calculate salary suggestion to include in prompt context
   const salaryAnalysis = calculateSuggestedSalary(
     employee,
     budget,
-    totalEmployees
+    totalEmployees,
+    bands
   );
-  const marketRange =
-    MARKET_SALARY_RANGES[(employee.role || "unknown").toLowerCase()] ||
-    MARKET_SALARY_RANGES["unknown"];
+  const marketRange = salaryAnalysis.marketRange;
+  const cur = currency.describe(currency.currencyOf(employee));
+  const fmt = (amount) => currency.formatAmount(amount, cur.code);
 
-  const systemPrompt = `You are a corporate financial analyst AI that helps Indian companies make data-driven HR decisions. 
-You analyze employee data against company budget and profitability metrics. All amounts are in Indian Rupees (INR/Rs).
+  const systemPrompt = `You are a corporate financial analyst AI that helps companies make data-driven HR decisions. 
+You analyze employee data against company budget and profitability metrics. All amounts are annual figures in ${cur.name} (${cur.code}).
 
 Your task: 
 1. Recommend ONE action for the employee: FIRE, PROMOTE, DECREASE_SALARY, or NO_CHANGE
@@ -242,9 +303,10 @@ Consider these factors for action recommendation:
 - Role and position (different roles have different revenue potential)
 - Salary vs Revenue generated (profitability = revenue - salary)
 - Company budget constraints
+- Trends over recent periods when given: a declining performer is a bigger risk than a rising one at the same rating, and volatile figures deserve less confidence
 
 Consider these factors for salary suggestion:
-- Market salary range for the role in India
+- Market salary range for the role
 - Employee's performance (high performers deserve more)
 - Experience level (more experience = higher salary)
 - Revenue generated (employees generating high revenue deserve proportionally more)
@@ -257,24 +319,37 @@ Return ONLY a JSON object with these exact keys:
   "confidence": 0.0-1.0,
   "reason": "Brief explanation for the action",
   "recommended_change_percent": integer (positive for raise, negative for cut, 0 for none),
-  "suggestedSalary": integer (the full numeric amount in INR, e.g., 1200000 for Rs 12 Lakhs, NOT 12 or 12L),
-  "salaryReason": "Brief explanation for why this salary is appropriate"
+  "suggestedSalary": integer (the full numeric amount in ${cur.code}, e.g., 1200000, NOT 12 or 12L or 1.2M),
+  "salaryReason": "Brief explanation for why this salary is appropriate",
+  "keyFactors": [
+    { "factor": "short name, e.g. performance", "impact": "positive|negative|neutral", "detail": "one sentence on how it affected the decision" }
+  ]
 }
 
-IMPORTANT: For suggestedSalary, return the FULL integer value. Example: Rs 12 Lakhs should be 1200000, NOT 12.`;
+IMPORTANT: For suggestedSalary, return the FULL integer value in ${cur.code}. Example: ${
+    cur.prefix
+  }${fmt(1200000)} should be 1200000, NOT 12 or 1.2.`;
 
-  const userPrompt = `Company Total Budget for Salaries: Rs ${
-    budget ? formatINR(budget) : "Not specified"
+  const userPrompt = `Company Total Budget for Salaries: ${cur.prefix}${
+    budget ? fmt(budget) : "Not specified"
   }
 Total Employees Being Analyzed: ${totalEmployees}
-Average Budget Per Employee: Rs ${
-    budget ? formatINR(Math.round(budget / totalEmployees)) : "N/A"
+Average Budget Per Employee: ${cur.prefix}${
+    budget ? fmt(Math.round(budget / totalEmployees)) : "N/A"
   }
 
-Market Salary Range for ${employee.role || "this role"} (Annual, INR):
-- Minimum: Rs ${formatINR(marketRange.min)}
-- Midpoint: Rs ${formatINR(marketRange.mid)}  
-- Maximum: Rs ${formatINR(marketRange.max)}
+Market Salary Range for ${employee.role || "this role"} (Annual, ${cur.code}, band "${
+    marketRange.role
+  }${marketRange.level ? " " + marketRange.level : ""}", source: ${
+    marketRange.source || "N/A"
+  }, effective ${
+    marketRange.effectiveFrom
+      ? new Date(marketRange.effectiveFrom).toISOString().slice(0, 10)
+      : "by default"
+  }):
+- Minimum: ${cur.prefix}${fmt(marketRange.min)}
+- Midpoint: ${cur.prefix}${fmt(marketRange.mid)}  
+- Maximum: ${cur.prefix}${fmt(marketRange.max)}
 
 Employee Data:
 - SSID: ${employee.ssid}
@@ -284,117 +359,155 @@ Employee Data:
     employee.performance || "N/A"
   } (scale: 0-10, where 10 is exceptional)
 - Experience: ${employee.experience || "N/A"} years
-- Current Salary: Rs ${
-    employee.salary ? formatINR(employee.salary) : "Not specified"
+- Current Salary: ${cur.prefix}${
+    employee.salary ? fmt(employee.salary) : "Not specified"
   }
-- Revenue Generated: Rs ${
-    employee.revenue ? formatINR(employee.revenue) : "Not specified"
+- Revenue Generated: ${cur.prefix}${
+    employee.revenue ? fmt(employee.revenue) : "Not specified"
   }
-- Profit Contribution: Rs ${
+- Profit Contribution: ${cur.prefix}${
     employee.revenue && employee.salary
-      ? formatINR(employee.revenue - employee.salary)
+      ? fmt(employee.revenue - employee.salary)
       : "N/A"
   }
 - Status: ${employee.status || "ACTIVE"}
-
+${trendPromptLines(employee.trends, employee)}
 Reference calculation (you may adjust based on your analysis):
-- Calculated suggested salary: Rs ${formatINR(salaryAnalysis.suggestedSalary)}
+- Calculated suggested salary: ${cur.prefix}${fmt(
+    salaryAnalysis.suggestedSalary
+  )}
 
 Analyze this employee and provide your recommendation as JSON only.`;
 
-  const resp = await axios.post(
-    "https://api.openai.com/v1/chat/completions",
-    {
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      max_tokens: 600,
-      temperature: 0.3,
-    },
-    {
-      headers: {
-        Authorization: `Bearer ${OPENAI_KEY}`,
-        "Content-Type": "application/json",
-      },
+  const context = {
+    marketRange,
+    referenceSalary: salaryAnalysis.suggestedSalary,
+  };
+  let prompt = userPrompt;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    if (attempt > 0 && options.stats) {
+      options.stats.repairs = (options.stats.repairs || 0) + 1;
     }
-  );
-
-  const text = resp.data.choices?.[0]?.message?.content;
-  if (!text) throw new Error("Empty response from OpenAI");
-
-  // Extract JSON from response
-  const firstBrace = text.indexOf("{");
-  const lastBrace = text.lastIndexOf("}");
-  const jsonText =
-    firstBrace >= 0 && lastBrace >= 0
-      ? text.slice(firstBrace, lastBrace + 1)
-      : text;
-
-  const parsed = JSON.parse(jsonText);
-
-  // Add market range context to response
-  parsed.marketSalaryRange = marketRange;
-  parsed.currentSalary = employee.salary || 0;
-
-  // Validate suggestedSalary - if it seems too low (AI might return in lakhs), use our calculated value
-  if (parsed.suggestedSalary && parsed.suggestedSalary < 10000) {
-    // AI likely returned value in lakhs (e.g., 12 instead of 1200000)
-    // Fall back to our calculated salary
-    parsed.suggestedSalary = salaryAnalysis.suggestedSalary;
-    parsed.salaryReason =
-      (parsed.salaryReason || "") +
-      " (Salary calculated using market analysis)";
-  }
-
-  if (parsed.suggestedSalary && employee.salary) {
-    parsed.salaryDifference = parsed.suggestedSalary - employee.salary;
-    parsed.salaryDifferencePercent = Math.round(
-      (parsed.salaryDifference / employee.salary) * 100
+    const text = await llm.complete(
+      provider,
+      { system: systemPrompt, user: prompt, version: PROMPT_VERSION },
+      {
+        cache: options.cache,
+        refresh: options.refresh,
+        stats: options.stats,
+        accept: (t) => checkResponse(t, context).errors.length === 0,
+      }
     );
+    if (!text) throw new Error(`Empty response from ${provider.name}`);
+
+    const checked = checkResponse(text, context);
+    errors = checked.errors;
+    if (errors.length === 0) {
+      const rec = checked.rec;
+      const result = {
+        action: rec.action,
+        confidence: rec.confidence,
+        reason: rec.reason,
+        recommended_change_percent: rec.recommended_change_percent,
+        suggestedSalary: Math.round(rec.suggestedSalary),
+        salaryReason: rec.salaryReason,
+        keyFactors: rec.keyFactors || [],
+        marketSalaryRange: marketRange,
+        currentSalary: employee.salary || 0,
+        repairs: attempt,
+      };
+      if (employee.salary) {
+        result.salaryDifference = result.suggestedSalary - employee.salary;
+        result.salaryDifferencePercent = Math.round(
+          (result.salaryDifference / employee.salary) * 100
+        );
+      }
+      return result;
+    }
+    prompt = repairPrompt(userPrompt, text, errors);
   }
 
-  return parsed;
+  throw new InvalidRecommendationError(errors, MAX_REPAIR_ATTEMPTS + 1);
 }
 
-async function analyzeEmployee(employee, budget, totalEmployees = 1) {
-  const heuristic = heuristicAnalysis(employee, budget, totalEmployees);
-
-  if (!OPENAI_KEY) {
+// options.heuristicOnly: skip the model even when a provider is configured
+// options.provider: use this provider instead of the configured one
+// options.cache, options.refresh: response cache controls (see llm.complete)
+// options.stats: counters updated in place; fallbacks counts heuristic fallbacks
+// options.rubrics: performance/experience rubrics (see normalize.loadRubrics)
+async function analyzeEmployee(
+  rawEmployee,
+  budget,
+  totalEmployees = 1,
+  bands = DEFAULT_BAND_TABLE,
+  options = {}
+) {
+  const employee = normalizeEmployee(
+    rawEmployee,
+    options.rubrics || DEFAULT_RUBRICS
+  ).employee;
+  const heuristic = heuristicAnalysis(employee, budget, totalEmployees, bands);
+
+  const provider = options.provider || llm.getProvider();
+  if (!provider || options.heuristicOnly) {
     return { ...heuristic, using: "heuristic" };
   }
 
+  let fallback;
   try {
-    const aiResp = await callOpenAI(employee, budget, totalEmployees);
-    if (aiResp && aiResp.action) {
-      return { ...aiResp, using: "openai" };
-    }
-    return { ...heuristic, using: "heuristic" };
+    const aiResp = await callModel(
+      provider,
+      employee,
+      budget,
+      totalEmployees,
+      bands,
+      options
+    );
+    const { keyFactors, ...recommendation } = aiResp;
+    return {
+      ...recommendation,
+      using: provider.name,
+      model: provider.model,
+      // The model's own factors alongside the heuristic baseline, so the two
+      // can be compared
+      explanation: {
+        ...heuristic.explanation,
+        engine: provider.name,
+        modelFactors: keyFactors,
+        baselineAction: heuristic.action,
+        agreesWithBaseline: recommendation.action === heuristic.action,
+      },
+    };
   } catch (e) {
-    console.warn("OpenAI call failed, using heuristic:", e.message);
-    return { ...heuristic, using: "heuristic" };
+    console.warn(`${provider.name} call failed, using heuristic:`, e.message);
+    // Recorded on the suggestion so it is clear why the model was not used
+    fallback =
+      e instanceof InvalidRecommendationError
+        ? {
+            reason: "invalid_response",
+            detail: e.message,
+            validationErrors: e.errors,
+            attempts: e.attempts,
+          }
+        : { reason: "request_failed", detail: e.message };
+    fallback.provider = provider.name;
   }
-}
-
-async function analyzeAllEmployees(employees, budget) {
-  const totalEmployees = employees.length;
-  const results = [];
-
-  for (const emp of employees) {
-    const analysis = await analyzeEmployee(emp, budget, totalEmployees);
-    results.push({
-      ssid: emp.ssid,
-      name: emp.name,
-      role: emp.role,
-      currentSalary: emp.salary,
-      suggestion: analysis,
-    });
+  if (options.stats) {
+    options.stats.fallbacks = (options.stats.fallbacks || 0) + 1;
   }
+  return { ...heuristic, using: "heuristic", fallback };
+}
 
-  // Calculate summary statistics
+// Totals, margins and action counts for analyzed employees. Also used for
+// per-team rollups (see org.js).
+// Amounts are in the currency the employees and results are in.
+function summarizeResults(employees, results, budget) {
   const summary = {
-    totalEmployees,
+    totalEmployees: employees.length,
+    currency: employees.length
+      ? currency.currencyOf(employees[0])
+      : currency.BASE_CURRENCY,
     companyBudget: budget,
     totalCurrentSalaries: employees.reduce(
       (sum, e) => sum + (e.salary || 0),
@@ -430,6 +543,152 @@ async function analyzeAllEmployees(employees, budget) {
           (1 - summary.totalSuggestedSalaries / summary.totalRevenue) * 100
         )
       : 0;
+  return summary;
+}
+
+// options.bands: band table effective on the analysis date (see bands.loadBandTable)
+// options.allocation: "optimize" to fit all raises into the budget (see optimizer.js)
+// options.raisePool, options.weights: passed through to the optimizer
+// options.heuristicOnly: never call the model
+// options.refresh: ignore cached model responses
+// options.rubrics: performance/experience rubrics (see normalize.loadRubrics)
+// options.trends: Map ssid -> metric trends (see metrics.loadTrends)
+// options.currency: reporting currency for every amount, budget included
+//   (default BASE_CURRENCY); options.fx: rate table (see currency.loadFxTable)
+// options.policy: { rules, history, now } guardrails recommendations must
+//   keep to (see policy.js); history is policy.loadPerformanceHistory's Map
+//
+// Employees are analyzed concurrently, bounded by the provider's limiter.
+async function analyzeAllEmployees(rawEmployees, budget, options = {}) {
+  // Everything is analyzed in the reporting currency: salaries, revenue,
+  // trends and bands are converted up front, and budget is taken to be in it
+  const reportingCurrency = options.currency || currency.BASE_CURRENCY;
+  const fx = options.fx || currency.baseOnlyTable();
+  const bands = currency.bandTableIn(
+    options.bands || DEFAULT_BAND_TABLE,
+    reportingCurrency,
+    fx
+  );
+  const rubrics = options.rubrics || DEFAULT_RUBRICS;
+  const totalEmployees = rawEmployees.length;
+
+  // Read bands, grades and free text into numbers once, up front
+  const unrecognized = [];
+  const employees = rawEmployees.map((emp) => {
+    const trends = options.trends && options.trends.get(emp.ssid);
+    const { employee, issues } = normalizeEmployee(
+      currency.employeeIn(
+        trends ? { ...emp, trends } : emp,
+        reportingCurrency,
+        fx
+      ),
+      rubrics
+    );
+    for (const issue of issues) unrecognized.push({ ssid: emp.ssid, ...issue });
+    return employee;
+  });
+  const provider = options.heuristicOnly
+    ? null
+    : options.provider || llm.getProvider();
+  const stats = {
+    requests: 0,
+    cacheHits: 0,
+    retries: 0,
+    repairs: 0,
+    fallbacks: 0,
+  };
+
+  const results = await mapConcurrent(
+    employees,
+    provider ? llm.getLimiter(provider).concurrency : 1,
+    async (emp) => ({
+      ssid: emp.ssid,
+      name: emp.name,
+      role: emp.role,
+      currency: reportingCurrency,
+      currentSalary: emp.salary,
+      suggestion: await analyzeEmployee(emp, budget, totalEmployees, bands, {
+        heuristicOnly: !provider,
+        provider,
+        cache: options.cache,
+        refresh: options.refresh,
+        rubrics,
+        stats,
+      }),
+    })
+  );
+
+  // Recommendations the guardrails block are cut back or withdrawn before
+  // any raise is allocated
+  const policyCounts = { adjusted: 0, warned: 0 };
+  if (options.policy) {
+    results.forEach((r, i) => {
+      r.suggestion = policy.constrainSuggestion(
+        r.suggestion,
+        employees[i],
+        options.policy.rules,
+        {
+          history: options.policy.history?.get(r.ssid),
+          bandTable: bands,
+          now: options.policy.now,
+        }
+      );
+      if (r.suggestion.policy?.outcome === "block") policyCounts.adjusted += 1;
+      if (r.suggestion.policy?.outcome === "warn") policyCounts.warned += 1;
+    });
+  }
+
+  let allocation = null;
+  if (options.allocation === "optimize") {
+    allocation = allocateRaisePool(
+      results.map((r, i) => ({
+        ssid: r.ssid,
+        name: r.name,
+        currentSalary: employees[i].salary || 0,
+        perfScore: employees[i].performance,
+        suggestion: r.suggestion,
+      })),
+      budget,
+      { raisePool: options.raisePool, weights: options.weights }
+    );
+  }
+
+  // Employees paid in another currency also get their figures in it
+  results.forEach((r, i) => {
+    const own = currency.currencyOf(rawEmployees[i]);
+    if (own === reportingCurrency) return;
+    r.local = {
+      currency: own,
+      currentSalary: rawEmployees[i].salary ?? null,
+      suggestedSalary: currency.convert(
+        r.suggestion.suggestedSalary,
+        reportingCurrency,
+        own,
+        fx
+      ),
+    };
+  });
+
+  const summary = summarizeResults(employees, results, budget);
+  summary.currency = reportingCurrency;
+  // Conversion factors into the reporting currency, by source currency
+  summary.fx = currency.ratesUsed(
+    [
+      ...rawEmployees.map(currency.currencyOf),
+      ...[...(options.bands || DEFAULT_BAND_TABLE).bands.values()].map(
+        currency.currencyOf
+      ),
+    ],
+    reportingCurrency,
+    fx
+  );
+  if (allocation) summary.allocation = allocation;
+  if (options.policy) summary.policy = policyCounts;
+  // Values the rubrics could not interpret; they were analyzed with defaults
+  summary.normalization = { unrecognized };
+  if (provider) {
+    summary.llm = { provider: provider.name, model: provider.model, ...stats };
+  }
 
   return { results, summary };
 }
@@ -437,7 +696,8 @@ async function analyzeAllEmployees(employees, budget) {
 module.exports = {
   analyzeEmployee,
   analyzeAllEmployees,
+  summarizeResults,
   calculateSuggestedSalary,
+  performanceScore,
   MARKET_SALARY_RANGES,
-  formatINR,
 };
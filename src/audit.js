@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const AuditEntry = require("./models/AuditEntry");
+
+// Append-only audit log of data changes. Each entry stores who changed what,
+// field by field, and a SHA-256 hash over its content plus the previous
+// entry's hash, so editing or deleting any entry breaks the chain from that
+// point on (see verifyChain).
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Employee fields tracked on create and update
+const EMPLOYEE_FIELDS = [
+  "name",
+  "role",
+  "level",
+  "department",
+  "costCenter",
+  "managerSsid",
+  "performance",
+  "performanceBand",
+  "experience",
+  "experienceBand",
+  "salary",
+  "revenue",
+  "currency",
+  "status",
+  "terminatedAt",
+  "lastPromotedAt",
+];
+
+// Suggestion fields tracked when an analysis writes to an employee
+const SUGGESTION_FIELDS = [
+  "suggestion.action",
+  "suggestion.suggestedSalary",
+  "suggestion.currency",
+  "suggestion.recommended_change_percent",
+  "suggestion.confidence",
+  "suggestion.using",
+  "suggestion.analysisRun",
+  "suggestion.status",
+  "suggestion.actionId",
+];
+
+// Protected attributes (see models/Demographics.js)
+const DEMOGRAPHIC_FIELDS = [
+  "attributes.gender",
+  "attributes.ethnicity",
+  "attributes.ageBand",
+  "attributes.disability",
+  "attributes.veteranStatus",
+];
+
+// Logged as changed, never with their values
+const SECRET_FIELDS = new Set(["passwordHash", ...DEMOGRAPHIC_FIELDS]);
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt"]);
+
+// Dates become ISO strings and ObjectIds strings, as stored and hashed
+const plain = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// JSON with object keys sorted, so equal content always hashes the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const valueAt = (obj, path) =>
+  path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), obj);
+
+// [{ field, from, to }] for fields that differ. fields are dotted paths;
+// without them every top-level field of either side is compared.
+function diffFields(before, after, fields) {
+  const keys =
+    fields ||
+    [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+      .filter((key) => !IGNORED_FIELDS.has(key))
+      .sort();
+  const changes = [];
+  for (const field of keys) {
+    const from = plain(valueAt(before, field));
+    const to = plain(valueAt(after, field));
+    if (canonical(from) === canonical(to)) continue;
+    changes.push(
+      SECRET_FIELDS.has(field)
+        ? { field, from: from && "[redacted]", to: to && "[redacted]" }
+        : { field, from, to }
+    );
+  }
+  return changes;
+}
+
+// The hashed part of an entry, in the shape it is stored
+const hashedContent = (entry) => ({
+  seq: entry.seq,
+  at: new Date(entry.at).toISOString(),
+  actor: entry.actor,
+  action: entry.action,
+  entity: entry.entity,
+  entityId: entry.entityId ?? null,
+  ssid: entry.ssid ?? null,
+  changes: entry.changes ?? [],
+  meta: entry.meta ?? null,
+  prevHash: entry.prevHash,
+});
+
+const hashEntry = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(canonical(hashedContent(entry)))
+    .digest("hex");
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+async function appendEntry(entry, attempt = 1) {
+  const last = await AuditEntry.findOne()
+    .sort({ seq: -1 })
+    .select("seq hash")
+    .lean();
+  const content = hashedContent({
+    ...entry,
+    seq: last ? last.seq + 1 : 1,
+    at: new Date(),
+    actor: entry.actor || "system",
+    entityId: entry.entityId == null ? null : String(entry.entityId),
+    changes: plain(entry.changes || []),
+    meta: plain(entry.meta ?? null),
+    prevHash: last ? last.hash : GENESIS_HASH,
+  });
+  try {
+    return await AuditEntry.create({ ...content, hash: hashEntry(content) });
+  } catch (err) {
+    // Another server process took this seq; chain onto its entry instead
+    if (err.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) {
+      return appendEntry(entry, attempt + 1);
+    }
+    throw err;
+  }
+}
+
+// Appends run one at a time so each sees the previous entry's hash
+let tail = Promise.resolve();
+
+// entry: { actor, action, entity, entityId?, ssid?, changes?, meta? }
+function record(entry) {
+  const write = tail.then(() => appendEntry(entry));
+  tail = write.catch(() => {});
+  return write;
+}
+
+// Record a before/after pair; nothing is written when no field changed.
+// before is null for creates, after is null for deletes.
+function recordChange({ before, after, fields, ...entry }) {
+  const changes = diffFields(before, after, fields);
+  if (changes.length === 0) return Promise.resolve(null);
+  return record({ ...entry, changes });
+}
+
+// Walk the chain in order and report entries that were altered, removed or
+// inserted out of order
+async function verifyChain({ limit = 100000 } = {}) {
+  const problems = [];
+  let previous = null;
+  let checked = 0;
+  const cursor = AuditEntry.find()
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean()
+    .cursor();
+  for await (const entry of cursor) {
+    checked += 1;
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+    const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+    if (entry.seq !== expectedSeq) {
+      problems.push({
+        seq: entry.seq,
+        problem: `expected seq ${expectedSeq}; entries are missing`,
+      });
+    }
+    if (entry.prevHash !== expectedPrev) {
+      problems.push({
+        seq: entry.seq,
+        problem: "prevHash does not match the previous entry",
+      });
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push({
+        seq: entry.seq,
+        problem: "content does not match its hash",
+      });
+    }
+    previous = entry;
+    if (problems.length >= 50) break;
+  }
+  return {
+    ok: problems.length === 0,
+    checked,
+    lastSeq: previous ? previous.seq : 0,
+    lastHash: previous ? previous.hash : GENESIS_HASH,
+    problems,
+  };
+}
+
+// Filters matched exactly against the entry field of the same name
+const LOG_FILTERS = ["ssid", "actor", "entity", "action", "entityId"];
+
+// filters: { ssid, actor, field, entity, action, from, to, beforeSeq, limit }
+// Values are coerced (strings, dates, numbers) so a filter can never carry
+// a query operator. Returns entries newest first.
+async function queryLog(filters = {}) {
+  const query = {};
+  for (const key of LOG_FILTERS) {
+    if (filters[key]) query[key] = String(filters[key]);
+  }
+  if (filters.field) query["changes.field"] = String(filters.field);
+  if (filters.from || filters.to) {
+    query.at = {};
+    if (filters.from) query.at.$gte = new Date(filters.from);
+    if (filters.to) query.at.$lte = new Date(filters.to);
+  }
+  if (filters.beforeSeq) query.seq = { $lt: Number(filters.beforeSeq) };
+
+  const limit = Math.min(Number(filters.limit) || 100, 1000);
+  return AuditEntry.find(query).sort({ seq: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+  GENESIS_HASH,
+  EMPLOYEE_FIELDS,
+  SUGGESTION_FIELDS,
+  DEMOGRAPHIC_FIELDS,
+  LOG_FILTERS,
+  canonical,
+  diffFields,
+  hashEntry,
+  record,
+  recordChange,
+  verifyChain,
+  queryLog,
+};
@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const Employee = require("./models/Employee");
+const User = require("./models/User");
+const org = require("./org");
+
+// Local accounts, signed session tokens and role permissions.
+// Passwords are stored as scrypt hashes; tokens are HS256 JWTs signed with
+// AUTH_SECRET.
+
+const ROLES = ["HR_ADMIN", "FINANCE_VIEWER", "MANAGER"];
+
+// What each role may do. Managers are further limited to their reports
+// (see reportScope); finance viewers see salaries only in aggregate.
+const ROLE_PERMISSIONS = {
+  HR_ADMIN: [
+    "employees:read",
+    "employees:write",
+    "salary:read",
+    "metrics:write",
+    "analysis:run",
+    "actions:read",
+    "actions:propose",
+    "actions:review",
+    "actions:fire",
+    "actions:revert",
+    "runs:read",
+    "reports:export",
+    "scenarios:read",
+    "scenarios:write",
+    "bands:read",
+    "bands:write",
+    "rubrics:read",
+    "rubrics:write",
+    "policies:read",
+    "policies:write",
+    "schedules:read",
+    "schedules:write",
+    "integrations:read",
+    "integrations:write",
+    "users:manage",
+    "audit:read",
+    "demographics:read",
+    "demographics:write",
+    "equity:audit",
+  ],
+  FINANCE_VIEWER: [
+    "employees:read",
+    "actions:read",
+    "runs:read",
+    "scenarios:read",
+    "bands:read",
+    "rubrics:read",
+    "policies:read",
+  ],
+  MANAGER: [
+    "employees:read",
+    "salary:read",
+    "metrics:write",
+    "actions:read",
+    "actions:propose",
+    "runs:read",
+    "bands:read",
+    "rubrics:read",
+    "policies:read",
+  ],
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+// Without AUTH_SECRET tokens are signed with a per-process secret, so every
+// restart logs everyone out
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString("hex");
+  console.warn(
+    "AUTH_SECRET is not set; sessions will not survive a server restart"
+  );
+}
+
+const authError = (message, status = 401) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const hasPermission = (user, permission) =>
+  Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(permission));
+
+// "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+const sign = (data) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+// Returns { token, expiresAt }
+function signToken(user, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const exp = iat + TOKEN_TTL_HOURS * 3600;
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({ sub: String(user._id), role: user.role, iat, exp })
+  );
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date(exp * 1000),
+  };
+}
+
+// Payload of a valid, unexpired token, or null
+function verifyToken(token, now = Date.now()) {
+  const [header, payload, signature] = String(token || "").split(".");
+  if (!header || !payload || !signature) return null;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!claims.exp || claims.exp * 1000 <= now) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Account fields safe to return to clients
+const publicUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  name: user.name || null,
+  role: user.role,
+  ssid: user.ssid || null,
+  disabled: Boolean(user.disabled),
+  permissions: ROLE_PERMISSIONS[user.role] || [],
+});
+
+// Requires "Authorization: Bearer <token>" and sets req.user. The account is
+// re-read on every request so disabling it or changing its role applies
+// immediately.
+async function authenticate(req, res, next) {
+  try {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    const claims = scheme === "Bearer" ? verifyToken(token) : null;
+    if (!claims) throw authError("Authentication required");
+
+    const user = await User.findById(claims.sub).lean();
+    if (!user || user.disabled) throw authError("Account is disabled");
+    req.user = publicUser(user);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Route guard: the user must hold every listed permission
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    const missing = permissions.find((p) => !hasPermission(req.user, p));
+    if (missing) {
+      return next(
+        authError(`Your role does not allow this (needs ${missing})`, 403)
+      );
+    }
+    next();
+  };
+
+// Ssids a manager may see: everyone below them in the managerSsid chain.
+// null means no restriction (other roles).
+async function reportScope(user) {
+  if (user.role !== "MANAGER") return null;
+  if (!user.ssid) return new Set();
+  const employees = await Employee.find({}, { ssid: 1, managerSsid: 1 }).lean();
+  return org.teamOf(employees, user.ssid);
+}
+
+// Per-employee figures that reveal an individual's pay
+const SALARY_KEYS = new Set([
+  "salary",
+  "currentSalary",
+  "suggestedSalary",
+  "salaryDifference",
+  "salaryDifferencePercent",
+  "previousSalary",
+  "newSalary",
+  "profit",
+  "cost",
+  "salaryFactors",
+  "requestedRaise",
+  "allocatedRaise",
+  "requested",
+  "allocated",
+  "shortfall",
+  "suggestedSalaryDelta",
+  "impact",
+  // Profit and budget per unit of salary give salary away with revenue
+  "explanation",
+  // Free-text reasons quote the amounts
+  "reason",
+  "salaryReason",
+  "rejectionReason",
+]);
+
+const isSalaryKey = (key) =>
+  SALARY_KEYS.has(key) || SALARY_KEYS.has(key.replace(/Formatted$/, ""));
+
+// Strip individual pay from employee-level data for users without
+// salary:read. Only pass per-employee records here; summaries are aggregate.
+function redactSalaries(user, value) {
+  if (hasPermission(user, "salary:read")) return value;
+  const strip = (v) => {
+    if (Array.isArray(v)) return v.map(strip);
+    if (!v || typeof v !== "object" || v instanceof Date) return v;
+    if (v._bsontype) return v;
+    const out = {};
+    for (const [key, inner] of Object.entries(v)) {
+      if (!isSalaryKey(key)) out[key] = strip(inner);
+    }
+    return out;
+  };
+  return strip(value);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signToken,
+  verifyToken,
+  publicUser,
+  authenticate,
+  requirePermission,
+  reportScope,
+  redactSalaries,
+};
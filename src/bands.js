@@ -0,0 +1,233 @@
+const SalaryBand = require("./models/SalaryBand");
+const RoleAlias = require("./models/RoleAlias");
+const currency = require("./currency");
+
+// Built-in market salary ranges by role in INR (Indian Rupees) - Annual.
+// Used when the SalaryBand collection has no band for a role; converted
+// like any other INR band when analyzing in another currency.
+const MARKET_SALARY_RANGES = {
+  intern: { min: 180000, mid: 300000, max: 480000 },
+  junior: { min: 360000, mid: 500000, max: 700000 },
+  developer: { min: 600000, mid: 1000000, max: 1800000 },
+  engineer: { min: 600000, mid: 1000000, max: 1800000 },
+  "senior developer": { min: 1200000, mid: 1800000, max: 2800000 },
+  "senior engineer": { min: 1200000, mid: 1800000, max: 2800000 },
+  lead: { min: 1500000, mid: 2200000, max: 3500000 },
+  manager: { min: 1200000, mid: 1800000, max: 3000000 },
+  "senior manager": { min: 1800000, mid: 2500000, max: 4000000 },
+  director: { min: 2500000, mid: 4000000, max: 6000000 },
+  sales: { min: 400000, mid: 800000, max: 1500000 },
+  unknown: { min: 400000, mid: 700000, max: 1200000 },
+};
+
+// Built-in estimated revenue contribution per year by role (in INR)
+const ROLE_REVENUE = {
+  engineer: 2000000,
+  developer: 2000000,
+  "senior developer": 3500000,
+  manager: 4000000,
+  sales: 5000000,
+  intern: 200000,
+  unknown: 1200000,
+};
+
+// Built-in aliases, keyed by normalized title
+const DEFAULT_ROLE_ALIASES = {
+  "sr engineer": "senior engineer",
+  "sr developer": "senior developer",
+  "sr manager": "senior manager",
+  "software engineer": "engineer",
+  "software developer": "developer",
+  swe: "engineer",
+  sde: "developer",
+};
+
+// Lowercase, drop punctuation and collapse whitespace: "Sr. Engineer" -> "sr engineer"
+function normalizeRoleName(role) {
+  return String(role || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const bandKey = (role, level) => `${role}|${level || ""}`;
+
+function defaultBands() {
+  return Object.entries(MARKET_SALARY_RANGES).map(([role, range]) => ({
+    role,
+    level: null,
+    ...range,
+    expectedRevenue: ROLE_REVENUE[role],
+    currency: "INR",
+    source: "built-in",
+    version: 0,
+    effectiveFrom: null,
+  }));
+}
+
+// Build an in-memory lookup table from band documents and alias pairs.
+// Database bands override built-in ones with the same role and level.
+function buildBandTable(bands = [], aliases = {}, asOf = new Date()) {
+  const byKey = new Map();
+  for (const band of [...defaultBands(), ...bands]) {
+    byKey.set(bandKey(band.role, band.level), band);
+  }
+  return {
+    asOf,
+    bands: byKey,
+    aliases: { ...DEFAULT_ROLE_ALIASES, ...aliases },
+  };
+}
+
+const DEFAULT_BAND_TABLE = buildBandTable();
+
+// Map an employee role title to a band role
+function canonicalRole(table, role) {
+  const normalized = normalizeRoleName(role) || "unknown";
+  return table.aliases[normalized] || normalized;
+}
+
+// Find the band for a role (and optional level), falling back to the role
+// without a level and then to "unknown"
+function resolveBand(table, role, level) {
+  const t = table || DEFAULT_BAND_TABLE;
+  const canonical = canonicalRole(t, role);
+  const band =
+    (level && t.bands.get(bandKey(canonical, level))) ||
+    t.bands.get(bandKey(canonical, null)) ||
+    t.bands.get(bandKey("unknown", null));
+  const unknown = t.bands.get(bandKey("unknown", null));
+  return {
+    role: band.role,
+    level: band.level || null,
+    min: band.min,
+    mid: band.mid,
+    max: band.max,
+    expectedRevenue:
+      band.expectedRevenue !== undefined && band.expectedRevenue !== null
+        ? band.expectedRevenue
+        : unknown.expectedRevenue,
+    currency: currency.currencyOf(band),
+    source: band.source,
+    version: band.version,
+    effectiveFrom: band.effectiveFrom,
+  };
+}
+
+// Copy a band table with some bands replaced, e.g. for what-if scenarios.
+// overrides: [{ role, level?, min, mid, max, expectedRevenue? }]
+function withBandOverrides(table, overrides = []) {
+  const bands = new Map(table.bands);
+  for (const o of overrides) {
+    const role = normalizeRoleName(o.role);
+    const level = o.level || null;
+    bands.set(bandKey(role, level), {
+      ...bands.get(bandKey(role, level)),
+      ...o,
+      role,
+      level,
+      source: o.source || "scenario",
+    });
+  }
+  return { ...table, bands };
+}
+
+// Latest version of every band that was effective on asOf. A version
+// deleted after asOf still counts, so past analyses stay reproducible.
+async function findEffectiveBands(asOf = new Date()) {
+  const docs = await SalaryBand.find({
+    effectiveFrom: { $lte: asOf },
+    $or: [{ deletedAt: { $exists: false } }, { deletedAt: { $gt: asOf } }],
+  })
+    .sort({ effectiveFrom: -1, version: -1 })
+    .lean();
+
+  const latest = new Map();
+  for (const doc of docs) {
+    const key = bandKey(doc.role, doc.level);
+    if (!latest.has(key)) latest.set(key, doc);
+  }
+  return [...latest.values()];
+}
+
+// Load the band table used by analysis for a given date
+async function loadBandTable(asOf = new Date()) {
+  const [bands, aliasDocs] = await Promise.all([
+    findEffectiveBands(asOf),
+    RoleAlias.find().lean(),
+  ]);
+  const aliases = {};
+  for (const a of aliasDocs) aliases[a.alias] = a.role;
+  return buildBandTable(bands, aliases, asOf);
+}
+
+// Attempts at a version number before giving up on concurrent edits
+const VERSION_ATTEMPTS = 5;
+
+// Insert a new version of a band. Concurrent edits of the same band race
+// for the next version number; the unique (role, level, version) index
+// lets only one win and the others take the number after.
+// Returns the created document.
+async function createBandVersion(fields, createdBy) {
+  const role = normalizeRoleName(fields.role);
+  const level = fields.level || null;
+  for (let attempt = 1; ; attempt++) {
+    const previous = await SalaryBand.findOne({ role, level })
+      .sort({ version: -1 })
+      .lean();
+    try {
+      return await SalaryBand.create({
+        role,
+        level,
+        min: fields.min,
+        mid: fields.mid,
+        max: fields.max,
+        expectedRevenue: fields.expectedRevenue,
+        currency:
+          currency.normalizeCode(fields.currency) || currency.BASE_CURRENCY,
+        effectiveFrom: fields.effectiveFrom
+          ? new Date(fields.effectiveFrom)
+          : new Date(),
+        source: fields.source,
+        version: previous ? previous.version + 1 : 1,
+        createdBy,
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// Returns an error message, or null when the band fields are valid
+function validateBand(fields) {
+  if (!fields.role) return "role is required";
+  for (const key of ["min", "mid", "max"]) {
+    if (typeof fields[key] !== "number" || !Number.isFinite(fields[key])) {
+      return `${key} must be a number`;
+    }
+  }
+  if (!(fields.min <= fields.mid && fields.mid <= fields.max)) {
+    return "band must satisfy min <= mid <= max";
+  }
+  if (fields.effectiveFrom && isNaN(new Date(fields.effectiveFrom))) {
+    return "effectiveFrom must be a valid date";
+  }
+  if (fields.currency) return currency.validateCurrency(fields.currency);
+  return null;
+}
+
+module.exports = {
+  MARKET_SALARY_RANGES,
+  ROLE_REVENUE,
+  DEFAULT_BAND_TABLE,
+  normalizeRoleName,
+  canonicalRole,
+  buildBandTable,
+  withBandOverrides,
+  resolveBand,
+  findEffectiveBands,
+  loadBandTable,
+  createBandVersion,
+  validateBand,
+};
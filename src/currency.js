@@ -0,0 +1,270 @@
+const FxRate = require("./models/FxRate");
+
+// Currencies, amount formatting and conversion through the FX rate table.
+// Employees, bands and metric snapshots hold amounts in their own currency
+// (BASE_CURRENCY when unset); analyses convert everything to one reporting
+// currency first.
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "INR").toUpperCase();
+
+// Prefix and digit grouping per currency; others print as "<code> 1,234"
+const CURRENCIES = {
+  INR: { name: "Indian Rupees", prefix: "Rs ", locale: "en-IN" },
+  USD: { name: "US Dollars", prefix: "$", locale: "en-US" },
+  EUR: { name: "Euros", prefix: "€", locale: "en-IE" },
+  GBP: { name: "British Pounds", prefix: "£", locale: "en-GB" },
+};
+
+const currencyError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const normalizeCode = (code) =>
+  code === undefined || code === null || code === ""
+    ? null
+    : String(code).trim().toUpperCase();
+
+// Returns an error message, or null for a three-letter ISO 4217 code
+function validateCurrency(code, field = "currency") {
+  return /^[A-Z]{3}$/.test(normalizeCode(code) || "")
+    ? null
+    : `${field} must be a three-letter currency code, e.g. USD`;
+}
+
+const currencyOf = (record) =>
+  normalizeCode(record && record.currency) || BASE_CURRENCY;
+
+const describe = (code) => ({
+  code,
+  name: CURRENCIES[code]?.name || code,
+  prefix: CURRENCIES[code]?.prefix || `${code} `,
+  locale: CURRENCIES[code]?.locale || "en-US",
+});
+
+// 1200000 -> "12,00,000" (INR) or "1,200,000" (USD)
+function formatAmount(amount, code = BASE_CURRENCY) {
+  return new Intl.NumberFormat(describe(code).locale).format(amount);
+}
+
+// 1200000 -> "Rs 12,00,000", "$1,200,000"; null stays null
+function formatMoney(amount, code = BASE_CURRENCY) {
+  if (amount === null || amount === undefined) return null;
+  const sign = amount < 0 ? "-" : "";
+  return `${sign}${describe(code).prefix}${formatAmount(Math.abs(amount), code)}`;
+}
+
+// Rates effective on asOf: { base, asOf, rates: { [code]: { rate, effectiveFrom, source } } }
+async function loadFxTable(asOf = new Date()) {
+  const docs = await FxRate.find({ effectiveFrom: { $lte: asOf } })
+    .sort({ effectiveFrom: -1, createdAt: -1 })
+    .lean();
+  const rates = {};
+  for (const doc of docs) {
+    if (rates[doc.currency] || doc.currency === BASE_CURRENCY) continue;
+    rates[doc.currency] = {
+      rate: doc.rate,
+      effectiveFrom: doc.effectiveFrom,
+      source: doc.source || null,
+    };
+  }
+  return { base: BASE_CURRENCY, asOf, rates };
+}
+
+// A table that only knows the base currency
+const baseOnlyTable = () => ({
+  base: BASE_CURRENCY,
+  asOf: new Date(),
+  rates: {},
+});
+
+// Base-currency units per unit of code
+function rateOf(table, code) {
+  if (code === table.base) return 1;
+  const entry = table.rates[code];
+  if (!entry) {
+    throw currencyError(
+      `No FX rate for ${code} effective ${new Date(table.asOf)
+        .toISOString()
+        .slice(0, 10)}; add one under /api/fx/rates`
+    );
+  }
+  return entry.rate;
+}
+
+// Multiplier from one currency to another
+const factor = (from, to, table) =>
+  from === to ? 1 : rateOf(table, from) / rateOf(table, to);
+
+// Whole units in the target currency
+function convert(amount, from, to, table) {
+  if (typeof amount !== "number") return amount;
+  return Math.round(amount * factor(from, to, table));
+}
+
+// Aggregation expression for a record's amount field (e.g. "$salary") in
+// the base currency, rounded like convert. null when the record's currency
+// has no rate in table.
+function baseAmountExpr(field, table) {
+  const code = { $toUpper: { $ifNull: ["$currency", table.base] } };
+  const rates = [
+    [table.base, 1],
+    ...Object.entries(table.rates).map(([c, entry]) => [c, entry.rate]),
+  ];
+  const rate = {
+    $switch: {
+      branches: rates.map(([c, r]) => ({ case: { $eq: [code, c] }, then: r })),
+      default: null,
+    },
+  };
+  return { $round: [{ $multiply: [field, rate] }, 0] };
+}
+
+// Annualized trend amounts (see metrics.js) scale with the currency
+const TREND_AMOUNTS = ["latest", "trailingAverage", "slopePerQuarter"];
+
+function convertTrends(trends, f) {
+  if (!trends || f === 1) return trends;
+  const out = { ...trends };
+  for (const metric of ["revenue", "cost"]) {
+    if (!trends[metric]) continue;
+    out[metric] = { ...trends[metric] };
+    for (const key of TREND_AMOUNTS) {
+      out[metric][key] = Number((trends[metric][key] * f).toFixed(2));
+    }
+  }
+  return out;
+}
+
+// Copy of an employee with salary, revenue, trends and any stored
+// suggestion in code
+function employeeIn(emp, code, table) {
+  const from = currencyOf(emp);
+  const converted = { ...emp, currency: code };
+  if (from !== code) {
+    converted.salary = convert(emp.salary, from, code, table);
+    converted.revenue = convert(emp.revenue, from, code, table);
+    converted.trends = convertTrends(emp.trends, factor(from, code, table));
+  }
+  if (emp.suggestion) {
+    converted.suggestion = suggestionIn(
+      emp.suggestion,
+      currencyOf(emp.suggestion),
+      code,
+      table
+    );
+  }
+  return converted;
+}
+
+// Copy of a band table (see bands.buildBandTable) with every band in code
+function bandTableIn(bandTable, code, table) {
+  const bands = new Map();
+  for (const [key, band] of bandTable.bands) {
+    const from = currencyOf(band);
+    bands.set(
+      key,
+      from === code
+        ? { ...band, currency: code }
+        : {
+            ...band,
+            currency: code,
+            min: convert(band.min, from, code, table),
+            mid: convert(band.mid, from, code, table),
+            max: convert(band.max, from, code, table),
+            expectedRevenue: convert(band.expectedRevenue, from, code, table),
+          }
+    );
+  }
+  return { ...bandTable, bands };
+}
+
+// A suggestion computed in one currency, restated in another (the
+// employee's own, before it is stored on the employee)
+function suggestionIn(suggestion, from, to, table) {
+  if (from === to) return { ...suggestion, currency: to };
+  const c = (amount) => convert(amount, from, to, table);
+  const out = {
+    ...suggestion,
+    currency: to,
+    currentSalary: c(suggestion.currentSalary),
+    suggestedSalary: c(suggestion.suggestedSalary),
+    salaryDifference: c(suggestion.salaryDifference),
+    estimatedRevenue: c(suggestion.estimatedRevenue),
+    profit: c(suggestion.profit),
+  };
+  if (suggestion.marketSalaryRange) {
+    out.marketSalaryRange = {
+      ...suggestion.marketSalaryRange,
+      min: c(suggestion.marketSalaryRange.min),
+      mid: c(suggestion.marketSalaryRange.mid),
+      max: c(suggestion.marketSalaryRange.max),
+    };
+  }
+  if (suggestion.salaryFactors) {
+    out.salaryFactors = {
+      ...suggestion.salaryFactors,
+      baseSalary: c(suggestion.salaryFactors.baseSalary),
+      revenueBasedSalary: c(suggestion.salaryFactors.revenueBasedSalary),
+    };
+  }
+  if (suggestion.allocation) {
+    out.allocation = {
+      ...suggestion.allocation,
+      requestedRaise: c(suggestion.allocation.requestedRaise),
+      allocatedRaise: c(suggestion.allocation.allocatedRaise),
+    };
+  }
+  return out;
+}
+
+// Rates a conversion to code relied on, for the analysis summary
+function ratesUsed(codes, code, table) {
+  const used = {};
+  for (const from of new Set(codes)) {
+    if (from === code) continue;
+    used[from] = Number(factor(from, code, table).toPrecision(8));
+  }
+  return used;
+}
+
+// Returns an error message, or null when the rate fields are valid
+function validateFxRate(fields) {
+  const error = validateCurrency(fields.currency);
+  if (error) return error;
+  if (normalizeCode(fields.currency) === BASE_CURRENCY) {
+    return `${BASE_CURRENCY} is the base currency; its rate is always 1`;
+  }
+  if (
+    typeof fields.rate !== "number" ||
+    !Number.isFinite(fields.rate) ||
+    fields.rate <= 0
+  ) {
+    return "rate must be a positive number";
+  }
+  if (fields.effectiveFrom && isNaN(new Date(fields.effectiveFrom))) {
+    return "effectiveFrom must be a valid date";
+  }
+  return null;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCIES,
+  normalizeCode,
+  validateCurrency,
+  currencyOf,
+  describe,
+  formatAmount,
+  formatMoney,
+  loadFxTable,
+  baseOnlyTable,
+  convert,
+  baseAmountExpr,
+  employeeIn,
+  bandTableIn,
+  suggestionIn,
+  ratesUsed,
+  validateFxRate,
+};
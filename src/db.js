@@ -13,4 +13,23 @@ async function connectDB() {
   }
 }
 
-module.exports = { connectDB, mongoose };
+// Run fn(session) in a transaction; it is run again on transient errors, so
+// it should only change state through the session. Transactions need a
+// replica set: on a standalone server this fails with 503 saying so.
+async function withTransaction(fn) {
+  try {
+    return await mongoose.connection.transaction(fn);
+  } catch (err) {
+    if (err.code === 20 /* IllegalOperation */) {
+      const e = new Error(
+        "This needs MongoDB transactions; run MongoDB as a replica set"
+      );
+      e.status = 503;
+      e.expose = true;
+      throw e;
+    }
+    throw err;
+  }
+}
+
+module.exports = { connectDB, withTransaction, mongoose };
@@ -0,0 +1,493 @@
+const Demographics = require("./models/Demographics");
+const Employee = require("./models/Employee");
+const Action = require("./models/Action");
+const { APPLIED } = require("./actions");
+const AnalysisRun = require("./models/AnalysisRun");
+const bands = require("./bands");
+const currency = require("./currency");
+
+// Pay equity audit: do pay, the engine's recommendations or applied actions
+// differ between cohorts of a protected attribute once role, band level,
+// performance and experience are accounted for?
+//
+// Within each role/level stratum every metric is regressed on performance
+// and experience; the residuals (what the controls do not explain) are then
+// pooled per cohort and each cohort is compared with everyone else by a
+// Welch t-test.
+
+const ATTRIBUTES = [
+  "gender",
+  "ethnicity",
+  "ageBand",
+  "disability",
+  "veteranStatus",
+];
+const MAX_VALUE_LENGTH = 64;
+
+const DEFAULT_ALPHA = 0.05;
+// Cohorts smaller than this are neither tested nor reported, so a report
+// cannot single anyone out
+const DEFAULT_MIN_COHORT = 5;
+const APPLIED_WINDOW_DAYS = 365;
+
+// What each metric measures and which direction is a disadvantage.
+// unit "percent": gap is the cohort's pay relative to the rest; "points":
+// percentage points of change or of exit rate.
+const METRICS = {
+  pay: { unit: "percent", worse: "below" },
+  recommendedChange: { unit: "points", worse: "below" },
+  recommendedExit: { unit: "points", worse: "above" },
+  appliedChange: { unit: "points", worse: "below" },
+};
+
+const equityError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const round = (value, digits = 2) =>
+  value === null || !Number.isFinite(value)
+    ? null
+    : Number(value.toFixed(digits));
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+// Returns an error message, or null when attributes can be stored.
+// null or "" clears an attribute.
+function validateDemographics(attributes) {
+  if (
+    !attributes ||
+    typeof attributes !== "object" ||
+    Array.isArray(attributes)
+  ) {
+    return 'attributes must be an object, e.g. { gender: "female" }';
+  }
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!ATTRIBUTES.includes(key)) {
+      return `unknown attribute ${key}; expected one of: ${ATTRIBUTES.join(", ")}`;
+    }
+    if (value === null || value === "") continue;
+    if (typeof value !== "string" || value.trim().length > MAX_VALUE_LENGTH) {
+      return `${key} must be text of at most ${MAX_VALUE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// Trimmed, lower-cased labels so "Female" and "female " are one cohort
+const normalizeValue = (value) =>
+  value === null || value === undefined || String(value).trim() === ""
+    ? null
+    : String(value).trim().toLowerCase();
+
+// Returns an error message, or null when the audit options are usable
+function validateAuditOptions(options) {
+  const { attributes, alpha, minCohort, appliedSince } = options;
+  if (attributes !== undefined) {
+    if (!Array.isArray(attributes) || attributes.length === 0) {
+      return "attributes must be a non-empty array";
+    }
+    const unknown = attributes.find((a) => !ATTRIBUTES.includes(a));
+    if (unknown) {
+      return `unknown attribute ${unknown}; expected one of: ${ATTRIBUTES.join(", ")}`;
+    }
+  }
+  if (
+    alpha !== undefined &&
+    !(typeof alpha === "number" && alpha > 0 && alpha < 1)
+  ) {
+    return "alpha must be a number between 0 and 1";
+  }
+  if (
+    minCohort !== undefined &&
+    !(Number.isInteger(minCohort) && minCohort >= 2)
+  ) {
+    return "minCohort must be an integer of at least 2";
+  }
+  if (appliedSince !== undefined && isNaN(new Date(appliedSince))) {
+    return "appliedSince must be a valid date";
+  }
+  return null;
+}
+
+// ln Γ(x), Lanczos approximation
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) series += coefficient / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+// Two-sided Welch t-test of a against b: { difference, t, df, p }
+function welchTest(a, b) {
+  const difference = mean(a) - mean(b);
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const se = Math.sqrt(va + vb);
+  if (se === 0) {
+    return { difference, t: null, df: null, p: difference === 0 ? 1 : 0 };
+  }
+  const t = difference / se;
+  const df =
+    (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  const p = regularizedBeta(df / (df + t * t), df / 2, 0.5);
+  return { difference, t, df, p: Math.min(1, p) };
+}
+
+// Coefficients of the least-squares fit of y on the columns of X, or null
+// when the columns are collinear (e.g. everyone has the same experience)
+function leastSquares(X, y) {
+  const k = X[0].length;
+  const A = Array.from({ length: k }, (_, i) => {
+    const row = new Array(k + 1).fill(0);
+    for (let r = 0; r < X.length; r++) {
+      for (let j = 0; j < k; j++) row[j] += X[r][i] * X[r][j];
+      row[k] += X[r][i] * y[r];
+    }
+    return row;
+  });
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-9) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let r = 0; r < k; r++) {
+      if (r === col) continue;
+      const f = A[r][col] / A[col][col];
+      for (let j = col; j <= k; j++) A[r][j] -= f * A[col][j];
+    }
+  }
+  return A.map((row, i) => row[k] / row[i]);
+}
+
+// Controls tried in order; the first the stratum can support is used
+const CONTROL_SETS = [
+  ["performance", "experience"],
+  ["performance"],
+  ["experience"],
+  [],
+];
+
+// What performance and experience do not explain, per row
+function residualize(rows, metric) {
+  const y = rows.map((r) => r[metric]);
+  for (const controls of CONTROL_SETS) {
+    if (rows.length <= controls.length + 1 && controls.length > 0) continue;
+    const X = rows.map((r) => [1, ...controls.map((c) => r[c])]);
+    const beta = leastSquares(X, y);
+    if (!beta) continue;
+    return X.map(
+      (x, i) => y[i] - x.reduce((sum, v, j) => sum + v * beta[j], 0)
+    );
+  }
+  return y.map((v) => v - mean(y));
+}
+
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+};
+
+// Pooled within-stratum residuals per cohort of one attribute. Strata where
+// only one cohort is present say nothing about a gap and are left out.
+function cohortResiduals(rows, attribute, metric) {
+  const cohorts = new Map();
+  let strata = 0;
+  const usable = rows.filter(
+    (r) => r.attributes[attribute] !== null && r[metric] !== null
+  );
+  for (const stratumRows of groupBy(usable, (r) => r.stratum).values()) {
+    const values = new Set(stratumRows.map((r) => r.attributes[attribute]));
+    if (values.size < 2) continue;
+    strata += 1;
+    const residuals = residualize(stratumRows, metric);
+    stratumRows.forEach((row, i) => {
+      const value = row.attributes[attribute];
+      if (!cohorts.has(value)) cohorts.set(value, []);
+      cohorts.get(value).push(residuals[i]);
+    });
+  }
+  return { cohorts, strata };
+}
+
+// Residuals of log pay are relative differences
+const gapIn = (metric, difference) =>
+  metric === "pay"
+    ? (Math.exp(difference) - 1) * 100
+    : metric === "recommendedExit"
+      ? difference * 100
+      : difference;
+
+// Compare every cohort with the rest, per attribute and metric.
+// rows: [{ ssid, stratum, performance, experience, attributes, pay,
+// recommendedChange, recommendedExit, appliedChange }] with null for
+// unknown values.
+function compareCohorts(rows, { attributes, alpha, minCohort }) {
+  const findings = [];
+  let suppressed = 0;
+  for (const attribute of attributes) {
+    for (const [metric, meta] of Object.entries(METRICS)) {
+      const { cohorts, strata } = cohortResiduals(rows, attribute, metric);
+      for (const [group, values] of cohorts) {
+        const rest = [...cohorts]
+          .filter(([other]) => other !== group)
+          .flatMap(([, v]) => v);
+        if (values.length < minCohort || rest.length < minCohort) {
+          if (metric === "pay") suppressed += 1;
+          continue;
+        }
+        const test = welchTest(values, rest);
+        const gap = gapIn(metric, test.difference);
+        const direction = gap < 0 ? "below" : gap > 0 ? "above" : "equal";
+        const significant = test.p < alpha;
+        findings.push({
+          attribute,
+          group,
+          metric,
+          unit: meta.unit,
+          n: values.length,
+          referenceN: rest.length,
+          strata,
+          gap: round(gap),
+          direction,
+          t: round(test.t, 3),
+          df: round(test.df, 1),
+          p: round(test.p, 4),
+          significant,
+          flagged: significant && direction === meta.worse,
+        });
+      }
+    }
+  }
+  // Bonferroni over every test run, for readers who want fewer false alarms
+  for (const finding of findings) {
+    finding.pAdjusted = round(Math.min(1, finding.p * findings.length), 4);
+  }
+  findings.sort(
+    (a, b) =>
+      Number(b.flagged) - Number(a.flagged) ||
+      Number(b.significant) - Number(a.significant) ||
+      a.p - b.p
+  );
+  return { findings, suppressed };
+}
+
+const numberOrNull = (value) => {
+  const n =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+};
+
+// One audit row per employee. pay is log salary; the recommendation
+// metrics come from suggestion (a stored one or a run result's).
+function auditRow(emp, suggestion, demographics, bandTable, appliedChange) {
+  const band = bands.resolveBand(bandTable, emp.role, emp.level);
+  const role = bands.canonicalRole(bandTable, emp.role);
+  const attributes = {};
+  for (const attribute of ATTRIBUTES) {
+    attributes[attribute] = normalizeValue(
+      demographics?.attributes?.[attribute]
+    );
+  }
+  const salary = numberOrNull(emp.salary);
+  const exiting = suggestion ? suggestion.action === "FIRE" : null;
+  return {
+    ssid: emp.ssid,
+    stratum: `${role}|${band.level || ""}`,
+    performance: numberOrNull(emp.performance),
+    experience: numberOrNull(emp.experience),
+    attributes,
+    pay: salary > 0 ? Math.log(salary) : null,
+    recommendedChange:
+      suggestion && !exiting
+        ? numberOrNull(
+            suggestion.recommended_change_percent ??
+              suggestion.salaryDifferencePercent
+          )
+        : null,
+    recommendedExit: exiting === null ? null : Number(exiting),
+    appliedChange,
+  };
+}
+
+// Sum of applied, unreverted salary changes per ssid since a date
+async function appliedChanges(ssids, since) {
+  const actions = await Action.find({
+    ssid: { $in: ssids },
+    status: APPLIED,
+    appliedAt: { $gte: since },
+    revertedBy: null,
+  }).lean();
+  const totals = new Map();
+  for (const action of actions) {
+    const change = action.details?.changePercent;
+    if (typeof change !== "number") continue;
+    totals.set(action.ssid, (totals.get(action.ssid) || 0) + change);
+  }
+  return totals;
+}
+
+// Employees and their suggestions, from a run's snapshot or from the
+// current data in the base currency
+async function loadSubjects(runId) {
+  if (runId) {
+    const run = await AnalysisRun.findById(runId).lean();
+    if (!run) throw equityError("Analysis run not found", 404);
+    // The run's employee snapshot (see runs.snapshotInputs)
+    const inputs = new Map((run.inputs || []).map((emp) => [emp.ssid, emp]));
+    return {
+      run,
+      asOf: run.asOf || run.completedAt,
+      code: currency.currencyOf(run.summary),
+      subjects: (run.results || []).map((r) => ({
+        emp: { ...inputs.get(r.ssid), ...r, salary: r.currentSalary },
+        suggestion: r.suggestion,
+      })),
+    };
+  }
+  const asOf = new Date();
+  const fx = await currency.loadFxTable(asOf);
+  const employees = await Employee.find({ status: "ACTIVE" }).lean();
+  return {
+    run: null,
+    asOf,
+    code: currency.BASE_CURRENCY,
+    subjects: employees.map((emp) => {
+      const converted = currency.employeeIn(emp, fx.base, fx);
+      return { emp: converted, suggestion: converted.suggestion };
+    }),
+  };
+}
+
+// Audit the recommendations of one analysis run (runId) or the current
+// employees and their stored suggestions. Returns the report; saving it is
+// left to the caller.
+async function auditEquity(options = {}) {
+  const attributes = options.attributes || ATTRIBUTES;
+  const alpha = options.alpha ?? DEFAULT_ALPHA;
+  const minCohort = options.minCohort ?? DEFAULT_MIN_COHORT;
+  const appliedSince = options.appliedSince
+    ? new Date(options.appliedSince)
+    : new Date(Date.now() - APPLIED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const { run, asOf, code, subjects } = await loadSubjects(options.runId);
+  const ssids = subjects.map((s) => s.emp.ssid);
+  const [records, applied, bandTable] = await Promise.all([
+    Demographics.find({ ssid: { $in: ssids } }).lean(),
+    appliedChanges(ssids, appliedSince),
+    bands.loadBandTable(asOf),
+  ]);
+  const demographics = new Map(records.map((d) => [d.ssid, d]));
+
+  const rows = subjects
+    .map(({ emp, suggestion }) =>
+      auditRow(
+        emp,
+        suggestion,
+        demographics.get(emp.ssid),
+        bandTable,
+        applied.get(emp.ssid) || 0
+      )
+    )
+    .filter((r) => r.performance !== null && r.experience !== null);
+
+  const { findings, suppressed } = compareCohorts(rows, {
+    attributes,
+    alpha,
+    minCohort,
+  });
+
+  return {
+    analysisRun: run ? run._id : null,
+    currency: code,
+    options: { attributes, alpha, minCohort, appliedSince },
+    summary: {
+      employees: subjects.length,
+      audited: rows.length,
+      withDemographics: rows.filter((r) =>
+        attributes.some((a) => r.attributes[a] !== null)
+      ).length,
+      strata: new Set(rows.map((r) => r.stratum)).size,
+      tests: findings.length,
+      significant: findings.filter((f) => f.significant).length,
+      flagged: findings.filter((f) => f.flagged).length,
+      suppressedCohorts: suppressed,
+    },
+    findings,
+  };
+}
+
+module.exports = {
+  ATTRIBUTES,
+  METRICS,
+  validateDemographics,
+  validateAuditOptions,
+  normalizeValue,
+  welchTest,
+  compareCohorts,
+  auditEquity,
+};
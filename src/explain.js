@@ -0,0 +1,242 @@
+// Structured "why" for a recommendation: the heuristic's decision rules,
+// the weighted factors behind its score, and how far the employee is from
+// each rule's threshold.
+
+// Weights of the heuristic score. The score drives confidence; the action
+// itself comes from HEURISTIC_RULES.
+const SCORE_WEIGHTS = {
+  profitability: 5,
+  performance: 0.5,
+  experience: 0.1,
+};
+
+// Decision rules in precedence order: the first rule whose conditions all
+// hold decides the action, otherwise NO_CHANGE.
+// Metrics: perfScore (0-10), profitRatio (profit / salary), budgetRatio
+// (budget / salary, Infinity when no budget is given), budget.
+const HEURISTIC_RULES = [
+  {
+    id: "low_performance",
+    action: "FIRE",
+    description: "Performance at or below 3/10",
+    conditions: [{ metric: "perfScore", op: "<=", threshold: 3 }],
+  },
+  {
+    id: "loss_making",
+    action: "FIRE",
+    description: "Loses more than 20% of salary (revenue well below cost)",
+    conditions: [{ metric: "profitRatio", op: "<", threshold: -0.2 }],
+  },
+  {
+    id: "high_performer",
+    action: "PROMOTE",
+    description:
+      "Performance 8/10 or better, profit above 20% of salary and budget headroom",
+    conditions: [
+      { metric: "perfScore", op: ">=", threshold: 8 },
+      { metric: "profitRatio", op: ">", threshold: 0.2 },
+      { metric: "budgetRatio", op: ">", threshold: 0.1 },
+    ],
+  },
+  {
+    id: "thin_margin",
+    action: "DECREASE_SALARY",
+    description: "Profit below 5% of salary",
+    conditions: [{ metric: "profitRatio", op: "<", threshold: 0.05 }],
+  },
+  {
+    id: "negative_budget",
+    action: "DECREASE_SALARY",
+    description: "Company budget is negative",
+    conditions: [{ metric: "budget", op: "<", threshold: 0 }],
+  },
+];
+
+const DEFAULT_RULE = {
+  id: "default",
+  action: "NO_CHANGE",
+  description: "No rule triggered",
+  conditions: [],
+};
+
+// Scale used to compare distances across metrics (perf is 0-10, ratios ~0-1)
+const METRIC_SCALE = { perfScore: 10, profitRatio: 1, budgetRatio: 1 };
+
+const round = (value, digits = 3) =>
+  Number.isFinite(value) ? Number(value.toFixed(digits)) : value;
+
+function conditionMet({ metric, op, threshold }, metrics) {
+  const value = metrics[metric];
+  switch (op) {
+    case "<=":
+      return value <= threshold;
+    case "<":
+      return value < threshold;
+    case ">=":
+      return value >= threshold;
+    default:
+      return value > threshold;
+  }
+}
+
+// Distance between a metric and a threshold in the metric's own units,
+// plus the same distance scaled for comparison across metrics
+function conditionGap(condition, metrics) {
+  const value = metrics[condition.metric];
+  const gap = Number.isFinite(value)
+    ? Math.abs(value - condition.threshold)
+    : Infinity;
+  return {
+    metric: condition.metric,
+    op: condition.op,
+    threshold: condition.threshold,
+    value: round(value),
+    met: conditionMet(condition, metrics),
+    gap: round(gap),
+    scaledGap: gap / (METRIC_SCALE[condition.metric] || 1),
+  };
+}
+
+// First matching rule, or DEFAULT_RULE
+function decide(metrics) {
+  return (
+    HEURISTIC_RULES.find((rule) =>
+      rule.conditions.every((c) => conditionMet(c, metrics))
+    ) || DEFAULT_RULE
+  );
+}
+
+// For every rule: whether it holds, and how far it is from flipping.
+// A rule that holds flips when its closest condition stops holding; one that
+// does not hold flips once all its unmet conditions are met.
+function ruleBoundaries(metrics, triggered) {
+  const triggeredIndex = HEURISTIC_RULES.indexOf(triggered);
+  return HEURISTIC_RULES.map((rule, index) => {
+    const conditions = rule.conditions.map((c) => conditionGap(c, metrics));
+    const met = conditions.every((c) => c.met);
+    const distance = met
+      ? Math.min(...conditions.map((c) => c.scaledGap))
+      : conditions
+          .filter((c) => !c.met)
+          .reduce((sum, c) => sum + c.scaledGap, 0);
+    // Only rules that take precedence over the current one (or the current
+    // rule itself) can change the outcome
+    const decisive = triggeredIndex === -1 ? true : index <= triggeredIndex;
+    return {
+      rule: rule.id,
+      action: rule.action,
+      met,
+      distance: round(distance),
+      decisive,
+      conditions: conditions.map(({ scaledGap, ...c }) => c),
+    };
+  });
+}
+
+// Nearest boundary whose crossing would change the action
+function nextBoundary(boundaries, action) {
+  const candidates = boundaries.filter(
+    (b) =>
+      b.decisive &&
+      Number.isFinite(b.distance) &&
+      (b.met || b.action !== action)
+  );
+  if (candidates.length === 0) return null;
+  const nearest = candidates.reduce((a, b) =>
+    b.distance < a.distance ? b : a
+  );
+  return {
+    rule: nearest.rule,
+    crossing: nearest.met ? "leave" : "enter",
+    action: nearest.met ? null : nearest.action,
+    distance: nearest.distance,
+    conditions: nearest.conditions.filter((c) => (nearest.met ? true : !c.met)),
+  };
+}
+
+// Volatile history lowers confidence: half the highest coefficient of
+// variation, capped at MAX_VOLATILITY_PENALTY
+const MAX_VOLATILITY_PENALTY = 0.3;
+
+function volatilityPenalty(trends = {}) {
+  const volatilities = Object.values(trends)
+    .filter(Boolean)
+    .map((t) => t.volatility || 0);
+  if (volatilities.length === 0) return 0;
+  return Math.min(MAX_VOLATILITY_PENALTY, Math.max(...volatilities) / 2);
+}
+
+// inputs: { perfScore, experience, profit, salary, budget, budgetFactor, trends? }
+// perfScore and profit are already trend-adjusted when trends are given.
+// Returns { action, confidence, explanation }
+function explainHeuristic(inputs) {
+  const { perfScore, experience, profit, salary, budget, budgetFactor } =
+    inputs;
+  const trends = inputs.trends || {};
+  const metrics = {
+    perfScore,
+    profitRatio: profit / Math.max(1, salary),
+    budgetRatio: budget ? budget / Math.max(1, salary) : Infinity,
+    budget: budget || 0,
+  };
+
+  const factors = [
+    {
+      factor: "profitability",
+      value: round(metrics.profitRatio),
+      weight: SCORE_WEIGHTS.profitability,
+      contribution: metrics.profitRatio * SCORE_WEIGHTS.profitability,
+      note: "profit per unit of salary",
+    },
+    {
+      factor: "performance",
+      value: perfScore,
+      weight: SCORE_WEIGHTS.performance,
+      contribution: (perfScore - 5) * SCORE_WEIGHTS.performance,
+      note: "relative to an average 5/10",
+    },
+    {
+      factor: "experience",
+      value: Math.min(experience, 10),
+      weight: SCORE_WEIGHTS.experience,
+      contribution: Math.min(experience, 10) * SCORE_WEIGHTS.experience,
+      note: "years, capped at 10",
+    },
+  ];
+  const rawScore = factors.reduce((sum, f) => sum + f.contribution, 0);
+  const score = rawScore * budgetFactor;
+
+  const rule = decide(metrics);
+  const boundaries = ruleBoundaries(metrics, rule);
+  const penalty = volatilityPenalty(trends);
+  const confidence =
+    Math.min(0.95, Math.max(0.2, 0.5 + Math.abs(score) / 10)) * (1 - penalty);
+
+  return {
+    action: rule.action,
+    confidence: Number(confidence.toFixed(2)),
+    explanation: {
+      score: round(score),
+      budgetFactor,
+      factors: factors.map((f) => ({
+        ...f,
+        contribution: round(f.contribution),
+      })),
+      rule: {
+        id: rule.id,
+        action: rule.action,
+        description: rule.description,
+      },
+      boundaries,
+      nextBoundary: nextBoundary(boundaries, rule.action),
+      trends: Object.keys(trends).length > 0 ? trends : null,
+      volatilityPenalty: round(penalty),
+    },
+  };
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  HEURISTIC_RULES,
+  explainHeuristic,
+};
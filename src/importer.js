@@ -0,0 +1,379 @@
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const Employee = require("./models/Employee");
+const normalize = require("./normalize");
+const org = require("./org");
+const audit = require("./audit");
+const currency = require("./currency");
+const integrations = require("./integrations");
+const { withTransaction } = require("./db");
+
+// Employee fields that can be imported
+const IMPORT_FIELDS = [
+  "ssid",
+  "name",
+  "role",
+  "level",
+  "managerSsid",
+  "department",
+  "costCenter",
+  "performance",
+  "experience",
+  "salary",
+  "revenue",
+  "currency",
+  "status",
+];
+
+// Header names recognized for each field, compared after normalizeHeader
+const DEFAULT_HEADER_MAPPING = {
+  ssid: ["ssid", "employee id", "emp id", "employee code", "id"],
+  name: ["name", "employee name", "full name"],
+  role: ["role", "title", "job title", "designation"],
+  level: ["level", "grade", "band"],
+  managerSsid: ["manager", "manager id", "manager ssid", "reports to"],
+  department: ["department", "dept", "team", "department code"],
+  costCenter: ["cost center", "cost centre", "cc"],
+  performance: ["performance", "rating", "performance rating", "perf"],
+  experience: ["experience", "years", "yoe", "years of experience"],
+  salary: ["salary", "ctc", "annual salary", "base salary"],
+  revenue: ["revenue", "revenue generated", "annual revenue"],
+  currency: ["currency", "ccy", "pay currency", "salary currency"],
+  status: ["status", "employment status"],
+};
+
+const VALID_STATUSES = ["ACTIVE", "FIRED"];
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[_\-.]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Currency symbols and codes an amount cell may carry
+const CURRENCY_MARKS = [
+  [/₹|rs\.?|inr/i, "INR"],
+  [/\$|usd/i, "USD"],
+  [/€|eur/i, "EUR"],
+  [/£|gbp/i, "GBP"],
+];
+
+// Currency an amount cell is marked with, e.g. "$95,000" -> "USD"
+function amountCurrency(value) {
+  if (typeof value === "number") return null;
+  const mark = CURRENCY_MARKS.find(([pattern]) => pattern.test(String(value)));
+  return mark ? mark[1] : null;
+}
+
+// "Rs 12,00,000" / "₹1200000" / "$95,000" / "1,200,000.00" -> 1200000
+function parseAmount(value) {
+  if (typeof value === "number") return value;
+  const cleaned = String(value)
+    .replace(/rs\.?|inr|usd|eur|gbp|[₹$€£]/gi, "")
+    .replace(/[,\s]/g, "");
+  if (cleaned === "") return NaN;
+  return Number(cleaned);
+}
+
+function detectFormat(filename = "", mimetype = "") {
+  const name = filename.toLowerCase();
+  if (name.endsWith(".xlsx") || mimetype.includes("spreadsheetml")) {
+    return "xlsx";
+  }
+  if (
+    name.endsWith(".csv") ||
+    mimetype.includes("csv") ||
+    mimetype === "text/plain"
+  ) {
+    return "csv";
+  }
+  return null;
+}
+
+// Parse an uploaded file into an array of { header: value } rows
+async function parseFile(buffer, format, options = {}) {
+  if (format === "csv") {
+    return parse(buffer, {
+      columns: true,
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+    });
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = options.sheet
+    ? workbook.getWorksheet(options.sheet)
+    : workbook.worksheets[0];
+  if (!sheet) {
+    const err = new Error(`Worksheet ${options.sheet || ""} not found`.trim());
+    err.status = 400;
+    throw err;
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = String(cell.text).trim();
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    row.eachCell((cell, col) => {
+      if (headers[col]) record[headers[col]] = cell.text;
+    });
+    if (Object.keys(record).length > 0) rows.push(record);
+  });
+  return rows;
+}
+
+// Build header -> field lookup. customMapping is { "File Header": "field" }
+// and takes precedence over the defaults.
+function resolveHeaders(headers, customMapping = {}) {
+  const custom = {};
+  for (const [header, field] of Object.entries(customMapping)) {
+    custom[normalizeHeader(header)] = field;
+  }
+
+  const mapped = {};
+  const unmapped = [];
+  for (const header of headers) {
+    const key = normalizeHeader(header);
+    let field = custom[key];
+    if (!field) {
+      field = Object.keys(DEFAULT_HEADER_MAPPING).find((f) =>
+        DEFAULT_HEADER_MAPPING[f].includes(key)
+      );
+    }
+    if (field && IMPORT_FIELDS.includes(field)) mapped[header] = field;
+    else unmapped.push(header);
+  }
+  return { mapped, unmapped };
+}
+
+// Convert and range-check one mapped row. Blank cells are left out so they
+// never overwrite existing values.
+function validateRecord(raw, rubrics = normalize.DEFAULT_RUBRICS) {
+  const record = {};
+  const errors = [];
+  const warnings = [];
+  const marked = new Set();
+
+  for (const [field, value] of Object.entries(raw)) {
+    if (value === undefined || value === null || String(value).trim() === "") {
+      continue;
+    }
+    const text = String(value).trim();
+
+    switch (field) {
+      case "salary":
+      case "revenue": {
+        const amount = parseAmount(text);
+        if (!Number.isFinite(amount)) errors.push(`${field} must be numeric`);
+        else if (amount < 0) errors.push(`${field} cannot be negative`);
+        else record[field] = amount;
+        if (amountCurrency(text)) marked.add(amountCurrency(text));
+        break;
+      }
+      case "currency": {
+        const error = currency.validateCurrency(text);
+        if (error) errors.push(error);
+        else record.currency = currency.normalizeCode(text);
+        break;
+      }
+      case "experience":
+      case "performance": {
+        // Bands, grades and phrases are read through the rubrics
+        const { fields, issues } = normalize.normalizeFields(
+          { [field]: text },
+          rubrics,
+          { ingest: true }
+        );
+        if (issues.length > 0) errors.push(...issues.map((i) => i.message));
+        else Object.assign(record, fields);
+        break;
+      }
+      case "status": {
+        const status = text.toUpperCase();
+        if (!VALID_STATUSES.includes(status))
+          errors.push(`status must be one of: ${VALID_STATUSES.join(", ")}`);
+        else record.status = status;
+        break;
+      }
+      default:
+        record[field] = text;
+    }
+  }
+
+  // "$95,000" sets the currency when no column does, and must agree with it
+  if (marked.size > 1) {
+    errors.push(
+      `amounts are in different currencies (${[...marked].join(", ")})`
+    );
+  } else if (marked.size === 1) {
+    const [code] = marked;
+    if (!record.currency) record.currency = code;
+    else if (record.currency !== code) {
+      errors.push(
+        `amounts are marked ${code} but currency is ${record.currency}`
+      );
+    }
+  }
+
+  if (!record.ssid) errors.push("ssid is required");
+  return { record, errors, warnings };
+}
+
+// Field-level differences between an existing employee and an import record
+function diffRecord(existing, record) {
+  const changes = [];
+  for (const [field, to] of Object.entries(record)) {
+    if (field === "ssid") continue;
+    const from = existing ? existing[field] : undefined;
+    // No currency means the base currency
+    if (
+      field === "currency" &&
+      existing &&
+      currency.currencyOf(existing) === to
+    ) {
+      continue;
+    }
+    if (from !== to) changes.push({ field, from: from ?? null, to });
+  }
+  return changes;
+}
+
+// Build the per-row plan: create, update, unchanged or error
+async function planImport(rows, customMapping, rubrics) {
+  const headers = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const { mapped, unmapped } = resolveHeaders(headers, customMapping);
+
+  const parsed = rows.map((row, i) => {
+    const raw = {};
+    for (const [header, field] of Object.entries(mapped))
+      raw[field] = row[header];
+    return { row: i + 2, ...validateRecord(raw, rubrics) }; // +2: header row, 1-based
+  });
+
+  const ssids = parsed.map((p) => p.record.ssid).filter(Boolean);
+  const existing = await Employee.find({ ssid: { $in: ssids } }).lean();
+  const bySsid = new Map(existing.map((e) => [e.ssid, e]));
+  // Reporting lines as they stand, updated as rows are planned
+  const lines = await Employee.find({}, { ssid: 1, managerSsid: 1 }).lean();
+  const lineBySsid = new Map(lines.map((l) => [l.ssid, l]));
+
+  const seen = new Set();
+  const plan = parsed.map(({ row, record, errors, warnings }) => {
+    if (record.ssid && seen.has(record.ssid)) {
+      errors.push(`duplicate ssid ${record.ssid} earlier in file`);
+    }
+    if (record.ssid) seen.add(record.ssid);
+    if (
+      errors.length === 0 &&
+      org.createsCycle(lines, record.ssid, record.managerSsid)
+    ) {
+      errors.push("managerSsid would create a reporting loop");
+    }
+
+    if (errors.length > 0) {
+      return {
+        row,
+        ssid: record.ssid || null,
+        status: "error",
+        errors,
+        warnings,
+      };
+    }
+    if (record.managerSsid) {
+      const line = lineBySsid.get(record.ssid);
+      if (line) line.managerSsid = record.managerSsid;
+      else lines.push({ ssid: record.ssid, managerSsid: record.managerSsid });
+    }
+    const current = bySsid.get(record.ssid);
+    const changes = diffRecord(current, record);
+    return {
+      row,
+      ssid: record.ssid,
+      status: !current ? "create" : changes.length > 0 ? "update" : "unchanged",
+      changes,
+      errors,
+      warnings,
+      record,
+    };
+  });
+
+  const summary = {
+    rows: plan.length,
+    create: 0,
+    update: 0,
+    unchanged: 0,
+    error: 0,
+  };
+  for (const p of plan) summary[p.status] += 1;
+
+  return { mapping: mapped, unmappedHeaders: unmapped, summary, plan };
+}
+
+// Write the planned creates and updates. Only changed fields are set.
+// Each row is written together with its integration event, then recorded in
+// the audit log under actor.
+async function commitImport(plan, { actor } = {}) {
+  let written = 0;
+  for (const p of plan) {
+    if (p.status !== "create" && p.status !== "update") continue;
+    const set = {};
+    for (const c of p.changes) set[c.field] = c.to;
+    if (p.status === "create" && !set.status) set.status = "ACTIVE";
+    const { before, after } = await withTransaction(async (session) => {
+      const result = await Employee.findOneAndUpdate(
+        { ssid: p.ssid },
+        { $set: set },
+        {
+          upsert: true,
+          runValidators: true,
+          includeResultMetadata: true,
+          session,
+        }
+      ).lean();
+      const before = result.value;
+      const _id = before ? before._id : result.lastErrorObject?.upserted;
+      const after = { _id, ssid: p.ssid, ...before, ...set };
+      await integrations.employeeUpdated({
+        before,
+        after,
+        source: "import",
+        actor,
+        session,
+      });
+      return { before, after };
+    });
+    await audit.recordChange({
+      actor,
+      action: before ? "employee.update" : "employee.create",
+      entity: "Employee",
+      entityId: after._id,
+      ssid: p.ssid,
+      before,
+      after,
+      fields: audit.EMPLOYEE_FIELDS,
+      meta: { source: "import", row: p.row },
+    });
+    written += 1;
+  }
+  return written;
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  DEFAULT_HEADER_MAPPING,
+  detectFormat,
+  parseFile,
+  resolveHeaders,
+  validateRecord,
+  planImport,
+  commitImport,
+};
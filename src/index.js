@@ -2,7 +2,10 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const { connectDB } = require("./db");
+const { migrate } = require("./migrations");
 const routes = require("./routes");
+const scheduler = require("./scheduler");
+const integrations = require("./integrations");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -17,13 +20,21 @@ app.use(express.json());
 app.use("/api", routes);
 
 app.use((err, req, res, next) => {
+  // Errors thrown with an explicit status are expected client errors;
+  // server errors marked expose are explained too
+  if (err.status && (err.status < 500 || err.expose)) {
+    return res.status(err.status).json({ error: err.message });
+  }
   console.error(err);
   res.status(500).json({ error: "Internal server error" });
 });
 
-// Connect to MongoDB then start server
-connectDB().then(() => {
+// Connect to MongoDB, bring old data up to date, then start server
+connectDB().then(async () => {
+  await migrate();
   app.listen(port, () => {
     console.log(`Employee analytics backend listening on port ${port}`);
   });
+  scheduler.start();
+  integrations.start();
 });
@@ -0,0 +1,14 @@
+const generic = require("./generic");
+const workday = require("./workday");
+
+// Payload formats for webhook endpoints. A connector is
+// { name, events: [event types it handles], format(event) }, format
+// returning { body, headers? } to send, or null to skip the event.
+// event is the stored OutboxEvent: { _id, type, occurredAt, actor, data }.
+
+const CONNECTORS = { generic, workday };
+
+// The connector by name (default generic); undefined for unknown names
+const get = (name) => CONNECTORS[name || "generic"];
+
+module.exports = { CONNECTORS, get };
@@ -0,0 +1,18 @@
+// The default connector: every event as-is, in one envelope
+// { id, type, occurredAt, actor, data }
+
+const EVENTS = ["action.applied", "employee.updated", "analysis.completed"];
+
+function format(event) {
+  return {
+    body: {
+      id: String(event._id),
+      type: event.type,
+      occurredAt: event.occurredAt,
+      actor: event.actor || null,
+      data: event.data,
+    },
+  };
+}
+
+module.exports = { name: "generic", events: EVENTS, format };
@@ -0,0 +1,149 @@
+const audit = require("../audit");
+const currency = require("../currency");
+const connectors = require("./connectors");
+const outbox = require("./outbox");
+
+// Outbound integration events for HRIS and other downstream systems. Each
+// event is queued in the outbox, in the transaction of the change it reports
+// (session, see outbox.emit), and POSTed, signed, to every webhook endpoint
+// subscribed to it, in the format of the endpoint's connector:
+// - action.applied: an approved action changed an employee
+// - employee.updated: an employee was created or changed (edit, bulk,
+//   import, applied action or revert); only sent when fields changed
+// - analysis.completed: an analysis run was recorded
+
+const EVENT_TYPES = [
+  "action.applied",
+  "employee.updated",
+  "analysis.completed",
+];
+
+// Employee fields sent with events
+const employeeSnapshot = (emp) => {
+  const snapshot = { ssid: emp.ssid };
+  for (const field of audit.EMPLOYEE_FIELDS) {
+    if (emp[field] !== undefined) snapshot[field] = emp[field];
+  }
+  snapshot.currency = currency.currencyOf(emp);
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Returns an error message, or null when the endpoint can be stored
+function validateEndpoint(fields) {
+  if (typeof fields.name !== "string" || !fields.name.trim()) {
+    return "name is required";
+  }
+  let url;
+  try {
+    url = new URL(fields.url);
+  } catch (e) {
+    return "url must be a valid URL";
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return "url must be http or https";
+  }
+  if (fields.connector !== undefined && !connectors.get(fields.connector)) {
+    return `connector must be one of: ${Object.keys(connectors.CONNECTORS).join(
+      ", "
+    )}`;
+  }
+  if (fields.events !== undefined) {
+    if (
+      !Array.isArray(fields.events) ||
+      fields.events.some((e) => !EVENT_TYPES.includes(e))
+    ) {
+      return `events must be an array of: ${EVENT_TYPES.join(", ")}`;
+    }
+    const handled = connectors.get(fields.connector).events;
+    const unhandled = fields.events.filter((e) => !handled.includes(e));
+    if (unhandled.length > 0) {
+      return `The ${fields.connector} connector does not handle ${unhandled.join(
+        ", "
+      )}`;
+    }
+  }
+  if (fields.secret !== undefined && typeof fields.secret !== "string") {
+    return "secret must be a string";
+  }
+  return null;
+}
+
+// An approved action was applied. proposal: the APPLIED Action; emp: the
+// employee after it.
+const actionApplied = (proposal, emp, { actor, session } = {}) =>
+  outbox.emit(
+    "action.applied",
+    {
+      actionId: String(proposal._id),
+      ssid: proposal.ssid,
+      action: proposal.action,
+      proposedBy: proposal.proposedBy,
+      reviewedBy: proposal.reviewedBy || null,
+      appliedAt: proposal.appliedAt,
+      details: JSON.parse(JSON.stringify(proposal.details || {})),
+      employee: employeeSnapshot(emp),
+    },
+    { actor, ssid: proposal.ssid, session }
+  );
+
+// An employee was saved. before is null for a new employee. source: "api",
+// "bulk", "import", "action" or "revert".
+async function employeeUpdated({ before, after, source, actor, session }) {
+  const changes = audit.diffFields(before, after, audit.EMPLOYEE_FIELDS);
+  if (changes.length === 0) return null;
+  return outbox.emit(
+    "employee.updated",
+    {
+      ssid: after.ssid,
+      created: !before,
+      source,
+      changes,
+      employee: employeeSnapshot(after),
+    },
+    { actor, ssid: after.ssid, session }
+  );
+}
+
+// An analysis run was recorded (see runs.executeRun). Per-employee results
+// are left out; fetch GET /api/runs/:id for them.
+function analysisCompleted(run, { actor, session } = {}) {
+  const actions = {};
+  for (const r of run.results || []) {
+    const action = r.suggestion?.action;
+    if (action) actions[action] = (actions[action] || 0) + 1;
+  }
+  const { summary = {} } = run;
+  return outbox.emit(
+    "analysis.completed",
+    {
+      runId: String(run._id),
+      schedule: run.schedule ? String(run.schedule) : null,
+      engine: run.engine,
+      asOf: run.asOf,
+      completedAt: run.completedAt,
+      employeesAnalyzed: run.employeesAnalyzed,
+      actions,
+      summary: {
+        currency: currency.currencyOf(summary),
+        companyBudget: summary.companyBudget,
+        totalCurrentSalaries: summary.totalCurrentSalaries,
+        totalSuggestedSalaries: summary.totalSuggestedSalaries,
+        projectedSavings: summary.projectedSavings,
+      },
+    },
+    { actor, session }
+  );
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CONNECTORS: connectors.CONNECTORS,
+  validateEndpoint,
+  actionApplied,
+  employeeUpdated,
+  analysisCompleted,
+  retry: outbox.retry,
+  tick: outbox.tick,
+  start: outbox.start,
+  stop: outbox.stop,
+};
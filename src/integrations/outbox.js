@@ -0,0 +1,276 @@
+const os = require("os");
+const axios = require("axios");
+const OutboxEvent = require("../models/OutboxEvent");
+const WebhookEndpoint = require("../models/WebhookEndpoint");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const { signatureHeaders } = require("../notify/webhook");
+const connectors = require("./connectors");
+
+// Durable outbox for integration events. emit() stores the event and one
+// pending delivery per subscribed endpoint in the caller's transaction, so
+// they are saved together with the change they report or not at all; a
+// background loop in every server process sends them. Failed attempts are
+// retried with exponential backoff until MAX_ATTEMPTS, after which the delivery is dead and stays in
+// the dead-letter list until someone retries it. Endpoints that reject an
+// event outright (a 4xx other than 408 or 429) are not retried.
+//
+// Deliveries are claimed with a lease like scheduled analyses (see
+// scheduler.js), so each attempt is made by one process only. Events can
+// arrive out of order while one is being retried; receivers should order by
+// occurredAt and drop repeated X-Event-Id values.
+
+const TICK_MS = Number(process.env.INTEGRATION_TICK_MS) || 15 * 1000;
+const TIMEOUT_MS = Number(process.env.INTEGRATION_TIMEOUT_MS) || 10 * 1000;
+const MAX_ATTEMPTS = Number(process.env.INTEGRATION_MAX_ATTEMPTS) || 8;
+const BACKOFF_MS = Number(process.env.INTEGRATION_BACKOFF_MS) || 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const LEASE_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+const LOG_SIZE = 20;
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+const outboxError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Wait before attempt number attempts + 1: 30s, 1m, 2m, ... up to 6h
+const backoff = (attempts) =>
+  Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const retryable = (statusCode) =>
+  statusCode === undefined ||
+  statusCode >= 500 ||
+  statusCode === 408 ||
+  statusCode === 429;
+
+// Whether an endpoint wants an event type, and its connector can format it
+function subscribes(endpoint, type) {
+  const connector = connectors.get(endpoint.connector);
+  return (
+    Boolean(connector) &&
+    connector.events.includes(type) &&
+    (endpoint.events.length === 0 || endpoint.events.includes(type))
+  );
+}
+
+// Queue an event for every enabled endpoint that subscribes to it, within
+// session: pass the transaction that makes the change being reported (see
+// db.withTransaction). Nothing is stored when no endpoint does. Returns the
+// event, or null. Deliveries queued in a transaction are sent on the next
+// tick, once it has committed.
+async function emit(type, data, { actor, ssid, session } = {}) {
+  const endpoints = (
+    await WebhookEndpoint.find({ enabled: true }, null, { session }).lean()
+  ).filter((endpoint) => subscribes(endpoint, type));
+  if (endpoints.length === 0) return null;
+  const [event] = await OutboxEvent.create([{ type, data, actor, ssid }], {
+    session,
+  });
+  await WebhookDelivery.insertMany(
+    endpoints.map((endpoint) => ({
+      event: event._id,
+      eventType: type,
+      endpoint: endpoint._id,
+    })),
+    { session }
+  );
+  if (!session) kick();
+  return event;
+}
+
+const snippet = (data) =>
+  typeof data === "string" ? data.slice(0, 500) : undefined;
+
+// POST the event to the endpoint once and record the outcome
+async function attempt(delivery) {
+  const [event, endpoint] = await Promise.all([
+    OutboxEvent.findById(delivery.event).lean(),
+    WebhookEndpoint.findById(delivery.endpoint).lean(),
+  ]);
+  const attemptNumber = delivery.attempts + 1;
+  const entry = { at: new Date(), attempt: attemptNumber };
+  const update = { lockedUntil: null, lockedBy: null };
+
+  const connector = endpoint && connectors.get(endpoint.connector);
+  const request = event && connector && connector.format(event);
+  if (!event || !connector) {
+    entry.error = !endpoint
+      ? "Endpoint was deleted"
+      : !connector
+        ? `Unknown connector ${endpoint.connector}`
+        : "Event was deleted";
+    Object.assign(update, { status: "dead", lastError: entry.error });
+  } else if (!request) {
+    entry.note = `The ${connector.name} connector has no payload for this event`;
+    Object.assign(update, { status: "skipped", lastError: null });
+  } else {
+    const body = JSON.stringify(request.body);
+    const started = Date.now();
+    try {
+      const res = await axios.post(endpoint.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Event-Id": String(event._id),
+          "X-Event-Type": event.type,
+          "X-Delivery-Id": String(delivery._id),
+          "X-Delivery-Attempt": String(attemptNumber),
+          ...signatureHeaders(body, endpoint.secret),
+          ...request.headers,
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        responseType: "text",
+        validateStatus: () => true,
+      });
+      entry.statusCode = res.status;
+      entry.response = snippet(res.data);
+      if (res.status < 200 || res.status >= 300) {
+        entry.error = `Endpoint responded ${res.status}`;
+      }
+    } catch (e) {
+      entry.error = e.message;
+    }
+    entry.durationMs = Date.now() - started;
+
+    update.attempts = attemptNumber;
+    if (!entry.error) {
+      Object.assign(update, {
+        status: "delivered",
+        deliveredAt: entry.at,
+        lastError: null,
+      });
+    } else if (retryable(entry.statusCode) && attemptNumber < MAX_ATTEMPTS) {
+      Object.assign(update, {
+        lastError: entry.error,
+        nextAttemptAt: new Date(Date.now() + backoff(attemptNumber)),
+      });
+    } else {
+      Object.assign(update, { status: "dead", lastError: entry.error });
+    }
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: update, $push: { log: { $each: [entry], $slice: -LOG_SIZE } } },
+    { new: true }
+  ).lean();
+}
+
+const leaseFree = (now) => ({
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+});
+
+// Attempt every due delivery to an enabled endpoint that this process
+// manages to claim. Deliveries to disabled endpoints wait until re-enabled.
+async function tick(now = new Date()) {
+  const enabled = await WebhookEndpoint.find({ enabled: true }, { _id: 1 });
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    endpoint: { $in: enabled.map((e) => e._id) },
+    nextAttemptAt: { $lte: now },
+    ...leaseFree(now),
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+  for (const delivery of due) {
+    const claimed = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: "pending", ...leaseFree(now) },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+          lockedBy: INSTANCE,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!claimed) continue; // another process got it
+    try {
+      await attempt(claimed);
+    } catch (err) {
+      console.error(`Webhook delivery ${claimed._id} failed:`, err);
+    }
+  }
+}
+
+// Queue a dead delivery again with a fresh set of attempts.
+// Returns the delivery, or throws 404 / 409.
+async function retry(id) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: "dead" },
+    {
+      $set: {
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (delivery) {
+    kick();
+    return delivery;
+  }
+  const existing = await WebhookDelivery.findById(id, { status: 1 }).lean();
+  if (!existing) throw outboxError("Delivery not found", 404);
+  throw outboxError(
+    `Delivery is ${existing.status}, only dead deliveries can be retried`,
+    409
+  );
+}
+
+let timer = null;
+let ticking = false;
+let kicked = false;
+
+// Send due deliveries now rather than on the next tick, e.g. after an emit
+function kick() {
+  if (!timer) return;
+  if (ticking) kicked = true;
+  else setImmediate(run);
+}
+
+async function run() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    await tick();
+  } catch (err) {
+    console.error("Webhook delivery tick failed:", err);
+  } finally {
+    ticking = false;
+    if (kicked) {
+      kicked = false;
+      setImmediate(run);
+    }
+  }
+}
+
+// Start delivering unless INTEGRATIONS_ENABLED is "false". Ticks never
+// overlap.
+function start() {
+  if (timer || process.env.INTEGRATIONS_ENABLED === "false") return;
+  timer = setInterval(run, TICK_MS);
+  timer.unref();
+  setImmediate(run);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  backoff,
+  subscribes,
+  emit,
+  attempt,
+  tick,
+  retry,
+  start,
+  stop,
+};
@@ -0,0 +1,108 @@
+// Workday-style compensation events, shaped after the Request Compensation
+// Change and Terminate Employee business processes: applied promotions and
+// salary cuts become Compensation_Change_Event, terminations
+// Termination_Event. Salary corrections made outside an action (edits,
+// imports, reverts) are sent as compensation changes too; other events and
+// field changes have no Workday counterpart and are skipped.
+
+const EVENTS = ["action.applied", "employee.updated"];
+
+// Change_Reason_ID per action, and per employee.updated source
+const ACTION_REASONS = {
+  PROMOTE: "Promotion",
+  DECREASE_SALARY: "Compensation_Adjustment_Decrease",
+};
+const UPDATE_REASONS = {
+  revert: "Correction",
+};
+const DATA_CHANGE_REASON = "Data_Change";
+const TERMINATION_REASON = "Involuntary_Performance";
+
+const dateOnly = (value) => new Date(value).toISOString().slice(0, 10);
+
+const source = (event, extra) => ({
+  System_ID: "employee-analytics",
+  Event_Reference: String(event._id),
+  ...extra,
+});
+
+function compensationChange(event, employee, pay) {
+  return {
+    Compensation_Change_Event: {
+      Event_ID: String(event._id),
+      Worker_Reference: { Employee_ID: employee.ssid },
+      Effective_Date: dateOnly(pay.effectiveAt),
+      Reason_Reference: { Change_Reason_ID: pay.reason },
+      Base_Pay: {
+        Compensation_Plan_ID: "Base_Salary",
+        Amount: pay.amount,
+        Previous_Amount: pay.previousAmount ?? null,
+        Change_Percent: pay.changePercent ?? null,
+        Currency_ID: employee.currency,
+        Frequency_ID: "Annual",
+      },
+      Source: source(event, pay.source),
+    },
+  };
+}
+
+function termination(event, employee, { effectiveAt, actionId }) {
+  return {
+    Termination_Event: {
+      Event_ID: String(event._id),
+      Worker_Reference: { Employee_ID: employee.ssid },
+      Termination_Date: dateOnly(effectiveAt),
+      Primary_Reason_Reference: { Termination_Reason_ID: TERMINATION_REASON },
+      Source: source(event, { Action_ID: actionId }),
+    },
+  };
+}
+
+function fromAction(event) {
+  const { action, actionId, appliedAt, details = {}, employee } = event.data;
+  if (action === "FIRE") {
+    return termination(event, employee, { effectiveAt: appliedAt, actionId });
+  }
+  if (!ACTION_REASONS[action]) return null;
+  return compensationChange(event, employee, {
+    effectiveAt: appliedAt,
+    reason: ACTION_REASONS[action],
+    amount: details.newSalary,
+    previousAmount: details.previousSalary,
+    changePercent: details.changePercent,
+    source: { Action_ID: actionId },
+  });
+}
+
+function fromUpdate(event) {
+  const { source: updateSource, created, changes = [], employee } = event.data;
+  // Applied actions arrive as action.applied; new hires are not comp events
+  if (updateSource === "action" || created) return null;
+  const salary = changes.find((c) => c.field === "salary");
+  if (!salary || typeof salary.to !== "number") return null;
+  const changePercent =
+    typeof salary.from === "number" && salary.from > 0
+      ? Math.round(((salary.to - salary.from) / salary.from) * 1000) / 10
+      : null;
+  return compensationChange(event, employee, {
+    effectiveAt: event.occurredAt,
+    reason: UPDATE_REASONS[updateSource] || DATA_CHANGE_REASON,
+    amount: salary.to,
+    previousAmount: salary.from,
+    changePercent,
+    source: { Update_Source: updateSource },
+  });
+}
+
+// null when the event has no Workday counterpart
+function format(event) {
+  const body =
+    event.type === "action.applied"
+      ? fromAction(event)
+      : event.type === "employee.updated"
+        ? fromUpdate(event)
+        : null;
+  return body && { body };
+}
+
+module.exports = { name: "workday", events: EVENTS, format };
@@ -0,0 +1,248 @@
+const currency = require("./currency");
+
+// Query parameters for the paged employee and action listings
+// (GET /api/employees and GET /api/actions). Lists are comma-separated;
+// money ranges are in the base currency so employees paid in different
+// currencies compare fairly.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// sort=<field> ascending, sort=-<field> descending. Money is compared in the
+// base currency (see baseAmountExpr); employees without an FX rate sort as
+// having none.
+const EMPLOYEE_SORTS = {
+  ssid: "ssid",
+  name: "name",
+  salary: "_listing.salary",
+  revenue: "_listing.revenue",
+  profit: "_listing.profit",
+  experience: "experience",
+  performance: "performance",
+  confidence: "suggestion.confidence",
+  changePercent: "suggestion.recommended_change_percent",
+};
+
+// Sorts and filters that reveal individual pay
+const PAY_SORTS = ["salary", "profit"];
+const PAY_FILTERS = ["salaryMin", "salaryMax", "negativeProfit"];
+
+const listingError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const list = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function parsePage(query) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!(Number.isInteger(page) && page >= 1)) {
+    throw listingError("page must be a positive integer");
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_LIMIT)) {
+    throw listingError(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  return { page, limit };
+}
+
+function parseNumber(query, key) {
+  if (query[key] === undefined || query[key] === "") return undefined;
+  const value = Number(query[key]);
+  if (!Number.isFinite(value)) throw listingError(`${key} must be a number`);
+  return value;
+}
+
+function parseRange(query, field) {
+  const min = parseNumber(query, `${field}Min`);
+  const max = parseNumber(query, `${field}Max`);
+  if (min !== undefined && max !== undefined && min > max) {
+    throw listingError(`${field}Min must not be above ${field}Max`);
+  }
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length ? range : null;
+}
+
+// Parse employee listing parameters:
+// - page, limit: 1-based page of at most limit employees
+// - q: name or ssid contains, case-insensitive
+// - role, status, excludeStatus, action (the suggested action): lists
+// - salaryMin/salaryMax, revenueMin/revenueMax: base-currency ranges
+// - negativeProfit=true: salary above revenue
+// - sort: one of EMPLOYEE_SORTS, "-" prefixed for descending (default ssid)
+// Pay filters and sorts need canReadPay. Throws 400 / 403.
+function parseEmployeeListing(query, { canReadPay = true } = {}) {
+  const { page, limit } = parsePage(query);
+
+  const sortKey = String(query.sort || "ssid").replace(/^-/, "");
+  if (!EMPLOYEE_SORTS[sortKey]) {
+    throw listingError(
+      `sort must be one of: ${Object.keys(EMPLOYEE_SORTS).join(
+        ", "
+      )} (prefix with - for descending)`
+    );
+  }
+  if (
+    !canReadPay &&
+    (PAY_SORTS.includes(sortKey) ||
+      PAY_FILTERS.some((key) => query[key] !== undefined))
+  ) {
+    throw listingError("Filtering or sorting by pay requires salary:read", 403);
+  }
+
+  const match = {};
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    match.$or = [{ name: pattern }, { ssid: pattern }];
+  }
+  if (query.role) match.role = { $in: list(query.role) };
+  if (query.status || query.excludeStatus) {
+    match.status = {};
+    if (query.status) match.status.$in = list(query.status);
+    if (query.excludeStatus) match.status.$nin = list(query.excludeStatus);
+  }
+  if (query.action) {
+    match["suggestion.action"] = {
+      $in: list(query.action).map((a) => a.toUpperCase()),
+    };
+  }
+  if (query.negativeProfit !== undefined) {
+    if (!["true", "false"].includes(String(query.negativeProfit))) {
+      throw listingError("negativeProfit must be true or false");
+    }
+    if (String(query.negativeProfit) === "true") {
+      // Salary and revenue share the employee's currency
+      match.$expr = {
+        $lt: [{ $ifNull: ["$revenue", 0] }, { $ifNull: ["$salary", 0] }],
+      };
+    }
+  }
+
+  const ranges = {};
+  for (const field of ["salary", "revenue"]) {
+    const range = parseRange(query, field);
+    if (range) ranges[`_listing.${field}`] = range;
+  }
+
+  const direction = String(query.sort || "").startsWith("-") ? -1 : 1;
+  const sort = { [EMPLOYEE_SORTS[sortKey]]: direction };
+  if (sortKey !== "ssid") sort.ssid = 1; // stable pages
+
+  return { match, ranges, sort, page, limit };
+}
+
+// Aggregation for one page of employees matching listing (from
+// parseEmployeeListing) and scope, with the total number that match and
+// totals over everyone in scope whatever the filters. Totals are in the base
+// currency; employees paid in a currency without a rate in table count
+// under unconverted instead.
+// Results come out as [{ employees, total: [{ n }], totals: [{ count,
+// salary, revenue, profit, atRisk, unconverted }] }]; totals is empty when
+// no one is in scope.
+function employeePipeline(listing, scope, table) {
+  const base = (field) =>
+    currency.baseAmountExpr({ $ifNull: [field, 0] }, table);
+  const filtered = [{ $match: listing.match }, { $match: listing.ranges }];
+  // Null exactly when the employee's currency has no rate
+  const profit = "$_listing.profit";
+  const count = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  return [
+    { $match: scope },
+    {
+      $addFields: {
+        _listing: {
+          salary: currency.baseAmountExpr("$salary", table),
+          revenue: currency.baseAmountExpr("$revenue", table),
+          profit: { $subtract: [base("$revenue"), base("$salary")] },
+        },
+      },
+    },
+    {
+      $facet: {
+        employees: [
+          ...filtered,
+          { $sort: listing.sort },
+          { $skip: (listing.page - 1) * listing.limit },
+          { $limit: listing.limit },
+          { $unset: "_listing" },
+        ],
+        total: [...filtered, { $count: "n" }],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              salary: { $sum: "$_listing.salary" },
+              revenue: { $sum: "$_listing.revenue" },
+              profit: { $sum: profit },
+              // null sorts below numbers, so rule it out first
+              atRisk: count({
+                $and: [{ $ne: [profit, null] }, { $lt: [profit, 0] }],
+              }),
+              unconverted: count({ $eq: [profit, null] }),
+            },
+          },
+          { $unset: "_id" },
+        ],
+      },
+    },
+  ];
+}
+
+// Parse action listing parameters, newest first:
+// - page, limit: as for employees
+// - ssid, status, action: lists
+// - batchId, proposedBy
+// - from/to: created between these dates, inclusive
+// Throws 400.
+function parseActionListing(query) {
+  const { page, limit } = parsePage(query);
+  const match = {};
+  if (query.ssid) match.ssid = { $in: list(query.ssid) };
+  if (query.status) {
+    match.status = { $in: list(query.status).map((s) => s.toUpperCase()) };
+  }
+  if (query.action) {
+    match.action = { $in: list(query.action).map((a) => a.toUpperCase()) };
+  }
+  if (query.batchId) match.batchId = String(query.batchId);
+  if (query.proposedBy) match.proposedBy = String(query.proposedBy);
+  for (const [key, op] of [
+    ["from", "$gte"],
+    ["to", "$lte"],
+  ]) {
+    if (!query[key]) continue;
+    const at = new Date(query[key]);
+    if (isNaN(at)) throw listingError(`${key} must be a valid date`);
+    match.createdAt = { ...match.createdAt, [op]: at };
+  }
+  return { match, sort: { createdAt: -1, _id: -1 }, page, limit };
+}
+
+// Paging fields for a listing response
+const pageInfo = ({ page, limit }, total, count) => ({
+  count,
+  total,
+  page,
+  limit,
+  pages: Math.ceil(total / limit),
+});
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  EMPLOYEE_SORTS,
+  parseEmployeeListing,
+  employeePipeline,
+  parseActionListing,
+  pageInfo,
+};
@@ -0,0 +1,45 @@
+const axios = require("axios");
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Anthropic Messages API
+function createAnthropicProvider(config) {
+  if (!config.apiKey) {
+    throw new Error("ANTHROPIC_API_KEY is required for the anthropic provider");
+  }
+
+  return {
+    name: "anthropic",
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ system, user }) {
+      const resp = await axios.post(
+        `${config.baseUrl}/messages`,
+        {
+          model: config.model,
+          system,
+          messages: [{ role: "user", content: user }],
+          max_tokens: config.maxTokens,
+          temperature: config.temperature,
+        },
+        {
+          headers: {
+            "x-api-key": config.apiKey,
+            "anthropic-version": ANTHROPIC_VERSION,
+            "Content-Type": "application/json",
+          },
+          timeout: config.timeoutMs,
+        }
+      );
+
+      const text = (resp.data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+      if (!text) throw new Error("Empty response from Anthropic");
+      return text;
+    },
+  };
+}
+
+module.exports = { createAnthropicProvider };
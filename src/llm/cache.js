@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const LlmResponse = require("../models/LlmResponse");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same provider, model, prompt version and prompt text -> same key
+function cacheKey({ provider, model, version, system, user }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([provider, model, version, system, user]))
+    .digest("hex");
+}
+
+// Process-local cache, for offline runs
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, text) {
+      entries.set(key, text);
+    },
+  };
+}
+
+// Responses stored in the LlmResponse collection for ttlDays
+function createMongoCache(ttlDays) {
+  return {
+    async get(key) {
+      const doc = await LlmResponse.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+      }).lean();
+      return doc ? doc.text : null;
+    },
+    async set(key, text, meta = {}) {
+      await LlmResponse.findOneAndUpdate(
+        { key },
+        {
+          $set: {
+            ...meta,
+            text,
+            expiresAt: new Date(Date.now() + ttlDays * DAY_MS),
+          },
+        },
+        { upsert: true }
+      );
+    },
+  };
+}
+
+module.exports = { cacheKey, createMemoryCache, createMongoCache };
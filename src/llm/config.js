@@ -0,0 +1,80 @@
+// Provider configuration from environment variables. Each provider reads its
+// own prefix, e.g. ANTHROPIC_MODEL, ANTHROPIC_TEMPERATURE, ANTHROPIC_TIMEOUT_MS.
+
+const PROVIDER_DEFAULTS = {
+  openai: {
+    prefix: "OPENAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o-mini",
+    temperature: 0.3,
+    timeoutMs: 30000,
+  },
+  anthropic: {
+    prefix: "ANTHROPIC",
+    baseUrl: "https://api.anthropic.com/v1",
+    model: "claude-3-5-haiku-latest",
+    temperature: 0.3,
+    timeoutMs: 30000,
+  },
+  local: {
+    prefix: "LOCAL_LLM",
+    baseUrl: "http://localhost:11434",
+    model: "llama3.1",
+    temperature: 0.3,
+    timeoutMs: 120000,
+  },
+  mock: {
+    prefix: "MOCK_LLM",
+    baseUrl: null,
+    model: "mock-deterministic",
+    temperature: 0,
+    timeoutMs: 5000,
+  },
+};
+
+const numberFromEnv = (env, name, fallback) => {
+  const value = Number(env[name]);
+  return env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+function providerConfig(name, env = process.env) {
+  const defaults = PROVIDER_DEFAULTS[name];
+  if (!defaults) return null;
+  const p = defaults.prefix;
+  return {
+    name,
+    baseUrl: env[`${p}_BASE_URL`] || defaults.baseUrl,
+    apiKey: env[`${p}_API_KEY`],
+    model: env[`${p}_MODEL`] || defaults.model,
+    temperature: numberFromEnv(env, `${p}_TEMPERATURE`, defaults.temperature),
+    timeoutMs: numberFromEnv(env, `${p}_TIMEOUT_MS`, defaults.timeoutMs),
+    maxTokens: numberFromEnv(env, `${p}_MAX_TOKENS`, 600),
+  };
+}
+
+// LLM_PROVIDER picks the provider ("none" disables the model). Without it,
+// OpenAI is used when OPENAI_API_KEY is set, as before.
+function selectedProviderName(env = process.env) {
+  if (env.LLM_PROVIDER) return env.LLM_PROVIDER.toLowerCase();
+  return env.OPENAI_API_KEY ? "openai" : "none";
+}
+
+// Limits shared by every provider. A rate of 0 means unlimited.
+function analysisLimits(env = process.env) {
+  const n = (name, fallback) => numberFromEnv(env, name, fallback);
+  return {
+    concurrency: n("LLM_CONCURRENCY", 4),
+    requestsPerMinute: n("LLM_REQUESTS_PER_MINUTE", 60),
+    tokensPerMinute: n("LLM_TOKENS_PER_MINUTE", 0),
+    retries: n("LLM_MAX_RETRIES", 3),
+    retryBaseMs: n("LLM_RETRY_BASE_MS", 1000),
+    cacheTtlDays: n("LLM_CACHE_TTL_DAYS", 30),
+  };
+}
+
+module.exports = {
+  PROVIDER_DEFAULTS,
+  providerConfig,
+  selectedProviderName,
+  analysisLimits,
+};
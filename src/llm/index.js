@@ -0,0 +1,146 @@
+const {
+  providerConfig,
+  selectedProviderName,
+  PROVIDER_DEFAULTS,
+  analysisLimits,
+} = require("./config");
+const { cacheKey, createMongoCache } = require("./cache");
+const { createRateLimiter, withRetry } = require("./limiter");
+const { createOpenAIProvider } = require("./openai");
+const { createAnthropicProvider } = require("./anthropic");
+const { createLocalProvider } = require("./local");
+const { createMockProvider } = require("./mock");
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  local: createLocalProvider,
+  mock: createMockProvider,
+};
+
+// Build a provider by name. Returns null for "none".
+function createProvider(name, overrides = {}) {
+  if (name === "none") return null;
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}", expected one of: ${Object.keys(
+        FACTORIES
+      ).join(", ")}, none`
+    );
+  }
+  return factory({ ...providerConfig(name), ...overrides });
+}
+
+let cached;
+
+// The provider selected by configuration, created once. Returns null when
+// no model is configured, in which case analysis uses the heuristic.
+function getProvider() {
+  if (cached === undefined) {
+    try {
+      cached = createProvider(selectedProviderName());
+    } catch (e) {
+      console.warn(`LLM provider disabled: ${e.message}`);
+      cached = null;
+    }
+  }
+  return cached;
+}
+
+const limiters = new Map();
+
+// One limiter per provider, shared by every analysis in this process, since
+// rate limits apply per API key rather than per request
+function getLimiter(provider) {
+  if (!limiters.has(provider.name)) {
+    limiters.set(provider.name, createRateLimiter(analysisLimits()));
+  }
+  return limiters.get(provider.name);
+}
+
+let defaultCache;
+
+function getCache() {
+  if (!defaultCache) {
+    defaultCache = createMongoCache(analysisLimits().cacheTtlDays);
+  }
+  return defaultCache;
+}
+
+// Rough token count for rate limiting: ~4 characters per token plus the
+// completion budget
+const estimateTokens = (provider, { system, user }) =>
+  Math.ceil(((system || "").length + (user || "").length) / 4) +
+  (provider.maxTokens || 0);
+
+// Run one completion through the response cache, the provider's rate limiter
+// and the retry policy.
+// prompt: { system, user, version }
+// options.cache: response cache (default: Mongo-backed), or false for none
+// options.refresh: ignore cached responses but still store new ones
+// options.accept(text): return false to keep a response out of the cache
+// options.stats: { requests, cacheHits, retries } counters, updated in place
+async function complete(provider, prompt, options = {}) {
+  const stats = options.stats || {};
+  const cache = options.cache === false ? null : options.cache || getCache();
+  const key = cacheKey({
+    provider: provider.name,
+    model: provider.model,
+    version: prompt.version,
+    system: prompt.system,
+    user: prompt.user,
+  });
+
+  if (cache && !options.refresh) {
+    try {
+      const text = await cache.get(key);
+      if (text) {
+        stats.cacheHits = (stats.cacheHits || 0) + 1;
+        return text;
+      }
+    } catch (e) {
+      console.warn("LLM cache read failed:", e.message);
+    }
+  }
+
+  const limits = analysisLimits();
+  const limiter = getLimiter(provider);
+  const text = await withRetry(
+    () => {
+      stats.requests = (stats.requests || 0) + 1;
+      return limiter.run(
+        () => provider.complete(prompt),
+        estimateTokens(provider, prompt)
+      );
+    },
+    {
+      retries: limits.retries,
+      baseDelayMs: limits.retryBaseMs,
+      onRetry: () => {
+        stats.retries = (stats.retries || 0) + 1;
+      },
+    }
+  );
+
+  if (cache && (!options.accept || options.accept(text))) {
+    try {
+      await cache.set(key, text, {
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: prompt.version,
+      });
+    } catch (e) {
+      console.warn("LLM cache write failed:", e.message);
+    }
+  }
+  return text;
+}
+
+module.exports = {
+  PROVIDERS: Object.keys(PROVIDER_DEFAULTS),
+  createProvider,
+  getProvider,
+  getLimiter,
+  complete,
+};
@@ -0,0 +1,132 @@
+// Concurrency and rate limiting for model calls, plus retry with backoff.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const MINUTE_MS = 60 * 1000;
+
+// Continuously refilling bucket; capacity 0 means unlimited
+function createBucket(perMinute) {
+  let available = perMinute;
+  let updatedAt = Date.now();
+  return {
+    // Milliseconds until `amount` can be taken (0 when it can be taken now)
+    waitFor(amount) {
+      if (!perMinute) return 0;
+      const now = Date.now();
+      available = Math.min(
+        perMinute,
+        available + ((now - updatedAt) * perMinute) / MINUTE_MS
+      );
+      updatedAt = now;
+      const needed = Math.min(amount, perMinute) - available;
+      return needed > 0 ? Math.ceil((needed * MINUTE_MS) / perMinute) : 0;
+    },
+    take(amount) {
+      if (perMinute) available -= Math.min(amount, perMinute);
+    },
+  };
+}
+
+// limits: { concurrency, requestsPerMinute, tokensPerMinute }
+// run(fn, tokens) waits for a free slot and enough request/token budget,
+// then calls fn. Waiters are served in arrival order.
+function createRateLimiter(limits = {}) {
+  const concurrency = Math.max(1, limits.concurrency || 1);
+  const requests = createBucket(limits.requestsPerMinute);
+  const tokens = createBucket(limits.tokensPerMinute);
+  const waiting = [];
+  let active = 0;
+  let admitting = Promise.resolve();
+
+  // A released slot is handed straight to the next waiter
+  const acquireSlot = () => {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  };
+
+  const releaseSlot = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  };
+
+  async function admit(cost) {
+    for (;;) {
+      const wait = Math.max(requests.waitFor(1), tokens.waitFor(cost));
+      if (wait === 0) break;
+      await sleep(wait);
+    }
+    requests.take(1);
+    tokens.take(cost);
+  }
+
+  return {
+    concurrency,
+    async run(fn, cost = 0) {
+      await acquireSlot();
+      try {
+        const turn = admitting.then(() => admit(cost));
+        admitting = turn.catch(() => {});
+        await turn;
+        return await fn();
+      } finally {
+        releaseSlot();
+      }
+    },
+  };
+}
+
+// Rate limits, server errors and dropped connections are worth retrying
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return ["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN"].includes(
+    err.code
+  );
+}
+
+// Honour a Retry-After header (seconds) when the server sends one
+function retryDelay(err, attempt, baseDelayMs) {
+  const retryAfter = Number(err.response?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  const backoff = baseDelayMs * 2 ** attempt;
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// options: { retries, baseDelayMs, onRetry(err, attempt) }
+async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? 3;
+  const baseDelayMs = options.baseDelayMs ?? 1000;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      if (options.onRetry) options.onRetry(err, attempt + 1);
+      await sleep(retryDelay(err, attempt, baseDelayMs));
+    }
+  }
+}
+
+// Map items through fn with at most `limit` calls in flight, keeping order
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Array.from(
+    { length: Math.min(Math.max(1, limit), items.length) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { createRateLimiter, isRetryable, withRetry, mapConcurrent };
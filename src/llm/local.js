@@ -0,0 +1,40 @@
+const axios = require("axios");
+
+// Self-hosted model behind an Ollama-style /api/chat endpoint
+function createLocalProvider(config) {
+  return {
+    name: "local",
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ system, user }) {
+      const resp = await axios.post(
+        `${config.baseUrl}/api/chat`,
+        {
+          model: config.model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          stream: false,
+          format: "json",
+          options: {
+            temperature: config.temperature,
+            num_predict: config.maxTokens,
+          },
+        },
+        {
+          headers: config.apiKey
+            ? { Authorization: `Bearer ${config.apiKey}` }
+            : {},
+          timeout: config.timeoutMs,
+        }
+      );
+
+      const text = resp.data.message?.content;
+      if (!text) throw new Error("Empty response from local model");
+      return text;
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
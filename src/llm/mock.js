@@ -0,0 +1,62 @@
+// Deterministic stand-in for a model. It reads the figures the analysis
+// prompt already contains and answers with fixed rules, so the same prompt
+// always yields the same recommendation.
+
+const amountAfter = (text, label) => {
+  const match = text.match(new RegExp(`${label}: Rs (-?[\\d,]+)`));
+  return match ? Number(match[1].replace(/,/g, "")) : null;
+};
+
+function mockCompletion(prompt) {
+  const perfMatch = prompt.match(/- Performance: ([\d.]+)/);
+  const perf = perfMatch ? Number(perfMatch[1]) : 5;
+  const profit = amountAfter(prompt, "Profit Contribution");
+  const reference = amountAfter(prompt, "Calculated suggested salary");
+
+  let action = "NO_CHANGE";
+  let change = 0;
+  if (perf <= 3) action = "FIRE";
+  else if (profit !== null && profit < 0) {
+    action = "DECREASE_SALARY";
+    change = -10;
+  } else if (perf >= 8 && (profit === null || profit > 0)) {
+    action = "PROMOTE";
+    change = 10;
+  }
+
+  return JSON.stringify({
+    action,
+    confidence: 0.8,
+    reason: `Mock: perf=${perf}, profit=${profit === null ? "N/A" : profit}`,
+    recommended_change_percent: change,
+    suggestedSalary: reference || 0,
+    salaryReason: "Mock: reference calculation",
+    keyFactors: [
+      {
+        factor: "performance",
+        impact: perf >= 8 ? "positive" : perf <= 3 ? "negative" : "neutral",
+        detail: `Rated ${perf}/10`,
+      },
+      {
+        factor: "profit",
+        impact:
+          profit === null ? "neutral" : profit > 0 ? "positive" : "negative",
+        detail:
+          profit === null ? "No revenue data" : `Profit contribution ${profit}`,
+      },
+    ],
+  });
+}
+
+function createMockProvider(config) {
+  return {
+    name: "mock",
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ user }) {
+      return mockCompletion(user);
+    },
+  };
+}
+
+module.exports = { mockCompletion, createMockProvider };
@@ -0,0 +1,86 @@
+// Stand-in model server for offline runs. Speaks the OpenAI, Anthropic and
+// Ollama wire formats and answers with the deterministic mock responder.
+// Point a provider at it, e.g. OPENAI_BASE_URL=http://localhost:4010/v1
+const express = require("express");
+const { mockCompletion } = require("./mock");
+
+const lastUserMessage = (messages = []) =>
+  [...messages].reverse().find((m) => m.role === "user")?.content || "";
+
+// options.failEvery: answer every nth request with a 429, to exercise
+// retries and backoff (default MOCK_LLM_FAIL_EVERY, 0 = never)
+function createMockServer(options = {}) {
+  const failEvery = Number(
+    options.failEvery ?? process.env.MOCK_LLM_FAIL_EVERY ?? 0
+  );
+  let received = 0;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    received += 1;
+    if (failEvery > 0 && received % failEvery === 0) {
+      return res
+        .status(429)
+        .set("Retry-After", "0")
+        .json({ error: "mock rate limit" });
+    }
+    next();
+  });
+
+  app.post("/v1/chat/completions", (req, res) => {
+    res.json({
+      id: "mock-completion",
+      object: "chat.completion",
+      model: req.body.model,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: mockCompletion(lastUserMessage(req.body.messages)),
+          },
+          finish_reason: "stop",
+        },
+      ],
+    });
+  });
+
+  app.post("/v1/messages", (req, res) => {
+    res.json({
+      id: "mock-message",
+      type: "message",
+      role: "assistant",
+      model: req.body.model,
+      content: [
+        {
+          type: "text",
+          text: mockCompletion(lastUserMessage(req.body.messages)),
+        },
+      ],
+      stop_reason: "end_turn",
+    });
+  });
+
+  app.post("/api/chat", (req, res) => {
+    res.json({
+      model: req.body.model,
+      message: {
+        role: "assistant",
+        content: mockCompletion(lastUserMessage(req.body.messages)),
+      },
+      done: true,
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_LLM_PORT || 4010;
+  createMockServer().listen(port, () => {
+    console.log(`Mock LLM server listening on port ${port}`);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,41 @@
+const axios = require("axios");
+
+// OpenAI and any OpenAI-compatible chat completions endpoint
+function createOpenAIProvider(config) {
+  if (!config.apiKey) {
+    throw new Error("OPENAI_API_KEY is required for the openai provider");
+  }
+
+  return {
+    name: "openai",
+    model: config.model,
+    maxTokens: config.maxTokens,
+    async complete({ system, user }) {
+      const resp = await axios.post(
+        `${config.baseUrl}/chat/completions`,
+        {
+          model: config.model,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: user },
+          ],
+          max_tokens: config.maxTokens,
+          temperature: config.temperature,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${config.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: config.timeoutMs,
+        }
+      );
+
+      const text = resp.data.choices?.[0]?.message?.content;
+      if (!text) throw new Error("Empty response from OpenAI");
+      return text;
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
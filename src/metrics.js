@@ -0,0 +1,210 @@
+const MetricSnapshot = require("./models/MetricSnapshot");
+const normalize = require("./normalize");
+
+const METRICS = ["revenue", "performance", "cost"];
+
+// Snapshots considered for slope and volatility, and for the trailing average
+const TREND_PERIODS = 8;
+const TRAILING_PERIODS = 4;
+
+// Weight of the current value vs the trailing average when blending, and how
+// far ahead the slope is projected
+const CURRENT_WEIGHT = 0.6;
+const PROJECTION_QUARTERS = 1;
+
+// Slopes smaller than this count as flat: 0.25 points/quarter for
+// performance, 2% of the mean per quarter for amounts
+const FLAT_PERFORMANCE_SLOPE = 0.25;
+const FLAT_AMOUNT_SLOPE_PERCENT = 2;
+
+// "2025-Q1", "2025q1", "2025-03" -> { period, periodType, periodStart, months }
+function parsePeriod(value) {
+  const text = String(value || "")
+    .trim()
+    .toUpperCase();
+  let match = text.match(/^(\d{4})\s*-?\s*Q([1-4])$/);
+  if (match) {
+    const year = Number(match[1]);
+    const quarter = Number(match[2]);
+    return {
+      period: `${year}-Q${quarter}`,
+      periodType: "quarter",
+      periodStart: new Date(Date.UTC(year, (quarter - 1) * 3, 1)),
+      months: 3,
+    };
+  }
+  match = text.match(/^(\d{4})-(\d{1,2})$/);
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+    return {
+      period: `${year}-${String(month).padStart(2, "0")}`,
+      periodType: "month",
+      periodStart: new Date(Date.UTC(year, month - 1, 1)),
+      months: 1,
+    };
+  }
+  return null;
+}
+
+const monthsIn = (snapshot) => (snapshot.periodType === "quarter" ? 3 : 1);
+
+// Amounts are annualized so months and quarters can sit in one series and
+// compare with the employee's annual salary and revenue
+function seriesFor(snapshots, metric) {
+  return snapshots
+    .filter((s) => typeof s[metric] === "number")
+    .map((s) => ({
+      period: s.period,
+      at: new Date(s.periodStart).getTime(),
+      value:
+        metric === "performance" ? s[metric] : s[metric] * (12 / monthsIn(s)),
+    }));
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Least-squares slope per quarter over time
+function slopePerQuarter(points) {
+  const QUARTER_MS = (365.25 / 4) * 24 * 60 * 60 * 1000;
+  const xs = points.map((p) => (p.at - points[0].at) / QUARTER_MS);
+  const ys = points.map((p) => p.value);
+  const mx = mean(xs);
+  const my = mean(ys);
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < xs.length; i++) {
+    num += (xs[i] - mx) * (ys[i] - my);
+    den += (xs[i] - mx) ** 2;
+  }
+  return den > 0 ? num / den : 0;
+}
+
+// Trend for one metric, or null with fewer than two data points.
+// volatility is the coefficient of variation (stdev / mean).
+function metricTrend(series, metric) {
+  const points = series.slice(-TREND_PERIODS);
+  if (points.length < 2) return null;
+
+  const values = points.map((p) => p.value);
+  const avg = mean(values);
+  const stdev = Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+  const slope = slopePerQuarter(points);
+  const slopePercent = avg !== 0 ? (slope / Math.abs(avg)) * 100 : 0;
+  const flat =
+    metric === "performance"
+      ? Math.abs(slope) < FLAT_PERFORMANCE_SLOPE
+      : Math.abs(slopePercent) < FLAT_AMOUNT_SLOPE_PERCENT;
+
+  return {
+    periods: points.length,
+    from: points[0].period,
+    to: points[points.length - 1].period,
+    latest: round(values[values.length - 1]),
+    trailingAverage: round(mean(values.slice(-TRAILING_PERIODS))),
+    slopePerQuarter: round(slope),
+    slopePercent: round(slopePercent, 1),
+    volatility: avg !== 0 ? round(stdev / Math.abs(avg), 3) : 0,
+    direction: flat ? "flat" : slope > 0 ? "rising" : "declining",
+  };
+}
+
+// { revenue, performance, cost } trends from an employee's snapshots
+function computeTrends(snapshots) {
+  const sorted = [...snapshots].sort(
+    (a, b) => new Date(a.periodStart) - new Date(b.periodStart)
+  );
+  const trends = {};
+  for (const metric of METRICS) {
+    trends[metric] = metricTrend(seriesFor(sorted, metric), metric);
+  }
+  return trends;
+}
+
+// Blend a current value with its trend: mostly the current value, partly
+// the trailing average, projected PROJECTION_QUARTERS along the slope.
+// Without a trend the current value is returned unchanged.
+function trendAdjusted(current, trend) {
+  if (!trend) return current;
+  const base = current ?? trend.latest;
+  return (
+    CURRENT_WEIGHT * base +
+    (1 - CURRENT_WEIGHT) * trend.trailingAverage +
+    trend.slopePerQuarter * PROJECTION_QUARTERS
+  );
+}
+
+// Trends for many employees at once: Map ssid -> trends
+async function loadTrends(ssids) {
+  const query = Array.isArray(ssids) ? { ssid: { $in: ssids } } : {};
+  const snapshots = await MetricSnapshot.find(query)
+    .sort({ periodStart: 1 })
+    .lean();
+  const bySsid = new Map();
+  for (const s of snapshots) {
+    if (!bySsid.has(s.ssid)) bySsid.set(s.ssid, []);
+    bySsid.get(s.ssid).push(s);
+  }
+  const trends = new Map();
+  for (const [ssid, list] of bySsid) trends.set(ssid, computeTrends(list));
+  return trends;
+}
+
+// Check and convert one snapshot from a request body.
+// Returns { snapshot } or { error }.
+function validateSnapshot(fields, rubrics) {
+  const period = parsePeriod(fields.period);
+  if (!period) {
+    return { error: 'period must look like "2025-Q1" or "2025-03"' };
+  }
+  const snapshot = {
+    period: period.period,
+    periodType: period.periodType,
+    periodStart: period.periodStart,
+    source: fields.source,
+    recordedBy: fields.recordedBy,
+  };
+  for (const key of ["revenue", "cost"]) {
+    if (fields[key] === undefined || fields[key] === null) continue;
+    if (typeof fields[key] !== "number" || fields[key] < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    snapshot[key] = fields[key];
+  }
+  if (fields.performance !== undefined && fields.performance !== null) {
+    const perf = normalize.normalizePerformance(
+      fields.performance,
+      rubrics.performance,
+      { ingest: true }
+    );
+    if (perf.issue) return { error: perf.issue };
+    snapshot.performance = perf.value;
+  }
+  if (METRICS.every((m) => snapshot[m] === undefined)) {
+    return {
+      error: "at least one of revenue, performance or cost is required",
+    };
+  }
+  return { snapshot };
+}
+
+// Insert or replace the snapshot for (ssid, period)
+function saveSnapshot(ssid, snapshot) {
+  return MetricSnapshot.findOneAndUpdate(
+    { ssid, period: snapshot.period },
+    { $set: { ssid, ...snapshot } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+}
+
+module.exports = {
+  METRICS,
+  parsePeriod,
+  computeTrends,
+  trendAdjusted,
+  loadTrends,
+  validateSnapshot,
+  saveSnapshot,
+};
@@ -0,0 +1,23 @@
+const Action = require("./models/Action");
+
+// Data fixes run once at startup, before the server listens. Each one is
+// idempotent, so running them on every start is harmless.
+
+// Actions recorded before proposals existed were applied immediately and
+// have no status. Mark them APPLIED so they can never be approved (and so
+// applied a second time) and can be reverted.
+async function backfillActionStatus() {
+  const result = await Action.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "APPLIED" } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} legacy action(s) APPLIED`);
+  }
+}
+
+async function migrate() {
+  await backfillActionStatus();
+}
+
+module.exports = { migrate, backfillActionStatus };
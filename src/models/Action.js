@@ -5,19 +5,47 @@ const actionSchema = new mongoose.Schema(
     ssid: { type: String, required: true, index: true },
     action: {
       type: String,
-      enum: ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE"],
+      enum: ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE", "REVERT"],
       required: true,
     },
     note: { type: String },
+    // Proposal lifecycle: PROPOSED -> APPROVED -> APPLIED, or REJECTED / EXPIRED.
+    // No default: actions recorded before proposals existed were applied
+    // straight away and are backfilled as APPLIED (see migrations.js).
+    status: {
+      type: String,
+      enum: ["PROPOSED", "APPROVED", "REJECTED", "APPLIED", "EXPIRED"],
+      index: true,
+    },
+    changePercent: { type: Number }, // requested change, resolved on apply
+    proposedBy: { type: String },
+    proposedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+    reviewedBy: { type: String },
+    reviewedAt: { type: Date },
+    reviewComment: { type: String },
+    // Proposals made together (POST /api/action/batch) are approved together
+    batchId: { type: String, index: true },
+    // Latest guardrail check: { outcome: "allow" | "warn", violations, checkedAt }
+    policy: { type: mongoose.Schema.Types.Mixed },
     details: {
       effect: String,
       previousSalary: Number,
       newSalary: Number,
       changePercent: Number,
+      salary: Number,
+      currency: String, // of the salary amounts, the employee's currency
       previousStatus: String,
       newStatus: String,
+      previousTerminatedAt: Date,
+      previousLastPromotedAt: Date,
     },
-    appliedAt: { type: Date, default: Date.now },
+    appliedAt: { type: Date },
+    // Reversal links: a REVERT record points at the action it undid, and the
+    // undone action points back at its REVERT record
+    revertOf: { type: mongoose.Schema.Types.ObjectId, ref: "Action" },
+    revertedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Action" },
+    revertedAt: { type: Date },
   },
   { timestamps: true }
 );
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One execution of POST /api/analyze: what went in and what came out
+const analysisRunSchema = new mongoose.Schema(
+  {
+    budget: { type: Number },
+    asOf: { type: Date },
+    ssids: [String], // requested scope, empty for all employees
+    options: {
+      allocation: String,
+      raisePool: Number,
+      departmentBudgets: { type: mongoose.Schema.Types.Mixed }, // { code: budget }
+      currency: String, // reporting currency of budget, results and summary
+    },
+    engine: {
+      type: String,
+      enum: ["openai", "anthropic", "local", "mock", "heuristic", "mixed"],
+    },
+    engineCounts: { type: mongoose.Schema.Types.Mixed }, // { openai: n, heuristic: n }
+    inputs: { type: mongoose.Schema.Types.Mixed }, // employee snapshot at analysis time
+    results: { type: mongoose.Schema.Types.Mixed }, // [{ ssid, name, role, currentSalary, suggestion }]
+    summary: { type: mongoose.Schema.Types.Mixed },
+    employeesAnalyzed: { type: Number },
+    createdBy: { type: String },
+    schedule: { type: mongoose.Schema.Types.ObjectId, ref: "Schedule" }, // set for scheduled runs
+    startedAt: { type: Date },
+    completedAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("AnalysisRun", analysisRunSchema);
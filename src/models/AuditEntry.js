@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// One entry of the append-only audit log. Entries are chained: hash covers
+// the entry's content and the previous entry's hash (see audit.js).
+const auditEntrySchema = new mongoose.Schema(
+  {
+    seq: { type: Number, required: true, unique: true },
+    at: { type: Date, required: true, index: true },
+    actor: { type: String, required: true, index: true },
+    action: { type: String, required: true }, // e.g. "employee.update"
+    entity: { type: String, required: true }, // model name, e.g. "Employee"
+    entityId: { type: String, default: null },
+    ssid: { type: String, default: null, index: true },
+    changes: { type: mongoose.Schema.Types.Mixed, default: [] }, // [{ field, from, to }]
+    meta: { type: mongoose.Schema.Types.Mixed, default: null },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+  },
+  // Empty objects are part of the hashed content, so keep them
+  { minimize: false, versionKey: false }
+);
+
+auditEntrySchema.index({ "changes.field": 1 });
+
+// Nothing may rewrite or remove an entry once written
+const appendOnly = function (next) {
+  next(new Error("Audit entries are append-only"));
+};
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditEntrySchema.pre(op, appendOnly);
+}
+auditEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+module.exports = mongoose.model("AuditEntry", auditEntrySchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Protected attributes of one employee, kept apart from Employee so that
+// only roles with demographics:read ever load them (see equity.js). Values
+// are free-form labels, e.g. { gender: "female", ageBand: "30-39" }; unset
+// means not disclosed.
+const demographicsSchema = new mongoose.Schema(
+  {
+    ssid: { type: String, required: true, unique: true, index: true },
+    attributes: {
+      gender: String,
+      ethnicity: String,
+      ageBand: String,
+      disability: String,
+      veteranStatus: String,
+    },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Demographics", demographicsSchema);
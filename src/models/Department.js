@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// A team in the org chart. Departments nest through parentCode; employees
+// belong to one through Employee.department.
+const departmentSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true }, // e.g. "ENG-PLATFORM"
+    name: { type: String, required: true },
+    parentCode: { type: String, default: null },
+    costCenter: { type: String },
+    headSsid: { type: String }, // employee who leads the department
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Department", departmentSchema);
@@ -5,6 +5,13 @@ const marketRangeSchema = new mongoose.Schema(
     min: Number,
     mid: Number,
     max: Number,
+    currency: String,
+    // Band the range came from
+    role: String,
+    level: String,
+    source: String,
+    version: Number,
+    effectiveFrom: Date,
   },
   { _id: false }
 );
@@ -19,6 +26,29 @@ const salaryFactorsSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Set when the suggestion came from a budget-optimized analysis
+const allocationSchema = new mongoose.Schema(
+  {
+    requestedRaise: Number,
+    allocatedRaise: Number,
+    priority: Number,
+    capped: Boolean,
+  },
+  { _id: false }
+);
+
+// Why a model recommendation was replaced by the heuristic
+const fallbackSchema = new mongoose.Schema(
+  {
+    reason: { type: String, enum: ["invalid_response", "request_failed"] },
+    provider: String,
+    detail: String,
+    validationErrors: [String],
+    attempts: Number,
+  },
+  { _id: false }
+);
+
 const suggestionSchema = new mongoose.Schema(
   {
     action: {
@@ -36,10 +66,52 @@ const suggestionSchema = new mongoose.Schema(
     salaryReason: String,
     marketSalaryRange: marketRangeSchema,
     salaryFactors: salaryFactorsSchema,
+    // Structured "why": factors, triggered rule, boundaries (see explain.js)
+    explanation: { type: mongoose.Schema.Types.Mixed },
+    allocation: allocationSchema,
+    // Guardrail outcome when rules warned or changed the recommendation:
+    // { outcome, violations, original? } (see policy.js)
+    policy: { type: mongoose.Schema.Types.Mixed },
     // Other fields
     estimatedRevenue: Number,
     profit: Number,
-    using: String,
+    using: String, // provider name or "heuristic"
+    model: String,
+    repairs: Number, // re-prompts needed before the model response validated
+    fallback: fallbackSchema,
+    analysisRun: { type: mongoose.Schema.Types.ObjectId, ref: "AnalysisRun" },
+    // Amounts above are in this currency (the employee's own)
+    currency: String,
+    // Lifecycle (see suggestions.js)
+    status: {
+      type: String,
+      enum: ["PENDING", "ACCEPTED", "REJECTED", "SUPERSEDED", "EXPIRED"],
+    },
+    suggestedAt: Date,
+    expiresAt: Date,
+    resolvedAt: Date,
+    actionId: { type: mongoose.Schema.Types.ObjectId, ref: "Action" }, // the applied action that consumed it
+    rejectedBy: String,
+    rejectionReason: String,
+  },
+  { _id: false }
+);
+
+// A replaced suggestion, in short form
+const pastSuggestionSchema = new mongoose.Schema(
+  {
+    analysisRun: { type: mongoose.Schema.Types.ObjectId, ref: "AnalysisRun" },
+    action: String,
+    confidence: Number,
+    recommended_change_percent: Number,
+    suggestedSalary: Number,
+    currency: String,
+    suggestedAt: Date,
+    status: String,
+    resolvedAt: Date,
+    actionId: { type: mongoose.Schema.Types.ObjectId, ref: "Action" },
+    rejectedBy: String,
+    rejectionReason: String,
   },
   { _id: false }
 );
@@ -48,13 +120,21 @@ const employeeSchema = new mongoose.Schema(
   {
     ssid: { type: String, required: true, unique: true, index: true },
     name: { type: String },
-    performance: { type: mongoose.Schema.Types.Mixed }, // number or string
-    experience: { type: Number },
+    performance: { type: mongoose.Schema.Types.Mixed }, // 0-10 score (older records may hold text)
+    experience: { type: Number }, // years
+    performanceBand: { type: String }, // rubric band for the score, e.g. "strong"
+    experienceBand: { type: String }, // rubric band for the years, e.g. "senior"
     role: { type: String },
+    level: { type: String }, // optional salary band level, e.g. "L3"
+    managerSsid: { type: String, index: true }, // who this employee reports to
+    department: { type: String, index: true }, // Department code
+    costCenter: { type: String }, // overrides the department's cost center
     salary: { type: Number },
     revenue: { type: Number },
+    currency: { type: String }, // of salary, revenue and metric snapshots; base currency when unset
     status: { type: String, default: "ACTIVE" },
     suggestion: suggestionSchema,
+    suggestionHistory: { type: [pastSuggestionSchema], default: undefined }, // latest last
     lastAnalyzed: { type: Date },
     lastPromotedAt: { type: Date },
     terminatedAt: { type: Date },
@@ -63,4 +143,7 @@ const employeeSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+employeeSchema.index({ "suggestion.status": 1 });
+employeeSchema.index({ status: 1, role: 1 }); // listing filters
+
 module.exports = mongoose.model("Employee", employeeSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A pay equity audit (see equity.js), optionally attached to the analysis
+// run whose recommendations it examined
+const equityReportSchema = new mongoose.Schema(
+  {
+    analysisRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AnalysisRun",
+      index: true,
+    },
+    options: {
+      attributes: [String],
+      alpha: Number,
+      minCohort: Number,
+      appliedSince: Date,
+    },
+    currency: String, // of the pay figures in cohorts
+    summary: { type: mongoose.Schema.Types.Mixed },
+    findings: { type: mongoose.Schema.Types.Mixed }, // [{ attribute, group, metric, gap, p, significant, ... }]
+    createdBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EquityReport", equityReportSchema);
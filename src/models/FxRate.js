@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Exchange rate for one currency from a date on: how many units of the base
+// currency (see currency.js) one unit of it buys. Rates are never edited;
+// a new rate is inserted with a later (or the same) effectiveFrom.
+const fxRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, index: true }, // ISO 4217, e.g. "USD"
+    rate: { type: Number, required: true },
+    effectiveFrom: { type: Date, required: true, default: Date.now },
+    source: { type: String },
+    createdBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+fxRateSchema.index({ currency: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model("FxRate", fxRateSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Cached model response, keyed by a hash of the prompt, provider, model and
+// prompt version. Documents expire on their own via the TTL index.
+const llmResponseSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, index: true },
+    provider: { type: String, required: true },
+    model: { type: String },
+    promptVersion: { type: Number },
+    text: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+llmResponseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LlmResponse", llmResponseSchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// One employee's figures for one month or quarter. revenue and cost are for
+// the period itself (not annualized); performance is a 0-10 score.
+const metricSnapshotSchema = new mongoose.Schema(
+  {
+    ssid: { type: String, required: true, index: true },
+    period: { type: String, required: true }, // "2025-Q1" or "2025-03"
+    periodType: { type: String, enum: ["month", "quarter"], required: true },
+    periodStart: { type: Date, required: true },
+    revenue: { type: Number },
+    performance: { type: Number },
+    cost: { type: Number },
+    source: { type: String },
+    recordedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+metricSnapshotSchema.index({ ssid: 1, period: 1 }, { unique: true });
+metricSnapshotSchema.index({ ssid: 1, periodStart: -1 });
+
+module.exports = mongoose.model("MetricSnapshot", metricSnapshotSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// An integration event, written when the change it describes is saved and
+// delivered to endpoints afterwards (see integrations/outbox.js)
+const outboxEventSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true }, // e.g. "action.applied"
+  occurredAt: { type: Date, required: true, default: Date.now },
+  actor: { type: String },
+  ssid: { type: String, default: null, index: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+});
+
+module.exports = mongoose.model("OutboxEvent", outboxEventSchema);
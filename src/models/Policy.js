@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One guardrail rule (see policy.js for the types and their fields)
+const policyRuleSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true }, // e.g. "max-raise-engineers"
+    type: {
+      type: String,
+      enum: ["maxChange", "promotionCooldown", "fireRequiresLowPerformance"],
+      required: true,
+    },
+    description: String,
+    severity: { type: String, enum: ["warn", "block"], default: "block" },
+    enabled: { type: Boolean, default: true },
+    roles: [String], // band roles the rule covers; empty for every role
+    // maxChange
+    maxRaisePercent: Number,
+    maxCutPercent: Number,
+    // promotionCooldown
+    days: Number,
+    // fireRequiresLowPerformance
+    maxPerformance: Number,
+    periods: Number,
+  },
+  { _id: false }
+);
+
+// The guardrail rule set. There is at most one document; without it the
+// built-in rules in policy.js apply.
+const policySchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+    rules: [policyRuleSchema],
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Policy", policySchema);
@@ -0,0 +1,12 @@
+const mongoose = require("mongoose");
+
+// Maps a normalized role title (e.g. "sr engineer") to a band role
+const roleAliasSchema = new mongoose.Schema(
+  {
+    alias: { type: String, required: true, unique: true, index: true },
+    role: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RoleAlias", roleAliasSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Custom normalization rubric for one field. Merged over the built-in
+// rubric in normalize.js, so only the entries that differ need storing.
+const rubricSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["performance", "experience"],
+      required: true,
+      unique: true,
+    },
+    bands: { type: Map, of: Number }, // canonical labels, e.g. strong -> 8
+    labels: { type: Map, of: Number }, // other accepted words and phrases
+    grades: { type: Map, of: Number }, // letter grades (performance only)
+    numericScale: { type: Number }, // max of numeric ratings in incoming data
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Rubric", rubricSchema);
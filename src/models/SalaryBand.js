@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// One version of a market salary band. Versions are never edited in place:
+// an update inserts a new version, so past analyses stay reproducible.
+const salaryBandSchema = new mongoose.Schema(
+  {
+    role: { type: String, required: true, index: true }, // normalized role name
+    level: { type: String, default: null },
+    min: { type: Number, required: true },
+    mid: { type: Number, required: true },
+    max: { type: Number, required: true },
+    expectedRevenue: { type: Number }, // typical annual revenue for the role
+    currency: { type: String }, // of min/mid/max and expectedRevenue; base currency when unset
+    effectiveFrom: { type: Date, required: true, default: Date.now },
+    source: { type: String },
+    version: { type: Number, required: true, default: 1 },
+    createdBy: { type: String },
+    deletedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+salaryBandSchema.index({ role: 1, level: 1, effectiveFrom: -1, version: -1 });
+salaryBandSchema.index({ role: 1, level: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model("SalaryBand", salaryBandSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A named what-if analysis. Params are kept so the scenario can be re-run;
+// the result is the output of the last run and never touches Employee.
+const scenarioSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, index: true },
+    description: { type: String },
+    params: {
+      budget: Number,
+      ssids: [String],
+      asOf: Date,
+      allocation: String,
+      raisePool: Number,
+      overrides: mongoose.Schema.Types.Mixed, // { [ssid]: { field: value } }
+      hires: mongoose.Schema.Types.Mixed, // [employee-like objects]
+      exits: [String],
+      bands: mongoose.Schema.Types.Mixed, // [{ role, level?, min, mid, max }]
+      useAI: Boolean,
+      currency: String, // reporting currency; base currency when unset
+    },
+    result: {
+      summary: mongoose.Schema.Types.Mixed,
+      results: mongoose.Schema.Types.Mixed,
+      employeesAnalyzed: Number,
+    },
+    createdBy: { type: String },
+    lastRunAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Scenario", scenarioSchema);
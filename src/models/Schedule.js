@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// A recurring analysis (see scheduler.js). Times are UTC.
+const scheduleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    enabled: { type: Boolean, default: true },
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    dayOfWeek: { type: Number }, // weekly: 0 (Sunday) - 6
+    dayOfMonth: { type: Number }, // monthly: 1 - 28
+    hour: { type: Number, default: 6 }, // 0 - 23
+    // POST /api/analyze body: { budget, departmentBudgets?, ssids?, allocation?, ... }
+    params: { type: mongoose.Schema.Types.Mixed, required: true },
+    // What counts as a material change since the previous run
+    materiality: {
+      actions: { type: [String], default: ["FIRE"] }, // newly recommended
+      salaryChangePercent: { type: Number, default: 10 }, // suggested salary move
+    },
+    channels: { type: mongoose.Schema.Types.Mixed, default: [] }, // see notify/index.js
+    nextRunAt: { type: Date, index: true },
+    // Held while a run is in progress so no other process starts it too
+    lockedUntil: { type: Date, default: null },
+    lockedBy: { type: String },
+    lastRunAt: { type: Date },
+    lastRun: { type: mongoose.Schema.Types.ObjectId, ref: "AnalysisRun" },
+    lastStatus: { type: String, enum: ["succeeded", "failed"] },
+    lastError: { type: String },
+    // { at, changes, deliveries: [{ type, target, ok, error? }] }
+    lastNotification: { type: mongoose.Schema.Types.Mixed },
+    createdBy: { type: String },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Schedule", scheduleSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Local login account. See auth.js for roles and permissions.
+const userSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, unique: true, index: true },
+    passwordHash: { type: String, required: true },
+    name: { type: String },
+    role: {
+      type: String,
+      enum: ["HR_ADMIN", "FINANCE_VIEWER", "MANAGER"],
+      required: true,
+    },
+    ssid: { type: String }, // the manager's own employee record
+    disabled: { type: Boolean, default: false },
+    lastLoginAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("User", userSchema);
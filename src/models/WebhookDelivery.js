@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One event on its way to one endpoint. Failed attempts are retried with
+// backoff; a delivery that runs out of attempts is dead until retried by hand.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OutboxEvent",
+      required: true,
+    },
+    eventType: { type: String, required: true },
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "skipped", "dead"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+    // Held while an attempt is in progress so no other process sends it too
+    lockedUntil: { type: Date, default: null },
+    lockedBy: { type: String },
+    deliveredAt: { type: Date },
+    lastError: { type: String },
+    // Latest attempts, oldest first:
+    // [{ at, attempt, statusCode?, durationMs?, error?, response?, note? }]
+    log: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
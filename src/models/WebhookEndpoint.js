@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A downstream system that receives integration events (see integrations/)
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    url: { type: String, required: true },
+    secret: { type: String }, // signs each body: X-Signature: sha256=<hmac>
+    events: { type: [String], default: [] }, // empty: every event
+    connector: { type: String, default: "generic" }, // payload format
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: String },
+    updatedBy: { type: String },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
@@ -0,0 +1,343 @@
+const Rubric = require("./models/Rubric");
+
+// Built-in rubrics. Performance maps to a 0-10 score, experience to years.
+// bands are the canonical labels the dashboard shows; labels and grades are
+// other spellings accepted on input.
+const DEFAULT_RUBRICS = {
+  performance: {
+    numericScale: 10,
+    bands: { elite: 9.5, strong: 8, stable: 6, risk: 3 },
+    labels: {
+      outstanding: 9.5,
+      exceptional: 9,
+      excellent: 9,
+      "exceeds expectations": 8,
+      good: 7,
+      "meets expectations": 6,
+      average: 5,
+      avg: 5,
+      "below expectations": 3,
+      poor: 2,
+      low: 2,
+    },
+    grades: {
+      "A+": 10,
+      A: 9,
+      "A-": 8.5,
+      "B+": 8,
+      B: 7,
+      "B-": 6.5,
+      "C+": 6,
+      C: 5,
+      "C-": 4.5,
+      D: 3,
+      E: 2,
+      F: 1,
+    },
+  },
+  experience: {
+    bands: { principal: 12, senior: 7, mid: 4, junior: 1 },
+    labels: {
+      staff: 10,
+      lead: 9,
+      "mid level": 4,
+      entry: 0.5,
+      fresher: 0,
+      intern: 0,
+    },
+  },
+};
+
+// Used when a value is missing or cannot be interpreted, matching the
+// analysis defaults from before rubrics existed
+const DEFAULT_PERFORMANCE_SCORE = 5;
+const DEFAULT_EXPERIENCE_YEARS = 0;
+
+const normalizeLabel = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[_\-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Missing and unreadable values get a default score but no band
+const isKnown = (source) => source !== "missing" && source !== "unrecognized";
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Look a phrase up in a label table: whole phrase first, then any label that
+// appears as whole words inside it ("Very Good" -> good)
+function lookupLabel(text, ...tables) {
+  const key = normalizeLabel(text);
+  for (const table of tables) {
+    if (table && table[key] !== undefined) return table[key];
+  }
+  for (const table of tables) {
+    for (const [label, value] of Object.entries(table || {})) {
+      if (new RegExp(`\\b${label}\\b`).test(key)) return value;
+    }
+  }
+  return undefined;
+}
+
+// Canonical band closest to a value (ties go to the lower band)
+function bandFor(value, bands) {
+  let best = null;
+  for (const [band, bandValue] of Object.entries(bands)) {
+    const distance = Math.abs(value - bandValue);
+    if (
+      !best ||
+      distance < best.distance ||
+      (distance === best.distance && bandValue < best.value)
+    ) {
+      best = { band, value: bandValue, distance };
+    }
+  }
+  return best ? best.band : null;
+}
+
+// Returns { value, band, source, issue? }. source says how the input was
+// read: number, fraction, band, label, grade, missing or unrecognized.
+// options.ingest: numbers are on the rubric's numericScale (incoming data);
+// otherwise numbers are already canonical 0-10 scores.
+function normalizePerformance(
+  raw,
+  rubric = DEFAULT_RUBRICS.performance,
+  options = {}
+) {
+  const result = (value, source, issue) => {
+    const score = round(Math.max(0, Math.min(10, value)));
+    return {
+      value: score,
+      band: isKnown(source) ? bandFor(score, rubric.bands) : null,
+      source,
+      ...(issue ? { issue } : {}),
+    };
+  };
+
+  if (isBlank(raw)) return result(DEFAULT_PERFORMANCE_SCORE, "missing");
+
+  const text = String(raw).trim();
+  const scale = options.ingest ? rubric.numericScale || 10 : 10;
+  const number = typeof raw === "number" ? raw : Number(text);
+  if (Number.isFinite(number)) {
+    if (number < 0 || number > scale) {
+      return result(
+        number < 0 ? 0 : 10,
+        "number",
+        `performance ${number} is outside 0-${scale}`
+      );
+    }
+    return result((number / scale) * 10, "number");
+  }
+
+  // "4/5", "80%"
+  const fraction = text.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (fraction && Number(fraction[2]) > 0) {
+    return result((Number(fraction[1]) / Number(fraction[2])) * 10, "fraction");
+  }
+  const percent = text.match(/^(\d+(?:\.\d+)?)\s*%$/);
+  if (percent) return result(Number(percent[1]) / 10, "fraction");
+
+  const grade = (rubric.grades || {})[text.toUpperCase().replace(/\s+/g, "")];
+  if (grade !== undefined) return result(grade, "grade");
+
+  const bandValue = lookupLabel(text, rubric.bands);
+  if (bandValue !== undefined) return result(bandValue, "band");
+  const labelValue = lookupLabel(text, rubric.labels);
+  if (labelValue !== undefined) return result(labelValue, "label");
+
+  return result(
+    DEFAULT_PERFORMANCE_SCORE,
+    "unrecognized",
+    `performance "${text}" is not a number, grade or known rating`
+  );
+}
+
+// Returns { value, band, source, issue? } with value in years
+function normalizeExperience(raw, rubric = DEFAULT_RUBRICS.experience) {
+  const result = (value, source, issue) => ({
+    value: round(value),
+    band: isKnown(source) ? bandFor(value, rubric.bands) : null,
+    source,
+    ...(issue ? { issue } : {}),
+  });
+
+  if (isBlank(raw)) return result(DEFAULT_EXPERIENCE_YEARS, "missing");
+
+  const text = String(raw).trim();
+  // 5, "5", "5 years", "5+ yrs", "3.5y"
+  const years =
+    typeof raw === "number"
+      ? raw
+      : Number(
+          (text.match(/^(\d+(?:\.\d+)?)\s*\+?\s*(?:y|yr|yrs|year|years)?$/i) ||
+            [])[1]
+        );
+  if (Number.isFinite(years)) {
+    if (years < 0 || years > 60) {
+      return result(
+        Math.max(0, Math.min(60, years)),
+        "number",
+        `experience ${years} is outside 0-60 years`
+      );
+    }
+    return result(years, "number");
+  }
+
+  const bandValue = lookupLabel(text, rubric.bands);
+  if (bandValue !== undefined) return result(bandValue, "band");
+  const labelValue = lookupLabel(text, rubric.labels);
+  if (labelValue !== undefined) return result(labelValue, "label");
+
+  return result(
+    DEFAULT_EXPERIENCE_YEARS,
+    "unrecognized",
+    `experience "${text}" is not a number of years or known level`
+  );
+}
+
+// Canonical copy of an employee plus any values that could not be read.
+// performance becomes a 0-10 score and experience a number of years; the
+// matching dashboard bands are set alongside.
+function normalizeEmployee(emp, rubrics = DEFAULT_RUBRICS, options = {}) {
+  const perf = normalizePerformance(
+    emp.performance,
+    rubrics.performance,
+    options
+  );
+  const exp = normalizeExperience(emp.experience, rubrics.experience);
+  const issues = [];
+  if (perf.issue) {
+    issues.push({
+      field: "performance",
+      value: emp.performance,
+      message: perf.issue,
+    });
+  }
+  if (exp.issue) {
+    issues.push({
+      field: "experience",
+      value: emp.experience,
+      message: exp.issue,
+    });
+  }
+  return {
+    employee: {
+      ...emp,
+      performance: perf.value,
+      experience: exp.value,
+      performanceBand: perf.band,
+      experienceBand: exp.band,
+    },
+    issues,
+  };
+}
+
+// Normalize only the fields present on a partial record (e.g. an import row
+// or an update body), leaving absent fields absent
+function normalizeFields(record, rubrics = DEFAULT_RUBRICS, options = {}) {
+  const fields = {};
+  const issues = [];
+  if (!isBlank(record.performance)) {
+    const perf = normalizePerformance(
+      record.performance,
+      rubrics.performance,
+      options
+    );
+    fields.performance = perf.value;
+    fields.performanceBand = perf.band;
+    if (perf.issue) {
+      issues.push({
+        field: "performance",
+        value: record.performance,
+        message: perf.issue,
+      });
+    }
+  }
+  if (!isBlank(record.experience)) {
+    const exp = normalizeExperience(record.experience, rubrics.experience);
+    fields.experience = exp.value;
+    fields.experienceBand = exp.band;
+    if (exp.issue) {
+      issues.push({
+        field: "experience",
+        value: record.experience,
+        message: exp.issue,
+      });
+    }
+  }
+  return { fields, issues };
+}
+
+const mapToObject = (map) =>
+  map instanceof Map ? Object.fromEntries(map) : map || {};
+
+// Built-in rubric with a stored Rubric document layered on top
+function mergeRubric(kind, doc) {
+  const base = DEFAULT_RUBRICS[kind];
+  if (!doc) return base;
+  return {
+    ...base,
+    numericScale: doc.numericScale || base.numericScale,
+    bands: { ...base.bands, ...mapToObject(doc.bands) },
+    labels: { ...base.labels, ...mapToObject(doc.labels) },
+    grades: base.grades
+      ? { ...base.grades, ...mapToObject(doc.grades) }
+      : undefined,
+  };
+}
+
+// Rubrics in effect: built-in defaults plus any stored overrides
+async function loadRubrics() {
+  const docs = await Rubric.find().lean();
+  const byKind = new Map(docs.map((d) => [d.kind, d]));
+  return {
+    performance: mergeRubric("performance", byKind.get("performance")),
+    experience: mergeRubric("experience", byKind.get("experience")),
+  };
+}
+
+// Returns an error message, or null when a rubric update is usable
+function validateRubric(kind, fields) {
+  if (!DEFAULT_RUBRICS[kind]) {
+    return `kind must be one of: ${Object.keys(DEFAULT_RUBRICS).join(", ")}`;
+  }
+  const max = kind === "performance" ? 10 : 60;
+  for (const key of ["bands", "labels", "grades"]) {
+    const table = fields[key];
+    if (table === undefined) continue;
+    if (typeof table !== "object" || Array.isArray(table) || table === null) {
+      return `${key} must be an object of label -> number`;
+    }
+    if (key === "grades" && kind !== "performance") {
+      return "grades only apply to performance";
+    }
+    for (const [label, value] of Object.entries(table)) {
+      if (typeof value !== "number" || value < 0 || value > max) {
+        return `${key}.${label} must be a number between 0 and ${max}`;
+      }
+    }
+  }
+  if (
+    fields.numericScale !== undefined &&
+    (typeof fields.numericScale !== "number" || fields.numericScale <= 0)
+  ) {
+    return "numericScale must be a positive number";
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RUBRICS,
+  normalizePerformance,
+  normalizeExperience,
+  normalizeEmployee,
+  normalizeFields,
+  loadRubrics,
+  mergeRubric,
+  validateRubric,
+};
@@ -0,0 +1,76 @@
+const { createSmtpTransport } = require("./smtp");
+const currency = require("../currency");
+
+// Email channel. Mail goes out through the SMTP transport configured by
+// SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM,
+// unless another transport with a sendMail({ from, to, subject, text })
+// method is plugged in through setTransport.
+
+let transport;
+
+function smtpConfig(env = process.env) {
+  return {
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || undefined,
+    secure: env.SMTP_SECURE === "true",
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    timeoutMs: Number(env.SMTP_TIMEOUT_MS) || undefined,
+  };
+}
+
+function getTransport() {
+  if (!transport) transport = createSmtpTransport(smtpConfig());
+  return transport;
+}
+
+// Replace the transport, e.g. with a nodemailer transporter or a test double
+function setTransport(next) {
+  transport = next;
+}
+
+const changeLine = (change, code) => {
+  const who = `${change.name || change.ssid} (${change.ssid})`;
+  if (change.kind === "newAction") {
+    return `- ${who}: now ${change.to}${change.from ? `, was ${change.from}` : ""}`;
+  }
+  return `- ${who}: suggested salary ${currency.formatMoney(
+    change.from,
+    code
+  )} -> ${currency.formatMoney(change.to, code)} (${
+    change.changePercent > 0 ? "+" : ""
+  }${change.changePercent}%)`;
+};
+
+// Plain-text mail for a notification (see scheduler.js)
+function formatEmail(notification) {
+  const { schedule, run, changes } = notification;
+  return {
+    subject: `${schedule.name}: ${changes.length} recommendation change${
+      changes.length === 1 ? "" : "s"
+    }`,
+    text: [
+      `Scheduled analysis "${schedule.name}" finished at ${new Date(
+        run.completedAt
+      ).toISOString()}.`,
+      `${run.employeesAnalyzed} employees analyzed, amounts in ${run.currency}.`,
+      "",
+      "Changes since the previous run:",
+      ...changes.map((c) => changeLine(c, run.currency)),
+      "",
+      `Analysis run ${run.id}`,
+    ].join("\n"),
+  };
+}
+
+// channel: { type: "email", to: string[] }
+async function sendEmail(channel, notification) {
+  const from = process.env.SMTP_FROM || "employee-analytics@localhost";
+  await getTransport().sendMail({
+    from,
+    to: channel.to,
+    ...formatEmail(notification),
+  });
+}
+
+module.exports = { smtpConfig, setTransport, formatEmail, sendEmail };
@@ -0,0 +1,64 @@
+const { sendEmail } = require("./email");
+const { sendWebhook } = require("./webhook");
+
+// Notification channels. Each is { type, ...settings }:
+// - email: { to: ["hr@example.com"] }
+// - webhook: { url, secret? }
+
+const CHANNELS = {
+  email: sendEmail,
+  webhook: sendWebhook,
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Returns an error message, or null when the channel can be used
+function validateChannel(channel) {
+  if (!channel || !CHANNELS[channel.type]) {
+    return `channel type must be one of: ${Object.keys(CHANNELS).join(", ")}`;
+  }
+  if (channel.type === "email") {
+    if (
+      !Array.isArray(channel.to) ||
+      channel.to.length === 0 ||
+      channel.to.some((a) => typeof a !== "string" || !EMAIL_PATTERN.test(a))
+    ) {
+      return "email channels need to: a non-empty array of email addresses";
+    }
+  }
+  if (channel.type === "webhook") {
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch (e) {
+      return "webhook channels need a valid url";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return "webhook url must be http or https";
+    }
+  }
+  return null;
+}
+
+// Where a channel delivers to, for delivery results
+const targetOf = (channel) =>
+  channel.type === "email" ? channel.to.join(", ") : channel.url;
+
+// Deliver to every channel. A failing channel never stops the others.
+// Returns [{ type, target, ok, error? }]
+async function send(channels, notification) {
+  const deliveries = [];
+  for (const channel of channels) {
+    const delivery = { type: channel.type, target: targetOf(channel) };
+    try {
+      await CHANNELS[channel.type](channel, notification);
+      deliveries.push({ ...delivery, ok: true });
+    } catch (e) {
+      console.warn(`${channel.type} notification failed:`, e.message);
+      deliveries.push({ ...delivery, ok: false, error: e.message });
+    }
+  }
+  return deliveries;
+}
+
+module.exports = { CHANNELS, validateChannel, send };
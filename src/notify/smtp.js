@@ -0,0 +1,154 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+// Minimal SMTP client: EHLO, STARTTLS when offered, AUTH PLAIN, one message
+// per connection. sendMail takes the same { from, to, subject, text } as a
+// nodemailer transport, so one can be plugged in instead (see email.js).
+
+// config: { host, port, secure, user, pass, timeoutMs, name }
+function createSmtpTransport(config) {
+  if (!config.host) {
+    throw new Error("SMTP_HOST is required for email notifications");
+  }
+  const port = config.port || (config.secure ? 465 : 587);
+  const timeoutMs = config.timeoutMs || 30000;
+
+  // Reads complete (possibly multi-line) replies: "250-..." continues,
+  // "250 ..." ends
+  function replyReader(socket) {
+    let buffer = "";
+    let lines = [];
+    let pending = null;
+    const replies = [];
+    const onData = (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        lines.push(line);
+        if (line[3] === "-") continue;
+        const reply = { code: Number(line.slice(0, 3)), lines };
+        lines = [];
+        if (pending) {
+          pending.resolve(reply);
+          pending = null;
+        } else {
+          replies.push(reply);
+        }
+      }
+    };
+    socket.on("data", onData);
+    return {
+      next() {
+        if (replies.length > 0) return Promise.resolve(replies.shift());
+        return new Promise((resolve, reject) => {
+          pending = { resolve, reject };
+        });
+      },
+      fail(err) {
+        if (pending) pending.reject(err);
+        pending = null;
+      },
+      detach() {
+        socket.removeListener("data", onData);
+      },
+    };
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = config.secure
+        ? tls.connect({ host: config.host, port, servername: config.host })
+        : net.connect({ host: config.host, port });
+      socket.once(config.secure ? "secureConnect" : "connect", () =>
+        resolve(socket)
+      );
+      socket.once("error", reject);
+    });
+  }
+
+  // Dot-stuffed message with headers, CRLF line endings
+  function formatMessage({ from, to, subject, text }) {
+    const body = String(text || "")
+      .replace(/\r?\n/g, "\r\n")
+      .replace(/^\./gm, "..");
+    return [
+      `From: ${from}`,
+      `To: ${to.join(", ")}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: 8bit",
+      "",
+      body,
+    ].join("\r\n");
+  }
+
+  async function sendMail(message) {
+    const to = Array.isArray(message.to) ? message.to : [message.to];
+    let socket = await connect();
+    let reader = replyReader(socket);
+    const fail = (err) => reader.fail(err);
+    const onTimeout = () => fail(new Error("SMTP connection timed out"));
+    const watch = (s) => {
+      s.setTimeout(timeoutMs, onTimeout);
+      s.on("error", fail);
+    };
+    watch(socket);
+
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await reader.next();
+      if (!expected.includes(reply.code)) {
+        throw new Error(
+          `SMTP ${line ? line.split(" ")[0] : "greeting"} failed: ${reply.lines.join(" ")}`
+        );
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      const name = config.name || os.hostname();
+      let ehlo = await command(`EHLO ${name}`, [250]);
+      if (!config.secure && ehlo.lines.some((l) => /STARTTLS/i.test(l))) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = await new Promise((resolve, reject) => {
+          const upgraded = tls.connect(
+            { socket, servername: config.host },
+            () => resolve(upgraded)
+          );
+          upgraded.once("error", reject);
+        });
+        reader = replyReader(socket);
+        watch(socket);
+        ehlo = await command(`EHLO ${name}`, [250]);
+      }
+      if (config.user) {
+        const token = Buffer.from(
+          `\u0000${config.user}\u0000${config.pass || ""}`
+        ).toString("base64");
+        await command(`AUTH PLAIN ${token}`, [235]);
+      }
+      const address = (value) => String(value).replace(/^.*<|>.*$/g, "");
+      await command(`MAIL FROM:<${address(message.from)}>`, [250]);
+      for (const recipient of to) {
+        await command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+      }
+      await command("DATA", [354]);
+      await command(`${formatMessage({ ...message, to })}\r\n.`, [250]);
+      await command("QUIT", [221]).catch(() => {});
+      return { accepted: to };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: "smtp", sendMail };
+}
+
+module.exports = { createSmtpTransport };
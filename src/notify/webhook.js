@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+const axios = require("axios");
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+// JSON body signed with the channel's secret, when it has one:
+// X-Signature: sha256=<hex HMAC of the body>
+function signatureHeaders(body, secret) {
+  if (!secret) return {};
+  const hmac = crypto.createHmac("sha256", secret).update(body).digest("hex");
+  return { "X-Signature": `sha256=${hmac}` };
+}
+
+// channel: { type: "webhook", url: string, secret?: string }
+async function sendWebhook(channel, notification) {
+  const body = JSON.stringify({ event: notification.event, ...notification });
+  await axios.post(channel.url, body, {
+    headers: {
+      "Content-Type": "application/json",
+      ...signatureHeaders(body, channel.secret),
+    },
+    timeout: TIMEOUT_MS,
+  });
+}
+
+module.exports = { signatureHeaders, sendWebhook };
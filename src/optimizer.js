@@ -0,0 +1,138 @@
+// Global budget optimizer: distributes a fixed raise pool across employees
+// by priority instead of letting each suggestion nudge itself independently.
+
+// Relative weight of each priority factor (normalized to sum to 1)
+const DEFAULT_WEIGHTS = {
+  performance: 0.4,
+  profit: 0.35,
+  marketGap: 0.25,
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+function normalizeWeights(weights = {}) {
+  const merged = { ...DEFAULT_WEIGHTS, ...weights };
+  const total =
+    (merged.performance || 0) + (merged.profit || 0) + (merged.marketGap || 0);
+  if (total <= 0) return { ...DEFAULT_WEIGHTS };
+  return {
+    performance: (merged.performance || 0) / total,
+    profit: (merged.profit || 0) / total,
+    marketGap: (merged.marketGap || 0) / total,
+  };
+}
+
+// Priority in [0, 1]: higher performance, higher profit per unit of salary
+// and a salary further below the market midpoint all rank an employee earlier
+function raisePriority({ perfScore, currentSalary, suggestion }, weights) {
+  const salary = currentSalary || suggestion.currentSalary || 0;
+  const mid = suggestion.marketSalaryRange?.mid || 0;
+  const profitRatio = salary > 0 ? (suggestion.profit || 0) / salary : 0;
+  const marketGap = mid > 0 ? (mid - salary) / mid : 0;
+
+  return (
+    weights.performance * clamp(perfScore / 10, 0, 1) +
+    weights.profit * clamp(profitRatio / 2, 0, 1) +
+    weights.marketGap * clamp(marketGap, 0, 1)
+  );
+}
+
+// entries: [{ ssid, name, currentSalary, perfScore, suggestion }]
+// options.raisePool: cap on total raises (default: whatever the budget leaves)
+// options.weights: override DEFAULT_WEIGHTS
+//
+// Raises are granted greedily in priority order, each capped at the amount
+// the per-employee analysis asked for, so the total never exceeds the budget.
+// Suggestions are updated in place; returns the allocation report.
+function allocateRaisePool(entries, budget, options = {}) {
+  const weights = normalizeWeights(options.weights);
+
+  // Spend that is committed regardless of raises: everyone keeps the lower
+  // of their current and suggested salary
+  let baseTotal = 0;
+  const candidates = [];
+  for (const entry of entries) {
+    const current = entry.currentSalary || 0;
+    const suggested = entry.suggestion.suggestedSalary || current;
+    const isRaise = entry.suggestion.action !== "FIRE" && suggested > current;
+
+    baseTotal += isRaise ? current : Math.min(current || suggested, suggested);
+    if (isRaise) {
+      candidates.push({
+        entry,
+        requested: suggested - current,
+        priority: raisePriority(entry, weights),
+      });
+    }
+  }
+
+  const budgetHeadroom = Math.max(0, (budget || 0) - baseTotal);
+  const pool =
+    options.raisePool !== undefined && options.raisePool !== null
+      ? Math.max(0, Math.min(options.raisePool, budgetHeadroom))
+      : budgetHeadroom;
+
+  candidates.sort((a, b) => b.priority - a.priority);
+
+  let remaining = pool;
+  const capped = [];
+  for (const c of candidates) {
+    // Round down to the nearest 1000 like the rest of the salary math
+    const granted = Math.floor(Math.min(c.requested, remaining) / 1000) * 1000;
+    remaining -= granted;
+
+    const { entry } = c;
+    const current = entry.currentSalary || 0;
+    const suggestion = entry.suggestion;
+    const newSalary = current + granted;
+
+    suggestion.suggestedSalary = newSalary;
+    suggestion.salaryDifference = current > 0 ? granted : 0;
+    suggestion.salaryDifferencePercent =
+      current > 0 ? Math.round((granted / current) * 100) : 0;
+    if (suggestion.action === "PROMOTE") {
+      if (granted > 0) {
+        // Unrounded, so applying the raise grants exactly this amount; a
+        // whole percent could round a small grant to 0 or overshoot the pool
+        suggestion.recommended_change_percent =
+          current > 0 ? (granted / current) * 100 : 0;
+      } else {
+        suggestion.action = "NO_CHANGE";
+        suggestion.recommended_change_percent = 0;
+        suggestion.reason =
+          `${suggestion.reason || ""} (raise pool exhausted)`.trim();
+      }
+    }
+
+    const wasCapped = granted < c.requested;
+    suggestion.allocation = {
+      requestedRaise: c.requested,
+      allocatedRaise: granted,
+      priority: Number(c.priority.toFixed(3)),
+      capped: wasCapped,
+    };
+    if (wasCapped) {
+      capped.push({
+        ssid: entry.ssid,
+        name: entry.name,
+        requested: c.requested,
+        allocated: granted,
+        shortfall: c.requested - granted,
+      });
+    }
+  }
+
+  return {
+    mode: "optimize",
+    weights,
+    pool,
+    allocated: pool - remaining,
+    remaining,
+    baseTotal,
+    overBudgetBy: Math.max(0, baseTotal - (budget || 0)),
+    candidates: candidates.length,
+    capped,
+  };
+}
+
+module.exports = { DEFAULT_WEIGHTS, raisePriority, allocateRaisePool };
@@ -0,0 +1,389 @@
+const ai = require("./ai");
+const currency = require("./currency");
+const Department = require("./models/Department");
+
+// Reporting lines (Employee.managerSsid), departments (Department.parentCode)
+// and per-team rollups of the analysis summary.
+
+const UNASSIGNED = "UNASSIGNED";
+
+const orgError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// ssid -> [direct report ssids]
+function reportsByManager(employees) {
+  const reports = new Map();
+  for (const emp of employees) {
+    if (!emp.managerSsid) continue;
+    if (!reports.has(emp.managerSsid)) reports.set(emp.managerSsid, []);
+    reports.get(emp.managerSsid).push(emp.ssid);
+  }
+  return reports;
+}
+
+// Everyone below ssid in the reporting chain (not including ssid)
+function teamOf(employees, ssid, reports = reportsByManager(employees)) {
+  const team = new Set();
+  const queue = [ssid];
+  while (queue.length > 0) {
+    for (const report of reports.get(queue.shift()) || []) {
+      if (team.has(report) || report === ssid) continue;
+      team.add(report);
+      queue.push(report);
+    }
+  }
+  return team;
+}
+
+// Whether making managerSsid the manager of ssid would close a loop
+function createsCycle(employees, ssid, managerSsid) {
+  if (!managerSsid) return false;
+  if (managerSsid === ssid) return true;
+  return teamOf(employees, ssid).has(managerSsid);
+}
+
+// Nested reporting tree. Employees whose manager is unknown are roots;
+// employees caught in a reporting loop are listed under cycles.
+function buildReportingTree(employees, rootSsid) {
+  const bySsid = new Map(employees.map((e) => [e.ssid, e]));
+  const reports = reportsByManager(employees);
+  const placed = new Set();
+
+  const node = (emp) => {
+    placed.add(emp.ssid);
+    return {
+      ssid: emp.ssid,
+      name: emp.name,
+      role: emp.role,
+      department: emp.department || null,
+      managerSsid: emp.managerSsid || null,
+      status: emp.status,
+      reports: (reports.get(emp.ssid) || [])
+        .filter((ssid) => !placed.has(ssid))
+        .map((ssid) => node(bySsid.get(ssid))),
+    };
+  };
+
+  if (rootSsid) {
+    const root = bySsid.get(rootSsid);
+    return { roots: root ? [node(root)] : [], cycles: [] };
+  }
+
+  const roots = employees
+    .filter((e) => !e.managerSsid || !bySsid.has(e.managerSsid))
+    .map((e) => ({ ...node(e), managerMissing: Boolean(e.managerSsid) }));
+  const cycles = employees
+    .filter((e) => !placed.has(e.ssid))
+    .map((e) => ({ ssid: e.ssid, managerSsid: e.managerSsid }));
+  return { roots, cycles };
+}
+
+// code -> every department code at or below it
+function departmentDescendants(departments) {
+  const children = new Map();
+  for (const d of departments) {
+    if (!d.parentCode) continue;
+    if (!children.has(d.parentCode)) children.set(d.parentCode, []);
+    children.get(d.parentCode).push(d.code);
+  }
+  const descendants = new Map();
+  for (const d of departments) {
+    const codes = new Set([d.code]);
+    const queue = [d.code];
+    while (queue.length > 0) {
+      for (const child of children.get(queue.shift()) || []) {
+        if (codes.has(child)) continue;
+        codes.add(child);
+        queue.push(child);
+      }
+    }
+    descendants.set(d.code, codes);
+  }
+  return descendants;
+}
+
+// Whether parentCode lies at or below code, so it can't become its parent
+function departmentCycle(departments, code, parentCode) {
+  if (!parentCode) return false;
+  const below = departmentDescendants(departments).get(code);
+  return parentCode === code || Boolean(below && below.has(parentCode));
+}
+
+// Departments nested by parentCode, with direct and total headcount.
+// Employee department codes without a Department record are reported.
+function buildDepartmentTree(departments, employees) {
+  const known = new Set(departments.map((d) => d.code));
+  const headcount = new Map();
+  for (const emp of employees) {
+    const code = emp.department || UNASSIGNED;
+    headcount.set(code, (headcount.get(code) || 0) + 1);
+  }
+  const descendants = departmentDescendants(departments);
+
+  const node = (dept) => ({
+    code: dept.code,
+    name: dept.name,
+    costCenter: dept.costCenter || null,
+    headSsid: dept.headSsid || null,
+    parentCode: dept.parentCode || null,
+    headcount: headcount.get(dept.code) || 0,
+    totalHeadcount: [...descendants.get(dept.code)].reduce(
+      (sum, code) => sum + (headcount.get(code) || 0),
+      0
+    ),
+    children: departments.filter((d) => d.parentCode === dept.code).map(node),
+  });
+
+  return {
+    roots: departments
+      .filter((d) => !d.parentCode || !known.has(d.parentCode))
+      .map(node),
+    unassigned: headcount.get(UNASSIGNED) || 0,
+    unknownDepartments: [...headcount.keys()].filter(
+      (code) => code !== UNASSIGNED && !known.has(code)
+    ),
+  };
+}
+
+// Results for a rollup: from an analysis run when given, otherwise the
+// employees' latest stored suggestions. Unanalyzed employees count at their
+// current salary and in no action.
+function resultsFor(employees, runResults) {
+  const fromRun = runResults
+    ? new Map(runResults.map((r) => [r.ssid, r]))
+    : null;
+  return employees.map((emp) => {
+    const stored = fromRun ? fromRun.get(emp.ssid) : emp;
+    return {
+      ssid: emp.ssid,
+      suggestion: stored?.suggestion || { suggestedSalary: emp.salary || 0 },
+    };
+  });
+}
+
+// Team rollups have no budget of their own
+const rollupSummary = (employees, results) => {
+  const { companyBudget, ...summary } = ai.summarizeResults(
+    employees,
+    results,
+    null
+  );
+  return {
+    ...summary,
+    totalProfit: summary.totalRevenue - summary.totalCurrentSalaries,
+    analyzed: results.filter((r) => r.suggestion.action).length,
+  };
+};
+
+// Rollups grouped by "department" (including sub-departments), "manager"
+// (the manager's whole reporting chain) or "costCenter". Amounts are
+// converted to code (default BASE_CURRENCY); runResults must already be in it.
+function rollup(
+  rawEmployees,
+  { groupBy, departments = [], runResults, code, fx } = {}
+) {
+  const reportingCurrency = code || currency.BASE_CURRENCY;
+  const employees = rawEmployees.map((e) =>
+    currency.employeeIn(e, reportingCurrency, fx || currency.baseOnlyTable())
+  );
+  const results = resultsFor(employees, runResults);
+  const resultBySsid = new Map(results.map((r) => [r.ssid, r]));
+  const summarize = (members) =>
+    rollupSummary(
+      members,
+      members.map((e) => resultBySsid.get(e.ssid))
+    );
+
+  if (groupBy === "manager") {
+    const bySsid = new Map(employees.map((e) => [e.ssid, e]));
+    const reports = reportsByManager(employees);
+    return [...reports.keys()]
+      .filter((ssid) => bySsid.has(ssid))
+      .map((ssid) => {
+        const team = [...teamOf(employees, ssid, reports)]
+          .map((s) => bySsid.get(s))
+          .filter(Boolean);
+        return {
+          key: ssid,
+          name: bySsid.get(ssid).name,
+          directReports: reports.get(ssid).length,
+          ...summarize(team),
+        };
+      });
+  }
+
+  if (groupBy === "costCenter") {
+    const costCenters = new Map(departments.map((d) => [d.code, d.costCenter]));
+    const groups = new Map();
+    for (const emp of employees) {
+      const key =
+        emp.costCenter || costCenters.get(emp.department) || UNASSIGNED;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(emp);
+    }
+    return [...groups].map(([key, members]) => ({
+      key,
+      ...summarize(members),
+    }));
+  }
+
+  // Departments roll up their sub-departments
+  const descendants = departmentDescendants(departments);
+  const rows = departments.map((dept) => {
+    const codes = descendants.get(dept.code);
+    return {
+      key: dept.code,
+      name: dept.name,
+      parentCode: dept.parentCode || null,
+      ...summarize(employees.filter((e) => codes.has(e.department))),
+    };
+  });
+  const known = new Set(departments.map((d) => d.code));
+  const leftover = new Map();
+  for (const emp of employees) {
+    if (known.has(emp.department)) continue;
+    const key = emp.department || UNASSIGNED;
+    if (!leftover.has(key)) leftover.set(key, []);
+    leftover.get(key).push(emp);
+  }
+  for (const [key, members] of leftover) {
+    rows.push({ key, name: null, parentCode: null, ...summarize(members) });
+  }
+  return rows;
+}
+
+// departmentBudgets: { [code]: number }. Budgets apply to employees of that
+// department and its sub-departments, unless a sub-department has its own.
+// Anyone else uses fallbackBudget. Returns Map(code -> employees) or throws
+// when someone has no budget.
+function groupByBudget(employees, departments, departmentBudgets, fallback) {
+  const parents = new Map(departments.map((d) => [d.code, d.parentCode]));
+  const budgetCode = (code) => {
+    const seen = new Set();
+    while (code && !seen.has(code)) {
+      if (departmentBudgets[code] !== undefined) return code;
+      seen.add(code);
+      code = parents.get(code);
+    }
+    return null;
+  };
+
+  const groups = new Map();
+  const missing = new Set();
+  for (const emp of employees) {
+    let key = budgetCode(emp.department);
+    if (!key) {
+      if (fallback === undefined || fallback === null) {
+        missing.add(emp.department || UNASSIGNED);
+        continue;
+      }
+      key = UNASSIGNED;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(emp);
+  }
+  if (missing.size > 0) {
+    throw orgError(
+      `No budget for department(s): ${[...missing].join(", ")}; add them to departmentBudgets or pass budget for everyone else`
+    );
+  }
+  return groups;
+}
+
+// Run analyzeAllEmployees once per budgeted department and merge the runs.
+// The merged summary covers everyone; summary.departments has each part.
+async function analyzeByDepartment(employees, options) {
+  const { departmentBudgets, budget, departments, ...analysisOptions } =
+    options;
+  const groups = groupByBudget(
+    employees,
+    departments,
+    departmentBudgets,
+    budget
+  );
+
+  const results = [];
+  const parts = [];
+  for (const [code, members] of groups) {
+    const partBudget = code === UNASSIGNED ? budget : departmentBudgets[code];
+    const analysis = await ai.analyzeAllEmployees(
+      members,
+      partBudget,
+      analysisOptions
+    );
+    results.push(...analysis.results);
+    parts.push({ department: code, budget: partBudget, ...analysis.summary });
+  }
+
+  const totalBudget = parts.reduce((sum, p) => sum + p.budget, 0);
+  const code = analysisOptions.currency || currency.BASE_CURRENCY;
+  const fx = analysisOptions.fx || currency.baseOnlyTable();
+  const summary = ai.summarizeResults(
+    employees.map((e) => currency.employeeIn(e, code, fx)),
+    results,
+    totalBudget
+  );
+  summary.fx = Object.assign({}, ...parts.map((p) => p.fx));
+  summary.departments = parts.map(
+    ({ normalization, llm, fx: partFx, ...part }) => part
+  );
+  summary.normalization = {
+    unrecognized: parts.flatMap((p) => p.normalization.unrecognized),
+  };
+  if (parts.some((p) => p.policy)) {
+    summary.policy = {
+      adjusted: parts.reduce((sum, p) => sum + (p.policy?.adjusted || 0), 0),
+      warned: parts.reduce((sum, p) => sum + (p.policy?.warned || 0), 0),
+    };
+  }
+  const llmParts = parts.filter((p) => p.llm);
+  if (llmParts.length > 0) {
+    summary.llm = { ...llmParts[0].llm };
+    for (const key of [
+      "requests",
+      "cacheHits",
+      "retries",
+      "repairs",
+      "fallbacks",
+    ]) {
+      summary.llm[key] = llmParts.reduce((sum, p) => sum + p.llm[key], 0);
+    }
+  }
+  return { results, summary };
+}
+
+// Budgets must be non-negative numbers keyed by department code
+function validateDepartmentBudgets(departmentBudgets) {
+  if (
+    !departmentBudgets ||
+    typeof departmentBudgets !== "object" ||
+    Array.isArray(departmentBudgets) ||
+    Object.keys(departmentBudgets).length === 0
+  ) {
+    return "departmentBudgets must be an object of { departmentCode: budget }";
+  }
+  for (const [code, value] of Object.entries(departmentBudgets)) {
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return `departmentBudgets.${code} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+const loadDepartments = () => Department.find().sort({ code: 1 }).lean();
+
+module.exports = {
+  UNASSIGNED,
+  teamOf,
+  createsCycle,
+  buildReportingTree,
+  departmentCycle,
+  buildDepartmentTree,
+  rollup,
+  analyzeByDepartment,
+  validateDepartmentBudgets,
+  loadDepartments,
+};
@@ -0,0 +1,308 @@
+const Policy = require("./models/Policy");
+const MetricSnapshot = require("./models/MetricSnapshot");
+const bands = require("./bands");
+
+// Guardrails checked before an action is proposed, approved or applied, and
+// on every analysis recommendation. Each rule yields allow, or its severity
+// (warn or block) when the action breaks it:
+//
+// - maxChange: PROMOTE may raise by at most maxRaisePercent, DECREASE_SALARY
+//   cut by at most maxCutPercent
+// - promotionCooldown: no PROMOTE within days of lastPromotedAt
+// - fireRequiresLowPerformance: FIRE needs the latest `periods` metric
+//   snapshots to all score maxPerformance or lower
+//
+// roles limits a rule to some band roles (see bands.canonicalRole).
+//
+// The built-in rules only warn: they never block or cut back a
+// recommendation or proposal, but approving an action they warn about (alone
+// or in a batch) needs a reviewer comment. Admins opt in to blocking by
+// storing rules with severity block.
+
+const RULE_TYPES = [
+  "maxChange",
+  "promotionCooldown",
+  "fireRequiresLowPerformance",
+];
+const SEVERITIES = ["warn", "block"];
+
+const DEFAULT_RULES = [
+  {
+    id: "max-change",
+    type: "maxChange",
+    description: "Raises above 25% or cuts above 15% are flagged",
+    severity: "warn",
+    maxRaisePercent: 25,
+    maxCutPercent: 15,
+  },
+  {
+    id: "promotion-cooldown",
+    type: "promotionCooldown",
+    description: "At most one promotion every six months",
+    severity: "warn",
+    days: 180,
+  },
+  {
+    id: "fire-needs-history",
+    type: "fireRequiresLowPerformance",
+    description:
+      "Terminations need two recorded periods of performance at 4/10 or below",
+    severity: "warn",
+    maxPerformance: 4,
+    periods: 2,
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Returns an error message, or null when the rule set can be stored
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return "rules must be an array";
+  const ids = new Set();
+  for (const [i, rule] of rules.entries()) {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== "object") return `${at} must be an object`;
+    if (typeof rule.id !== "string" || !rule.id.trim()) {
+      return `${at}.id is required`;
+    }
+    if (ids.has(rule.id)) return `${at}.id ${rule.id} is used twice`;
+    ids.add(rule.id);
+    if (!RULE_TYPES.includes(rule.type)) {
+      return `${at}.type must be one of: ${RULE_TYPES.join(", ")}`;
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      return `${at}.severity must be one of: ${SEVERITIES.join(", ")}`;
+    }
+    if (
+      rule.roles !== undefined &&
+      (!Array.isArray(rule.roles) ||
+        rule.roles.some((r) => typeof r !== "string"))
+    ) {
+      return `${at}.roles must be an array of role names`;
+    }
+    const positive = (field) =>
+      rule[field] === undefined || (isNumber(rule[field]) && rule[field] >= 0)
+        ? null
+        : `${at}.${field} must be a non-negative number`;
+    let error = null;
+    switch (rule.type) {
+      case "maxChange":
+        error = positive("maxRaisePercent") || positive("maxCutPercent");
+        if (
+          !error &&
+          rule.maxRaisePercent === undefined &&
+          rule.maxCutPercent === undefined
+        ) {
+          error = `${at} needs maxRaisePercent or maxCutPercent`;
+        }
+        break;
+      case "promotionCooldown":
+        error =
+          isNumber(rule.days) && rule.days > 0
+            ? null
+            : `${at}.days must be a positive number`;
+        break;
+      case "fireRequiresLowPerformance":
+        error =
+          positive("maxPerformance") ||
+          (Number.isInteger(rule.periods) && rule.periods > 0
+            ? null
+            : `${at}.periods must be a positive integer`);
+        if (!error && rule.maxPerformance === undefined) {
+          error = `${at}.maxPerformance is required`;
+        }
+        break;
+    }
+    if (error) return error;
+  }
+  return null;
+}
+
+// Stored rules, or the built-in ones when none are stored
+async function loadRules() {
+  const doc = await Policy.findOne({ key: "default" }).lean();
+  return doc ? doc.rules : DEFAULT_RULES;
+}
+
+// Latest performance snapshots per ssid, newest first:
+// Map ssid -> [{ period, performance }]
+async function loadPerformanceHistory(ssids) {
+  const snapshots = await MetricSnapshot.find({
+    ssid: { $in: ssids },
+    performance: { $ne: null },
+  })
+    .sort({ periodStart: -1 })
+    .lean();
+  const history = new Map();
+  for (const s of snapshots) {
+    if (!history.has(s.ssid)) history.set(s.ssid, []);
+    history.get(s.ssid).push({ period: s.period, performance: s.performance });
+  }
+  return history;
+}
+
+const appliesTo = (rule, role, bandTable) =>
+  !rule.roles ||
+  rule.roles.length === 0 ||
+  rule.roles.some((r) => bands.canonicalRole(bandTable, r) === role);
+
+// A violation of rule, or null when the action keeps to it
+function checkRule(rule, { action, changePercent, employee, history, now }) {
+  const violation = (message, fields) => ({
+    ruleId: rule.id,
+    type: rule.type,
+    outcome: rule.severity || "block",
+    message,
+    ...fields,
+  });
+
+  switch (rule.type) {
+    case "maxChange": {
+      if (
+        action === "PROMOTE" &&
+        isNumber(rule.maxRaisePercent) &&
+        changePercent > rule.maxRaisePercent
+      ) {
+        return violation(
+          `Raise of ${changePercent}% exceeds the ${rule.maxRaisePercent}% maximum`,
+          { limit: rule.maxRaisePercent, actual: changePercent }
+        );
+      }
+      if (
+        action === "DECREASE_SALARY" &&
+        isNumber(rule.maxCutPercent) &&
+        -changePercent > rule.maxCutPercent
+      ) {
+        return violation(
+          `Cut of ${-changePercent}% exceeds the ${rule.maxCutPercent}% maximum`,
+          { limit: -rule.maxCutPercent, actual: changePercent }
+        );
+      }
+      return null;
+    }
+    case "promotionCooldown": {
+      if (action !== "PROMOTE" || !employee.lastPromotedAt) return null;
+      const last = new Date(employee.lastPromotedAt);
+      const availableFrom = new Date(last.getTime() + rule.days * DAY_MS);
+      if (availableFrom <= now) return null;
+      return violation(
+        `Last promoted ${formatDate(last)}; the next promotion is allowed from ${formatDate(
+          availableFrom
+        )}`,
+        {
+          limit: rule.days,
+          actual: Math.floor((now - last) / DAY_MS),
+          availableFrom,
+        }
+      );
+    }
+    case "fireRequiresLowPerformance": {
+      if (action !== "FIRE") return null;
+      const recent = (history || []).slice(0, rule.periods);
+      const low = recent.filter((s) => s.performance <= rule.maxPerformance);
+      if (recent.length === rule.periods && low.length === rule.periods) {
+        return null;
+      }
+      return violation(
+        `Termination needs the last ${rule.periods} recorded periods at performance ${rule.maxPerformance}/10 or below; found ${low.length} of ${recent.length}`,
+        { limit: rule.periods, actual: low.length, periods: recent }
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+// Check one action against every enabled rule.
+// subject: { action, changePercent, employee, history }, history being the
+// employee's entry from loadPerformanceHistory.
+// Returns { outcome, rules: [{ ruleId, outcome }], violations }, outcome
+// being the most severe of allow, warn and block.
+function evaluate(rules, subject, { bandTable, now = new Date() } = {}) {
+  const table = bandTable || bands.DEFAULT_BAND_TABLE;
+  const role = bands.canonicalRole(table, subject.employee.role);
+  const results = [];
+  const violations = [];
+  for (const rule of rules) {
+    if (rule.enabled === false || !appliesTo(rule, role, table)) continue;
+    const v = checkRule(rule, { ...subject, now });
+    results.push({ ruleId: rule.id, outcome: v ? v.outcome : "allow" });
+    if (v) violations.push(v);
+  }
+  const outcome = violations.some((v) => v.outcome === "block")
+    ? "block"
+    : violations.length > 0
+      ? "warn"
+      : "allow";
+  return { outcome, rules: results, violations };
+}
+
+// The recommended change percent, as it would be applied (see
+// actions.resolveChangePercent)
+const suggestedChange = (suggestion) =>
+  suggestion.recommended_change_percent ??
+  suggestion.salaryDifferencePercent ??
+  0;
+
+// Keep a recommendation within the rules. A raise or cut over a maxChange
+// limit is cut back to the limit; anything else that is blocked becomes
+// NO_CHANGE. Warnings are only noted. The outcome and the original
+// recommendation are kept under suggestion.policy.
+function constrainSuggestion(suggestion, employee, rules, context = {}) {
+  const subject = {
+    action: suggestion.action,
+    changePercent: suggestedChange(suggestion),
+    employee,
+    history: context.history,
+  };
+  const evaluation = evaluate(rules, subject, context);
+  if (evaluation.outcome === "allow") return suggestion;
+  const policy = {
+    outcome: evaluation.outcome,
+    violations: evaluation.violations,
+  };
+  if (evaluation.outcome === "warn") return { ...suggestion, policy };
+
+  const blocking = evaluation.violations.filter((v) => v.outcome === "block");
+  const currentSalary = suggestion.currentSalary || employee.salary || 0;
+  let action = "NO_CHANGE";
+  let changePercent = 0;
+  if (blocking.every((v) => v.type === "maxChange")) {
+    action = suggestion.action;
+    changePercent =
+      action === "PROMOTE"
+        ? Math.min(...blocking.map((v) => v.limit))
+        : Math.max(...blocking.map((v) => v.limit));
+  }
+  const suggestedSalary = Math.round(currentSalary * (1 + changePercent / 100));
+  return {
+    ...suggestion,
+    action,
+    recommended_change_percent: changePercent,
+    suggestedSalary,
+    salaryDifference: suggestedSalary - currentSalary,
+    salaryDifferencePercent: changePercent,
+    policy: {
+      ...policy,
+      original: {
+        action: suggestion.action,
+        recommended_change_percent: suggestion.recommended_change_percent,
+        suggestedSalary: suggestion.suggestedSalary,
+      },
+    },
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DEFAULT_RULES,
+  validateRules,
+  loadRules,
+  loadPerformanceHistory,
+  evaluate,
+  constrainSuggestion,
+};
@@ -0,0 +1,162 @@
+const { VALID_ACTIONS } = require("./actions");
+
+// Sanity bounds for a model recommendation
+const RECOMMENDATION_BOUNDS = {
+  maxRaisePercent: 50,
+  maxCutPercent: 30,
+  // suggestedSalary must stay within these multiples of the market band...
+  minOfBandMin: 0.5,
+  maxOfBandMax: 1.5,
+  // ...and of the reference (heuristic) salary calculation
+  minOfReference: 0.5,
+  maxOfReference: 2,
+};
+
+const FACTOR_IMPACTS = ["positive", "negative", "neutral"];
+
+// Thrown when the model keeps answering with something we can't use
+class InvalidRecommendationError extends Error {
+  constructor(errors, attempts) {
+    super(`Invalid model response: ${errors.join("; ")}`);
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// Pull the JSON object out of a model reply that may wrap it in prose
+function extractJson(text) {
+  const firstBrace = text.indexOf("{");
+  const lastBrace = text.lastIndexOf("}");
+  const jsonText =
+    firstBrace >= 0 && lastBrace >= 0
+      ? text.slice(firstBrace, lastBrace + 1)
+      : text;
+  return JSON.parse(jsonText);
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Check a parsed response against the schema and the bounds.
+// context: { marketRange: { min, max }, referenceSalary }
+// Returns a list of problems, empty when the recommendation is usable.
+function validateRecommendation(rec, context) {
+  const b = RECOMMENDATION_BOUNDS;
+  const errors = [];
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+    return ["response must be a JSON object"];
+  }
+
+  if (!VALID_ACTIONS.includes(rec.action)) {
+    errors.push(`action must be one of ${VALID_ACTIONS.join(", ")}`);
+  }
+  if (!isNumber(rec.confidence) || rec.confidence < 0 || rec.confidence > 1) {
+    errors.push("confidence must be a number between 0 and 1");
+  }
+  if (typeof rec.reason !== "string" || !rec.reason.trim()) {
+    errors.push("reason must be a non-empty string");
+  }
+  if (rec.salaryReason !== undefined && typeof rec.salaryReason !== "string") {
+    errors.push("salaryReason must be a string");
+  }
+
+  if (rec.keyFactors !== undefined) {
+    const valid =
+      Array.isArray(rec.keyFactors) &&
+      rec.keyFactors.length <= 10 &&
+      rec.keyFactors.every(
+        (f) =>
+          f &&
+          typeof f.factor === "string" &&
+          FACTOR_IMPACTS.includes(f.impact) &&
+          (f.detail === undefined || typeof f.detail === "string")
+      );
+    if (!valid) {
+      errors.push(
+        `keyFactors must be an array of up to 10 { factor, impact: ${FACTOR_IMPACTS.join(
+          "|"
+        )}, detail }`
+      );
+    }
+  }
+
+  const change = rec.recommended_change_percent;
+  if (!Number.isInteger(change)) {
+    errors.push("recommended_change_percent must be an integer");
+  } else if (change > b.maxRaisePercent || change < -b.maxCutPercent) {
+    errors.push(
+      `recommended_change_percent must be between -${b.maxCutPercent} and ${b.maxRaisePercent}`
+    );
+  } else if (rec.action === "PROMOTE" && change <= 0) {
+    errors.push("PROMOTE needs a positive recommended_change_percent");
+  } else if (rec.action === "DECREASE_SALARY" && change >= 0) {
+    errors.push("DECREASE_SALARY needs a negative recommended_change_percent");
+  } else if (
+    (rec.action === "NO_CHANGE" || rec.action === "FIRE") &&
+    change !== 0
+  ) {
+    errors.push(`${rec.action} needs recommended_change_percent 0`);
+  }
+
+  const salary = rec.suggestedSalary;
+  if (!isNumber(salary) || salary <= 0) {
+    errors.push("suggestedSalary must be a positive number");
+  } else if (salary < 10000) {
+    errors.push(
+      "suggestedSalary looks like lakhs; give the full rupee amount (e.g. 1200000)"
+    );
+  } else {
+    const { marketRange, referenceSalary } = context;
+    const low = Math.max(
+      marketRange.min * b.minOfBandMin,
+      referenceSalary * b.minOfReference
+    );
+    const high = Math.min(
+      marketRange.max * b.maxOfBandMax,
+      referenceSalary * b.maxOfReference
+    );
+    if (salary < low || salary > high) {
+      errors.push(
+        `suggestedSalary ${Math.round(
+          salary
+        )} is outside the plausible range ${Math.round(low)}-${Math.round(
+          high
+        )} for this role`
+      );
+    }
+  }
+
+  return errors;
+}
+
+// Parse and validate raw model text in one step
+function checkResponse(text, context) {
+  let rec;
+  try {
+    rec = extractJson(text);
+  } catch (e) {
+    return { rec: null, errors: ["response is not valid JSON"] };
+  }
+  return { rec, errors: validateRecommendation(rec, context) };
+}
+
+// Follow-up prompt asking the model to fix its previous answer
+function repairPrompt(userPrompt, previousText, errors) {
+  return `${userPrompt}
+
+Your previous response was:
+${previousText}
+
+It was rejected for these reasons:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Return a corrected JSON object only, with the same keys.`;
+}
+
+module.exports = {
+  RECOMMENDATION_BOUNDS,
+  InvalidRecommendationError,
+  extractJson,
+  validateRecommendation,
+  checkResponse,
+  repairPrompt,
+};
@@ -0,0 +1,249 @@
+const PDFDocument = require("pdfkit");
+const { stringify } = require("csv-stringify/sync");
+const currency = require("./currency");
+
+const ACTIONS = ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE"];
+
+// Optimized raises carry unrounded percentages (see optimizer.js)
+const formatPercent = (value) =>
+  value === null || value === undefined
+    ? ""
+    : `${Math.round(value * 100) / 100}%`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "";
+
+// Spreadsheets run cells starting with these as formulas, so names or
+// reasons like "=HYPERLINK(...)" are quoted to stay plain text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const CSV_OPTIONS = {
+  cast: {
+    string: (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value),
+  },
+};
+
+// Runs are reported in the currency they were analyzed in
+const moneyFormatter = (run) => {
+  const code = currency.currencyOf(run.summary);
+  return (amount) => currency.formatMoney(amount, code);
+};
+
+// Label/value pairs shared by the CSV and PDF summary sections
+function summaryLines(run) {
+  const s = run.summary || {};
+  const savings = s.projectedSavings || 0;
+  const money = moneyFormatter(run);
+  return [
+    ["Analysis run", String(run._id)],
+    ["Completed", formatDate(run.completedAt)],
+    ["Engine", run.engine || ""],
+    ["Currency", currency.currencyOf(s)],
+    ["Company budget", money(s.companyBudget) || ""],
+    ["Employees analyzed", String(s.totalEmployees || 0)],
+    ["Current payroll", money(s.totalCurrentSalaries) || ""],
+    ["Suggested payroll", money(s.totalSuggestedSalaries) || ""],
+    [
+      savings >= 0 ? "Projected savings" : "Projected increase",
+      money(Math.abs(savings)),
+    ],
+    ["Total revenue", money(s.totalRevenue) || ""],
+    ["Current profit margin", formatPercent(s.currentProfitMargin)],
+    ["Projected profit margin", formatPercent(s.projectedProfitMargin)],
+    ...ACTIONS.map((action) => [
+      `Action: ${action}`,
+      String(s.actionBreakdown?.[action] || 0),
+    ]),
+  ];
+}
+
+// One row per employee, with amounts already formatted
+function employeeRows(run) {
+  const money = moneyFormatter(run);
+  return (run.results || []).map((r) => {
+    const s = r.suggestion || {};
+    const range = s.marketSalaryRange;
+    return {
+      ssid: r.ssid,
+      name: r.name || "",
+      role: r.role || "",
+      currentSalary: money(r.currentSalary) || "",
+      suggestedSalary: money(s.suggestedSalary) || "",
+      action: s.action || "",
+      confidence:
+        s.confidence !== undefined ? `${Math.round(s.confidence * 100)}%` : "",
+      changePercent: formatPercent(s.recommended_change_percent),
+      marketRange: range
+        ? `${money(range.min)} - ${money(range.mid)} - ${money(range.max)}`
+        : "",
+      reason: s.reason || "",
+    };
+  });
+}
+
+const EMPLOYEE_COLUMNS = [
+  { key: "ssid", header: "SSID" },
+  { key: "name", header: "Name" },
+  { key: "role", header: "Role" },
+  { key: "currentSalary", header: "Current Salary" },
+  { key: "suggestedSalary", header: "Suggested Salary" },
+  { key: "action", header: "Recommendation" },
+  { key: "confidence", header: "Confidence" },
+  { key: "changePercent", header: "Change %" },
+  { key: "marketRange", header: "Market Range (min - mid - max)" },
+  { key: "reason", header: "Reason" },
+];
+
+// Summary block, a blank line, then the employee table
+function renderCsv(run) {
+  const summary = stringify(
+    [["Summary", ""], ...summaryLines(run)],
+    CSV_OPTIONS
+  );
+  const table = stringify(employeeRows(run), {
+    ...CSV_OPTIONS,
+    header: true,
+    columns: EMPLOYEE_COLUMNS,
+  });
+  return `${summary}\n${table}`;
+}
+
+// PDF column widths for a landscape A4 page (points, total ~770)
+const PDF_COLUMNS = [
+  { key: "name", header: "Employee", width: 95 },
+  { key: "role", header: "Role", width: 70 },
+  { key: "currentSalary", header: "Current", width: 75 },
+  { key: "suggestedSalary", header: "Suggested", width: 75 },
+  { key: "action", header: "Action", width: 80 },
+  { key: "confidence", header: "Conf.", width: 35 },
+  { key: "marketRange", header: "Market range", width: 120 },
+  { key: "reason", header: "Reason", width: 220 },
+];
+
+function drawTableRow(doc, cells, y, options = {}) {
+  const left = doc.page.margins.left;
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+
+  const heights = PDF_COLUMNS.map((col) =>
+    doc.heightOfString(cells[col.key] || "", { width: col.width - 6 })
+  );
+  const height = Math.max(...heights) + 6;
+
+  let x = left;
+  for (const col of PDF_COLUMNS) {
+    doc.text(cells[col.key] || "", x + 3, y + 3, { width: col.width - 6 });
+    x += col.width;
+  }
+  doc
+    .moveTo(left, y + height)
+    .lineTo(x, y + height)
+    .strokeColor("#cbd5e1")
+    .lineWidth(0.5)
+    .stroke();
+  return height;
+}
+
+// Resolves with the PDF as a Buffer
+function renderPdf(run) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 36,
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(16).text("Employee Analysis Report");
+    doc.moveDown(0.5);
+
+    doc.fontSize(9);
+    for (const [label, value] of summaryLines(run)) {
+      doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+      doc.font("Helvetica").text(value || "-");
+    }
+    doc.moveDown();
+
+    const headerCells = Object.fromEntries(
+      PDF_COLUMNS.map((c) => [c.key, c.header])
+    );
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    let y = doc.y;
+    y += drawTableRow(doc, headerCells, y, { bold: true });
+
+    for (const row of employeeRows(run)) {
+      const cells = { ...row, name: `${row.name}\n${row.ssid}` };
+      const needed = PDF_COLUMNS.reduce(
+        (max, col) =>
+          Math.max(
+            max,
+            doc.heightOfString(cells[col.key] || "", { width: col.width - 6 })
+          ),
+        0
+      );
+      if (y + needed + 6 > bottom) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        y += drawTableRow(doc, headerCells, y, { bold: true });
+      }
+      y += drawTableRow(doc, cells, y);
+    }
+
+    doc.end();
+  });
+}
+
+const EQUITY_COLUMNS = [
+  { key: "attribute", header: "Attribute" },
+  { key: "group", header: "Cohort" },
+  { key: "metric", header: "Metric" },
+  { key: "gap", header: "Gap vs rest" },
+  { key: "n", header: "Cohort size" },
+  { key: "referenceN", header: "Rest size" },
+  { key: "strata", header: "Role/band strata" },
+  { key: "p", header: "p" },
+  { key: "pAdjusted", header: "p (Bonferroni)" },
+  { key: "flagged", header: "Flagged" },
+];
+
+// Pay equity audit (see equity.js): summary block, then one row per test
+function renderEquityCsv(report) {
+  const s = report.summary || {};
+  const summary = stringify(
+    [
+      ["Summary", ""],
+      ["Equity report", String(report._id || "")],
+      ["Analysis run", report.analysisRun ? String(report.analysisRun) : ""],
+      ["Created", formatDate(report.createdAt)],
+      ["Currency", report.currency || ""],
+      ["Attributes", (report.options?.attributes || []).join(", ")],
+      ["Significance level", String(report.options?.alpha ?? "")],
+      ["Smallest cohort reported", String(report.options?.minCohort ?? "")],
+      ["Employees audited", String(s.audited || 0)],
+      ["With demographics", String(s.withDemographics || 0)],
+      ["Tests", String(s.tests || 0)],
+      ["Flagged gaps", String(s.flagged || 0)],
+    ],
+    CSV_OPTIONS
+  );
+  const rows = (report.findings || []).map((f) => ({
+    ...f,
+    gap: f.unit === "percent" ? formatPercent(f.gap) : `${f.gap} pts`,
+    flagged: f.flagged ? "yes" : "",
+  }));
+  const table = stringify(rows, {
+    ...CSV_OPTIONS,
+    header: true,
+    columns: EQUITY_COLUMNS,
+  });
+  return `${summary}\n${table}`;
+}
+
+module.exports = {
+  summaryLines,
+  employeeRows,
+  renderCsv,
+  renderPdf,
+  renderEquityCsv,
+};
@@ -1,425 +1,4366 @@
 const express = require("express");
+const multer = require("multer");
+const mongoose = require("mongoose");
 const router = express.Router();
-const ai = require("./ai");
 const Employee = require("./models/Employee");
 const Action = require("./models/Action");
+const SalaryBand = require("./models/SalaryBand");
+const RoleAlias = require("./models/RoleAlias");
+const Scenario = require("./models/Scenario");
+const AnalysisRun = require("./models/AnalysisRun");
+const bands = require("./bands");
+const scenarios = require("./scenarios");
+const runs = require("./runs");
+const importer = require("./importer");
+const reports = require("./reports");
+const normalize = require("./normalize");
+const metrics = require("./metrics");
+const MetricSnapshot = require("./models/MetricSnapshot");
+const Rubric = require("./models/Rubric");
+const User = require("./models/User");
+const auth = require("./auth");
+const { withTransaction } = require("./db");
+const org = require("./org");
+const audit = require("./audit");
+const Department = require("./models/Department");
+const FxRate = require("./models/FxRate");
+const currency = require("./currency");
+const Demographics = require("./models/Demographics");
+const EquityReport = require("./models/EquityReport");
+const equity = require("./equity");
+const policy = require("./policy");
+const Policy = require("./models/Policy");
+const Schedule = require("./models/Schedule");
+const scheduler = require("./scheduler");
+const integrations = require("./integrations");
+const suggestions = require("./suggestions");
+const listing = require("./listing");
+const WebhookEndpoint = require("./models/WebhookEndpoint");
+const WebhookDelivery = require("./models/WebhookDelivery");
 
-// Helper to format amount in INR with Rs prefix
-const formatRs = (amount) => {
-  if (amount === null || amount === undefined) return null;
-  return `Rs ${ai.formatINR(amount)}`;
-};
+// Uploaded payroll files are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+const {
+  VALID_ACTIONS,
+  PROPOSAL_STATUSES,
+  APPLIED,
+  proposalExpiry,
+  validateChangePercent,
+  resolveChangePercent,
+  applyActionToEmployee,
+  findRevertConflicts,
+  revertActionOnEmployee,
+} = require("./actions");
+
+// Helper to format an amount with its currency's symbol and digit grouping
+const formatMoney = currency.formatMoney;
 
 // Helper to add formatted currency fields to employee object
 const addFormattedFields = (emp) => {
   if (!emp) return emp;
-  const formatted = { ...emp };
-  formatted.salaryFormatted = formatRs(emp.salary);
-  formatted.revenueFormatted = formatRs(emp.revenue);
+  const code = currency.currencyOf(emp);
+  const money = (amount) => formatMoney(amount, code);
+  const formatted = { ...emp, currency: code };
+  formatted.salaryFormatted = money(emp.salary);
+  formatted.revenueFormatted = money(emp.revenue);
   if (emp.salary && emp.revenue) {
-    formatted.profitFormatted = formatRs(emp.revenue - emp.salary);
+    formatted.profitFormatted = money(emp.revenue - emp.salary);
   }
   if (emp.suggestion) {
+    const suggestionCode = emp.suggestion.currency || code;
+    const suggestionMoney = (amount) => formatMoney(amount, suggestionCode);
     formatted.suggestion = { ...emp.suggestion };
     if (emp.suggestion.suggestedSalary) {
-      formatted.suggestion.suggestedSalaryFormatted = formatRs(
+      formatted.suggestion.suggestedSalaryFormatted = suggestionMoney(
         emp.suggestion.suggestedSalary
       );
     }
     if (emp.suggestion.currentSalary) {
-      formatted.suggestion.currentSalaryFormatted = formatRs(
+      formatted.suggestion.currentSalaryFormatted = suggestionMoney(
         emp.suggestion.currentSalary
       );
     }
     if (emp.suggestion.salaryDifference) {
-      formatted.suggestion.salaryDifferenceFormatted = formatRs(
+      formatted.suggestion.salaryDifferenceFormatted = suggestionMoney(
         Math.abs(emp.suggestion.salaryDifference)
       );
     }
     if (emp.suggestion.marketSalaryRange) {
       formatted.suggestion.marketSalaryRangeFormatted = {
-        min: formatRs(emp.suggestion.marketSalaryRange.min),
-        mid: formatRs(emp.suggestion.marketSalaryRange.mid),
-        max: formatRs(emp.suggestion.marketSalaryRange.max),
+        min: suggestionMoney(emp.suggestion.marketSalaryRange.min),
+        mid: suggestionMoney(emp.suggestion.marketSalaryRange.mid),
+        max: suggestionMoney(emp.suggestion.marketSalaryRange.max),
       };
     }
   }
   return formatted;
 };
 
-// List all employees and actions
-router.get("/employees", async (req, res, next) => {
-  try {
-    const employees = await Employee.find().lean();
-    const actions = await Action.find().sort({ appliedAt: -1 }).lean();
-    res.json({
-      employees: employees.map(addFormattedFields),
-      actions: actions.map((a) => ({
-        ...a,
-        detailsFormatted: a.details
-          ? {
-              ...a.details,
-              previousSalaryFormatted: a.details.previousSalary
-                ? formatRs(a.details.previousSalary)
-                : null,
-              newSalaryFormatted: a.details.newSalary
-                ? formatRs(a.details.newSalary)
-                : null,
-              salaryFormatted: a.details.salary
-                ? formatRs(a.details.salary)
-                : null,
-            }
-          : null,
+// Helper to add formatted currency fields to an analysis summary, in the
+// currency it was computed in
+const formatSummary = (summary) => {
+  const code = currency.currencyOf(summary);
+  const money = (amount) => formatMoney(amount, code);
+  return {
+    ...summary,
+    currency: code,
+    companyBudgetFormatted: money(summary.companyBudget),
+    totalCurrentSalariesFormatted: money(summary.totalCurrentSalaries),
+    totalSuggestedSalariesFormatted: money(summary.totalSuggestedSalaries),
+    totalRevenueFormatted: money(summary.totalRevenue),
+    projectedSavingsFormatted: money(Math.abs(summary.projectedSavings)),
+    projectedSavingsType:
+      summary.projectedSavings >= 0 ? "savings" : "increase",
+    allocationFormatted: summary.allocation
+      ? {
+          pool: money(summary.allocation.pool),
+          allocated: money(summary.allocation.allocated),
+          remaining: money(summary.allocation.remaining),
+          overBudgetBy: money(summary.allocation.overBudgetBy),
+        }
+      : null,
+    ...(summary.departments && {
+      departments: summary.departments.map((d) => ({
+        ...d,
+        budgetFormatted: money(d.budget),
+        projectedSavingsFormatted: money(Math.abs(d.projectedSavings)),
       })),
+    }),
+  };
+};
+
+// Helper to format an action's salary details. Older actions did not record
+// their currency; fallbackCode (the employee's) is used for them.
+const formatActionDetails = (details, fallbackCode) => {
+  const code = details.currency || fallbackCode;
+  const money = (amount) => (amount ? formatMoney(amount, code) : null);
+  return {
+    effect: details.effect,
+    previousSalaryFormatted: money(details.previousSalary),
+    newSalaryFormatted: money(details.newSalary),
+    salaryFormatted: money(details.salary),
+    changePercent: details.changePercent,
+  };
+};
+
+// Helper to add formatted currency fields to one analysis result
+const formatResult = (r) => {
+  const code = currency.currencyOf(r);
+  const money = (amount) => formatMoney(amount, code);
+  return {
+    ...r,
+    currentSalaryFormatted: money(r.currentSalary),
+    suggestion: {
+      ...r.suggestion,
+      suggestedSalaryFormatted: r.suggestion.suggestedSalary
+        ? money(r.suggestion.suggestedSalary)
+        : null,
+      currentSalaryFormatted: r.suggestion.currentSalary
+        ? money(r.suggestion.currentSalary)
+        : null,
+      salaryDifferenceFormatted: r.suggestion.salaryDifference
+        ? money(Math.abs(r.suggestion.salaryDifference))
+        : null,
+      salaryChangeType:
+        r.suggestion.salaryDifference >= 0 ? "increase" : "decrease",
+      marketSalaryRangeFormatted: r.suggestion.marketSalaryRange
+        ? {
+            min: money(r.suggestion.marketSalaryRange.min),
+            mid: money(r.suggestion.marketSalaryRange.mid),
+            max: money(r.suggestion.marketSalaryRange.max),
+          }
+        : null,
+    },
+    localFormatted: r.local
+      ? {
+          currentSalary: formatMoney(r.local.currentSalary, r.local.currency),
+          suggestedSalary: formatMoney(
+            r.local.suggestedSalary,
+            r.local.currency
+          ),
+        }
+      : undefined,
+  };
+};
+
+// Mark proposals past their review window as EXPIRED
+async function expireStaleProposals() {
+  const stale = await Action.find(
+    { status: "PROPOSED", expiresAt: { $lte: new Date() } },
+    { ssid: 1 }
+  ).lean();
+  if (stale.length === 0) return;
+  await Action.updateMany(
+    { _id: { $in: stale.map((a) => a._id) }, status: "PROPOSED" },
+    { $set: { status: "EXPIRED" } }
+  );
+  for (const a of stale) {
+    await audit.record({
+      action: "action.expire",
+      entity: "Action",
+      entityId: a._id,
+      ssid: a.ssid,
+      changes: [{ field: "status", from: "PROPOSED", to: "EXPIRED" }],
     });
+  }
+}
+
+// Account fields tracked in the audit log
+const USER_FIELDS = [
+  "username",
+  "name",
+  "role",
+  "ssid",
+  "disabled",
+  "passwordHash",
+];
+
+// AUTH: local accounts and session tokens. Everything below router.use(
+// auth.authenticate) needs "Authorization: Bearer <token>".
+
+// Whether the first HR admin still has to be created
+// GET /api/auth/status
+router.get("/auth/status", async (req, res, next) => {
+  try {
+    res.json({ setupRequired: (await User.countDocuments()) === 0 });
   } catch (err) {
     next(err);
   }
 });
 
-// Get single employee by ssid
-router.get("/employees/:ssid", async (req, res, next) => {
+// Create the first HR admin; only allowed while there are no accounts
+// POST /api/auth/bootstrap
+// Body: { username: string, password: string, name?: string }
+router.post("/auth/bootstrap", async (req, res, next) => {
   try {
-    const emp = await Employee.findOne({ ssid: req.params.ssid }).lean();
-    if (!emp) return res.status(404).json({ error: "Employee not found" });
-    const actions = await Action.find({ ssid: req.params.ssid })
-      .sort({ appliedAt: -1 })
-      .lean();
-    res.json({
-      employee: addFormattedFields(emp),
-      actions: actions.map((a) => ({
-        ...a,
-        detailsFormatted: a.details
-          ? {
-              previousSalaryFormatted: a.details.previousSalary
-                ? formatRs(a.details.previousSalary)
-                : null,
-              newSalaryFormatted: a.details.newSalary
-                ? formatRs(a.details.newSalary)
-                : null,
-            }
-          : null,
-      })),
+    const { username, password, name } = req.body;
+    if (!username)
+      return res.status(400).json({ error: "username is required" });
+    const error = auth.validatePassword(password);
+    if (error) return res.status(400).json({ error });
+    if ((await User.countDocuments()) > 0) {
+      return res.status(409).json({ error: "Accounts already exist" });
+    }
+
+    const user = await User.create({
+      username,
+      name,
+      role: "HR_ADMIN",
+      passwordHash: auth.hashPassword(password),
     });
+    await audit.recordChange({
+      actor: username,
+      action: "user.create",
+      entity: "User",
+      entityId: user._id,
+      before: null,
+      after: user.toObject(),
+      fields: USER_FIELDS,
+      meta: { bootstrap: true },
+    });
+    res
+      .status(201)
+      .json({ ok: true, user: auth.publicUser(user), ...auth.signToken(user) });
   } catch (err) {
     next(err);
   }
 });
 
-// Add or update employee in database
-router.post("/employees", async (req, res, next) => {
+// POST /api/auth/login
+// Body: { username: string, password: string }
+router.post("/auth/login", async (req, res, next) => {
   try {
-    const { ssid, name, performance, experience, role, salary, revenue } =
-      req.body;
-    if (!ssid) return res.status(400).json({ error: "ssid is required" });
-
-    const updateData = {
-      ssid,
-      name,
-      performance,
-      experience,
-      role,
-      salary,
-      revenue,
-      status: "ACTIVE",
-    };
-    const emp = await Employee.findOneAndUpdate(
-      { ssid },
-      { $set: updateData },
-      { upsert: true, new: true, runValidators: true }
-    );
-    const empObj = emp.toObject();
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res
+        .status(400)
+        .json({ error: "username and password are required" });
+    }
+    const user = await User.findOne({ username });
+    if (
+      !user ||
+      user.disabled ||
+      !auth.verifyPassword(password, user.passwordHash)
+    ) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    user.lastLoginAt = new Date();
+    await user.save();
     res.json({
       ok: true,
-      employee: addFormattedFields(empObj),
+      user: auth.publicUser(user),
+      ...auth.signToken(user),
     });
   } catch (err) {
     next(err);
   }
 });
 
+router.use(auth.authenticate);
+
+// GET /api/auth/me
+router.get("/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+// GET /api/auth/users
+router.get(
+  "/auth/users",
+  auth.requirePermission("users:manage"),
+  async (req, res, next) => {
+    try {
+      const users = await User.find().sort({ username: 1 }).lean();
+      res.json({ users: users.map(auth.publicUser), roles: auth.ROLES });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /api/auth/users
+// Body: { username, password, role: HR_ADMIN | FINANCE_VIEWER | MANAGER, name?, ssid? }
+// - ssid: the manager's own employee record; their reports are found through managerSsid
+router.post(
+  "/auth/users",
+  auth.requirePermission("users:manage"),
+  async (req, res, next) => {
+    try {
+      const { username, password, role, name, ssid } = req.body;
+      if (!username || !role) {
+        return res
+          .status(400)
+          .json({ error: "username and role are required" });
+      }
+      if (!auth.ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `role must be one of: ${auth.ROLES.join(", ")}` });
+      }
+      if (role === "MANAGER" && !ssid) {
+        return res.status(400).json({ error: "ssid is required for managers" });
+      }
+      const error = auth.validatePassword(password);
+      if (error) return res.status(400).json({ error });
+      if (await User.exists({ username })) {
+        return res.status(409).json({ error: "Username is already taken" });
+      }
+
+      const user = await User.create({
+        username,
+        name,
+        role,
+        ssid: ssid || null,
+        passwordHash: auth.hashPassword(password),
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "user.create",
+        entity: "User",
+        entityId: user._id,
+        before: null,
+        after: user.toObject(),
+        fields: USER_FIELDS,
+      });
+      res.status(201).json({ ok: true, user: auth.publicUser(user) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Change an account's role, name, ssid or password, or disable it
+// PUT /api/auth/users/:id
+// Body: { role?, name?, ssid?, password?, disabled?: boolean }
+router.put(
+  "/auth/users/:id",
+  auth.requirePermission("users:manage"),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      const before = user.toObject();
+
+      const { role, name, ssid, password, disabled } = req.body;
+      if (role !== undefined && !auth.ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: `role must be one of: ${auth.ROLES.join(", ")}` });
+      }
+      // Keep at least one way back in
+      const isSelf = String(user._id) === String(req.user.id);
+      if (isSelf && (disabled || (role && role !== user.role))) {
+        return res.status(409).json({
+          error: "You cannot disable or change the role of your own account",
+        });
+      }
+      if (password !== undefined) {
+        const error = auth.validatePassword(password);
+        if (error) return res.status(400).json({ error });
+        user.passwordHash = auth.hashPassword(password);
+      }
+      if (role !== undefined) user.role = role;
+      if (name !== undefined) user.name = name;
+      if (ssid !== undefined) user.ssid = ssid || null;
+      if (disabled !== undefined) user.disabled = Boolean(disabled);
+      if (user.role === "MANAGER" && !user.ssid) {
+        return res.status(400).json({ error: "ssid is required for managers" });
+      }
+      await user.save();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "user.update",
+        entity: "User",
+        entityId: user._id,
+        before,
+        after: user.toObject(),
+        fields: USER_FIELDS,
+      });
+      res.json({ ok: true, user: auth.publicUser(user) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Managers only see their reports. These resolve the caller's scope once per
+// request; other roles are unrestricted.
+const loadScope = async (req) => {
+  if (req.scope === undefined) req.scope = await auth.reportScope(req.user);
+  return req.scope;
+};
+
+// Narrow an Employee/Action/MetricSnapshot query to the caller's scope
+const scopedQuery = async (req, query = {}) => {
+  const scope = await loadScope(req);
+  return scope ? { $and: [query, { ssid: { $in: [...scope] } }] } : query;
+};
+
+// Out-of-scope employees are reported as missing rather than forbidden
+async function assertInScope(req, ssid) {
+  const scope = await loadScope(req);
+  if (scope && !scope.has(ssid)) {
+    const err = new Error("Employee not found");
+    err.status = 404;
+    throw err;
+  }
+}
+
+// Only HR admins act on terminations
+function assertMayActOn(req, action) {
+  if (action === "FIRE" && !auth.hasPermission(req.user, "actions:fire")) {
+    const err = new Error("Only HR admins can approve or apply FIRE");
+    err.status = 403;
+    throw err;
+  }
+}
+
+// Per-employee payloads without individual pay for roles lacking salary:read
+const redact = (req, value) => auth.redactSalaries(req.user, value);
+
+// Fewest employees a summary must cover before users without salary:read
+// see its pay totals; smaller totals would give away individual salaries
+const MIN_COHORT = 5;
+
+// Summary fields derived from pay, with their formatted forms
+const SUMMARY_PAY_KEYS = [
+  "totalCurrentSalaries",
+  "totalSuggestedSalaries",
+  "projectedSavings",
+  "projectedSavingsType",
+  "currentProfitMargin",
+  "projectedProfitMargin",
+  "totalProfit",
+  "allocation",
+];
+
+// Aggregate summary for users without salary:read: no per-employee raise
+// allocation, and no pay totals for fewer than MIN_COHORT employees. cohort
+// defaults to the employees the summary covers.
+const redactSummary = (req, summary, cohort = summary?.totalEmployees) => {
+  if (!summary || auth.hasPermission(req.user, "salary:read")) return summary;
+  const out = { ...summary };
+  if (out.allocation) {
+    const { capped, ...allocation } = out.allocation;
+    out.allocation = { ...allocation, cappedCount: (capped || []).length };
+  }
+  if (!(cohort >= MIN_COHORT)) {
+    for (const key of SUMMARY_PAY_KEYS) {
+      delete out[key];
+      delete out[`${key}Formatted`];
+    }
+    out.payTotalsWithheld = true;
+  }
+  if (Array.isArray(out.departments)) {
+    out.departments = out.departments.map((d) => redactSummary(req, d));
+  }
+  return out;
+};
+
+// Analysis results keep their aggregate summary, redacted as above
+const redactAnalysis = (req, result, cohort) =>
+  result && {
+    ...redact(req, result),
+    summary: redactSummary(req, result.summary, cohort),
+  };
+
+// List employees one page at a time, with org-wide totals
+// GET /api/employees?page=1&limit=50&q=&role=&status=&excludeStatus=&action=
+//   &salaryMin=&salaryMax=&revenueMin=&revenueMax=&negativeProfit=true&sort=-profit
+// See listing.parseEmployeeListing for the parameters. Actions are listed
+// separately under GET /api/actions.
+router.get(
+  "/employees",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      const params = listing.parseEmployeeListing(req.query, {
+        canReadPay: auth.hasPermission(req.user, "salary:read"),
+      });
+      const scope = await scopedQuery(req);
+      const fx = await currency.loadFxTable();
+      const [result] = await Employee.aggregate(
+        listing.employeePipeline(params, scope, fx)
+      );
+      // Totals are over everyone in scope, not just the page or the filters,
+      // and are shown to every role, even those without individual pay (see
+      // listing.employeePipeline)
+      const totals = {
+        count: 0,
+        currency: currency.BASE_CURRENCY,
+        salary: 0,
+        revenue: 0,
+        profit: 0,
+        atRisk: 0,
+        unconverted: 0,
+        ...result.totals[0],
+      };
+      res.json({
+        totals,
+        ...listing.pageInfo(
+          params,
+          result.total[0]?.n ?? 0,
+          result.employees.length
+        ),
+        employees: redact(req, result.employees.map(addFormattedFields)),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get single employee by ssid
+router.get(
+  "/employees/:ssid",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      await assertInScope(req, req.params.ssid);
+      const emp = await Employee.findOne({ ssid: req.params.ssid }).lean();
+      if (!emp) return res.status(404).json({ error: "Employee not found" });
+      const actions = await Action.find({ ssid: req.params.ssid })
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({
+        employee: redact(req, addFormattedFields(emp)),
+        actions: redact(req, actions).map((a) => {
+          const formatted =
+            a.details &&
+            formatActionDetails(a.details, currency.currencyOf(emp));
+          return {
+            ...a,
+            detailsFormatted: formatted
+              ? {
+                  previousSalaryFormatted: formatted.previousSalaryFormatted,
+                  newSalaryFormatted: formatted.newSalaryFormatted,
+                }
+              : null,
+          };
+        }),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Add or update employee in database
+// salary and revenue are in currency (default: base currency)
+router.post(
+  "/employees",
+  auth.requirePermission("employees:write"),
+  async (req, res, next) => {
+    try {
+      const {
+        ssid,
+        name,
+        performance,
+        experience,
+        role,
+        level,
+        managerSsid,
+        department,
+        costCenter,
+        salary,
+        revenue,
+      } = req.body;
+      if (!ssid) return res.status(400).json({ error: "ssid is required" });
+      if (req.body.currency) {
+        const error = currency.validateCurrency(req.body.currency);
+        if (error) return res.status(400).json({ error });
+      }
+      if (
+        org.createsCycle(
+          await Employee.find({}, { ssid: 1, managerSsid: 1 }).lean(),
+          ssid,
+          managerSsid
+        )
+      ) {
+        return res
+          .status(400)
+          .json({ error: "managerSsid would create a reporting loop" });
+      }
+
+      // Bands, grades and "5 years" are stored as canonical numbers
+      const { fields, issues } = normalize.normalizeFields(
+        { performance, experience },
+        await normalize.loadRubrics(),
+        { ingest: true }
+      );
+      if (issues.length > 0) {
+        return res.status(400).json({
+          error: issues.map((i) => i.message).join("; "),
+          issues,
+        });
+      }
+
+      const updateData = {
+        ssid,
+        name,
+        performance,
+        experience,
+        role,
+        level,
+        managerSsid,
+        department,
+        costCenter,
+        salary,
+        revenue,
+        currency: currency.normalizeCode(req.body.currency) || undefined,
+        status: "ACTIVE",
+        ...fields,
+      };
+      // The change and its integration event are saved together
+      const { before, empObj } = await withTransaction(async (session) => {
+        const before = await Employee.findOne({ ssid }, null, {
+          session,
+        }).lean();
+        const emp = await Employee.findOneAndUpdate(
+          { ssid },
+          { $set: updateData },
+          { upsert: true, new: true, runValidators: true, session }
+        );
+        const empObj = emp.toObject();
+        await integrations.employeeUpdated({
+          before,
+          after: empObj,
+          source: "api",
+          actor: req.user.username,
+          session,
+        });
+        return { before, empObj };
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: before ? "employee.update" : "employee.create",
+        entity: "Employee",
+        entityId: empObj._id,
+        ssid,
+        before,
+        after: empObj,
+        fields: audit.EMPLOYEE_FIELDS,
+      });
+      res.json({
+        ok: true,
+        employee: addFormattedFields(empObj),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Bulk add employees
-router.post("/employees/bulk", async (req, res, next) => {
-  try {
-    const employees = req.body;
-    if (!Array.isArray(employees))
-      return res.status(400).json({ error: "Expected array of employees" });
-
-    const results = [];
-    for (const emp of employees) {
-      if (!emp.ssid) {
-        results.push({ ssid: null, error: "Missing ssid" });
-        continue;
-      }
-      const updated = await Employee.findOneAndUpdate(
-        { ssid: emp.ssid },
-        { $set: { ...emp, status: emp.status || "ACTIVE" } },
-        { upsert: true, new: true, runValidators: true }
+router.post(
+  "/employees/bulk",
+  auth.requirePermission("employees:write"),
+  async (req, res, next) => {
+    try {
+      const employees = req.body;
+      if (!Array.isArray(employees))
+        return res.status(400).json({ error: "Expected array of employees" });
+
+      const rubrics = await normalize.loadRubrics();
+      // Reporting lines as they stand, updated as rows are written
+      const lines = await Employee.find({}, { ssid: 1, managerSsid: 1 }).lean();
+      const results = [];
+      for (const emp of employees) {
+        if (!emp.ssid) {
+          results.push({ ssid: null, error: "Missing ssid" });
+          continue;
+        }
+        if (org.createsCycle(lines, emp.ssid, emp.managerSsid)) {
+          results.push({
+            ssid: emp.ssid,
+            error: "managerSsid would create a reporting loop",
+          });
+          continue;
+        }
+        if (emp.currency) {
+          const error = currency.validateCurrency(emp.currency);
+          if (error) {
+            results.push({ ssid: emp.ssid, error });
+            continue;
+          }
+          emp.currency = currency.normalizeCode(emp.currency);
+        }
+        const { fields, issues } = normalize.normalizeFields(emp, rubrics, {
+          ingest: true,
+        });
+        if (issues.length > 0) {
+          results.push({
+            ssid: emp.ssid,
+            error: issues.map((i) => i.message).join("; "),
+            issues,
+          });
+          continue;
+        }
+        const { before, after } = await withTransaction(async (session) => {
+          const before = await Employee.findOne({ ssid: emp.ssid }, null, {
+            session,
+          }).lean();
+          const updated = await Employee.findOneAndUpdate(
+            { ssid: emp.ssid },
+            { $set: { ...emp, ...fields, status: emp.status || "ACTIVE" } },
+            { upsert: true, new: true, runValidators: true, session }
+          );
+          const after = updated.toObject();
+          await integrations.employeeUpdated({
+            before,
+            after,
+            source: "bulk",
+            actor: req.user.username,
+            session,
+          });
+          return { before, after };
+        });
+        await audit.recordChange({
+          actor: req.user.username,
+          action: before ? "employee.update" : "employee.create",
+          entity: "Employee",
+          entityId: after._id,
+          ssid: emp.ssid,
+          before,
+          after,
+          fields: audit.EMPLOYEE_FIELDS,
+          meta: { source: "bulk" },
+        });
+        if (emp.managerSsid !== undefined) {
+          const line = lines.find((l) => l.ssid === emp.ssid);
+          if (line) line.managerSsid = emp.managerSsid;
+          else lines.push({ ssid: emp.ssid, managerSsid: emp.managerSsid });
+        }
+        results.push({ ssid: emp.ssid, ok: true });
+      }
+      res.json({ ok: true, results });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// IMPORT: Upload a CSV or XLSX payroll export
+// POST /api/employees/import (multipart/form-data)
+// Fields: file (required), dryRun?: "false" to commit (default: dry run),
+//         mapping?: JSON { "File Header": "field" }, sheet?: worksheet name,
+//         skipInvalid?: "true" to commit valid rows even if some rows fail
+// Only cells with values are written; blank cells never overwrite data.
+router.post(
+  "/employees/import",
+  auth.requirePermission("employees:write"),
+  upload.single("file"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "file is required" });
+      }
+      const format = importer.detectFormat(
+        req.file.originalname,
+        req.file.mimetype
+      );
+      if (!format) {
+        return res
+          .status(400)
+          .json({ error: "Unsupported file type, expected .csv or .xlsx" });
+      }
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (e) {
+          return res.status(400).json({ error: "mapping must be valid JSON" });
+        }
+      }
+      const dryRun = req.body.dryRun !== "false";
+      const skipInvalid = req.body.skipInvalid === "true";
+
+      let rows;
+      try {
+        rows = await importer.parseFile(req.file.buffer, format, {
+          sheet: req.body.sheet,
+        });
+      } catch (e) {
+        if (e.status) throw e;
+        return res
+          .status(400)
+          .json({ error: `Could not parse ${format} file: ${e.message}` });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({ error: "File contains no data rows" });
+      }
+
+      const report = await importer.planImport(
+        rows,
+        mapping,
+        await normalize.loadRubrics()
       );
-      results.push({ ssid: emp.ssid, ok: true });
+      if (!Object.values(report.mapping).includes("ssid")) {
+        return res.status(400).json({
+          error: "No column maps to ssid; provide a mapping",
+          ...report,
+        });
+      }
+
+      let committed = false;
+      let written = 0;
+      if (!dryRun) {
+        if (report.summary.error > 0 && !skipInvalid) {
+          return res.status(422).json({
+            error: `${report.summary.error} row(s) failed validation, nothing was imported`,
+            dryRun,
+            committed,
+            ...report,
+          });
+        }
+        written = await importer.commitImport(report.plan, {
+          actor: req.user.username,
+        });
+        committed = true;
+      }
+
+      res.json({
+        ok: true,
+        dryRun,
+        committed,
+        written,
+        file: { name: req.file.originalname, format, rows: rows.length },
+        mapping: report.mapping,
+        unmappedHeaders: report.unmappedHeaders,
+        summary: report.summary,
+        rows: report.plan.map(({ record, ...row }) => row),
+      });
+    } catch (err) {
+      next(err);
     }
-    res.json({ ok: true, results });
-  } catch (err) {
-    next(err);
   }
-});
+);
+
+// METRICS: monthly or quarterly history of revenue, performance and cost.
+// Analysis uses it for trends; revenue and cost are for the period itself.
+
+// GET /api/employees/:ssid/metrics?from=2024-Q1&to=2025-Q4
+router.get(
+  "/employees/:ssid/metrics",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      await assertInScope(req, req.params.ssid);
+      const query = { ssid: req.params.ssid };
+      for (const [param, op] of [
+        ["from", "$gte"],
+        ["to", "$lte"],
+      ]) {
+        if (!req.query[param]) continue;
+        const period = metrics.parsePeriod(req.query[param]);
+        if (!period) {
+          return res
+            .status(400)
+            .json({ error: `${param} must look like "2025-Q1" or "2025-03"` });
+        }
+        query.periodStart = { ...query.periodStart, [op]: period.periodStart };
+      }
+      const snapshots = await MetricSnapshot.find(query)
+        .sort({ periodStart: 1 })
+        .lean();
+      res.json(
+        redact(req, {
+          ssid: req.params.ssid,
+          snapshots,
+          trends: metrics.computeTrends(snapshots),
+        })
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const METRIC_FIELDS = ["revenue", "performance", "cost", "source"];
+
+// Save a snapshot and log what it replaced
+async function saveMetrics(actor, ssid, snapshot) {
+  const before = await MetricSnapshot.findOne({
+    ssid,
+    period: snapshot.period,
+  }).lean();
+  const saved = await metrics.saveSnapshot(ssid, snapshot);
+  await audit.recordChange({
+    actor,
+    action: "metrics.record",
+    entity: "MetricSnapshot",
+    entityId: saved._id,
+    ssid,
+    before,
+    after: saved,
+    fields: METRIC_FIELDS,
+    meta: { period: saved.period },
+  });
+  return saved;
+}
+
+// Record one period, replacing any earlier figures for the same period
+// POST /api/employees/:ssid/metrics
+// Body: { period: "2025-Q1" | "2025-03", revenue?: number, performance?: number|string, cost?: number, source?: string }
+router.post(
+  "/employees/:ssid/metrics",
+  auth.requirePermission("metrics:write"),
+  async (req, res, next) => {
+    try {
+      await assertInScope(req, req.params.ssid);
+      const exists = await Employee.exists({ ssid: req.params.ssid });
+      if (!exists) return res.status(404).json({ error: "Employee not found" });
+
+      const { snapshot, error } = metrics.validateSnapshot(
+        { ...req.body, recordedBy: req.user.username },
+        await normalize.loadRubrics()
+      );
+      if (error) return res.status(400).json({ error });
+
+      const saved = await saveMetrics(
+        req.user.username,
+        req.params.ssid,
+        snapshot
+      );
+      res.json({ ok: true, snapshot: saved });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Record many employees' periods at once, e.g. a quarterly close
+// POST /api/metrics/bulk
+// Body: [{ ssid, period, revenue?, performance?, cost? }]
+router.post(
+  "/metrics/bulk",
+  auth.requirePermission("metrics:write"),
+  async (req, res, next) => {
+    try {
+      const rows = req.body;
+      if (!Array.isArray(rows)) {
+        return res.status(400).json({ error: "Expected array of snapshots" });
+      }
+      const rubrics = await normalize.loadRubrics();
+      const known = new Set(
+        (
+          await Employee.find(
+            await scopedQuery(req, { ssid: { $in: rows.map((r) => r.ssid) } }),
+            { ssid: 1 }
+          ).lean()
+        ).map((e) => e.ssid)
+      );
+
+      const results = [];
+      for (const row of rows) {
+        if (!known.has(row.ssid)) {
+          results.push({ ssid: row.ssid || null, error: "Employee not found" });
+          continue;
+        }
+        const { snapshot, error } = metrics.validateSnapshot(
+          { ...row, recordedBy: req.user.username },
+          rubrics
+        );
+        if (error) {
+          results.push({ ssid: row.ssid, period: row.period, error });
+          continue;
+        }
+        await saveMetrics(req.user.username, row.ssid, snapshot);
+        results.push({ ssid: row.ssid, period: snapshot.period, ok: true });
+      }
+      res.json({
+        ok: true,
+        saved: results.filter((r) => r.ok).length,
+        results,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/employees/:ssid/metrics/:period
+router.delete(
+  "/employees/:ssid/metrics/:period",
+  auth.requirePermission("metrics:write"),
+  async (req, res, next) => {
+    try {
+      await assertInScope(req, req.params.ssid);
+      const period = metrics.parsePeriod(req.params.period);
+      if (!period) return res.status(400).json({ error: "Invalid period" });
+      const existing = await MetricSnapshot.findOneAndDelete({
+        ssid: req.params.ssid,
+        period: period.period,
+      }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Snapshot not found" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "metrics.delete",
+        entity: "MetricSnapshot",
+        entityId: existing._id,
+        ssid: existing.ssid,
+        before: existing,
+        after: null,
+        fields: METRIC_FIELDS,
+        meta: { period: existing.period },
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 // ANALYZE: Fetch employees from DB and analyze with AI using company budget
 // POST /api/analyze
-// Body: { budget: number, ssids?: string[] }
+// Body: { budget: number, departmentBudgets?: object, ssids?: string[], asOf?: string, allocation?: "optimize", raisePool?: number, weights?: object, refresh?: boolean, currency?: string }
 // - budget: company's available budget for salary adjustments
+// - currency: reporting currency for budgets, results and summary (default:
+//   base currency); pay in other currencies is converted at the FX rates
+//   effective on asOf
+// - departmentBudgets: { [departmentCode]: number } analyzes each department
+//   (with its sub-departments) against its own budget; budget then covers
+//   everyone else and may be left out if every employee is covered
 // - ssids: optional array of employee ssids to analyze (if omitted, analyzes all)
-router.post("/analyze", async (req, res, next) => {
-  try {
-    const { budget, ssids } = req.body;
+// - asOf: analysis date, selects the salary bands effective then (default: now)
+// - allocation: "optimize" distributes raises by priority so the total stays within budget
+// - raisePool: optional cap on total raises in optimize mode
+// - weights: optional { performance, profit, marketGap } priority weights
+// - refresh: true to ignore cached model responses and ask the model again
+router.post(
+  "/analyze",
+  auth.requirePermission("analysis:run"),
+  async (req, res, next) => {
+    try {
+      const error = runs.validateRunParams(req.body);
+      if (error) return res.status(400).json({ error });
 
-    if (budget === undefined || budget === null) {
-      return res
-        .status(400)
-        .json({ error: "budget is required (company's available budget)" });
-    }
+      const { run, analysis, employees, asOf, ...result } =
+        await runs.executeRun(req.body, { actor: req.user.username });
+      const totalBudget = analysis.summary.companyBudget;
 
-    // Fetch employees from database
-    let query = { status: { $ne: "FIRED" } }; // Don't analyze fired employees
-    if (ssids && Array.isArray(ssids) && ssids.length > 0) {
-      query.ssid = { $in: ssids };
+      res.json({
+        runId: run._id,
+        engine: run.engine,
+        budget: totalBudget,
+        currency: result.currency,
+        budgetFormatted: formatMoney(totalBudget, result.currency),
+        asOf,
+        employeesAnalyzed: employees.length,
+        summary: formatSummary(analysis.summary),
+        results: analysis.results.map(formatResult),
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    const employees = await Employee.find(query).lean();
+const ACTION_FIELDS = [
+  "status",
+  "reviewedBy",
+  "reviewComment",
+  "revertedBy",
+  "revertOf",
+];
 
-    if (employees.length === 0) {
-      return res.status(404).json({ error: "No employees found to analyze" });
-    }
+// Log a proposal's status change from a snapshot taken before it
+const recordProposalChange = (actor, action, before, proposal) =>
+  audit.recordChange({
+    actor,
+    action,
+    entity: "Action",
+    entityId: proposal._id,
+    ssid: proposal.ssid,
+    before,
+    after: proposal.toObject(),
+    fields: ACTION_FIELDS,
+    meta: {
+      action: proposal.action,
+      ...(proposal.batchId && { batchId: proposal.batchId }),
+    },
+  });
 
-    // Analyze all employees with AI (now returns { results, summary })
-    const analysis = await ai.analyzeAllEmployees(employees, budget);
+// Guardrail check of an action on an employee (see policy.js)
+async function checkPolicy(emp, action, changePercent) {
+  const [rules, history, bandTable] = await Promise.all([
+    policy.loadRules(),
+    policy.loadPerformanceHistory([emp.ssid]),
+    bands.loadBandTable(),
+  ]);
+  return policy.evaluate(
+    rules,
+    { action, changePercent, employee: emp, history: history.get(emp.ssid) },
+    { bandTable }
+  );
+}
 
-    // Save suggestions back to database
-    for (const result of analysis.results) {
-      await Employee.findOneAndUpdate(
-        { ssid: result.ssid },
-        { $set: { suggestion: result.suggestion, lastAnalyzed: new Date() } }
-      );
-    }
+// Stored on the Action so reviewers see what the rules said
+const policyRecord = (evaluation) => ({
+  outcome: evaluation.outcome,
+  violations: evaluation.violations,
+  checkedAt: new Date(),
+});
 
-    res.json({
-      budget,
-      budgetFormatted: formatRs(budget),
-      employeesAnalyzed: employees.length,
-      summary: {
-        ...analysis.summary,
-        companyBudgetFormatted: formatRs(analysis.summary.companyBudget),
-        totalCurrentSalariesFormatted: formatRs(
-          analysis.summary.totalCurrentSalaries
-        ),
-        totalSuggestedSalariesFormatted: formatRs(
-          analysis.summary.totalSuggestedSalaries
-        ),
-        totalRevenueFormatted: formatRs(analysis.summary.totalRevenue),
-        projectedSavingsFormatted: formatRs(
-          Math.abs(analysis.summary.projectedSavings)
-        ),
-        projectedSavingsType:
-          analysis.summary.projectedSavings >= 0 ? "savings" : "increase",
-      },
-      results: analysis.results.map((r) => ({
-        ...r,
-        currentSalaryFormatted: formatRs(r.currentSalary),
-        suggestion: {
-          ...r.suggestion,
-          suggestedSalaryFormatted: r.suggestion.suggestedSalary
-            ? formatRs(r.suggestion.suggestedSalary)
-            : null,
-          currentSalaryFormatted: r.suggestion.currentSalary
-            ? formatRs(r.suggestion.currentSalary)
-            : null,
-          salaryDifferenceFormatted: r.suggestion.salaryDifference
-            ? formatRs(Math.abs(r.suggestion.salaryDifference))
-            : null,
-          salaryChangeType:
-            r.suggestion.salaryDifference >= 0 ? "increase" : "decrease",
-          marketSalaryRangeFormatted: r.suggestion.marketSalaryRange
-            ? {
-                min: formatRs(r.suggestion.marketSalaryRange.min),
-                mid: formatRs(r.suggestion.marketSalaryRange.mid),
-                max: formatRs(r.suggestion.marketSalaryRange.max),
-              }
-            : null,
-        },
+const policyBlocked = (res, evaluation) =>
+  res.status(422).json({
+    error: "Action blocked by policy",
+    violations: evaluation.violations,
+  });
+
+// Employee fields audited when an action is applied or reverted, including
+// the suggestion it consumed or put back
+const ACTION_AUDIT_FIELDS = [
+  ...audit.EMPLOYEE_FIELDS,
+  "suggestion.status",
+  "suggestion.actionId",
+];
+
+const actionError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Why original cannot be reverted now, as { error, conflicts? }, or null
+async function revertBlocker(original, emp, { session } = {}) {
+  if (original.action === "REVERT") {
+    return { error: "A reversal cannot be reverted" };
+  }
+  const status = original.status || "APPLIED";
+  if (status !== "APPLIED") {
+    return {
+      error: `Action is ${status}, only APPLIED actions can be reverted`,
+    };
+  }
+  if (original.revertedBy) {
+    return { error: "Action has already been reverted" };
+  }
+
+  // Later applied actions on the same employee build on this one
+  const laterActions = await Action.find(
+    {
+      ssid: original.ssid,
+      _id: { $ne: original._id },
+      status: APPLIED,
+      action: { $ne: "REVERT" },
+      revertedBy: { $exists: false },
+      appliedAt: { $gt: original.appliedAt },
+    },
+    null,
+    { session }
+  )
+    .sort({ appliedAt: 1 })
+    .lean();
+  if (laterActions.length > 0) {
+    return {
+      error: "Later actions on this employee must be reverted first",
+      conflicts: laterActions.map((a) => ({
+        id: a._id,
+        action: a.action,
+        appliedAt: a.appliedAt,
       })),
-    });
-  } catch (err) {
-    next(err);
+    };
   }
-});
 
-// APPLY ACTION: Human confirms action, system applies it automatically
+  const conflicts = findRevertConflicts(emp, original);
+  if (conflicts.length > 0) {
+    return {
+      error: "Employee was changed since this action was applied",
+      conflicts,
+    };
+  }
+  return null;
+}
+
+// Undo original on emp and link it to the REVERT proposal. Throws 404 / 409
+// when it can no longer be reverted. Returns { actionDetails, original,
+// originalBefore }.
+async function revertOnEmployee(emp, proposal, { session } = {}) {
+  const original = await Action.findById(proposal.revertOf, null, { session });
+  if (!original) throw actionError("Reverted action not found", 404);
+  const blocker = await revertBlocker(original, emp, { session });
+  if (blocker) throw actionError(blocker.error, 409);
+
+  // Older records did not capture lastPromotedAt, so use the previous promotion
+  const previousPromotion = await Action.findOne(
+    {
+      ssid: original.ssid,
+      action: "PROMOTE",
+      status: APPLIED,
+      revertedBy: { $exists: false },
+      appliedAt: { $lt: original.appliedAt },
+    },
+    null,
+    { session }
+  )
+    .sort({ appliedAt: -1 })
+    .lean();
+
+  const actionDetails = revertActionOnEmployee(emp, original, {
+    fallbackLastPromotedAt: previousPromotion?.appliedAt,
+  });
+  suggestions.reopenAfterRevert(emp, original);
+
+  const originalBefore = original.toObject();
+  original.revertedBy = proposal._id;
+  original.revertedAt = new Date();
+  return { actionDetails, original, originalBefore };
+}
+
+// Apply an APPROVED proposal to its employee and mark it APPLIED, saving
+// both within session when one is given. The employee's pending suggestion
+// is resolved by it (see suggestions.resolveWithAction); a REVERT undoes
+// the action it points at instead. Nothing is logged; see recordApplied.
+// Returns { emp, empBefore, proposalBefore, actionDetails, reverted? }.
+async function applyProposalChanges(proposal, { session } = {}) {
+  const emp = await Employee.findOne({ ssid: proposal.ssid }, null, {
+    session,
+  });
+  if (!emp) throw actionError("Employee not found", 404);
+
+  const empBefore = emp.toObject();
+  let actionDetails;
+  let reverted;
+  if (proposal.action === "REVERT") {
+    reverted = await revertOnEmployee(emp, proposal, { session });
+    actionDetails = reverted.actionDetails;
+  } else {
+    actionDetails = applyActionToEmployee(
+      emp,
+      proposal.action,
+      proposal.changePercent
+    );
+    suggestions.resolveWithAction(emp, proposal);
+  }
+  await emp.save({ session });
+  if (reverted) await reverted.original.save({ session });
+
+  const proposalBefore = proposal.toObject();
+  proposal.details = actionDetails;
+  proposal.status = "APPLIED";
+  proposal.appliedAt = new Date();
+  await proposal.save({ session });
+
+  return { emp, empBefore, proposalBefore, actionDetails, reverted };
+}
+
+// Queue the integration events of an applied proposal, within the session
+// that applied it
+async function queueApplied(
+  actor,
+  proposal,
+  { emp, empBefore, reverted },
+  { session } = {}
+) {
+  const empAfter = emp.toObject();
+  if (!reverted) {
+    await integrations.actionApplied(proposal, empAfter, { actor, session });
+  }
+  await integrations.employeeUpdated({
+    before: empBefore,
+    after: empAfter,
+    source: reverted ? "revert" : "action",
+    actor,
+    session,
+  });
+}
+
+// Audit an applied proposal; its integration events are queued with it (see
+// queueApplied)
+async function recordApplied(
+  actor,
+  proposal,
+  { emp, empBefore, proposalBefore, reverted }
+) {
+  const empAfter = emp.toObject();
+  await audit.recordChange({
+    actor,
+    action: reverted ? "action.revert" : "action.apply",
+    entity: "Employee",
+    entityId: emp._id,
+    ssid: emp.ssid,
+    before: empBefore,
+    after: empAfter,
+    fields: ACTION_AUDIT_FIELDS,
+    meta: reverted
+      ? {
+          actionId: reverted.original._id,
+          action: reverted.original.action,
+          revertId: proposal._id,
+        }
+      : {
+          actionId: proposal._id,
+          action: proposal.action,
+          ...(proposal.batchId && { batchId: proposal.batchId }),
+        },
+  });
+  await recordProposalChange(actor, "action.apply", proposalBefore, proposal);
+  if (reverted) {
+    await recordProposalChange(
+      actor,
+      "action.revert",
+      reverted.originalBefore,
+      reverted.original
+    );
+  }
+}
+
+// Apply an APPROVED proposal to its employee and mark it APPLIED, together
+// with its integration events
+async function applyProposal(proposal, actor) {
+  const applied = await withTransaction(async (session) => {
+    const changes = await applyProposalChanges(proposal, { session });
+    await queueApplied(actor, proposal, changes, { session });
+    return changes;
+  });
+  await recordApplied(actor, proposal, applied);
+  return applied;
+}
+
+// PROPOSE ACTION: Nothing changes until a second person approves
 // POST /api/action
 // Body: { ssid: string, action: string, note?: string, changePercent?: number }
-router.post("/action", async (req, res, next) => {
-  try {
-    const { ssid, action, note, changePercent } = req.body;
+// The signed-in user is recorded as the proposer. Actions a policy rule
+// blocks are refused with 422 and the violations; warnings are returned and
+// kept on the proposal for the reviewer.
+router.post(
+  "/action",
+  auth.requirePermission("actions:propose"),
+  async (req, res, next) => {
+    try {
+      const { ssid, action, note, changePercent } = req.body;
+      const proposedBy = req.user.username;
+
+      if (!ssid || !action) {
+        return res.status(400).json({ error: "ssid and action are required" });
+      }
+
+      if (!VALID_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: `action must be one of: ${VALID_ACTIONS.join(", ")}`,
+        });
+      }
+      const changeError = validateChangePercent(action, changePercent);
+      if (changeError) return res.status(400).json({ error: changeError });
+
+      await assertInScope(req, ssid);
+      const emp = await Employee.findOne({ ssid }).lean();
+      if (!emp) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
 
-    if (!ssid || !action) {
-      return res.status(400).json({ error: "ssid and action are required" });
+      await expireStaleProposals();
+      const open = await Action.findOne({
+        ssid,
+        status: { $in: ["PROPOSED", "APPROVED"] },
+      }).lean();
+      if (open) {
+        return res.status(409).json({
+          error: `Employee already has an open ${open.action} proposal`,
+          proposal: open,
+        });
+      }
+
+      const resolved = resolveChangePercent(emp, action, changePercent);
+      const evaluation = await checkPolicy(emp, action, resolved);
+      if (evaluation.outcome === "block") {
+        return policyBlocked(res, evaluation);
+      }
+
+      const now = new Date();
+      const proposal = await Action.create({
+        ssid,
+        action,
+        note: note || null,
+        changePercent: resolved,
+        status: "PROPOSED",
+        proposedBy,
+        proposedAt: now,
+        expiresAt: proposalExpiry(now),
+        policy: policyRecord(evaluation),
+      });
+      await audit.recordChange({
+        actor: proposedBy,
+        action: "action.propose",
+        entity: "Action",
+        entityId: proposal._id,
+        ssid,
+        before: null,
+        after: proposal.toObject(),
+        fields: ["action", "status", "changePercent", "note"],
+      });
+
+      res.status(201).json({
+        ok: true,
+        message: `Action ${action} proposed, awaiting approval`,
+        proposal: proposal.toObject(),
+        warnings: evaluation.violations,
+      });
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    const validActions = ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE"];
-    if (!validActions.includes(action)) {
-      return res
-        .status(400)
-        .json({ error: `action must be one of: ${validActions.join(", ")}` });
-    }
-
-    const emp = await Employee.findOne({ ssid });
-    if (!emp) {
-      return res.status(404).json({ error: "Employee not found" });
-    }
-
-    // Determine salary change percentage
-    const salaryChangePercent =
-      changePercent !== undefined
-        ? changePercent
-        : emp.suggestion?.recommended_change_percent ||
-          (action === "PROMOTE" ? 10 : action === "DECREASE_SALARY" ? -10 : 0);
-
-    const previousSalary = emp.salary || emp.suggestion?.estimatedSalary || 0;
-    let newSalary = previousSalary;
-    let actionDetails = {};
-
-    // Apply action automatically
-    switch (action) {
-      case "FIRE":
-        emp.status = "FIRED";
-        emp.terminatedAt = new Date();
-        actionDetails = {
-          effect: "Employee terminated",
-          previousStatus: "ACTIVE",
-          newStatus: "FIRED",
-        };
-        break;
-
-      case "PROMOTE":
-        emp.status = "ACTIVE";
-        newSalary = Math.round(
-          previousSalary * (1 + salaryChangePercent / 100)
-        );
-        emp.salary = newSalary;
-        emp.lastPromotedAt = new Date();
-        actionDetails = {
-          effect: "Salary increased",
-          previousSalary,
-          newSalary,
-          changePercent: salaryChangePercent,
-        };
-        break;
-
-      case "DECREASE_SALARY":
-        emp.status = "ACTIVE";
-        newSalary = Math.round(
-          previousSalary * (1 + salaryChangePercent / 100)
-        ); // changePercent is negative
-        emp.salary = newSalary;
-        actionDetails = {
-          effect: "Salary decreased",
-          previousSalary,
-          newSalary,
-          changePercent: salaryChangePercent,
-        };
-        break;
-
-      case "NO_CHANGE":
-        emp.status = "ACTIVE";
-        actionDetails = {
-          effect: "No changes made",
-          salary: previousSalary,
-        };
-        break;
-    }
-
-    // Save employee changes
-    await emp.save();
-
-    // Record the action in history
-    const actionRecord = await Action.create({
-      ssid,
-      action,
-      note: note || null,
-      details: actionDetails,
-      appliedAt: new Date(),
-    });
+// APPROVE PROPOSAL: A different person approves, system applies it automatically
+// POST /api/action/:id/approve
+// Body: { comment?: string }
+// The policy is checked again; approving over warnings needs a comment.
+router.post(
+  "/action/:id/approve",
+  auth.requirePermission("actions:review"),
+  async (req, res, next) => {
+    try {
+      const { comment } = req.body;
+      const approvedBy = req.user.username;
 
-    res.json({
-      ok: true,
-      message: `Action ${action} applied successfully`,
-      applied: actionRecord.toObject(),
-      employee: addFormattedFields(emp.toObject()),
-      actionDetails,
-      actionDetailsFormatted: {
-        effect: actionDetails.effect,
-        previousSalaryFormatted: actionDetails.previousSalary
-          ? formatRs(actionDetails.previousSalary)
-          : null,
-        newSalaryFormatted: actionDetails.newSalary
-          ? formatRs(actionDetails.newSalary)
-          : null,
-        salaryFormatted: actionDetails.salary
-          ? formatRs(actionDetails.salary)
-          : null,
-        changePercent: actionDetails.changePercent,
-      },
-    });
-  } catch (err) {
-    next(err);
+      await expireStaleProposals();
+      const proposal = await Action.findById(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      if (proposal.status !== "PROPOSED") {
+        return res.status(409).json({
+          error: `Proposal is ${proposal.status || "APPLIED"}, only PROPOSED can be approved`,
+        });
+      }
+      assertMayActOn(req, proposal.action);
+      if (proposal.proposedBy === approvedBy) {
+        return res.status(403).json({
+          error: "Approver cannot be the person who proposed the action",
+        });
+      }
+
+      const current = await Employee.findOne({ ssid: proposal.ssid }).lean();
+      if (!current) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+      const evaluation = await checkPolicy(
+        current,
+        proposal.action,
+        proposal.changePercent
+      );
+      if (evaluation.outcome === "block") {
+        return policyBlocked(res, evaluation);
+      }
+      if (evaluation.outcome === "warn" && !comment) {
+        return res.status(400).json({
+          error: "comment is required to approve over policy warnings",
+          violations: evaluation.violations,
+        });
+      }
+
+      // Only one of two concurrent approvals gets past this
+      const before = proposal.toObject();
+      const approved = await Action.findOneAndUpdate(
+        { _id: proposal._id, status: "PROPOSED" },
+        {
+          $set: {
+            policy: policyRecord(evaluation),
+            status: "APPROVED",
+            reviewedBy: approvedBy,
+            reviewedAt: new Date(),
+            reviewComment: comment || null,
+          },
+        },
+        { new: true }
+      );
+      if (!approved) {
+        return res
+          .status(409)
+          .json({ error: "Proposal was reviewed by someone else meanwhile" });
+      }
+      await recordProposalChange(
+        approvedBy,
+        "action.approve",
+        before,
+        approved
+      );
+
+      const { emp, actionDetails } = await applyProposal(approved, approvedBy);
+
+      res.json({
+        ok: true,
+        message: `Action ${approved.action} approved and applied successfully`,
+        applied: approved.toObject(),
+        employee: addFormattedFields(emp.toObject()),
+        actionDetails,
+        actionDetailsFormatted: formatActionDetails(actionDetails),
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-// Get action history for an employee
-router.get("/actions/:ssid", async (req, res, next) => {
-  try {
-    const actions = await Action.find({ ssid: req.params.ssid })
-      .sort({ appliedAt: -1 })
-      .lean();
-    res.json({ ssid: req.params.ssid, actions });
-  } catch (err) {
-    next(err);
+// REJECT PROPOSAL
+// POST /api/action/:id/reject
+// Body: { comment: string }
+router.post(
+  "/action/:id/reject",
+  auth.requirePermission("actions:review"),
+  async (req, res, next) => {
+    try {
+      const { comment } = req.body;
+      const rejectedBy = req.user.username;
+      if (!comment) {
+        return res.status(400).json({ error: "comment is required" });
+      }
+
+      await expireStaleProposals();
+      const proposal = await Action.findById(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      if (proposal.status !== "PROPOSED") {
+        return res.status(409).json({
+          error: `Proposal is ${proposal.status || "APPLIED"}, only PROPOSED can be rejected`,
+        });
+      }
+      if (proposal.proposedBy === rejectedBy) {
+        return res.status(403).json({
+          error: "Reviewer cannot be the person who proposed the action",
+        });
+      }
+
+      const before = proposal.toObject();
+      proposal.status = "REJECTED";
+      proposal.reviewedBy = rejectedBy;
+      proposal.reviewedAt = new Date();
+      proposal.reviewComment = comment;
+      await proposal.save();
+      await recordProposalChange(rejectedBy, "action.reject", before, proposal);
+
+      res.json({ ok: true, proposal: proposal.toObject() });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-// Get all pending suggestions (employees with suggestions but no recent action)
-router.get("/pending", async (req, res, next) => {
-  try {
-    const employees = await Employee.find({
-      suggestion: { $exists: true },
-      status: { $ne: "FIRED" },
-    }).lean();
+// APPLY APPROVED PROPOSAL: Retry for an approval whose apply step failed
+// POST /api/action/:id/apply
+router.post(
+  "/action/:id/apply",
+  auth.requirePermission("actions:review"),
+  async (req, res, next) => {
+    try {
+      const proposal = await Action.findById(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      if (proposal.status !== "APPROVED") {
+        return res.status(409).json({
+          error: `Proposal is ${proposal.status || "APPLIED"}, only APPROVED can be applied`,
+        });
+      }
+      assertMayActOn(req, proposal.action);
 
-    res.json({
-      count: employees.length,
-      employees: employees.map((e) => ({
-        ssid: e.ssid,
-        name: e.name,
-        role: e.role,
-        salary: e.salary,
-        salaryFormatted: formatRs(e.salary),
-        suggestion: e.suggestion,
-        suggestionFormatted: e.suggestion
-          ? {
-              suggestedSalaryFormatted: e.suggestion.suggestedSalary
-                ? formatRs(e.suggestion.suggestedSalary)
-                : null,
-              salaryDifferenceFormatted: e.suggestion.salaryDifference
-                ? formatRs(Math.abs(e.suggestion.salaryDifference))
-                : null,
-              salaryChangeType:
-                e.suggestion.salaryDifference >= 0 ? "increase" : "decrease",
+      const current = await Employee.findOne({ ssid: proposal.ssid }).lean();
+      if (!current) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+      const evaluation = await checkPolicy(
+        current,
+        proposal.action,
+        proposal.changePercent
+      );
+      if (evaluation.outcome === "block") {
+        return policyBlocked(res, evaluation);
+      }
+
+      const { emp, actionDetails } = await applyProposal(
+        proposal,
+        req.user.username
+      );
+
+      res.json({
+        ok: true,
+        message: `Action ${proposal.action} applied successfully`,
+        applied: proposal.toObject(),
+        employee: addFormattedFields(emp.toObject()),
+        actionDetails,
+        actionDetailsFormatted: formatActionDetails(actionDetails),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// BATCH: Propose many employees' current suggestions at once and approve
+// them together. Both steps are all-or-nothing: every proposal is written,
+// or approved and applied, in one MongoDB transaction, so a failure part way
+// through leaves no employee changed. Audit entries and integration events
+// are written once the transaction has committed.
+
+// Guardrail context for many employees, loaded once
+async function loadPolicyContext(ssids) {
+  const [rules, history, bandTable] = await Promise.all([
+    policy.loadRules(),
+    policy.loadPerformanceHistory(ssids),
+    bands.loadBandTable(),
+  ]);
+  return (emp, action, changePercent) =>
+    policy.evaluate(
+      rules,
+      { action, changePercent, employee: emp, history: history.get(emp.ssid) },
+      { bandTable }
+    );
+}
+
+const batchError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// PROPOSE BATCH
+// POST /api/action/batch
+// Body: { ssids?: string[], minConfidence?: number, note?: string, skipInvalid?: boolean }
+// - ssids: employees whose current suggestion to propose
+// - minConfidence: every employee with a suggestion at least this confident
+//   (0 - 1); combined with ssids, only those of them
+// - skipInvalid: true to propose the rest when some employees cannot be
+//   (open proposal, blocked by policy); otherwise nothing is proposed
+// Only pending suggestions are proposed; NO_CHANGE, rejected, expired and
+// already-acted-on ones are left out. Returns the batchId for approval.
+router.post(
+  "/action/batch",
+  auth.requirePermission("actions:propose"),
+  async (req, res, next) => {
+    try {
+      const { ssids, minConfidence, note } = req.body;
+      const skipInvalid = req.body.skipInvalid === true;
+      const proposedBy = req.user.username;
+      if (ssids === undefined && minConfidence === undefined) {
+        return res
+          .status(400)
+          .json({ error: "ssids or minConfidence is required" });
+      }
+      if (
+        ssids !== undefined &&
+        (!Array.isArray(ssids) ||
+          ssids.length === 0 ||
+          ssids.some((s) => typeof s !== "string"))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "ssids must be a non-empty array of ssids" });
+      }
+      if (
+        minConfidence !== undefined &&
+        !(
+          typeof minConfidence === "number" &&
+          minConfidence >= 0 &&
+          minConfidence <= 1
+        )
+      ) {
+        return res
+          .status(400)
+          .json({ error: "minConfidence must be a number from 0 to 1" });
+      }
+
+      await expireStaleProposals();
+      await suggestions.expireStaleSuggestions();
+      const query = suggestions.pendingQuery();
+      if (ssids) query.ssid = { $in: ssids };
+      if (minConfidence !== undefined) {
+        query["suggestion.confidence"] = { $gte: minConfidence };
+      }
+      const employees = await Employee.find(await scopedQuery(req, query))
+        .sort({ ssid: 1 })
+        .lean();
+      const found = new Set(employees.map((e) => e.ssid));
+      const results = (ssids || [])
+        .filter((ssid) => !found.has(ssid))
+        .map((ssid) => ({
+          ssid,
+          error: "Employee not found or has no matching pending suggestion",
+        }));
+
+      const open = await Action.find({
+        ssid: { $in: [...found] },
+        status: { $in: ["PROPOSED", "APPROVED"] },
+      }).lean();
+      const openBySsid = new Map(open.map((a) => [a.ssid, a]));
+      const check = await loadPolicyContext([...found]);
+
+      const batchId = String(new mongoose.Types.ObjectId());
+      const now = new Date();
+      const docs = [];
+      for (const emp of employees) {
+        const { action } = emp.suggestion;
+        if (action === "NO_CHANGE" || !VALID_ACTIONS.includes(action)) {
+          results.push({ ssid: emp.ssid, skipped: `Suggestion is ${action}` });
+          continue;
+        }
+        if (openBySsid.has(emp.ssid)) {
+          results.push({
+            ssid: emp.ssid,
+            error: `Employee already has an open ${
+              openBySsid.get(emp.ssid).action
+            } proposal`,
+          });
+          continue;
+        }
+        const changePercent = resolveChangePercent(emp, action);
+        const evaluation = check(emp, action, changePercent);
+        if (evaluation.outcome === "block") {
+          results.push({
+            ssid: emp.ssid,
+            error: "Action blocked by policy",
+            violations: evaluation.violations,
+          });
+          continue;
+        }
+        docs.push({
+          ssid: emp.ssid,
+          action,
+          note: note || null,
+          changePercent,
+          status: "PROPOSED",
+          proposedBy,
+          proposedAt: now,
+          expiresAt: proposalExpiry(now),
+          batchId,
+          policy: policyRecord(evaluation),
+        });
+      }
+
+      const failed = results.filter((r) => r.error).length;
+      if (failed > 0 && !skipInvalid) {
+        return res.status(422).json({
+          error: `${failed} employee(s) cannot be proposed, nothing was proposed`,
+          results,
+        });
+      }
+      if (docs.length === 0) {
+        return res
+          .status(422)
+          .json({ error: "No suggestions to propose", results });
+      }
+
+      const proposals = await withTransaction((session) =>
+        Action.create(docs, { session, ordered: true })
+      );
+      for (const proposal of proposals) {
+        await audit.recordChange({
+          actor: proposedBy,
+          action: "action.propose",
+          entity: "Action",
+          entityId: proposal._id,
+          ssid: proposal.ssid,
+          before: null,
+          after: proposal.toObject(),
+          fields: ["action", "status", "changePercent", "note"],
+          meta: { batchId },
+        });
+        results.push({
+          ssid: proposal.ssid,
+          ok: true,
+          actionId: proposal._id,
+          action: proposal.action,
+          changePercent: proposal.changePercent,
+          warnings: proposal.policy.violations,
+        });
+      }
+
+      res.status(201).json({
+        ok: true,
+        message: `${proposals.length} action(s) proposed, awaiting approval`,
+        batchId,
+        proposed: proposals.length,
+        results,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// APPROVE BATCH: A different person approves every PROPOSED action left in
+// the batch (reject single ones first to leave them out); all are applied,
+// or none are
+// POST /api/action/batch/:batchId/approve
+// Body: { comment?: string }
+// The policy is checked again; approving over warnings needs a comment.
+router.post(
+  "/action/batch/:batchId/approve",
+  auth.requirePermission("actions:review"),
+  async (req, res, next) => {
+    try {
+      const { comment } = req.body;
+      const { batchId } = req.params;
+      const approvedBy = req.user.username;
+
+      await expireStaleProposals();
+      const pending = await Action.find({ batchId, status: "PROPOSED" })
+        .sort({ ssid: 1 })
+        .lean();
+      if (pending.length === 0) {
+        return (await Action.exists({ batchId }))
+          ? res
+              .status(409)
+              .json({ error: "Batch has no PROPOSED actions left" })
+          : res.status(404).json({ error: "Batch not found" });
+      }
+      if (pending.some((p) => p.proposedBy === approvedBy)) {
+        return res.status(403).json({
+          error: "Approver cannot be the person who proposed the actions",
+        });
+      }
+
+      const ssids = pending.map((p) => p.ssid);
+      const employees = await Employee.find({ ssid: { $in: ssids } }).lean();
+      const bySsid = new Map(employees.map((e) => [e.ssid, e]));
+      const check = await loadPolicyContext(ssids);
+      const results = [];
+      const evaluations = new Map();
+      for (const p of pending) {
+        const result = { ssid: p.ssid, actionId: p._id, action: p.action };
+        const emp = bySsid.get(p.ssid);
+        if (
+          p.action === "FIRE" &&
+          !auth.hasPermission(req.user, "actions:fire")
+        ) {
+          result.error = "Only HR admins can approve or apply FIRE";
+        } else if (!emp) {
+          result.error = "Employee not found";
+        } else {
+          const evaluation = check(emp, p.action, p.changePercent);
+          evaluations.set(String(p._id), evaluation);
+          if (evaluation.outcome === "block") {
+            result.error = "Action blocked by policy";
+            result.violations = evaluation.violations;
+          } else if (evaluation.outcome === "warn" && !comment) {
+            result.error =
+              "comment is required to approve over policy warnings";
+            result.violations = evaluation.violations;
+          }
+        }
+        results.push(result);
+      }
+      const failed = results.filter((r) => r.error).length;
+      if (failed > 0) {
+        return res.status(422).json({
+          error: `${failed} action(s) cannot be approved, nothing was applied`,
+          results,
+        });
+      }
+
+      let current = null;
+      let applied;
+      try {
+        applied = await withTransaction(async (session) => {
+          const done = [];
+          for (const p of pending) {
+            current = p;
+            const proposal = await Action.findOne(
+              { _id: p._id, status: "PROPOSED" },
+              null,
+              { session }
+            );
+            if (!proposal) {
+              throw batchError("Proposal was changed by someone else", 409);
             }
-          : null,
+            const before = proposal.toObject();
+            proposal.policy = policyRecord(evaluations.get(String(p._id)));
+            proposal.status = "APPROVED";
+            proposal.reviewedBy = approvedBy;
+            proposal.reviewedAt = new Date();
+            proposal.reviewComment = comment || null;
+            await proposal.save({ session });
+            const changes = await applyProposalChanges(proposal, { session });
+            await queueApplied(approvedBy, proposal, changes, { session });
+            done.push({ proposal, before, ...changes });
+          }
+          current = null;
+          return done;
+        });
+      } catch (err) {
+        if (!err.status || !current || err.expose) throw err;
+        return res.status(err.status).json({
+          error: `Batch rolled back, nothing was applied: ${current.ssid}: ${err.message}`,
+          results: results.map((r) =>
+            r.ssid === current.ssid
+              ? { ...r, error: err.message }
+              : { ...r, rolledBack: true }
+          ),
+        });
+      }
+
+      for (const { proposal, before, ...changes } of applied) {
+        await audit.recordChange({
+          actor: approvedBy,
+          action: "action.approve",
+          entity: "Action",
+          entityId: proposal._id,
+          ssid: proposal.ssid,
+          before,
+          after: changes.proposalBefore,
+          fields: ACTION_FIELDS,
+          meta: { action: proposal.action, batchId },
+        });
+        await recordApplied(approvedBy, proposal, changes);
+      }
+
+      res.json({
+        ok: true,
+        message: `${applied.length} action(s) approved and applied successfully`,
+        batchId,
+        applied: applied.length,
+        results: applied.map(({ proposal, actionDetails }) => ({
+          ssid: proposal.ssid,
+          ok: true,
+          actionId: proposal._id,
+          action: proposal.action,
+          actionDetails,
+          actionDetailsFormatted: formatActionDetails(actionDetails),
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// REVERT ACTION: Propose undoing an applied action. Like any other change to
+// pay or employment it needs a second person: approving the REVERT proposal
+// (POST /api/action/:id/approve) restores the employee's prior state.
+// POST /api/action/:id/revert
+// Body: { note?: string }
+router.post(
+  "/action/:id/revert",
+  auth.requirePermission("actions:revert"),
+  async (req, res, next) => {
+    try {
+      const { note } = req.body;
+      const proposedBy = req.user.username;
+
+      await expireStaleProposals();
+      const original = await Action.findById(req.params.id);
+      if (!original) {
+        return res.status(404).json({ error: "Action not found" });
+      }
+      const emp = await Employee.findOne({ ssid: original.ssid });
+      if (!emp) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+      const blocker = await revertBlocker(original, emp);
+      if (blocker) return res.status(409).json(blocker);
+      if (
+        await Action.exists({
+          revertOf: original._id,
+          status: { $in: ["PROPOSED", "APPROVED"] },
+        })
+      ) {
+        return res
+          .status(409)
+          .json({ error: "A revert of this action is already proposed" });
+      }
+
+      const now = new Date();
+      const proposal = await Action.create({
+        ssid: original.ssid,
+        action: "REVERT",
+        note: note || null,
+        status: "PROPOSED",
+        proposedBy,
+        proposedAt: now,
+        expiresAt: proposalExpiry(now),
+        revertOf: original._id,
+      });
+      await recordProposalChange(proposedBy, "action.propose", null, proposal);
+
+      res.status(201).json({
+        ok: true,
+        message: `Revert of ${original.action} proposed, awaiting approval`,
+        proposal: proposal.toObject(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// List proposals, optionally filtered
+// GET /api/proposals?status=PROPOSED&ssid=emp001&batchId=<id>
+router.get(
+  "/proposals",
+  auth.requirePermission("actions:read"),
+  async (req, res, next) => {
+    try {
+      const { status, ssid, batchId } = req.query;
+      if (status && !PROPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${PROPOSAL_STATUSES.join(", ")}`,
+        });
+      }
+
+      await expireStaleProposals();
+      const query = {};
+      if (status) query.status = status;
+      if (ssid) query.ssid = ssid;
+      if (batchId) query.batchId = batchId;
+
+      const proposals = await Action.find(await scopedQuery(req, query))
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({ count: proposals.length, proposals: redact(req, proposals) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// List actions one page at a time, newest first
+// GET /api/actions?page=1&limit=50&ssid=&status=PROPOSED&action=&batchId=&proposedBy=&from=&to=
+// See listing.parseActionListing for the parameters.
+router.get(
+  "/actions",
+  auth.requirePermission("actions:read"),
+  async (req, res, next) => {
+    try {
+      const params = listing.parseActionListing(req.query);
+      await expireStaleProposals();
+      const query = await scopedQuery(req, params.match);
+      const [actions, total] = await Promise.all([
+        Action.find(query)
+          .sort(params.sort)
+          .skip((params.page - 1) * params.limit)
+          .limit(params.limit)
+          .lean(),
+        Action.countDocuments(query),
+      ]);
+      const employees = await Employee.find(
+        { ssid: { $in: [...new Set(actions.map((a) => a.ssid))] } },
+        { ssid: 1, currency: 1 }
+      ).lean();
+      const currencyBySsid = new Map(
+        employees.map((e) => [e.ssid, currency.currencyOf(e)])
+      );
+      res.json({
+        ...listing.pageInfo(params, total, actions.length),
+        actions: redact(req, actions).map((a) => ({
+          ...a,
+          detailsFormatted: a.details
+            ? {
+                ...a.details,
+                ...formatActionDetails(a.details, currencyBySsid.get(a.ssid)),
+              }
+            : null,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get action history for an employee
+router.get(
+  "/actions/:ssid",
+  auth.requirePermission("actions:read"),
+  async (req, res, next) => {
+    try {
+      await assertInScope(req, req.params.ssid);
+      const actions = await Action.find({ ssid: req.params.ssid })
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({ ssid: req.params.ssid, actions: redact(req, actions) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// SUGGESTIONS: What analyses recommended, and whether anyone acted on it
+// (see suggestions.js)
+
+const PENDING_SORTS = {
+  confidence: (a, b) =>
+    (b.suggestion.confidence ?? 0) - (a.suggestion.confidence ?? 0),
+  impact: (a, b) => (b.impact ?? -1) - (a.impact ?? -1),
+  age: (a, b) => (b.ageDays ?? 0) - (a.ageDays ?? 0),
+};
+
+// Suggestions that can still be acted on: pending, not expired and with no
+// open proposal for the employee. Highest first.
+// GET /api/pending?sort=confidence|impact|age&limit=50
+// impact is the money at stake in the base currency; sorting by it needs
+// salary:read.
+router.get(
+  "/pending",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      const sort = req.query.sort || "confidence";
+      if (!PENDING_SORTS[sort]) {
+        return res.status(400).json({
+          error: `sort must be one of: ${Object.keys(PENDING_SORTS).join(
+            ", "
+          )}`,
+        });
+      }
+      if (sort === "impact" && !auth.hasPermission(req.user, "salary:read")) {
+        return res
+          .status(403)
+          .json({ error: "Sorting by impact requires salary:read" });
+      }
+      const limit =
+        req.query.limit === undefined ? null : Number(req.query.limit);
+      if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer" });
+      }
+
+      await expireStaleProposals();
+      await suggestions.expireStaleSuggestions();
+      const open = await Action.distinct("ssid", {
+        status: { $in: ["PROPOSED", "APPROVED"] },
+      });
+      const [employees, fx] = await Promise.all([
+        Employee.find(
+          await scopedQuery(req, {
+            ...suggestions.pendingQuery(),
+            ssid: { $nin: open },
+          })
+        ).lean(),
+        currency.loadFxTable(),
+      ]);
+
+      const now = new Date();
+      const items = employees
+        .map((e) => ({
+          ssid: e.ssid,
+          name: e.name,
+          role: e.role,
+          salary: e.salary,
+          currency: currency.currencyOf(e),
+          salaryFormatted: formatMoney(e.salary, currency.currencyOf(e)),
+          suggestion: e.suggestion,
+          suggestedAt: suggestions.suggestedAt(e),
+          expiresAt:
+            e.suggestion.expiresAt ||
+            suggestions.suggestionExpiry(new Date(suggestions.suggestedAt(e))),
+          ageDays: suggestions.ageDays(e, now),
+          impact: suggestions.impactOf(e, fx),
+          suggestionFormatted: {
+            suggestedSalaryFormatted: e.suggestion.suggestedSalary
+              ? formatMoney(
+                  e.suggestion.suggestedSalary,
+                  e.suggestion.currency || currency.currencyOf(e)
+                )
+              : null,
+            salaryDifferenceFormatted: e.suggestion.salaryDifference
+              ? formatMoney(
+                  Math.abs(e.suggestion.salaryDifference),
+                  e.suggestion.currency || currency.currencyOf(e)
+                )
+              : null,
+            salaryChangeType:
+              e.suggestion.salaryDifference >= 0 ? "increase" : "decrease",
+          },
+        }))
+        .sort(PENDING_SORTS[sort]);
+      const page = limit === null ? items : items.slice(0, limit);
+
+      res.json({
+        count: page.length,
+        total: items.length,
+        sort,
+        baseCurrency: currency.BASE_CURRENCY,
+        ttlDays: suggestions.SUGGESTION_TTL_DAYS,
+        employees: redact(req, page),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// REJECT SUGGESTION: Decide not to act on an employee's pending suggestion
+// POST /api/employees/:ssid/suggestion/reject
+// Body: { reason: string }
+// The suggestion stays on the employee as REJECTED until the next analysis
+// replaces it.
+router.post(
+  "/employees/:ssid/suggestion/reject",
+  auth.requirePermission("actions:propose"),
+  async (req, res, next) => {
+    try {
+      const { ssid } = req.params;
+      const { reason } = req.body || {};
+      if (typeof reason !== "string" || !reason.trim()) {
+        return res.status(400).json({ error: "reason is required" });
+      }
+      await assertInScope(req, ssid);
+      await suggestions.expireStaleSuggestions();
+
+      const emp = await Employee.findOne({ ssid });
+      if (!emp) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+      if (!emp.suggestion?.action) {
+        return res
+          .status(404)
+          .json({ error: "Employee has no suggestion to reject" });
+      }
+      if (!suggestions.isPending(emp.suggestion)) {
+        return res.status(409).json({
+          error: `Suggestion is ${emp.suggestion.status}, only PENDING suggestions can be rejected`,
+        });
+      }
+
+      const empBefore = emp.toObject();
+      Object.assign(emp.suggestion, {
+        status: "REJECTED",
+        resolvedAt: new Date(),
+        rejectedBy: req.user.username,
+        rejectionReason: reason.trim(),
+      });
+      await emp.save();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "suggestion.reject",
+        entity: "Employee",
+        entityId: emp._id,
+        ssid,
+        before: empBefore,
+        after: emp.toObject(),
+        fields: ["suggestion.status", "suggestion.rejectionReason"],
+        meta: { suggestedAction: emp.suggestion.action },
+      });
+
+      res.json({
+        success: true,
+        ssid,
+        suggestion: redact(req, emp.suggestion.toObject()),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ANALYSIS RUNS: History of POST /api/analyze
+
+// List runs, newest first (without inputs and per-employee results)
+// GET /api/runs?limit=20&engine=openai
+router.get(
+  "/runs",
+  auth.requirePermission("runs:read"),
+  async (req, res, next) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 20, 100);
+      const query = {};
+      if (req.query.engine) query.engine = req.query.engine;
+
+      const list = await AnalysisRun.find(query)
+        .select("-inputs -results")
+        .sort({ completedAt: -1 })
+        .limit(limit)
+        .lean();
+      res.json({
+        count: list.length,
+        runs: list.map((r) => ({
+          ...r,
+          summary: r.summary
+            ? redactSummary(req, formatSummary(r.summary))
+            : r.summary,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Diff two runs: summary deltas and employees whose recommendation changed
+// GET /api/runs/diff?a=<older id>&b=<newer id>
+router.get(
+  "/runs/diff",
+  auth.requirePermission("runs:read"),
+  async (req, res, next) => {
+    try {
+      const { a, b } = req.query;
+      if (!a || !b) {
+        return res.status(400).json({ error: "a and b run ids are required" });
+      }
+      const [left, right] = await Promise.all([
+        AnalysisRun.findById(a).lean(),
+        AnalysisRun.findById(b).lean(),
+      ]);
+      if (!left || !right) {
+        return res.status(404).json({ error: "Analysis run not found" });
+      }
+
+      const diff = runs.diffAnalyses(left, right);
+      const scope = await loadScope(req);
+      res.json({
+        a: { id: left._id, completedAt: left.completedAt, budget: left.budget },
+        b: {
+          id: right._id,
+          completedAt: right.completedAt,
+          budget: right.budget,
+        },
+        ...diff,
+        // Deltas give away as much as the smaller run's own totals
+        summary: redactSummary(
+          req,
+          diff.summary,
+          Math.min(
+            left.summary?.totalEmployees || 0,
+            right.summary?.totalEmployees || 0
+          )
+        ),
+        employees: redact(
+          req,
+          diff.employees
+            .filter((e) => !scope || scope.has(e.ssid))
+            .map((e) => ({
+              ...e,
+              suggestedSalaryDeltaFormatted: formatMoney(
+                Math.abs(e.suggestedSalaryDelta),
+                diff.currency
+              ),
+              suggestedSalaryChangeType:
+                e.suggestedSalaryDelta >= 0 ? "increase" : "decrease",
+            }))
+        ),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/runs/:id
+router.get(
+  "/runs/:id",
+  auth.requirePermission("runs:read"),
+  async (req, res, next) => {
+    try {
+      const run = await AnalysisRun.findById(req.params.id).lean();
+      if (!run)
+        return res.status(404).json({ error: "Analysis run not found" });
+      const scope = await loadScope(req);
+      const visible = (rows) =>
+        (rows || []).filter((r) => !scope || scope.has(r.ssid));
+      res.json({
+        run: {
+          ...redact(req, {
+            ...run,
+            inputs: run.inputs && visible(run.inputs),
+            results: visible(run.results).map(formatResult),
+          }),
+          summary: redactSummary(req, formatSummary(run.summary)),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Download an analysis run as a report
+// GET /api/runs/:id/report?format=csv|pdf
+router.get(
+  "/runs/:id/report",
+  auth.requirePermission("reports:export"),
+  async (req, res, next) => {
+    try {
+      const format = (req.query.format || "csv").toLowerCase();
+      if (!["csv", "pdf"].includes(format)) {
+        return res.status(400).json({ error: "format must be csv or pdf" });
+      }
+
+      const run = await AnalysisRun.findById(req.params.id).lean();
+      if (!run)
+        return res.status(404).json({ error: "Analysis run not found" });
+
+      const filename = `analysis-${run._id}.${format}`;
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+      if (format === "csv") {
+        res.type("text/csv").send(reports.renderCsv(run));
+      } else {
+        res.type("application/pdf").send(await reports.renderPdf(run));
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// SCHEDULES: recurring analyses that notify channels when recommendations
+// change materially (see scheduler.js). Times are UTC.
+
+const SCHEDULE_FIELDS = [
+  "name",
+  "enabled",
+  "frequency",
+  "dayOfWeek",
+  "dayOfMonth",
+  "hour",
+  "params",
+  "materiality",
+  "channels",
+];
+
+// Webhook secrets are write-only
+const maskSchedule = (schedule) =>
+  schedule && {
+    ...schedule,
+    channels: (schedule.channels || []).map((c) =>
+      c.secret ? { ...c, secret: "[set]" } : c
+    ),
+  };
+
+const pickScheduleFields = (body) => {
+  const fields = {};
+  for (const key of SCHEDULE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// GET /api/schedules
+router.get(
+  "/schedules",
+  auth.requirePermission("schedules:read"),
+  async (req, res, next) => {
+    try {
+      const schedules = await Schedule.find().sort({ name: 1 }).lean();
+      res.json({ schedules: schedules.map(maskSchedule) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /api/schedules
+// Body: { name, frequency: "daily" | "weekly" | "monthly", dayOfWeek?, dayOfMonth?, hour?, enabled?, params, materiality?, channels? }
+// - params: as for POST /api/analyze, without asOf
+// - materiality: { actions?: ["FIRE"], salaryChangePercent?: 10 }
+// - channels: [{ type: "email", to: [...] } | { type: "webhook", url, secret? }]
+router.post(
+  "/schedules",
+  auth.requirePermission("schedules:write"),
+  async (req, res, next) => {
+    try {
+      const fields = pickScheduleFields(req.body);
+      const error = scheduler.validateSchedule(fields);
+      if (error) return res.status(400).json({ error });
+      if (await Schedule.exists({ name: fields.name })) {
+        return res
+          .status(409)
+          .json({ error: `A schedule named ${fields.name} already exists` });
+      }
+
+      const schedule = await Schedule.create({
+        ...fields,
+        nextRunAt: scheduler.nextRunAt(fields),
+        createdBy: req.user.username,
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "schedule.create",
+        entity: "Schedule",
+        entityId: schedule._id,
+        before: null,
+        after: maskSchedule(schedule.toObject()),
+        fields: SCHEDULE_FIELDS,
+      });
+      res.status(201).json({ schedule: maskSchedule(schedule.toObject()) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Replace a schedule's settings; run history is kept
+// PUT /api/schedules/:id
+// Body: as for POST /api/schedules. A webhook channel sent with secret
+// "[set]" keeps its stored secret.
+router.put(
+  "/schedules/:id",
+  auth.requirePermission("schedules:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await Schedule.findById(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      const fields = { enabled: true, ...pickScheduleFields(req.body) };
+      fields.channels = (fields.channels || []).map((c) => {
+        if (c.secret !== "[set]") return c;
+        const stored = (existing.channels || []).find(
+          (s) => s.type === c.type && s.url === c.url
+        );
+        return { ...c, secret: stored?.secret };
+      });
+      const error = scheduler.validateSchedule(fields);
+      if (error) return res.status(400).json({ error });
+
+      const schedule = await Schedule.findByIdAndUpdate(
+        existing._id,
+        {
+          $set: {
+            ...fields,
+            nextRunAt: scheduler.nextRunAt(fields),
+            updatedBy: req.user.username,
+          },
+        },
+        { new: true, runValidators: true }
+      ).lean();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "schedule.update",
+        entity: "Schedule",
+        entityId: schedule._id,
+        before: maskSchedule(existing),
+        after: maskSchedule(schedule),
+        fields: SCHEDULE_FIELDS,
+      });
+      res.json({ schedule: maskSchedule(schedule) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/schedules/:id
+router.delete(
+  "/schedules/:id",
+  auth.requirePermission("schedules:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await Schedule.findByIdAndDelete(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Schedule not found" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "schedule.delete",
+        entity: "Schedule",
+        entityId: existing._id,
+        before: maskSchedule(existing),
+        after: null,
+        fields: SCHEDULE_FIELDS,
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Run a schedule now, outside its timetable; nextRunAt is unchanged
+// POST /api/schedules/:id/run
+router.post(
+  "/schedules/:id/run",
+  auth.requirePermission("schedules:write"),
+  async (req, res, next) => {
+    try {
+      const schedule = await scheduler.claimNow(req.params.id);
+      const { run, changes, deliveries } =
+        await scheduler.runSchedule(schedule);
+      res.json({
+        runId: run._id,
+        engine: run.engine,
+        summary: formatSummary(run.summary),
+        changes,
+        deliveries,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// INTEGRATIONS: signed webhook events for HRIS and other downstream systems
+// (see integrations/). Deliveries that run out of retries are listed with
+// status=dead and can be retried once the endpoint is fixed.
+
+const ENDPOINT_FIELDS = [
+  "name",
+  "url",
+  "secret",
+  "events",
+  "connector",
+  "enabled",
+];
+
+// Endpoint secrets are write-only
+const maskEndpoint = (endpoint) =>
+  endpoint && { ...endpoint, secret: endpoint.secret ? "[set]" : null };
+
+const pickEndpointFields = (body) => {
+  const fields = {};
+  for (const key of ENDPOINT_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// Event types and the connectors that can format them
+// GET /api/integrations/connectors
+router.get(
+  "/integrations/connectors",
+  auth.requirePermission("integrations:read"),
+  (req, res) => {
+    res.json({
+      events: integrations.EVENT_TYPES,
+      connectors: Object.values(integrations.CONNECTORS).map((c) => ({
+        name: c.name,
+        events: c.events,
       })),
     });
-  } catch (err) {
-    next(err);
   }
+);
+
+// Endpoints with their delivery counts by status
+// GET /api/integrations/endpoints
+router.get(
+  "/integrations/endpoints",
+  auth.requirePermission("integrations:read"),
+  async (req, res, next) => {
+    try {
+      const [endpoints, counts] = await Promise.all([
+        WebhookEndpoint.find().sort({ name: 1 }).lean(),
+        WebhookDelivery.aggregate([
+          {
+            $group: {
+              _id: { endpoint: "$endpoint", status: "$status" },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+      ]);
+      const deliveries = {};
+      for (const { _id, count } of counts) {
+        const key = String(_id.endpoint);
+        deliveries[key] = { ...deliveries[key], [_id.status]: count };
+      }
+      res.json({
+        endpoints: endpoints.map((e) => ({
+          ...maskEndpoint(e),
+          deliveries: deliveries[String(e._id)] || {},
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /api/integrations/endpoints
+// Body: { name, url, secret?, events?: ["action.applied", ...], connector?: "generic" | "workday", enabled? }
+// - events: which events to send (default: every event the connector handles)
+// - secret: signs each body, X-Signature: sha256=<hex HMAC of the body>
+router.post(
+  "/integrations/endpoints",
+  auth.requirePermission("integrations:write"),
+  async (req, res, next) => {
+    try {
+      const fields = pickEndpointFields(req.body);
+      const error = integrations.validateEndpoint(fields);
+      if (error) return res.status(400).json({ error });
+      if (await WebhookEndpoint.exists({ name: fields.name })) {
+        return res
+          .status(409)
+          .json({ error: `An endpoint named ${fields.name} already exists` });
+      }
+
+      const endpoint = await WebhookEndpoint.create({
+        ...fields,
+        createdBy: req.user.username,
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "integration.endpoint.create",
+        entity: "WebhookEndpoint",
+        entityId: endpoint._id,
+        before: null,
+        after: maskEndpoint(endpoint.toObject()),
+        fields: ENDPOINT_FIELDS,
+      });
+      res.status(201).json({ endpoint: maskEndpoint(endpoint.toObject()) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Replace an endpoint's settings; queued deliveries go to the new url
+// PUT /api/integrations/endpoints/:id
+// Body: as for POST /api/integrations/endpoints. secret "[set]" keeps the
+// stored secret.
+router.put(
+  "/integrations/endpoints/:id",
+  auth.requirePermission("integrations:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await WebhookEndpoint.findById(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Endpoint not found" });
+      }
+      const fields = {
+        events: [],
+        connector: "generic",
+        enabled: true,
+        ...pickEndpointFields(req.body),
+      };
+      if (fields.secret === "[set]") fields.secret = existing.secret;
+      const error = integrations.validateEndpoint(fields);
+      if (error) return res.status(400).json({ error });
+
+      const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+        existing._id,
+        {
+          $set: { ...fields, updatedBy: req.user.username },
+          ...(fields.secret === undefined && { $unset: { secret: 1 } }),
+        },
+        { new: true, runValidators: true }
+      ).lean();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "integration.endpoint.update",
+        entity: "WebhookEndpoint",
+        entityId: endpoint._id,
+        before: maskEndpoint(existing),
+        after: maskEndpoint(endpoint),
+        fields: ENDPOINT_FIELDS,
+      });
+      res.json({ endpoint: maskEndpoint(endpoint) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Deliveries still queued for the endpoint become dead
+// DELETE /api/integrations/endpoints/:id
+router.delete(
+  "/integrations/endpoints/:id",
+  auth.requirePermission("integrations:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await WebhookEndpoint.findByIdAndDelete(
+        req.params.id
+      ).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Endpoint not found" });
+      }
+      const { modifiedCount } = await WebhookDelivery.updateMany(
+        { endpoint: existing._id, status: "pending" },
+        { $set: { status: "dead", lastError: "Endpoint was deleted" } }
+      );
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "integration.endpoint.delete",
+        entity: "WebhookEndpoint",
+        entityId: existing._id,
+        before: maskEndpoint(existing),
+        after: null,
+        fields: ENDPOINT_FIELDS,
+        meta: { pendingDeliveries: modifiedCount },
+      });
+      res.json({ ok: true, pendingDeliveries: modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Delivery log, newest first; status=dead is the dead-letter list
+// GET /api/integrations/deliveries?status=dead&endpoint=<id>&event=action.applied&limit=50
+router.get(
+  "/integrations/deliveries",
+  auth.requirePermission("integrations:read"),
+  async (req, res, next) => {
+    try {
+      const { status, endpoint, event } = req.query;
+      const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+      const query = {};
+      if (status) query.status = status;
+      if (endpoint) query.endpoint = endpoint;
+      if (event) query.eventType = event;
+      const deliveries = await WebhookDelivery.find(query, { log: 0 })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate("endpoint", "name url connector")
+        .lean();
+      res.json({ deliveries });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// A delivery with its attempts and the event it carries
+// GET /api/integrations/deliveries/:id
+router.get(
+  "/integrations/deliveries/:id",
+  auth.requirePermission("integrations:read"),
+  async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.id)
+        .populate("endpoint", "name url connector")
+        .populate("event")
+        .lean();
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      res.json({ delivery });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Queue a dead delivery again with a fresh set of attempts
+// POST /api/integrations/deliveries/:id/retry
+router.post(
+  "/integrations/deliveries/:id/retry",
+  auth.requirePermission("integrations:write"),
+  async (req, res, next) => {
+    try {
+      const delivery = await integrations.retry(req.params.id);
+      await audit.record({
+        actor: req.user.username,
+        action: "integration.delivery.retry",
+        entity: "WebhookDelivery",
+        entityId: delivery._id,
+        meta: { eventType: delivery.eventType, endpoint: delivery.endpoint },
+      });
+      res.json({ delivery });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// SCENARIOS: What-if analyses that never write to employees
+// Params: { budget, ssids?, asOf?, allocation?, raisePool?, overrides?, hires?, exits?, bands?, useAI?, currency? }
+// - overrides: { [ssid]: { salary?, performance?, role?, ... } }
+// - hires: hypothetical employees, e.g. [{ role, salary, performance, experience }]
+// - exits: ssids to leave out
+// - bands: alternative salary bands, e.g. [{ role, min, mid, max }]
+// - useAI: call the model instead of the heuristic (default false)
+// - currency: reporting currency of budget and results (default: base currency)
+
+const pickScenarioParams = (body) => ({
+  budget: body.budget,
+  ssids: body.ssids,
+  asOf: body.asOf,
+  allocation: body.allocation,
+  raisePool: body.raisePool,
+  overrides: body.overrides,
+  hires: body.hires,
+  exits: body.exits,
+  bands: body.bands,
+  useAI: body.useAI,
+  currency: currency.normalizeCode(body.currency) || undefined,
 });
 
+const SCENARIO_FIELDS = ["name", "description", "params"];
+
+// Params that put caller-chosen pay into a scenario. Totals from such a run
+// minus the known amounts give away the rest, so they need salary:read.
+const hasPayInputs = (params) =>
+  Object.keys(params.overrides || {}).length > 0 ||
+  (params.hires || []).length > 0 ||
+  (params.exits || []).length > 0;
+
+const formatScenarioResult = (result) => ({
+  ...result,
+  summary: formatSummary(result.summary),
+  results: result.results.map(formatResult),
+});
+
+// Run a scenario without saving it
+// POST /api/scenarios/simulate
+router.post(
+  "/scenarios/simulate",
+  auth.requirePermission("scenarios:read"),
+  async (req, res, next) => {
+    try {
+      const params = pickScenarioParams(req.body);
+      const error = scenarios.validateScenarioParams(params);
+      if (error) return res.status(400).json({ error });
+      if (
+        hasPayInputs(params) &&
+        !auth.hasPermission(req.user, "salary:read")
+      ) {
+        return res.status(403).json({
+          error: "Simulating overrides, hires or exits requires salary:read",
+        });
+      }
+
+      const result = await scenarios.runScenario(params);
+      res.json({
+        budget: params.budget,
+        budgetFormatted: formatMoney(
+          params.budget,
+          params.currency || currency.BASE_CURRENCY
+        ),
+        ...redactAnalysis(req, formatScenarioResult(result)),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Run and save a named scenario
+// POST /api/scenarios
+// Body: { name: string, description?: string, ...params }
+router.post(
+  "/scenarios",
+  auth.requirePermission("scenarios:write"),
+  async (req, res, next) => {
+    try {
+      const { name, description } = req.body;
+      if (!name) return res.status(400).json({ error: "name is required" });
+
+      const params = pickScenarioParams(req.body);
+      const error = scenarios.validateScenarioParams(params);
+      if (error) return res.status(400).json({ error });
+
+      if (await Scenario.exists({ name })) {
+        return res
+          .status(409)
+          .json({ error: `A scenario named "${name}" already exists` });
+      }
+
+      const result = await scenarios.runScenario(params);
+      const scenario = await Scenario.create({
+        name,
+        description,
+        createdBy: req.user.username,
+        params,
+        result,
+        lastRunAt: new Date(),
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "scenario.create",
+        entity: "Scenario",
+        entityId: scenario._id,
+        before: null,
+        after: scenario.toObject(),
+        fields: SCENARIO_FIELDS,
+      });
+
+      res.status(201).json({
+        ok: true,
+        scenario: {
+          ...scenario.toObject(),
+          result: formatScenarioResult(result),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// List saved scenarios (summaries only)
+// GET /api/scenarios
+router.get(
+  "/scenarios",
+  auth.requirePermission("scenarios:read"),
+  async (req, res, next) => {
+    try {
+      const list = await Scenario.find()
+        .select("-result.results")
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({
+        count: list.length,
+        scenarios: list.map((s) => ({
+          ...redact(req, s),
+          result: s.result?.summary
+            ? {
+                ...s.result,
+                summary: redactSummary(req, formatSummary(s.result.summary)),
+              }
+            : s.result,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Compare two saved scenarios side by side
+// GET /api/scenarios/compare?a=<id>&b=<id>
+router.get(
+  "/scenarios/compare",
+  auth.requirePermission("scenarios:read"),
+  async (req, res, next) => {
+    try {
+      const { a, b } = req.query;
+      if (!a || !b) {
+        return res
+          .status(400)
+          .json({ error: "a and b scenario ids are required" });
+      }
+      const [left, right] = await Promise.all([
+        Scenario.findById(a).lean(),
+        Scenario.findById(b).lean(),
+      ]);
+      if (!left || !right) {
+        return res.status(404).json({ error: "Scenario not found" });
+      }
+      // Deltas give away as much as the smaller side's own totals
+      res.json(
+        redactAnalysis(
+          req,
+          scenarios.compareScenarios(left, right),
+          Math.min(
+            left.result.summary.totalEmployees || 0,
+            right.result.summary.totalEmployees || 0
+          )
+        )
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/scenarios/:id
+router.get(
+  "/scenarios/:id",
+  auth.requirePermission("scenarios:read"),
+  async (req, res, next) => {
+    try {
+      const scenario = await Scenario.findById(req.params.id).lean();
+      if (!scenario)
+        return res.status(404).json({ error: "Scenario not found" });
+      res.json({
+        scenario: {
+          ...redact(req, scenario),
+          result: redactAnalysis(req, formatScenarioResult(scenario.result)),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Re-run a saved scenario against current employee data
+// POST /api/scenarios/:id/run
+router.post(
+  "/scenarios/:id/run",
+  auth.requirePermission("scenarios:write"),
+  async (req, res, next) => {
+    try {
+      const scenario = await Scenario.findById(req.params.id);
+      if (!scenario)
+        return res.status(404).json({ error: "Scenario not found" });
+
+      const result = await scenarios.runScenario(scenario.toObject().params);
+      scenario.result = result;
+      scenario.lastRunAt = new Date();
+      await scenario.save();
+      await audit.record({
+        actor: req.user.username,
+        action: "scenario.run",
+        entity: "Scenario",
+        entityId: scenario._id,
+        meta: { name: scenario.name },
+      });
+
+      res.json({
+        ok: true,
+        scenario: {
+          ...scenario.toObject(),
+          result: formatScenarioResult(result),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/scenarios/:id
+router.delete(
+  "/scenarios/:id",
+  auth.requirePermission("scenarios:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await Scenario.findByIdAndDelete(req.params.id).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Scenario not found" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "scenario.delete",
+        entity: "Scenario",
+        entityId: existing._id,
+        before: existing,
+        after: null,
+        fields: SCENARIO_FIELDS,
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// SALARY BANDS: Versioned market salary ranges used by analysis
+
+// List the bands effective on a date (default: now)
+// GET /api/bands?asOf=2025-01-01&role=engineer
+router.get(
+  "/bands",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+      if (isNaN(asOf)) {
+        return res.status(400).json({ error: "asOf must be a valid date" });
+      }
+      let effective = await bands.findEffectiveBands(asOf);
+      if (req.query.role) {
+        const role = bands.normalizeRoleName(req.query.role);
+        effective = effective.filter((b) => b.role === role);
+      }
+      res.json({
+        asOf,
+        count: effective.length,
+        bands: effective.map((b) => ({
+          ...b,
+          currency: currency.currencyOf(b),
+          minFormatted: formatMoney(b.min, currency.currencyOf(b)),
+          midFormatted: formatMoney(b.mid, currency.currencyOf(b)),
+          maxFormatted: formatMoney(b.max, currency.currencyOf(b)),
+        })),
+        defaults: bands.MARKET_SALARY_RANGES,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Resolve the band an employee role title maps to on a date
+// GET /api/bands/resolve?role=Sr.%20Engineer&level=L3&asOf=2025-01-01
+router.get(
+  "/bands/resolve",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+      if (isNaN(asOf)) {
+        return res.status(400).json({ error: "asOf must be a valid date" });
+      }
+      const table = await bands.loadBandTable(asOf);
+      res.json({
+        role: req.query.role || null,
+        level: req.query.level || null,
+        asOf,
+        band: bands.resolveBand(table, req.query.role, req.query.level),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Version history for a band
+// GET /api/bands/history?role=engineer&level=L3
+router.get(
+  "/bands/history",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      if (!req.query.role) {
+        return res.status(400).json({ error: "role is required" });
+      }
+      const versions = await SalaryBand.find({
+        role: bands.normalizeRoleName(req.query.role),
+        level: req.query.level || null,
+      })
+        .sort({ version: -1 })
+        .lean();
+      res.json({ count: versions.length, versions });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Role aliases, e.g. "Sr. Engineer" -> "senior engineer"
+// GET /api/bands/aliases
+router.get(
+  "/bands/aliases",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const aliases = await RoleAlias.find().sort({ alias: 1 }).lean();
+      res.json({ aliases });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /api/bands/aliases
+// Body: { alias: string, role: string }
+router.post(
+  "/bands/aliases",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const { alias, role } = req.body;
+      if (!alias || !role) {
+        return res.status(400).json({ error: "alias and role are required" });
+      }
+      const before = await RoleAlias.findOneAndUpdate(
+        { alias: bands.normalizeRoleName(alias) },
+        { $set: { role: bands.normalizeRoleName(role) } },
+        { upsert: true, runValidators: true }
+      ).lean();
+      const doc = await RoleAlias.findOne({
+        alias: bands.normalizeRoleName(alias),
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: before ? "alias.update" : "alias.create",
+        entity: "RoleAlias",
+        entityId: doc._id,
+        before,
+        after: doc.toObject(),
+        fields: ["alias", "role"],
+      });
+      res.json({ ok: true, alias: doc.toObject() });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/bands/aliases/:alias
+router.delete(
+  "/bands/aliases/:alias",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await RoleAlias.findOneAndDelete({
+        alias: bands.normalizeRoleName(req.params.alias),
+      }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Alias not found" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "alias.delete",
+        entity: "RoleAlias",
+        entityId: existing._id,
+        before: existing,
+        after: null,
+        fields: ["alias", "role"],
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get one band version
+// GET /api/bands/:id
+router.get(
+  "/bands/:id",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const band = await SalaryBand.findById(req.params.id).lean();
+      if (!band) return res.status(404).json({ error: "Band not found" });
+      res.json({ band });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const BAND_FIELDS = [
+  "role",
+  "level",
+  "min",
+  "mid",
+  "max",
+  "expectedRevenue",
+  "currency",
+  "effectiveFrom",
+  "source",
+];
+
+// Create a band (or a new version of an existing role/level band)
+// POST /api/bands
+// Body: { role, level?, min, mid, max, expectedRevenue?, currency?, effectiveFrom?, source? }
+router.post(
+  "/bands",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const error = bands.validateBand(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const band = await bands.createBandVersion(req.body, req.user.username);
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "band.create",
+        entity: "SalaryBand",
+        entityId: band._id,
+        before: null,
+        after: band.toObject(),
+        fields: BAND_FIELDS,
+      });
+      res.status(201).json({ ok: true, band: band.toObject() });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Band fields PUT /api/bands/:id may change; role and level identify the band
+const BAND_EDITABLE_FIELDS = [
+  "min",
+  "mid",
+  "max",
+  "expectedRevenue",
+  "currency",
+  "effectiveFrom",
+  "source",
+];
+
+const pickBandChanges = (body) => {
+  const fields = {};
+  for (const key of BAND_EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+// Update a band by inserting a new version based on an existing one
+// PUT /api/bands/:id
+// Body: any of BAND_EDITABLE_FIELDS; effectiveFrom defaults to now
+router.put(
+  "/bands/:id",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const current = await SalaryBand.findById(req.params.id).lean();
+      if (!current) return res.status(404).json({ error: "Band not found" });
+      const { role, level } = req.body;
+      if (
+        (role !== undefined &&
+          bands.normalizeRoleName(role) !== current.role) ||
+        (level !== undefined && (level || null) !== current.level)
+      ) {
+        return res.status(400).json({
+          error:
+            "role and level cannot be changed; create a band for them instead",
+        });
+      }
+
+      const changes = pickBandChanges(req.body);
+      const fields = {
+        role: current.role,
+        level: current.level,
+        min: current.min,
+        mid: current.mid,
+        max: current.max,
+        expectedRevenue: current.expectedRevenue,
+        currency: current.currency,
+        source: current.source,
+        ...changes,
+        effectiveFrom: changes.effectiveFrom || new Date(),
+      };
+      const error = bands.validateBand(fields);
+      if (error) return res.status(400).json({ error });
+
+      const band = await bands.createBandVersion(fields, req.user.username);
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "band.update",
+        entity: "SalaryBand",
+        entityId: band._id,
+        before: current,
+        after: band.toObject(),
+        fields: BAND_FIELDS,
+        meta: { previousId: current._id },
+      });
+      res.json({ ok: true, previous: current, band: band.toObject() });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Soft-delete a band version; it stays in history but no longer applies
+// DELETE /api/bands/:id
+router.delete(
+  "/bands/:id",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const band = await SalaryBand.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $exists: false } },
+        { $set: { deletedAt: new Date() } },
+        { new: true }
+      ).lean();
+      if (!band) return res.status(404).json({ error: "Band not found" });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "band.delete",
+        entity: "SalaryBand",
+        entityId: band._id,
+        before: { deletedAt: null },
+        after: band,
+        fields: ["deletedAt"],
+        meta: { role: band.role, level: band.level ?? null },
+      });
+      res.json({ ok: true, band });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// FX RATES: base-currency value of one unit of each other currency, versioned
+// by effectiveFrom like salary bands. Analyses use the rates effective on
+// their asOf date.
+
+// Rates effective on a date (default: now)
+// GET /api/fx/rates?asOf=2025-01-01
+router.get(
+  "/fx/rates",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+      if (isNaN(asOf)) {
+        return res.status(400).json({ error: "asOf must be a valid date" });
+      }
+      const table = await currency.loadFxTable(asOf);
+      res.json({
+        base: table.base,
+        asOf,
+        currencies: [table.base, ...Object.keys(table.rates)].map(
+          currency.describe
+        ),
+        rates: Object.entries(table.rates).map(([code, r]) => ({
+          currency: code,
+          ...r,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Every recorded rate for one currency, newest first
+// GET /api/fx/rates/:currency/history
+router.get(
+  "/fx/rates/:currency/history",
+  auth.requirePermission("bands:read"),
+  async (req, res, next) => {
+    try {
+      const code = currency.normalizeCode(req.params.currency);
+      const history = await FxRate.find({ currency: code })
+        .sort({ effectiveFrom: -1, createdAt: -1 })
+        .lean();
+      res.json({ base: currency.BASE_CURRENCY, currency: code, history });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Record a rate; earlier rates stay in history for past analyses
+// POST /api/fx/rates
+// Body: { currency: "USD", rate: number, effectiveFrom?: date, source?: string }
+// - rate: base-currency units per one unit of currency, e.g. 83.2 for USD
+//   when the base currency is INR
+router.post(
+  "/fx/rates",
+  auth.requirePermission("bands:write"),
+  async (req, res, next) => {
+    try {
+      const error = currency.validateFxRate(req.body);
+      if (error) return res.status(400).json({ error });
+
+      const rate = await FxRate.create({
+        currency: currency.normalizeCode(req.body.currency),
+        rate: req.body.rate,
+        effectiveFrom: req.body.effectiveFrom
+          ? new Date(req.body.effectiveFrom)
+          : new Date(),
+        source: req.body.source,
+        createdBy: req.user.username,
+      });
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "fx.create",
+        entity: "FxRate",
+        entityId: rate._id,
+        before: null,
+        after: rate.toObject(),
+        fields: ["currency", "rate", "effectiveFrom", "source"],
+      });
+      res.status(201).json({
+        ok: true,
+        base: currency.BASE_CURRENCY,
+        rate: rate.toObject(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// RUBRICS: how performance ratings and experience are read into numbers.
+// Performance becomes a 0-10 score, experience a number of years.
+
+// GET /api/rubrics
+router.get(
+  "/rubrics",
+  auth.requirePermission("rubrics:read"),
+  async (req, res, next) => {
+    try {
+      const [rubrics, overrides] = await Promise.all([
+        normalize.loadRubrics(),
+        Rubric.find().lean(),
+      ]);
+      res.json({ rubrics, overrides, defaults: normalize.DEFAULT_RUBRICS });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Preview how values would be read, without saving anything
+// POST /api/rubrics/normalize
+// Body: { performance?: any[], experience?: any[] }
+router.post(
+  "/rubrics/normalize",
+  auth.requirePermission("rubrics:read"),
+  async (req, res, next) => {
+    try {
+      const rubrics = await normalize.loadRubrics();
+      const { performance = [], experience = [] } = req.body;
+      res.json({
+        performance: performance.map((value) => ({
+          input: value,
+          ...normalize.normalizePerformance(value, rubrics.performance, {
+            ingest: true,
+          }),
+        })),
+        experience: experience.map((value) => ({
+          input: value,
+          ...normalize.normalizeExperience(value, rubrics.experience),
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Stored employees whose performance or experience the rubrics can't read
+// GET /api/rubrics/unrecognized
+router.get(
+  "/rubrics/unrecognized",
+  auth.requirePermission("rubrics:read", "employees:read"),
+  async (req, res, next) => {
+    try {
+      const rubrics = await normalize.loadRubrics();
+      const employees = await Employee.find(await scopedQuery(req), {
+        ssid: 1,
+        name: 1,
+        performance: 1,
+        experience: 1,
+      }).lean();
+      const unrecognized = [];
+      for (const emp of employees) {
+        const { issues } = normalize.normalizeEmployee(emp, rubrics);
+        for (const issue of issues) {
+          unrecognized.push({ ssid: emp.ssid, name: emp.name, ...issue });
+        }
+      }
+      res.json({ checked: employees.length, unrecognized });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const RUBRIC_FIELDS = ["bands", "labels", "grades", "numericScale"];
+
+// Replace the custom entries for one rubric; built-in entries still apply
+// PUT /api/rubrics/:kind  (kind: performance | experience)
+// Body: { bands?: { label: number }, labels?: {...}, grades?: {...}, numericScale?: number }
+router.put(
+  "/rubrics/:kind",
+  auth.requirePermission("rubrics:write"),
+  async (req, res, next) => {
+    try {
+      const { kind } = req.params;
+      const { bands: rubricBands, labels, grades, numericScale } = req.body;
+      const error = normalize.validateRubric(kind, {
+        bands: rubricBands,
+        labels,
+        grades,
+        numericScale,
+      });
+      if (error) return res.status(400).json({ error });
+
+      const before = await Rubric.findOne({ kind }).lean();
+      const rubric = await Rubric.findOneAndUpdate(
+        { kind },
+        {
+          $set: {
+            bands: rubricBands || {},
+            labels: labels || {},
+            grades: grades || {},
+            numericScale: numericScale ?? null,
+            updatedBy: req.user.username,
+          },
+        },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "rubric.update",
+        entity: "Rubric",
+        entityId: kind,
+        before,
+        after: rubric,
+        fields: RUBRIC_FIELDS,
+      });
+      res.json({
+        ok: true,
+        rubric,
+        effective: normalize.mergeRubric(kind, rubric),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Drop the custom entries for one rubric, back to the built-in one
+// DELETE /api/rubrics/:kind
+router.delete(
+  "/rubrics/:kind",
+  auth.requirePermission("rubrics:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await Rubric.findOneAndDelete({
+        kind: req.params.kind,
+      }).lean();
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ error: "No custom rubric for this kind" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "rubric.delete",
+        entity: "Rubric",
+        entityId: existing.kind,
+        before: existing,
+        after: null,
+        fields: RUBRIC_FIELDS,
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POLICIES: guardrails every action and recommendation must keep to (see
+// policy.js). Rules are replaced as a set; without a stored set the built-in
+// rules apply.
+
+// GET /api/policies
+router.get(
+  "/policies",
+  auth.requirePermission("policies:read"),
+  async (req, res, next) => {
+    try {
+      const stored = await Policy.findOne({ key: "default" }).lean();
+      res.json({
+        rules: stored ? stored.rules : policy.DEFAULT_RULES,
+        builtIn: !stored,
+        updatedBy: stored ? stored.updatedBy : null,
+        updatedAt: stored ? stored.updatedAt : null,
+        ruleTypes: policy.RULE_TYPES,
+        defaults: policy.DEFAULT_RULES,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// PUT /api/policies
+// Body: { rules: [{ id, type, severity?, enabled?, roles?, description?, ...limits }] }
+// - maxChange: maxRaisePercent?, maxCutPercent?
+// - promotionCooldown: days
+// - fireRequiresLowPerformance: maxPerformance, periods
+router.put(
+  "/policies",
+  auth.requirePermission("policies:write"),
+  async (req, res, next) => {
+    try {
+      const { rules } = req.body;
+      const error = policy.validateRules(rules);
+      if (error) return res.status(400).json({ error });
+
+      const before = await Policy.findOne({ key: "default" }).lean();
+      const stored = await Policy.findOneAndUpdate(
+        { key: "default" },
+        { $set: { rules, updatedBy: req.user.username } },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "policy.update",
+        entity: "Policy",
+        entityId: stored._id,
+        before: { rules: before ? before.rules : policy.DEFAULT_RULES },
+        after: stored,
+        fields: ["rules"],
+      });
+      res.json({ ok: true, rules: stored.rules });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Back to the built-in rules
+// DELETE /api/policies
+router.delete(
+  "/policies",
+  auth.requirePermission("policies:write"),
+  async (req, res, next) => {
+    try {
+      const existing = await Policy.findOneAndDelete({
+        key: "default",
+      }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "No custom policy is stored" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "policy.delete",
+        entity: "Policy",
+        entityId: existing._id,
+        before: existing,
+        after: { rules: policy.DEFAULT_RULES },
+        fields: ["rules"],
+      });
+      res.json({ ok: true, rules: policy.DEFAULT_RULES });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// What the rules would say about an action, without proposing it
+// POST /api/policies/check
+// Body: { ssid: string, action: string, changePercent?: number }
+router.post(
+  "/policies/check",
+  auth.requirePermission("actions:propose"),
+  async (req, res, next) => {
+    try {
+      const { ssid, action, changePercent } = req.body;
+      if (!ssid || !VALID_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: `ssid and an action of ${VALID_ACTIONS.join(", ")} are required`,
+        });
+      }
+      const changeError = validateChangePercent(action, changePercent);
+      if (changeError) return res.status(400).json({ error: changeError });
+      await assertInScope(req, ssid);
+      const emp = await Employee.findOne({ ssid }).lean();
+      if (!emp) return res.status(404).json({ error: "Employee not found" });
+
+      const resolved = resolveChangePercent(emp, action, changePercent);
+      res.json({
+        ssid,
+        action,
+        changePercent: resolved,
+        ...(await checkPolicy(emp, action, resolved)),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ORG: reporting lines (Employee.managerSsid), departments and team rollups
+
+// Reporting tree. Managers get their own team; others the whole company.
+// GET /api/org/tree?root=<ssid>
+router.get(
+  "/org/tree",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      const scope = await loadScope(req);
+      const root = req.query.root || (scope ? req.user.ssid : null);
+      if (scope && !root) return res.json({ roots: [], cycles: [] });
+      if (root && root !== req.user.ssid) await assertInScope(req, root);
+      const employees = await Employee.find(
+        {},
+        {
+          ssid: 1,
+          name: 1,
+          role: 1,
+          department: 1,
+          managerSsid: 1,
+          status: 1,
+        }
+      ).lean();
+      const tree = org.buildReportingTree(employees, root);
+      if (root && tree.roots.length === 0) {
+        return res.status(404).json({ error: "Employee not found" });
+      }
+      res.json(tree);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Rollups of salary, revenue, profit, margin and recommendations per team
+// GET /api/org/rollups?groupBy=department|manager|costCenter&runId=<id>&currency=USD
+// - runId: use that analysis run's recommendations instead of the latest ones
+//   (amounts are then in the run's currency)
+// - currency: convert amounts to this currency (default: base currency)
+router.get(
+  "/org/rollups",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      const groupBy = req.query.groupBy || "department";
+      if (!["department", "manager", "costCenter"].includes(groupBy)) {
+        return res.status(400).json({
+          error: "groupBy must be department, manager or costCenter",
+        });
+      }
+      if (req.query.currency) {
+        const error = currency.validateCurrency(req.query.currency);
+        if (error) return res.status(400).json({ error });
+      }
+      let code =
+        currency.normalizeCode(req.query.currency) || currency.BASE_CURRENCY;
+      let asOf = new Date();
+      let runResults;
+      if (req.query.runId) {
+        const run = await AnalysisRun.findById(req.query.runId, {
+          results: 1,
+          asOf: 1,
+          "summary.currency": 1,
+        }).lean();
+        if (!run) {
+          return res.status(404).json({ error: "Analysis run not found" });
+        }
+        runResults = run.results || [];
+        // A run's results are in the currency it was analyzed in
+        code = currency.currencyOf(run.summary);
+        asOf = run.asOf || asOf;
+      }
+
+      const employees = await Employee.find(
+        await scopedQuery(req, { status: { $ne: "FIRED" } })
+      ).lean();
+      const rollups = org.rollup(employees, {
+        groupBy,
+        departments: await org.loadDepartments(),
+        runResults,
+        code,
+        fx: await currency.loadFxTable(asOf),
+      });
+      const money = (amount) => formatMoney(amount, code);
+      res.json({
+        groupBy,
+        runId: req.query.runId || null,
+        currency: code,
+        // Each group is withheld on its own headcount
+        rollups: rollups.map((r) =>
+          redactSummary(req, {
+            ...r,
+            totalCurrentSalariesFormatted: money(r.totalCurrentSalaries),
+            totalRevenueFormatted: money(r.totalRevenue),
+            totalProfitFormatted: money(r.totalProfit),
+          })
+        ),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/departments
+router.get(
+  "/departments",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      res.json({ departments: await org.loadDepartments() });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Departments nested by parent, with headcounts
+// GET /api/departments/tree
+router.get(
+  "/departments/tree",
+  auth.requirePermission("employees:read"),
+  async (req, res, next) => {
+    try {
+      const employees = await Employee.find(
+        await scopedQuery(req, { status: { $ne: "FIRED" } }),
+        { ssid: 1, department: 1 }
+      ).lean();
+      res.json(org.buildDepartmentTree(await org.loadDepartments(), employees));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+const DEPARTMENT_FIELDS = ["name", "parentCode", "costCenter", "headSsid"];
+
+// Create or update a department
+// PUT /api/departments/:code
+// Body: { name: string, parentCode?: string, costCenter?: string, headSsid?: string }
+router.put(
+  "/departments/:code",
+  auth.requirePermission("employees:write"),
+  async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const { name, parentCode, costCenter, headSsid } = req.body;
+      if (!name) return res.status(400).json({ error: "name is required" });
+
+      const departments = await org.loadDepartments();
+      if (parentCode) {
+        if (!departments.some((d) => d.code === parentCode)) {
+          return res
+            .status(400)
+            .json({ error: `Unknown parent department ${parentCode}` });
+        }
+        if (org.departmentCycle(departments, code, parentCode)) {
+          return res.status(400).json({
+            error: "parentCode would nest the department inside itself",
+          });
+        }
+      }
+      if (headSsid && !(await Employee.exists({ ssid: headSsid }))) {
+        return res.status(400).json({ error: `Unknown employee ${headSsid}` });
+      }
+
+      const before = departments.find((d) => d.code === code) || null;
+      const department = await Department.findOneAndUpdate(
+        { code },
+        {
+          $set: {
+            name,
+            parentCode: parentCode || null,
+            costCenter: costCenter ?? null,
+            headSsid: headSsid ?? null,
+          },
+        },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+      await audit.recordChange({
+        actor: req.user.username,
+        action: before ? "department.update" : "department.create",
+        entity: "Department",
+        entityId: code,
+        before,
+        after: department,
+        fields: DEPARTMENT_FIELDS,
+      });
+      res.json({ ok: true, department });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Only empty departments without sub-departments can be deleted
+// DELETE /api/departments/:code
+router.delete(
+  "/departments/:code",
+  auth.requirePermission("employees:write"),
+  async (req, res, next) => {
+    try {
+      const { code } = req.params;
+      const [members, children] = await Promise.all([
+        Employee.countDocuments({ department: code, status: { $ne: "FIRED" } }),
+        Department.countDocuments({ parentCode: code }),
+      ]);
+      if (members > 0 || children > 0) {
+        return res.status(409).json({
+          error: `Department still has ${members} employee(s) and ${children} sub-department(s)`,
+        });
+      }
+      const existing = await Department.findOneAndDelete({ code }).lean();
+      if (!existing) {
+        return res.status(404).json({ error: "Department not found" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "department.delete",
+        entity: "Department",
+        entityId: code,
+        before: existing,
+        after: null,
+        fields: DEPARTMENT_FIELDS,
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// PAY EQUITY: protected attributes, stored apart from Employee and readable
+// only with demographics:read, and cohort gap audits over them (see equity.js)
+
+// GET /api/employees/:ssid/demographics
+router.get(
+  "/employees/:ssid/demographics",
+  auth.requirePermission("demographics:read"),
+  async (req, res, next) => {
+    try {
+      const record = await Demographics.findOne({
+        ssid: req.params.ssid,
+      }).lean();
+      res.json({
+        ssid: req.params.ssid,
+        attributes: record ? record.attributes || {} : {},
+        updatedAt: record ? record.updatedAt : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Set or clear attributes; ones left out are kept
+// PUT /api/employees/:ssid/demographics
+// Body: { attributes: { gender?, ethnicity?, ageBand?, disability?, veteranStatus? } }
+// - null or "" clears an attribute (not disclosed)
+router.put(
+  "/employees/:ssid/demographics",
+  auth.requirePermission("demographics:write"),
+  async (req, res, next) => {
+    try {
+      const { attributes } = req.body;
+      const error = equity.validateDemographics(attributes);
+      if (error) return res.status(400).json({ error });
+
+      const exists = await Employee.exists({ ssid: req.params.ssid });
+      if (!exists) return res.status(404).json({ error: "Employee not found" });
+
+      const set = {};
+      const unset = {};
+      for (const [key, value] of Object.entries(attributes)) {
+        if (value === null || value === "") unset[`attributes.${key}`] = "";
+        else set[`attributes.${key}`] = value.trim();
+      }
+      const before = await Demographics.findOneAndUpdate(
+        { ssid: req.params.ssid },
+        {
+          $set: { ...set, updatedBy: req.user.username },
+          ...(Object.keys(unset).length > 0 && { $unset: unset }),
+        },
+        { upsert: true, runValidators: true }
+      ).lean();
+      const record = await Demographics.findOne({
+        ssid: req.params.ssid,
+      }).lean();
+      // Values are logged as changed, never in the clear (see audit.js)
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "demographics.update",
+        entity: "Demographics",
+        entityId: record._id,
+        ssid: req.params.ssid,
+        before,
+        after: record,
+        fields: audit.DEMOGRAPHIC_FIELDS,
+      });
+      res.json({ ssid: record.ssid, attributes: record.attributes || {} });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/employees/:ssid/demographics
+router.delete(
+  "/employees/:ssid/demographics",
+  auth.requirePermission("demographics:write"),
+  async (req, res, next) => {
+    try {
+      const record = await Demographics.findOneAndDelete({
+        ssid: req.params.ssid,
+      }).lean();
+      if (!record) {
+        return res.status(404).json({ error: "No demographics recorded" });
+      }
+      await audit.recordChange({
+        actor: req.user.username,
+        action: "demographics.delete",
+        entity: "Demographics",
+        entityId: record._id,
+        ssid: req.params.ssid,
+        before: record,
+        after: null,
+        fields: audit.DEMOGRAPHIC_FIELDS,
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Compare pay and recommendations across cohorts within role and band,
+// controlling for performance and experience
+// POST /api/equity/audit
+// Body: { runId?, attributes?, alpha?, minCohort?, appliedSince?, attach? }
+// - runId: audit that run's recommendations (default: current employees and
+//   their stored suggestions)
+// - attributes: subset of gender, ethnicity, ageBand, disability, veteranStatus
+// - alpha: significance level (default 0.05)
+// - minCohort: smallest cohort tested or reported (default 5)
+// - appliedSince: start of the applied-actions window (default a year ago)
+// - attach: save the report against runId
+router.post(
+  "/equity/audit",
+  auth.requirePermission("equity:audit"),
+  async (req, res, next) => {
+    try {
+      const { runId, attach } = req.body;
+      const options = {
+        runId,
+        attributes: req.body.attributes,
+        alpha: req.body.alpha,
+        minCohort: req.body.minCohort,
+        appliedSince: req.body.appliedSince,
+      };
+      const error = equity.validateAuditOptions(options);
+      if (error) return res.status(400).json({ error });
+      if (attach && !runId) {
+        return res.status(400).json({ error: "attach requires runId" });
+      }
+
+      const report = await equity.auditEquity(options);
+      if (!attach) return res.json({ report });
+
+      const saved = await EquityReport.create({
+        ...report,
+        createdBy: req.user.username,
+      });
+      await audit.record({
+        actor: req.user.username,
+        action: "equity.attach",
+        entity: "EquityReport",
+        entityId: saved._id,
+        meta: { analysisRun: runId, flagged: report.summary.flagged },
+      });
+      res.status(201).json({ report: saved });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Equity reports attached to an analysis run, newest first
+// GET /api/runs/:id/equity
+router.get(
+  "/runs/:id/equity",
+  auth.requirePermission("equity:audit"),
+  async (req, res, next) => {
+    try {
+      const reports = await EquityReport.find({ analysisRun: req.params.id })
+        .sort({ createdAt: -1 })
+        .lean();
+      res.json({ reports });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/equity/reports/:id?format=json|csv
+router.get(
+  "/equity/reports/:id",
+  auth.requirePermission("equity:audit"),
+  async (req, res, next) => {
+    try {
+      const format = (req.query.format || "json").toLowerCase();
+      if (!["json", "csv"].includes(format)) {
+        return res.status(400).json({ error: "format must be json or csv" });
+      }
+      const report = await EquityReport.findById(req.params.id).lean();
+      if (!report)
+        return res.status(404).json({ error: "Equity report not found" });
+      if (format === "json") return res.json({ report });
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="equity-${report._id}.csv"`
+      );
+      res.type("text/csv").send(reports.renderEquityCsv(report));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// AUDIT LOG: append-only record of every change, hash-chained (see audit.js)
+
+// Search the log, newest first. Page back with beforeSeq=<last seq seen>.
+// GET /api/audit?ssid=&actor=&field=&entity=&action=&entityId=&from=&to=&beforeSeq=&limit=
+// - field: entries that changed this field, e.g. salary or suggestion.action
+// - from/to: dates or timestamps, inclusive
+router.get(
+  "/audit",
+  auth.requirePermission("audit:read"),
+  async (req, res, next) => {
+    try {
+      const keys = [
+        ...audit.LOG_FILTERS,
+        ...["field", "from", "to", "beforeSeq", "limit"],
+      ];
+      // Only plain values: ?ssid[$ne]= must not reach the query as an operator
+      const filters = {};
+      for (const key of keys) {
+        if (req.query[key] === undefined) continue;
+        if (typeof req.query[key] !== "string") {
+          return res
+            .status(400)
+            .json({ error: `${key} must be a single value` });
+        }
+        filters[key] = req.query[key];
+      }
+      for (const key of ["from", "to"]) {
+        if (!req.query[key]) continue;
+        filters[key] = new Date(req.query[key]);
+        if (isNaN(filters[key])) {
+          return res.status(400).json({ error: `${key} must be a valid date` });
+        }
+      }
+      if (req.query.beforeSeq !== undefined) {
+        filters.beforeSeq = Number(req.query.beforeSeq);
+        if (!Number.isInteger(filters.beforeSeq)) {
+          return res
+            .status(400)
+            .json({ error: "beforeSeq must be an integer" });
+        }
+      }
+      const entries = await audit.queryLog(filters);
+      res.json({
+        count: entries.length,
+        nextBeforeSeq: entries.length ? entries[entries.length - 1].seq : null,
+        entries,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Recompute the hash chain and report any entry that was altered or removed
+// GET /api/audit/verify
+router.get(
+  "/audit/verify",
+  auth.requirePermission("audit:read"),
+  async (req, res, next) => {
+    try {
+      res.json(await audit.verifyChain());
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,439 @@
+const AnalysisRun = require("./models/AnalysisRun");
+const Employee = require("./models/Employee");
+const ai = require("./ai");
+const org = require("./org");
+const bands = require("./bands");
+const normalize = require("./normalize");
+const metrics = require("./metrics");
+const policy = require("./policy");
+const audit = require("./audit");
+const currency = require("./currency");
+const integrations = require("./integrations");
+const suggestions = require("./suggestions");
+const { withTransaction } = require("./db");
+
+// Employee fields captured as the inputs snapshot of a run
+const INPUT_FIELDS = [
+  "ssid",
+  "name",
+  "role",
+  "level",
+  "department",
+  "managerSsid",
+  "performance",
+  "experience",
+  "salary",
+  "revenue",
+  "currency",
+  "status",
+];
+
+// Summary fields compared between two analyses
+const SUMMARY_FIELDS = [
+  "totalEmployees",
+  "companyBudget",
+  "totalCurrentSalaries",
+  "totalSuggestedSalaries",
+  "totalRevenue",
+  "projectedSavings",
+  "currentProfitMargin",
+  "projectedProfitMargin",
+];
+
+const ACTIONS = ["FIRE", "PROMOTE", "DECREASE_SALARY", "NO_CHANGE"];
+
+function snapshotInputs(employees) {
+  return employees.map((emp) => {
+    const snapshot = {};
+    for (const key of INPUT_FIELDS) {
+      if (emp[key] !== undefined) snapshot[key] = emp[key];
+    }
+    return snapshot;
+  });
+}
+
+// Which engine produced the suggestions: a provider name (see llm/),
+// "heuristic" or "mixed"
+function engineUsed(results) {
+  const counts = {};
+  for (const r of results) {
+    const using = r.suggestion.using || "heuristic";
+    counts[using] = (counts[using] || 0) + 1;
+  }
+  const engines = Object.keys(counts);
+  return {
+    engine: engines.length === 1 ? engines[0] : "mixed",
+    engineCounts: counts,
+  };
+}
+
+// Persist an analysis and return the saved run, within session when given
+async function recordRun(
+  {
+    budget,
+    asOf,
+    ssids,
+    options,
+    employees,
+    analysis,
+    createdBy,
+    schedule,
+    startedAt,
+  },
+  { session } = {}
+) {
+  const { engine, engineCounts } = engineUsed(analysis.results);
+  const [run] = await AnalysisRun.create(
+    [
+      {
+        budget,
+        asOf,
+        ssids: ssids || [],
+        options,
+        schedule,
+        engine,
+        engineCounts,
+        inputs: snapshotInputs(employees),
+        results: analysis.results,
+        summary: analysis.summary,
+        employeesAnalyzed: employees.length,
+        createdBy,
+        startedAt,
+        completedAt: new Date(),
+      },
+    ],
+    { session }
+  );
+  return run;
+}
+
+// Returns an error message, or null when the analysis params are usable.
+// params: the POST /api/analyze body (see routes.js)
+function validateRunParams(params) {
+  const { budget, departmentBudgets, asOf, allocation, raisePool } = params;
+  if (params.currency) {
+    const error = currency.validateCurrency(params.currency);
+    if (error) return error;
+  }
+  if (departmentBudgets !== undefined) {
+    const error = org.validateDepartmentBudgets(departmentBudgets);
+    if (error) return error;
+  } else if (budget === undefined || budget === null) {
+    return "budget is required (company's available budget)";
+  }
+  if (asOf && isNaN(new Date(asOf))) return "asOf must be a valid date";
+  if (allocation && allocation !== "optimize") {
+    return 'allocation must be "optimize" when provided';
+  }
+  if (
+    raisePool !== undefined &&
+    raisePool !== null &&
+    (typeof raisePool !== "number" || raisePool < 0)
+  ) {
+    return "raisePool must be a non-negative number";
+  }
+  return null;
+}
+
+// Analyze employees, record the run and store each suggestion on its
+// employee. Used by POST /api/analyze and by scheduled analyses.
+// params: validated by validateRunParams; actor: who is recorded as running
+// it; schedule: id of the schedule that triggered it, if any.
+// Returns { run, analysis, employees, asOf, currency }.
+async function executeRun(params, { actor, schedule } = {}) {
+  const {
+    budget,
+    departmentBudgets,
+    ssids,
+    allocation,
+    raisePool,
+    weights,
+    refresh,
+  } = params;
+  const startedAt = new Date();
+  const reportingCurrency =
+    currency.normalizeCode(params.currency) || currency.BASE_CURRENCY;
+  const analysisDate = params.asOf ? new Date(params.asOf) : new Date();
+
+  // Fetch employees from database
+  let query = { status: { $ne: "FIRED" } }; // Don't analyze fired employees
+  if (ssids && Array.isArray(ssids) && ssids.length > 0) {
+    query.ssid = { $in: ssids };
+  }
+
+  const employees = await Employee.find(query).lean();
+
+  if (employees.length === 0) {
+    const err = new Error("No employees found to analyze");
+    err.status = 404;
+    throw err;
+  }
+
+  // Analyze all employees with AI (returns { results, summary })
+  const bandTable = await bands.loadBandTable(analysisDate);
+  const fx = await currency.loadFxTable(analysisDate);
+  const analysisOptions = {
+    currency: reportingCurrency,
+    fx,
+    bands: bandTable,
+    rubrics: await normalize.loadRubrics(),
+    trends: await metrics.loadTrends(employees.map((e) => e.ssid)),
+    policy: {
+      rules: await policy.loadRules(),
+      history: await policy.loadPerformanceHistory(
+        employees.map((e) => e.ssid)
+      ),
+      now: analysisDate,
+    },
+    allocation,
+    raisePool,
+    weights,
+    refresh: Boolean(refresh),
+  };
+  const analysis = departmentBudgets
+    ? await org.analyzeByDepartment(employees, {
+        ...analysisOptions,
+        departmentBudgets,
+        budget,
+        departments: await org.loadDepartments(),
+      })
+    : await ai.analyzeAllEmployees(employees, budget, analysisOptions);
+  const totalBudget = analysis.summary.companyBudget;
+
+  // Keep a permanent record of this run, the suggestions it wrote back and
+  // its integration event: all saved together or not at all
+  const employeesBySsid = new Map(employees.map((e) => [e.ssid, e]));
+  const { run, writes } = await withTransaction(async (session) => {
+    const run = await recordRun(
+      {
+        budget: totalBudget,
+        asOf: analysisDate,
+        ssids,
+        options: {
+          allocation,
+          raisePool,
+          departmentBudgets,
+          currency: reportingCurrency,
+        },
+        employees,
+        analysis,
+        createdBy: actor,
+        schedule,
+        startedAt,
+      },
+      { session }
+    );
+    const writes = analysis.results.map((result) => {
+      const before = employeesBySsid.get(result.ssid);
+      // Stored in the employee's own currency, like their salary
+      const suggestion = {
+        ...currency.suggestionIn(
+          result.suggestion,
+          reportingCurrency,
+          currency.currencyOf(before),
+          fx
+        ),
+        analysisRun: run._id,
+      };
+      return {
+        result,
+        before,
+        update: suggestions.replaceUpdate(before?.suggestion, suggestion),
+      };
+    });
+    if (writes.length > 0) {
+      await Employee.bulkWrite(
+        writes.map(({ result, update }) => ({
+          updateOne: { filter: { ssid: result.ssid }, update },
+        })),
+        { session }
+      );
+    }
+    await integrations.analysisCompleted(run, { actor, session });
+    return { run, writes };
+  });
+
+  for (const { result, before, update } of writes) {
+    await audit.recordChange({
+      actor,
+      action: "analysis.write",
+      entity: "Employee",
+      entityId: before?._id,
+      ssid: result.ssid,
+      before,
+      after: { suggestion: update.$set.suggestion },
+      fields: audit.SUGGESTION_FIELDS,
+      meta: { runId: run._id },
+    });
+  }
+
+  await audit.record({
+    actor,
+    action: "analysis.run",
+    entity: "AnalysisRun",
+    entityId: run._id,
+    meta: {
+      budget: totalBudget,
+      departmentBudgets: departmentBudgets || null,
+      employeesAnalyzed: employees.length,
+      engine: run.engine,
+      schedule: schedule || null,
+    },
+  });
+
+  return {
+    run,
+    analysis,
+    employees,
+    asOf: analysisDate,
+    currency: reportingCurrency,
+  };
+}
+
+const delta = (left, right) => ({
+  a: left,
+  b: right,
+  delta: (right || 0) - (left || 0),
+});
+
+// Compare two analyses ({ summary, results }). Employees are listed only when
+// their recommendation or suggested salary changed, or they are in one side only.
+// Both must be in the same currency.
+function diffAnalyses(a, b) {
+  const code = currency.currencyOf(a.summary);
+  if (currency.currencyOf(b.summary) !== code) {
+    const err = new Error(
+      `Cannot compare analyses in ${code} and ${currency.currencyOf(b.summary)}`
+    );
+    err.status = 400;
+    throw err;
+  }
+  const summary = {};
+  for (const key of SUMMARY_FIELDS) {
+    summary[key] = delta(a.summary[key] || 0, b.summary[key] || 0);
+  }
+
+  const actionBreakdown = {};
+  for (const action of ACTIONS) {
+    actionBreakdown[action] = delta(
+      a.summary.actionBreakdown?.[action] || 0,
+      b.summary.actionBreakdown?.[action] || 0
+    );
+  }
+
+  const byId = (results) => new Map((results || []).map((r) => [r.ssid, r]));
+  const left = byId(a.results);
+  const right = byId(b.results);
+  const employees = [];
+  for (const ssid of new Set([...left.keys(), ...right.keys()])) {
+    const l = left.get(ssid)?.suggestion;
+    const r = right.get(ssid)?.suggestion;
+    const lSalary = l?.suggestedSalary || 0;
+    const rSalary = r?.suggestedSalary || 0;
+    const actionChanged = l?.action !== r?.action;
+    if (l && r && !actionChanged && lSalary === rSalary) continue;
+
+    const pick = (s) =>
+      s
+        ? {
+            action: s.action,
+            suggestedSalary: s.suggestedSalary,
+            recommended_change_percent: s.recommended_change_percent,
+            confidence: s.confidence,
+            using: s.using,
+          }
+        : null;
+
+    employees.push({
+      ssid,
+      name: (left.get(ssid) || right.get(ssid)).name,
+      presence: l && r ? "both" : l ? "a-only" : "b-only",
+      a: pick(l),
+      b: pick(r),
+      actionChanged,
+      suggestedSalaryDelta: rSalary - lSalary,
+      changePercentDelta:
+        (r?.recommended_change_percent || 0) -
+        (l?.recommended_change_percent || 0),
+      confidenceDelta: Number(
+        ((r?.confidence || 0) - (l?.confidence || 0)).toFixed(2)
+      ),
+    });
+  }
+  employees.sort(
+    (x, y) =>
+      Number(y.actionChanged) - Number(x.actionChanged) ||
+      Math.abs(y.suggestedSalaryDelta) - Math.abs(x.suggestedSalaryDelta)
+  );
+
+  return {
+    currency: code,
+    summary,
+    actionBreakdown,
+    changedCount: employees.length,
+    employees,
+  };
+}
+
+// Recommendation changes since a previous run worth telling someone about:
+// an employee newly recommended one of materiality.actions, or a suggested
+// salary that moved by at least materiality.salaryChangePercent. Without a
+// previous run every such recommendation is new.
+// Returns [{ ssid, name, kind: "newAction" | "salaryChange", from, to, ... }]
+function materialChanges(previous, current, materiality = {}) {
+  const actions = materiality.actions || ["FIRE"];
+  const threshold = materiality.salaryChangePercent ?? 10;
+  const before = new Map(
+    (previous?.results || []).map((r) => [r.ssid, r.suggestion])
+  );
+  const sameCurrency =
+    previous &&
+    currency.currencyOf(previous.summary) ===
+      currency.currencyOf(current.summary);
+
+  const changes = [];
+  for (const r of current.results || []) {
+    const now = r.suggestion || {};
+    const was = before.get(r.ssid);
+    if (actions.includes(now.action) && was?.action !== now.action) {
+      changes.push({
+        ssid: r.ssid,
+        name: r.name,
+        kind: "newAction",
+        from: was?.action || null,
+        to: now.action,
+      });
+      continue;
+    }
+    if (!sameCurrency || !was?.suggestedSalary || !now.suggestedSalary) {
+      continue;
+    }
+    const changePercent = Number(
+      (
+        ((now.suggestedSalary - was.suggestedSalary) / was.suggestedSalary) *
+        100
+      ).toFixed(1)
+    );
+    if (Math.abs(changePercent) >= threshold) {
+      changes.push({
+        ssid: r.ssid,
+        name: r.name,
+        kind: "salaryChange",
+        from: was.suggestedSalary,
+        to: now.suggestedSalary,
+        changePercent,
+      });
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  snapshotInputs,
+  engineUsed,
+  recordRun,
+  validateRunParams,
+  executeRun,
+  diffAnalyses,
+  materialChanges,
+};
@@ -0,0 +1,175 @@
+const ai = require("./ai");
+const bands = require("./bands");
+const normalize = require("./normalize");
+const metrics = require("./metrics");
+const currency = require("./currency");
+const policy = require("./policy");
+const Employee = require("./models/Employee");
+const { diffAnalyses } = require("./runs");
+const { createMemoryCache } = require("./llm/cache");
+
+// Employee fields a scenario may override or set on a hypothetical hire
+const SCENARIO_FIELDS = [
+  "name",
+  "performance",
+  "experience",
+  "role",
+  "level",
+  "salary",
+  "revenue",
+  "currency",
+];
+
+const pickFields = (obj) => {
+  const picked = {};
+  for (const key of SCENARIO_FIELDS) {
+    if (obj[key] !== undefined) picked[key] = obj[key];
+  }
+  return picked;
+};
+
+// Returns an error message, or null when the params are usable
+function validateScenarioParams(params) {
+  const { budget, overrides, hires, exits, allocation, asOf } = params;
+  if (typeof budget !== "number" || !Number.isFinite(budget)) {
+    return "budget is required and must be a number";
+  }
+  if (allocation && allocation !== "optimize") {
+    return 'allocation must be "optimize" when provided';
+  }
+  if (asOf && isNaN(new Date(asOf))) return "asOf must be a valid date";
+  if (params.currency) {
+    const error = currency.validateCurrency(params.currency);
+    if (error) return error;
+  }
+  if (
+    overrides !== undefined &&
+    (typeof overrides !== "object" || Array.isArray(overrides))
+  ) {
+    return "overrides must be an object keyed by ssid";
+  }
+  if (hires !== undefined && !Array.isArray(hires)) {
+    return "hires must be an array";
+  }
+  if (exits !== undefined && !Array.isArray(exits)) {
+    return "exits must be an array of ssids";
+  }
+  if (params.bands !== undefined) {
+    if (!Array.isArray(params.bands)) return "bands must be an array";
+    for (const band of params.bands) {
+      const error = bands.validateBand(band);
+      if (error) return `bands: ${error}`;
+    }
+  }
+  return null;
+}
+
+// Apply exits, field overrides and hypothetical hires to a copy of the roster
+function applyScenarioChanges(employees, params) {
+  const exits = new Set(params.exits || []);
+  const overrides = params.overrides || {};
+  const changes = { exited: [], overridden: [], hired: [], missing: [] };
+
+  const roster = [];
+  for (const emp of employees) {
+    if (exits.has(emp.ssid)) {
+      changes.exited.push(emp.ssid);
+      continue;
+    }
+    if (overrides[emp.ssid]) {
+      roster.push({ ...emp, ...pickFields(overrides[emp.ssid]) });
+      changes.overridden.push(emp.ssid);
+    } else {
+      roster.push({ ...emp });
+    }
+  }
+
+  const known = new Set(employees.map((e) => e.ssid));
+  for (const ssid of [...exits, ...Object.keys(overrides)]) {
+    if (!known.has(ssid) && !changes.missing.includes(ssid)) {
+      changes.missing.push(ssid);
+    }
+  }
+
+  (params.hires || []).forEach((hire, i) => {
+    const ssid = hire.ssid || `hire-${i + 1}`;
+    roster.push({
+      ...pickFields(hire),
+      ssid,
+      status: "ACTIVE",
+      hypothetical: true,
+    });
+    changes.hired.push(ssid);
+  });
+
+  return { roster, changes };
+}
+
+// Run an analysis over the current roster with the scenario's changes.
+// Reads from the database but never writes to it.
+async function runScenario(params) {
+  const query = { status: { $ne: "FIRED" } };
+  if (Array.isArray(params.ssids) && params.ssids.length > 0) {
+    query.ssid = { $in: params.ssids };
+  }
+  const employees = await Employee.find(query).lean();
+  const { roster, changes } = applyScenarioChanges(employees, params);
+
+  if (roster.length === 0) {
+    const err = new Error("Scenario leaves no employees to analyze");
+    err.status = 400;
+    throw err;
+  }
+
+  const asOf = params.asOf ? new Date(params.asOf) : new Date();
+  const table = bands.withBandOverrides(
+    await bands.loadBandTable(asOf),
+    params.bands || []
+  );
+
+  // Scenarios default to the heuristic so repeated runs are cheap and
+  // repeatable. With useAI, model responses are cached for this run only so a
+  // scenario never writes LlmResponse documents.
+  const analysis = await ai.analyzeAllEmployees(roster, params.budget, {
+    cache: createMemoryCache(),
+    currency: currency.normalizeCode(params.currency) || currency.BASE_CURRENCY,
+    fx: await currency.loadFxTable(asOf),
+    bands: table,
+    rubrics: await normalize.loadRubrics(),
+    trends: await metrics.loadTrends(employees.map((e) => e.ssid)),
+    policy: {
+      rules: await policy.loadRules(),
+      history: await policy.loadPerformanceHistory(
+        employees.map((e) => e.ssid)
+      ),
+      now: asOf,
+    },
+    allocation: params.allocation,
+    raisePool: params.raisePool,
+    heuristicOnly: !params.useAI,
+  });
+
+  return {
+    employeesAnalyzed: roster.length,
+    changes,
+    summary: analysis.summary,
+    results: analysis.results,
+  };
+}
+
+// Side-by-side comparison of two saved scenarios
+function compareScenarios(a, b) {
+  return {
+    a: { id: a._id, name: a.name },
+    b: { id: b._id, name: b.name },
+    ...diffAnalyses(a.result, b.result),
+  };
+}
+
+module.exports = {
+  SCENARIO_FIELDS,
+  validateScenarioParams,
+  applyScenarioChanges,
+  runScenario,
+  compareScenarios,
+};
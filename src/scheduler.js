@@ -0,0 +1,252 @@
+const os = require("os");
+const Schedule = require("./models/Schedule");
+const AnalysisRun = require("./models/AnalysisRun");
+const runs = require("./runs");
+const notify = require("./notify");
+
+// In-process scheduler for recurring analyses. Schedules and their next run
+// time live in the database, so a restart picks up where it left off; a run
+// missed while the server was down happens once on the next tick.
+//
+// Every server process ticks, so a due schedule is claimed before it runs:
+// the claim moves nextRunAt on and takes a lease (lockedUntil) in one
+// conditional update, which only one process can win. A lease left by a
+// crashed process expires after LEASE_MS.
+
+const TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 60 * 1000;
+const LEASE_MS = Number(process.env.SCHEDULER_LEASE_MS) || 30 * 60 * 1000;
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scheduleError = (message, status = 400) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// First run time strictly after `after` (UTC)
+function nextRunAt(schedule, after = new Date()) {
+  const hour = schedule.hour ?? 6;
+  const at = new Date(after);
+  at.setUTCHours(hour, 0, 0, 0);
+  switch (schedule.frequency) {
+    case "daily":
+      if (at <= after) at.setTime(at.getTime() + DAY_MS);
+      return at;
+    case "weekly": {
+      const days = (schedule.dayOfWeek - at.getUTCDay() + 7) % 7;
+      at.setTime(at.getTime() + days * DAY_MS);
+      if (at <= after) at.setTime(at.getTime() + 7 * DAY_MS);
+      return at;
+    }
+    case "monthly":
+      at.setUTCDate(schedule.dayOfMonth);
+      if (at <= after) at.setUTCMonth(at.getUTCMonth() + 1);
+      return at;
+    default:
+      return null;
+  }
+}
+
+const isIntegerIn = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+// Returns an error message, or null when the schedule can be stored
+function validateSchedule(fields) {
+  if (typeof fields.name !== "string" || !fields.name.trim()) {
+    return "name is required";
+  }
+  if (!["daily", "weekly", "monthly"].includes(fields.frequency)) {
+    return "frequency must be one of: daily, weekly, monthly";
+  }
+  if (fields.hour !== undefined && !isIntegerIn(fields.hour, 0, 23)) {
+    return "hour must be an integer from 0 to 23 (UTC)";
+  }
+  if (fields.frequency === "weekly" && !isIntegerIn(fields.dayOfWeek, 0, 6)) {
+    return "dayOfWeek must be an integer from 0 (Sunday) to 6";
+  }
+  if (
+    fields.frequency === "monthly" &&
+    !isIntegerIn(fields.dayOfMonth, 1, 28)
+  ) {
+    return "dayOfMonth must be an integer from 1 to 28";
+  }
+  if (!fields.params || typeof fields.params !== "object") {
+    return "params are required, as for POST /api/analyze";
+  }
+  if (fields.params.asOf) {
+    return "params.asOf cannot be set; scheduled runs use the run date";
+  }
+  const paramsError = runs.validateRunParams(fields.params);
+  if (paramsError) return `params: ${paramsError}`;
+  const { materiality } = fields;
+  if (materiality !== undefined) {
+    if (
+      materiality.actions !== undefined &&
+      !Array.isArray(materiality.actions)
+    ) {
+      return "materiality.actions must be an array of actions";
+    }
+    if (
+      materiality.salaryChangePercent !== undefined &&
+      !(
+        typeof materiality.salaryChangePercent === "number" &&
+        materiality.salaryChangePercent > 0
+      )
+    ) {
+      return "materiality.salaryChangePercent must be a positive number";
+    }
+  }
+  if (fields.channels !== undefined) {
+    if (!Array.isArray(fields.channels)) return "channels must be an array";
+    for (const channel of fields.channels) {
+      const error = notify.validateChannel(channel);
+      if (error) return `channels: ${error}`;
+    }
+  }
+  return null;
+}
+
+// Run one schedule that the caller has claimed, record the outcome and
+// release the claim. Notifies the channels when recommendations changed
+// materially since the schedule's previous run.
+// Returns { run, changes, deliveries }.
+async function runSchedule(schedule) {
+  const update = { lockedUntil: null, lockedBy: null, lastRunAt: new Date() };
+  try {
+    const previous = schedule.lastRun
+      ? await AnalysisRun.findById(schedule.lastRun).lean()
+      : null;
+    const { run, employees, ...result } = await runs.executeRun(
+      schedule.params,
+      { actor: `scheduler:${schedule.name}`, schedule: schedule._id }
+    );
+    const changes = runs.materialChanges(
+      previous,
+      run,
+      schedule.materiality || {}
+    );
+
+    let deliveries = [];
+    if (changes.length > 0 && (schedule.channels || []).length > 0) {
+      deliveries = await notify.send(schedule.channels, {
+        event: "analysis.changes",
+        schedule: { id: String(schedule._id), name: schedule.name },
+        run: {
+          id: String(run._id),
+          completedAt: run.completedAt,
+          employeesAnalyzed: employees.length,
+          currency: result.currency,
+        },
+        changes,
+      });
+    }
+
+    Object.assign(update, {
+      lastRun: run._id,
+      lastStatus: "succeeded",
+      lastError: null,
+      lastNotification: {
+        at: new Date(),
+        changes: changes.length,
+        deliveries,
+      },
+    });
+    return { run, changes, deliveries };
+  } catch (err) {
+    Object.assign(update, { lastStatus: "failed", lastError: err.message });
+    throw err;
+  } finally {
+    await Schedule.updateOne({ _id: schedule._id }, { $set: update });
+  }
+}
+
+const leaseFree = (now) => ({
+  $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+});
+
+// Take the lease on a schedule for a run outside its timetable (run now).
+// Returns the schedule, or throws 409 while another run holds it.
+async function claimNow(id, now = new Date()) {
+  const claimed = await Schedule.findOneAndUpdate(
+    { _id: id, ...leaseFree(now) },
+    {
+      $set: {
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        lockedBy: INSTANCE,
+      },
+    },
+    { new: true }
+  ).lean();
+  if (claimed) return claimed;
+  if (!(await Schedule.exists({ _id: id }))) {
+    throw scheduleError("Schedule not found", 404);
+  }
+  throw scheduleError("Schedule is already running", 409);
+}
+
+// Run every due schedule this process manages to claim
+async function tick(now = new Date()) {
+  const due = await Schedule.find({
+    enabled: true,
+    nextRunAt: { $lte: now },
+    ...leaseFree(now),
+  }).lean();
+  for (const schedule of due) {
+    const claimed = await Schedule.findOneAndUpdate(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt, ...leaseFree(now) },
+      {
+        $set: {
+          nextRunAt: nextRunAt(schedule, now),
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+          lockedBy: INSTANCE,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (!claimed) continue; // another process got it
+    try {
+      await runSchedule(claimed);
+    } catch (err) {
+      console.error(`Scheduled analysis "${claimed.name}" failed:`, err);
+    }
+  }
+}
+
+let timer = null;
+let ticking = false;
+
+// Start ticking unless SCHEDULER_ENABLED is "false". Ticks never overlap.
+function start() {
+  if (timer || process.env.SCHEDULER_ENABLED === "false") return;
+  const run = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await tick();
+    } catch (err) {
+      console.error("Scheduler tick failed:", err);
+    } finally {
+      ticking = false;
+    }
+  };
+  timer = setInterval(run, TICK_MS);
+  timer.unref();
+  setImmediate(run);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  nextRunAt,
+  validateSchedule,
+  runSchedule,
+  claimNow,
+  tick,
+  start,
+  stop,
+};
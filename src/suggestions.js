@@ -0,0 +1,193 @@
+const Employee = require("./models/Employee");
+const audit = require("./audit");
+const currency = require("./currency");
+
+// Lifecycle of the suggestion an analysis stores on an employee:
+//
+//   PENDING -> ACCEPTED    an action matching it was applied
+//           -> REJECTED    someone decided not to act on it, with a reason
+//           -> SUPERSEDED  a different action was applied, or a newer
+//                          analysis replaced it
+//           -> EXPIRED     nobody acted within SUGGESTION_TTL_DAYS
+//
+// Suggestions stored before statuses existed have none and count as
+// PENDING, aged from the employee's lastAnalyzed. Replaced suggestions are
+// kept, in short form, in the employee's suggestionHistory.
+
+const SUGGESTION_STATUSES = [
+  "PENDING",
+  "ACCEPTED",
+  "REJECTED",
+  "SUPERSEDED",
+  "EXPIRED",
+];
+
+const SUGGESTION_TTL_DAYS = Number(process.env.SUGGESTION_TTL_DAYS) || 30;
+
+// Replaced suggestions kept per employee
+const HISTORY_SIZE = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function suggestionExpiry(from = new Date()) {
+  return new Date(from.getTime() + SUGGESTION_TTL_DAYS * DAY_MS);
+}
+
+const isPending = (suggestion) =>
+  Boolean(suggestion) && (suggestion.status || "PENDING") === "PENDING";
+
+// When the suggestion was made
+const suggestedAt = (emp) =>
+  emp.suggestion?.suggestedAt || emp.lastAnalyzed || null;
+
+const ageDays = (emp, now = new Date()) => {
+  const at = suggestedAt(emp);
+  return at ? Math.floor((now - new Date(at)) / DAY_MS) : null;
+};
+
+// Employee filter for suggestions that can still be acted on
+const pendingQuery = () => ({
+  "suggestion.status": { $in: ["PENDING", null] },
+  "suggestion.action": { $exists: true, $ne: "NO_CHANGE" },
+  status: { $ne: "FIRED" },
+});
+
+// Expire pending suggestions older than the staleness window
+async function expireStaleSuggestions(now = new Date()) {
+  const cutoff = new Date(now.getTime() - SUGGESTION_TTL_DAYS * DAY_MS);
+  const stale = await Employee.find(
+    {
+      "suggestion.status": { $in: ["PENDING", null] },
+      $or: [
+        { "suggestion.expiresAt": { $lte: now } },
+        {
+          "suggestion.expiresAt": null,
+          "suggestion.action": { $exists: true },
+          lastAnalyzed: { $lte: cutoff },
+        },
+      ],
+    },
+    { ssid: 1 }
+  ).lean();
+  if (stale.length === 0) return;
+  await Employee.updateMany(
+    {
+      _id: { $in: stale.map((e) => e._id) },
+      "suggestion.status": { $in: ["PENDING", null] },
+    },
+    { $set: { "suggestion.status": "EXPIRED", "suggestion.resolvedAt": now } }
+  );
+  for (const e of stale) {
+    await audit.record({
+      action: "suggestion.expire",
+      entity: "Employee",
+      entityId: e._id,
+      ssid: e.ssid,
+      changes: [{ field: "suggestion.status", from: "PENDING", to: "EXPIRED" }],
+    });
+  }
+}
+
+// Short form of a replaced suggestion for suggestionHistory. A suggestion
+// still pending when replaced is SUPERSEDED.
+const archived = (suggestion, replacedAt = new Date()) => ({
+  analysisRun: suggestion.analysisRun,
+  action: suggestion.action,
+  confidence: suggestion.confidence,
+  recommended_change_percent: suggestion.recommended_change_percent,
+  suggestedSalary: suggestion.suggestedSalary,
+  currency: suggestion.currency,
+  suggestedAt: suggestion.suggestedAt,
+  status: isPending(suggestion) ? "SUPERSEDED" : suggestion.status,
+  resolvedAt: isPending(suggestion) ? replacedAt : suggestion.resolvedAt,
+  actionId: suggestion.actionId,
+  rejectedBy: suggestion.rejectedBy,
+  rejectionReason: suggestion.rejectionReason,
+});
+
+// Update for storing a new suggestion on an employee that had previous
+// (null for none), keeping previous in the history
+function replaceUpdate(previous, suggestion, now = new Date()) {
+  const update = {
+    $set: {
+      suggestion: {
+        ...suggestion,
+        status: "PENDING",
+        suggestedAt: now,
+        expiresAt: suggestionExpiry(now),
+      },
+      lastAnalyzed: now,
+    },
+  };
+  if (previous?.action) {
+    update.$push = {
+      suggestionHistory: {
+        $each: [archived(previous, now)],
+        $slice: -HISTORY_SIZE,
+      },
+    };
+  }
+  return update;
+}
+
+// Mark the employee's pending suggestion as consumed by an applied action:
+// ACCEPTED when the action is the one suggested, SUPERSEDED otherwise.
+// Mutates the employee document; the caller saves it.
+function resolveWithAction(emp, action, now = new Date()) {
+  if (!isPending(emp.suggestion) || !emp.suggestion.action) return;
+  emp.suggestion.status =
+    emp.suggestion.action === action.action ? "ACCEPTED" : "SUPERSEDED";
+  emp.suggestion.actionId = action._id;
+  emp.suggestion.resolvedAt = now;
+}
+
+// Put back a suggestion whose action was reverted; it expires as usual.
+// Mutates the employee document; the caller saves it.
+function reopenAfterRevert(emp, action) {
+  if (
+    !emp.suggestion?.actionId ||
+    String(emp.suggestion.actionId) !== String(action._id)
+  ) {
+    return;
+  }
+  const expiresAt = emp.suggestion.expiresAt;
+  emp.suggestion.status =
+    expiresAt && new Date(expiresAt) <= new Date() ? "EXPIRED" : "PENDING";
+  emp.suggestion.actionId = undefined;
+  emp.suggestion.resolvedAt = undefined;
+}
+
+// Money at stake, in the base currency: the salary saved by FIRE, the
+// salary change otherwise. null when there is no FX rate for it.
+function impactOf(emp, fx) {
+  const s = emp.suggestion;
+  const amount =
+    s.action === "FIRE"
+      ? (s.currentSalary ?? emp.salary ?? 0)
+      : Math.abs(s.salaryDifference ?? 0);
+  try {
+    return currency.convert(
+      amount,
+      s.currency || currency.currencyOf(emp),
+      currency.BASE_CURRENCY,
+      fx
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  SUGGESTION_STATUSES,
+  SUGGESTION_TTL_DAYS,
+  suggestionExpiry,
+  isPending,
+  suggestedAt,
+  ageDays,
+  pendingQuery,
+  expireStaleSuggestions,
+  replaceUpdate,
+  resolveWithAction,
+  reopenAfterRevert,
+  impactOf,
+};